@@ -0,0 +1,109 @@
+/**
+ * CSP build plugin
+ * Applies the policy from src/config/csp.js:
+ * - build: hashes the inline scripts of index.html, injects the policy as a <meta> tag and
+ *   writes a Cloudflare `_headers` file so the deployment sends the same policy as headers
+ * - dev: sends the policy as Content-Security-Policy-Report-Only and prints reports
+ */
+
+import { createHash } from 'node:crypto';
+import { buildCSPPolicy, generateCSPString } from '../src/config/csp.js';
+
+export const REPORT_PATH = '/__csp-report';
+
+// Sent alongside the policy by the deployment
+export const SECURITY_HEADERS = {
+  'X-Content-Type-Options': 'nosniff',
+  'Referrer-Policy': 'strict-origin-when-cross-origin',
+  // The webcam is used for gesture control
+  'Permissions-Policy': 'camera=(self), microphone=(), geolocation=()',
+};
+
+const INLINE_SCRIPT = /<script\b([^>]*)>([\s\S]*?)<\/script>/gi;
+const SCRIPT_TYPE = /\btype\s*=\s*["']?([^"'\s>]+)/i;
+const EXECUTABLE_TYPES = ['module', 'text/javascript', 'application/javascript'];
+
+/**
+ * CSP hash sources for the inline scripts a browser would run.
+ * Data blocks such as JSON-LD are skipped; they need no hash.
+ * @param {string} html
+ * @returns {string[]} e.g. ['sha256-…']
+ */
+export const inlineScriptHashes = (html) => {
+  const hashes = [];
+  for (const [, attrs, body] of html.matchAll(INLINE_SCRIPT)) {
+    if (/\bsrc\s*=/i.test(attrs)) continue;
+    const type = attrs.match(SCRIPT_TYPE)?.[1].toLowerCase();
+    if (type && !EXECUTABLE_TYPES.includes(type)) continue;
+    hashes.push(`sha256-${createHash('sha256').update(body).digest('base64')}`);
+  }
+  return hashes;
+};
+
+/**
+ * Contents of a Cloudflare `_headers` file applying `headers` to every path
+ * @param {Object<string, string>} headers
+ * @returns {string}
+ */
+export const renderHeadersFile = (headers) => (
+  ['/*', ...Object.entries(headers).map(([name, value]) => `  ${name}: ${value}`), ''].join('\n')
+);
+
+const escapeAttribute = (value) => value.replace(/&/g, '&amp;').replace(/"/g, '&quot;');
+
+/**
+ * @returns {import('vite').Plugin}
+ */
+export default function cspPlugin() {
+  return {
+    name: 'neuro-chain-csp',
+    enforce: 'post',
+
+    // Runs after vite:build-html has written index.html into the bundle
+    generateBundle(_options, bundle) {
+      const page = bundle['index.html'];
+      if (!page) return;
+
+      const html = String(page.source);
+      const policy = buildCSPPolicy({ scriptHashes: inlineScriptHashes(html) });
+      const meta = `<meta http-equiv="Content-Security-Policy" content="${escapeAttribute(generateCSPString(policy, { meta: true }))}" />`;
+      // Right after the charset declaration, which must stay within the first 1024 bytes,
+      // and before any script or stylesheet
+      const anchor = /<meta charset[^>]*>/i.test(html) ? /<meta charset[^>]*>/i : /<head>/i;
+      page.source = html.replace(anchor, (tag) => `${tag}\n    ${meta}`);
+
+      this.emitFile({
+        type: 'asset',
+        fileName: '_headers',
+        source: renderHeadersFile({ 'Content-Security-Policy': generateCSPString(policy), ...SECURITY_HEADERS }),
+      });
+    },
+
+    configureServer(server) {
+      const header = generateCSPString(buildCSPPolicy({ dev: true, reportUri: REPORT_PATH }));
+
+      server.middlewares.use((req, res, next) => {
+        if (req.url === REPORT_PATH && req.method === 'POST') {
+          let body = '';
+          req.on('data', (chunk) => { body += chunk; });
+          req.on('end', () => {
+            try {
+              const report = JSON.parse(body)['csp-report'] || {};
+              server.config.logger.warn(
+                `[csp] ${report['violated-directive']} blocked ${report['blocked-uri'] || 'inline'}` +
+                (report['source-file'] ? ` (${report['source-file']}:${report['line-number']})` : '')
+              );
+            } catch {
+              server.config.logger.warn(`[csp] unreadable report: ${body.slice(0, 200)}`);
+            }
+            res.statusCode = 204;
+            res.end();
+          });
+          return;
+        }
+        res.setHeader('Content-Security-Policy-Report-Only', header);
+        next();
+      });
+    },
+  };
+}
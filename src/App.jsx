@@ -1,5 +1,5 @@
 import './styles/global.css';
-import { useState, useEffect, useRef, useCallback } from 'react';
+import { useState, useEffect, useRef, useCallback, useMemo } from 'react';
 import CanvasNetwork from './components/CanvasNetwork';
 import TitleBlock from './components/TitleBlock';
 import Legend from './components/Legend';
@@ -14,13 +14,27 @@ import Minimap from './components/Minimap';
 import StatsPanel from './components/StatsPanel';
 import ViewSettings from './components/ViewSettings';
 import DetailPanel from './components/DetailPanel';
+import EdgeInspector from './components/EdgeInspector';
 import TimelineControl from './components/TimelineControl';
+import PathExplorer from './components/PathExplorer';
+import WorkspaceManager from './components/WorkspaceManager';
+import FilterBuilder from './components/FilterBuilder';
 import ErrorBoundary from './components/ErrorBoundary';
-import useKeyboardShortcuts from './hooks/useKeyboardShortcuts';
+import useKeyboardShortcuts, { isEditableTarget } from './hooks/useKeyboardShortcuts';
+import useEditHistory from './hooks/useEditHistory';
+import useWorkspaces from './hooks/useWorkspaces';
+import useSearchEngine from './hooks/useSearchEngine';
 import { config, validateEnv, debug } from './config/env';
 import { initializeFeatures, cleanupFeatures } from './config/featureRegistry';
 import { gestureConfig } from './config/gesture';
 import GestureStatus from './components/GestureStatus';
+import { existsInYear, getYearBounds } from './utils/timeScale';
+import { analyzeGraph, traceLineage } from './utils/graphAnalytics';
+import { pathFromNodeIds } from './utils/pathFinding';
+import { createFilter, isFilterActive, applyGraphFilter } from './utils/graphFilters';
+import { parseViewState } from './utils/urlState';
+import { exportGraph, selectSubgraph, bakeNodePositions, downloadFile } from './utils/exportHelpers';
+import useUrlState from './hooks/useUrlState';
 
 // Import data
 import clustersData from './data/clusters.json';
@@ -34,28 +48,55 @@ if (config.debugMode) {
   debug.log('App initialized with config:', config);
 }
 
+const BUNDLED_DATA = {
+  clusters: clustersData,
+  nodes: nodesData,
+  edges: edgesData,
+  descriptions: descriptionsData
+};
+
+// Copy of a node or cluster without a flag such as `pinned` or `locked`
+const withoutFlag = (record, flag) => {
+  const copy = { ...record };
+  delete copy[flag];
+  return copy;
+};
+
 function App() {
-  const [data, setData] = useState({
-    clusters: clustersData,
-    nodes: nodesData,
-    edges: edgesData,
-    descriptions: descriptionsData
-  });
+  // All data edits go through the history so they can be undone and exported as a patch
+  const history = useEditHistory(BUNDLED_DATA);
+  const { data } = history;
+  // Edits are auto-saved to a local workspace and the last one is restored on startup
+  const workspaces = useWorkspaces(history, BUNDLED_DATA);
+  const [showWorkspaces, setShowWorkspaces] = useState(false);
+  // Full-text index over the edited data, rebuilt in a worker after each change
+  const searchIndex = useSearchEngine(data);
+
+  // View state from the URL, so shared links open where they were copied
+  const [initialView] = useState(() => parseViewState(window.location.search));
   
   const [hoveredNode, setHoveredNode] = useState(null);
-  const [selectedNode, setSelectedNode] = useState(null); // Persistent selection for DetailPanel
+  const [selectedNode, setSelectedNode] = useState( // Persistent selection for DetailPanel
+    () => BUNDLED_DATA.nodes.find(n => n.id === initialView.nodeId) || null
+  );
+  const [hoveredEdge, setHoveredEdge] = useState(null);
+  // Edge open in the inspector, by its identity { source, target, type }
+  const [selectedEdgeKey, setSelectedEdgeKey] = useState(null);
   const [mousePos, setMousePos] = useState({ x: 0, y: 0 });
   const [animating, setAnimating] = useState(true);
-  const [cameraTarget, setCameraTarget] = useState({ x: 0, y: 0 });
+  const [cameraTarget, setCameraTarget] = useState(initialView.camera);
+  const [zoomTarget, setZoomTarget] = useState(initialView.zoom);
   const [showSettings, setShowSettings] = useState(false);
   const [searchState, setSearchState] = useState({ term: '', matchedIds: [] });
-  const [hiddenClusters, setHiddenClusters] = useState(new Set());
-  const [currentYear] = useState(2025); // Default to "Now"
+  // Term pushed into the search bar by a link or back/forward; a new object each time
+  const [searchRestore, setSearchRestore] = useState(() => ({ term: initialView.search }));
+  const [hiddenClusters, setHiddenClusters] = useState(() => new Set(initialView.hiddenClusters));
+  const [currentYear, setCurrentYear] = useState(initialView.year); // Defaults to "Now"
   
   // Live state from CanvasNetwork for dynamic minimap
   const [liveNodes, setLiveNodes] = useState([]);
-  const [liveCamera, setLiveCamera] = useState({ x: 0, y: 0 });
-  const [liveZoom, setLiveZoom] = useState(1);
+  const [liveCamera, setLiveCamera] = useState(initialView.camera);
+  const [liveZoom, setLiveZoom] = useState(initialView.zoom);
   const [isMobile, setIsMobile] = useState(window.innerWidth <= 768);
 
   // Auto-detect mobile and handle resize
@@ -86,9 +127,40 @@ function App() {
     renderGlow: true,
     renderPulses: true,
     enableGestures: gestureConfig.enabled,
-    theme: 'default'
+    theme: initialView.theme,
+    layout: initialView.layout, // 'theme' = use the layout defined by the active theme
+    sizeBy: 'default', // Analytics metric driving node size
+    colorBy: 'cluster', // 'cluster', 'community' or an analytics metric
+    renderer: config.renderer, // Preferred rendering backend (see src/render)
+    physics: {}, // Slider overrides of the theme's physics (see PHYSICS_CONTROLS)
+    physicsFrozen: initialView.start === 'baked',
+    layoutStart: initialView.start, // Starting positions, see LAYOUT_STARTS
+    layoutSeed: initialView.seed
   });
 
+  // A baked start shows the stored positions with the simulation paused
+  const handleSetLayoutStart = (layoutStart) => {
+    setViewSettings(prev => ({
+      ...prev,
+      layoutStart,
+      physicsFrozen: layoutStart === 'baked'
+    }));
+  };
+
+  const handleSetLayoutSeed = (layoutSeed) => {
+    setViewSettings(prev => ({
+      ...prev,
+      layoutSeed
+    }));
+  };
+
+  // Temperature of the layout simulation, and a counter bumped by the Reheat button
+  const [layoutStatus, setLayoutStatus] = useState(null);
+  const [reheatKey, setReheatKey] = useState(0);
+
+  // Backend actually drawing, which differs from the preference after a fallback
+  const [activeRenderer, setActiveRenderer] = useState(null);
+
   const handleToggleViewSetting = (key) => {
     setViewSettings(prev => ({
       ...prev,
@@ -103,6 +175,43 @@ function App() {
     }));
   };
 
+  const handleSetLayout = (layout) => {
+    setViewSettings(prev => ({
+      ...prev,
+      layout
+    }));
+  };
+
+  const handleSetNodeMetric = (key, metric) => {
+    setViewSettings(prev => ({
+      ...prev,
+      [key]: metric
+    }));
+  };
+
+  const handleSetRenderer = (renderer) => {
+    setViewSettings(prev => ({
+      ...prev,
+      renderer
+    }));
+  };
+
+  // A null key drops every override and goes back to the theme's physics
+  const handleSetPhysics = (key, value) => {
+    setViewSettings(prev => ({
+      ...prev,
+      physics: key === null ? {} : { ...prev.physics, [key]: value }
+    }));
+  };
+
+  // Analytics for node size/colour drivers; run over the full dataset so styling
+  // stays stable while scrubbing the timeline, and only once a driver is picked
+  const needsAnalytics = viewSettings.sizeBy !== 'default' || viewSettings.colorBy !== 'cluster';
+  const canvasAnalytics = useMemo(
+    () => (needsAnalytics ? analyzeGraph(data.nodes, data.edges) : null),
+    [needsAnalytics, data.nodes, data.edges]
+  );
+
   // Phase 15: Guided Tour Camera Driver
   const handleTourStepChange = useCallback((step) => {
     if (step && step.target) {
@@ -114,9 +223,19 @@ function App() {
 
   const searchInputRef = useRef(null);
   const canvasRef = useRef(null);
+  const sceneRef = useRef(null);
 
   // Keyboard shortcuts
   useKeyboardShortcuts({
+    // Form fields keep their own undo
+    'ctrl+z': (e) => {
+      if (isEditableTarget(e.target)) return false;
+      history.undo();
+    },
+    'ctrl+shift+z': (e) => {
+      if (isEditableTarget(e.target)) return false;
+      history.redo();
+    },
     'ctrl+k': (e) => {
       e.preventDefault();
       searchInputRef.current?.focus();
@@ -124,6 +243,7 @@ function App() {
     'escape': () => {
       searchInputRef.current?.blur();
       setHoveredNode(null);
+      setSelectedEdgeKey(null);
     },
     ' ': (e) => {
       if (e.target.tagName !== 'INPUT' && e.target.tagName !== 'TEXTAREA') {
@@ -152,11 +272,106 @@ function App() {
     },
   });
 
-  const handleDataUpdate = (key, newData) => {
-    setData(prev => ({
-      ...prev,
-      [key]: newData
-    }));
+  // Timeline: restrict the overlays to innovations that exist at the active year
+  const yearBounds = useMemo(() => getYearBounds(data.nodes), [data.nodes]);
+
+  const yearNodes = useMemo(() => {
+    return data.nodes.filter(n => existsInYear(n, currentYear));
+  }, [data.nodes, currentYear]);
+
+  // Filter builder: node predicates combined with AND/OR, applied on the canvas as hide or dim
+  const [showFilters, setShowFilters] = useState(false);
+  const [graphFilter, setGraphFilter] = useState(createFilter);
+  const filterActive = isFilterActive(graphFilter);
+  const nodeFilter = useMemo(() => {
+    if (!filterActive) return null;
+    return { mode: graphFilter.mode, ...applyGraphFilter(data.nodes, data.edges, graphFilter) };
+  }, [filterActive, graphFilter, data.nodes, data.edges]);
+
+  const yearEdges = useMemo(() => {
+    const ids = new Set(yearNodes.map(n => n.id));
+    return data.edges.filter(e => ids.has(e.source) && ids.has(e.target));
+  }, [data.edges, yearNodes]);
+
+  const minimapNodes = useMemo(() => {
+    const source = liveNodes.length > 0 ? liveNodes : data.nodes;
+    return source.filter(n => existsInYear(n, currentYear));
+  }, [liveNodes, data.nodes, currentYear]);
+
+  /**
+   * Record a data edit in the history
+   * @param {string|Object} key - Collection to replace, or a map of collections replaced together
+   * @param {*} newData - New value for `key` (unused when `key` is a map)
+   * @param {string} [label] - Change log description
+   */
+  const handleDataUpdate = (key, newData, label) => {
+    if (typeof key === 'string') {
+      history.commit({ [key]: newData }, label || `Edit ${key}`);
+    } else {
+      history.commit(key, label);
+    }
+  };
+
+  // Dropping a dragged node (or a locked cluster) stores the new positions
+  const handleNodesMove = (moves) => {
+    const byId = new Map(moves.map(move => [move.id, move]));
+    const node = data.nodes.find(n => n.id === moves[0]?.id);
+    if (!node) return;
+    const cluster = data.clusters[node.cluster];
+    handleDataUpdate(
+      'nodes',
+      data.nodes.map(n => (byId.has(n.id) ? { ...n, x: byId.get(n.id).x, y: byId.get(n.id).y } : n)),
+      moves.length > 1 ? `Move cluster "${cluster?.label || node.cluster}"` : `Move "${node.label}"`
+    );
+  };
+
+  // Where nodes are drawn right now, which is where pinning or locking should hold them
+  const livePosition = (node, positions) => {
+    const position = positions?.get(node.id);
+    return position ? { x: Math.round(position.x), y: Math.round(position.y) } : { x: node.x, y: node.y };
+  };
+
+  // Pin a node at its current position, or hand it back to the layout
+  const handleTogglePin = (nodeId) => {
+    const node = data.nodes.find(n => n.id === nodeId);
+    if (!node) return;
+    const positions = sceneRef.current?.capturePositions();
+    handleDataUpdate(
+      'nodes',
+      data.nodes.map(n => {
+        if (n.id !== nodeId) return n;
+        return n.pinned ? withoutFlag(n, 'pinned') : { ...n, ...livePosition(n, positions), pinned: true };
+      }),
+      `${node.pinned ? 'Unpin' : 'Pin'} "${node.label}"`
+    );
+  };
+
+  // Locking a cluster stores where its nodes are, so the arrangement survives reloads
+  const handleToggleClusterLock = (clusterId) => {
+    const cluster = data.clusters[clusterId];
+    if (!cluster) return;
+    const changes = {
+      clusters: { ...data.clusters, [clusterId]: cluster.locked ? withoutFlag(cluster, 'locked') : { ...cluster, locked: true } },
+    };
+    if (!cluster.locked) {
+      const positions = sceneRef.current?.capturePositions();
+      changes.nodes = data.nodes.map(n => (n.cluster === clusterId ? { ...n, ...livePosition(n, positions) } : n));
+    }
+    handleDataUpdate(changes, `${cluster.locked ? 'Unlock' : 'Lock'} cluster "${cluster.label}"`);
+  };
+
+  const pinnedCount = useMemo(() => (
+    data.nodes.filter(n => n.pinned).length + Object.values(data.clusters).filter(c => c.locked).length
+  ), [data.nodes, data.clusters]);
+
+  // Release every pinned node and locked cluster; their stored positions stay as they are
+  const handleUnpinAll = () => {
+    handleDataUpdate({
+      nodes: data.nodes.map(n => (n.pinned ? withoutFlag(n, 'pinned') : n)),
+      clusters: Object.fromEntries(Object.entries(data.clusters).map(([key, cluster]) => (
+        [key, cluster.locked ? withoutFlag(cluster, 'locked') : cluster]
+      ))),
+    }, 'Unpin all');
   };
 
   const handleFocusCluster = (clusterId) => {
@@ -171,8 +386,100 @@ function App() {
   const handleNodeSelect = (node) => {
     setCameraTarget({ x: -node.x, y: -node.y });
     setSelectedNode(node); // Set persistent selection
+    setSelectedEdgeKey(null);
+  };
+
+  const handleEdgeSelect = (edge) => {
+    setSelectedNode(null);
+    setSelectedEdgeKey({ source: edge.source, target: edge.target, type: edge.type });
   };
 
+  // Resolved against the current data so edits and undo show up in the inspector
+  const selectedEdge = useMemo(() => {
+    if (!selectedEdgeKey) return null;
+    return data.edges.find(e =>
+      e.source === selectedEdgeKey.source && e.target === selectedEdgeKey.target && e.type === selectedEdgeKey.type
+    ) || null;
+  }, [selectedEdgeKey, data.edges]);
+
+  // Lineage tracing for the selected node: { rootId, direction } or null.
+  // A trace only applies while its root stays selected.
+  const [lineageRequest, setLineageRequest] = useState(
+    () => (initialView.lineage ? { rootId: initialView.nodeId, direction: initialView.lineage } : null)
+  );
+  const lineage = useMemo(() => {
+    if (!lineageRequest || selectedNode?.id !== lineageRequest.rootId) return null;
+    return {
+      ...lineageRequest,
+      ...traceLineage(data.nodes, data.edges, lineageRequest.rootId, { direction: lineageRequest.direction })
+    };
+  }, [lineageRequest, selectedNode, data.nodes, data.edges]);
+
+  // Path explorer: the chosen route is highlighted and animated on the canvas
+  const [showPathExplorer, setShowPathExplorer] = useState(false);
+  const [activePath, setActivePath] = useState(
+    () => pathFromNodeIds(BUNDLED_DATA.nodes, BUNDLED_DATA.edges, initialView.path)
+  );
+
+  // Node form requests from the canvas and detail panel: { kind: 'new', x, y } or { kind: 'edit', nodeId }.
+  // Each request is a fresh object so repeating the same action reopens the form.
+  const [editorRequest, setEditorRequest] = useState(null);
+  if (selectedNode && editorRequest) setEditorRequest(null);
+
+  const handleAddNodeAt = ({ x, y }) => {
+    setSelectedNode(null);
+    setEditorRequest({ kind: 'new', x, y });
+  };
+
+  const handleEditNode = (node) => {
+    setSelectedNode(null);
+    setEditorRequest({ kind: 'edit', nodeId: node.id });
+  };
+
+  const handleTraceLineage = (direction) => {
+    setLineageRequest(direction && selectedNode ? { rootId: selectedNode.id, direction } : null);
+  };
+
+  // Mirror the view into the URL; back/forward restores it
+  const urlViewState = useMemo(() => ({
+    camera: liveCamera,
+    zoom: liveZoom,
+    nodeId: selectedNode?.id || null,
+    hiddenClusters: [...hiddenClusters],
+    search: searchState.term,
+    theme: viewSettings.theme,
+    layout: viewSettings.layout,
+    year: currentYear,
+    path: activePath?.nodes || null,
+    lineage: lineage?.direction || null,
+    start: viewSettings.layoutStart,
+    seed: viewSettings.layoutSeed,
+  }), [
+    liveCamera, liveZoom, selectedNode, hiddenClusters, searchState.term, viewSettings.theme, viewSettings.layout,
+    viewSettings.layoutStart, viewSettings.layoutSeed, currentYear, activePath, lineage
+  ]);
+
+  const handleRestoreView = (view) => {
+    setCameraTarget(view.camera);
+    setZoomTarget(view.zoom);
+    setSelectedNode(data.nodes.find(n => n.id === view.nodeId) || null);
+    setHiddenClusters(new Set(view.hiddenClusters));
+    setSearchRestore({ term: view.search });
+    setViewSettings(prev => ({
+      ...prev,
+      theme: view.theme,
+      layout: view.layout,
+      layoutStart: view.start,
+      layoutSeed: view.seed,
+      physicsFrozen: view.start === prev.layoutStart ? prev.physicsFrozen : view.start === 'baked'
+    }));
+    setCurrentYear(view.year);
+    setActivePath(pathFromNodeIds(data.nodes, data.edges, view.path));
+    setLineageRequest(view.lineage ? { rootId: view.nodeId, direction: view.lineage } : null);
+  };
+
+  useUrlState(urlViewState, handleRestoreView);
+
   const handleMinimapNavigate = (worldX, worldY) => {
     setCameraTarget({ x: -worldX, y: -worldY });
   };
@@ -186,13 +493,27 @@ function App() {
   };
 
   const handleExportData = () => {
-    const blob = new Blob([JSON.stringify(data, null, 2)], { type: 'application/json' });
-    const url = URL.createObjectURL(blob);
-    const a = document.createElement('a');
-    a.href = url;
-    a.download = 'neuro-chain-data.json';
-    a.click();
-    URL.revokeObjectURL(url);
+    downloadFile(JSON.stringify(data, null, 2), 'neuro-chain-data.json', 'application/json');
+  };
+
+  // Store the settled layout as the nodes' positions, download it as nodes.json
+  // and reopen it paused, so everyone sees exactly this picture
+  const handleBakeLayout = () => {
+    const positions = sceneRef.current?.capturePositions();
+    if (!positions) return;
+    const nodes = bakeNodePositions(data.nodes, positions);
+    handleDataUpdate('nodes', nodes, 'Bake layout');
+    downloadFile(JSON.stringify(nodes, null, 2), 'nodes.json', 'application/json');
+    handleSetLayoutStart('baked');
+  };
+
+  // Graph formats cover either the whole dataset or what the canvas currently shows
+  const handleExportGraph = (format, scope) => {
+    if (scope === 'visible') {
+      exportGraph(format, selectSubgraph(data, { hiddenClusters, maxYear: currentYear, nodeFilter }), 'neuro-chain-visible');
+    } else {
+      exportGraph(format, data, 'neuro-chain');
+    }
   };
 
 // Initialize audio context on user interaction
@@ -236,29 +557,46 @@ function App() {
         data={data}
         hoveredNode={hoveredNode}
         setHoveredNode={setHoveredNode}
+        hoveredEdge={hoveredEdge}
+        setHoveredEdge={setHoveredEdge}
         setMousePos={setMousePos}
         animating={animating}
         cameraTarget={cameraTarget}
+        zoomTarget={zoomTarget}
         canvasRef={canvasRef}
+        sceneRef={sceneRef}
         onNodeClick={handleNodeSelect}
+        onEdgeClick={handleEdgeSelect}
+        onAddNode={handleAddNodeAt}
+        onNodesMove={handleNodesMove}
+        onTogglePin={handleTogglePin}
         onNodesUpdate={setLiveNodes}
         onCameraChange={setLiveCamera}
         onZoomChange={setLiveZoom}
         viewSettings={viewSettings}
         searchState={searchState}
         hiddenClusters={hiddenClusters}
+        nodeFilter={nodeFilter}
         maxYear={currentYear}
+        analytics={canvasAnalytics}
+        lineage={lineage}
+        activePath={activePath}
         gesturesEnabled={viewSettings.enableGestures}
+        reheatKey={reheatKey}
+        onLayoutStatus={setLayoutStatus}
+        onRendererChange={setActiveRenderer}
       />
       
       <TitleBlock isMobile={isMobile} />
       
       <SearchBar
-        nodes={data.nodes}
+        nodes={yearNodes}
         clusters={data.clusters}
+        searchIndex={searchIndex}
         onNodeSelect={handleNodeSelect}
         inputRef={searchInputRef}
         onSearchChange={setSearchState}
+        restoreTerm={searchRestore}
       />
       
       <Legend
@@ -266,20 +604,40 @@ function App() {
         onFocusCluster={handleFocusCluster}
         hiddenClusters={hiddenClusters}
         onToggleCluster={toggleClusterVisibility}
+        onToggleLock={handleToggleClusterLock}
         defaultCollapsed={isMobile}
       />
 
-      {/* Show DetailPanel if selectedNode exists, otherwise show generic Panel */}
+      {/* Show DetailPanel for a selected node, EdgeInspector for a selected edge, otherwise the generic Panel */}
       {selectedNode ? (
         <DetailPanel 
             node={selectedNode}
             cluster={data.clusters[selectedNode.cluster]}
+            nodes={data.nodes}
+            lineage={lineage}
+            activePath={activePath}
+            onTraceLineage={handleTraceLineage}
+            onNodeSelect={handleNodeSelect}
+            onEdit={handleEditNode}
+            pinned={Boolean(data.nodes.find(n => n.id === selectedNode.id)?.pinned)}
+            onTogglePin={() => handleTogglePin(selectedNode.id)}
             onClose={() => setSelectedNode(null)}
         />
+      ) : selectedEdge ? (
+        <EdgeInspector
+            edge={selectedEdge}
+            data={data}
+            onDataUpdate={handleDataUpdate}
+            onEdgeChange={handleEdgeSelect}
+            onNodeSelect={handleNodeSelect}
+            onClose={() => setSelectedEdgeKey(null)}
+        />
       ) : (
         <Panel 
             data={data}
             onDataUpdate={handleDataUpdate}
+            editorRequest={editorRequest}
+            history={history}
         />
       )}
       
@@ -288,41 +646,92 @@ function App() {
         onResetView={handleResetView}
         onToggleAnimation={handleToggleAnimation}
         onExportData={handleExportData}
+        onExportGraph={handleExportGraph}
         onToggleSettings={() => setShowSettings(!showSettings)}
-        canvasRef={canvasRef}
-        nodes={data.nodes}
-        edges={data.edges}
-        clusters={data.clusters}
-        camera={cameraTarget}
-        zoom={1}
+        onTogglePathExplorer={() => setShowPathExplorer(!showPathExplorer)}
+        pathExplorerOpen={showPathExplorer}
+        onToggleWorkspaces={() => setShowWorkspaces(!showWorkspaces)}
+        workspacesOpen={showWorkspaces}
+        onToggleFilters={() => setShowFilters(!showFilters)}
+        filtersOpen={showFilters}
+        filterActive={filterActive}
+        sceneRef={sceneRef}
+        timelineStart={yearBounds.min}
+        camera={liveCamera}
+        zoom={liveZoom}
+        viewState={urlViewState}
       />
 
+      {showPathExplorer && (
+        <PathExplorer
+            nodes={data.nodes}
+            edges={data.edges}
+            clusters={data.clusters}
+            initialPath={activePath}
+            onPathChange={setActivePath}
+            onNodeSelect={handleNodeSelect}
+            onClose={() => setShowPathExplorer(false)}
+        />
+      )}
+
+      {showFilters && (
+        <FilterBuilder
+            filter={graphFilter}
+            onChange={setGraphFilter}
+            nodes={data.nodes}
+            clusters={data.clusters}
+            matchCount={nodeFilter ? nodeFilter.nodeIds.size : data.nodes.length}
+            onClose={() => setShowFilters(false)}
+        />
+      )}
+
+      {showWorkspaces && (
+        <WorkspaceManager
+            workspaces={workspaces}
+            onClose={() => setShowWorkspaces(false)}
+        />
+      )}
+
       {showSettings && (
         <ViewSettings 
             settings={viewSettings}
             onToggleSetting={handleToggleViewSetting}
             onSetTheme={handleSetTheme}
+            onSetLayout={handleSetLayout}
+            onSetNodeMetric={handleSetNodeMetric}
+            onSetRenderer={handleSetRenderer}
+            activeRenderer={activeRenderer}
+            onSetPhysics={handleSetPhysics}
+            onSetLayoutStart={handleSetLayoutStart}
+            onSetLayoutSeed={handleSetLayoutSeed}
+            onBakeLayout={handleBakeLayout}
+            pinnedCount={pinnedCount}
+            onUnpinAll={handleUnpinAll}
+            onReheat={() => setReheatKey(k => k + 1)}
+            layoutStatus={layoutStatus}
             onClose={() => setShowSettings(false)}
         />
       )}
       
       <Tooltip
         hoveredNode={hoveredNode}
+        hoveredEdge={hoveredEdge}
         mousePos={mousePos}
         clusters={data.clusters}
         edges={data.edges}
+        nodes={data.nodes}
         descriptions={data.descriptions}
       />
       
       <StatsPanel
-        nodes={data.nodes}
-        edges={data.edges}
+        nodes={yearNodes}
+        edges={yearEdges}
         clusters={data.clusters}
         defaultCollapsed={isMobile}
       />
       
       <Minimap
-        nodes={liveNodes.length > 0 ? liveNodes : data.nodes}
+        nodes={minimapNodes}
         clusters={data.clusters}
         camera={liveCamera}
         zoom={liveZoom}
@@ -331,6 +740,13 @@ function App() {
         selectedNode={selectedNode}
       />
       
+      <TimelineControl
+        minYear={yearBounds.min}
+        maxYear={Math.max(yearBounds.max, 2025)}
+        currentYear={currentYear}
+        onChange={setCurrentYear}
+      />
+
       <HelpModal />
 
       <Onboarding onStepChange={handleTourStepChange} />
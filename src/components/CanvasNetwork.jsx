@@ -1,33 +1,100 @@
-import React, { useRef, useEffect, useState, useMemo, useCallback } from 'react';
+import React, { useRef, useEffect, useState, useMemo, useCallback, useImperativeHandle } from 'react';
 import styles from '../styles/components/CanvasNetwork.module.css';
-import { getLODSettings, SpatialHash } from '../utils/viewportCulling';
+import { getLODSettings, getViewportBounds, segmentInBounds } from '../utils/viewportCulling';
+import { Quadtree } from '../utils/quadtree';
+import { pickEdge } from '../utils/edgePicking';
 import { soundManager } from '../utils/SoundManager';
 import { THEMES } from '../config/themes';
 import { useGestureIntents } from '../hooks/useGestureIntents';
 import { INTENTS } from '../gesture/types.js';
 import { getController } from '../config/featureRegistry';
+import { existsInYear } from '../utils/timeScale';
+import { LayoutEngine } from '../layout/LayoutEngine.js';
+import { resolvePhysics } from '../layout/LayoutSimulation.js';
+import { getTimelineGeometry, DEFAULT_LAYOUT_SEED } from '../layout/layouts.js';
+import { getMetricValues, normalizeMetric } from '../utils/graphAnalytics';
+import { heatColor, categoricalColor } from '../utils/colorScale';
+import { nodeColor, EDGE_CURVE_OFFSET } from '../utils/graphStyle';
+import { createRenderer } from '../render/createRenderer.js';
+import { Canvas2DRenderer, drawScene2D } from '../render/Canvas2DRenderer.js';
+import { PULSE_LIFESPAN, hasTransientEffects } from '../render/sceneStyle.js';
+import { config, debug } from '../config/env';
+
+// Per-frame reveal increment for nodes entering/leaving the timeline (~0.5s fade)
+const REVEAL_STEP = 0.035;
+
+// Animation time advanced per frame while animating (frames are nominally 60fps)
+const TIME_STEP = 0.006;
+
+// Animation-time gap between pulses along the path explorer's route (~1s per hop),
+// and the pause before the route replays
+const PATH_HOP_INTERVAL = 0.35;
+const PATH_REPEAT_DELAY = 0.6;
+
+const edgeKey = (edge) => `${edge.source}->${edge.target}`;
+
+// Screen pixels kept around the viewport when culling, so labels at the edge are not clipped
+const CULL_MARGIN = 120;
+
+// Glow radius of a hovered node relative to its base size (1.5x hover, 4x glow)
+const MAX_GLOW_SCALE = 6;
+
+// Alpha held while a node is dragged, so its neighbours follow it
+const DRAG_ALPHA_TARGET = 0.3;
+
+// Layout status is reported to the parent when alpha crosses a multiple of this
+const ALPHA_REPORT_STEP = 0.05;
+
+// Screen pixels within which the pointer picks an edge
+const EDGE_PICK_TOLERANCE = 5;
+
+// Node radius range when size is driven by an analytics metric
+const METRIC_SIZE_MIN = 5;
+const METRIC_SIZE_RANGE = 25;
 
 const CanvasNetwork = React.memo(({
   data,
   hoveredNode,
   setHoveredNode,
+  hoveredEdge = null,
+  setHoveredEdge,
   setMousePos,
   animating,
   cameraTarget,
   canvasRef: externalCanvasRef,
   onNodeClick,
+  onEdgeClick,
+  onAddNode,
+  onNodesMove,
+  onTogglePin,
   onNodesUpdate,
   onCameraChange,
   onZoomChange,
   viewSettings = { renderLabels: true, renderGlow: true, renderPulses: true, theme: 'default' },
   searchState = { term: '', matchedIds: [] },
   hiddenClusters = new Set(),
+  nodeFilter = null,
   maxYear = 2050,
-  gesturesEnabled = false
+  analytics = null,
+  lineage = null,
+  activePath = null,
+  zoomTarget = 1,
+  gesturesEnabled = false,
+  sceneRef = null,
+  reheatKey = 0,
+  onLayoutStatus,
+  onRendererChange
 }) => {
   const [dimensions, setDimensions] = useState({ width: 0, height: 0 });
   const [camera, setCamera] = useState({ x: 0, y: 0 });
-  const [zoom, setZoom] = useState(1);
+  const [zoom, setZoom] = useState(zoomTarget);
+
+  // Zoom is owned here; a new zoomTarget (e.g. from a restored link) overrides it
+  const [prevZoomTarget, setPrevZoomTarget] = useState(zoomTarget);
+  if (zoomTarget !== prevZoomTarget) {
+    setPrevZoomTarget(zoomTarget);
+    setZoom(zoomTarget);
+  }
 
   // Screen to world coordinates helper
   const screenToWorld = useCallback((sx, sy) => {
@@ -39,42 +106,34 @@ const CanvasNetwork = React.memo(({
 
   const internalCanvasRef = useRef(null);
   const canvasRef = externalCanvasRef || internalCanvasRef;
+  const surfaceRef = useRef(null); // WebGL surface under the main canvas
+  const rendererPreference = viewSettings.renderer || config.renderer;
 
   const [isDragging, setIsDragging] = useState(false); // For cursor style only
   const [isGestureActive, setIsGestureActive] = useState(false);
   const [ripples, setRipples] = useState([]);
   
-  // Dynamic LOD adjustment: Simplify rendering when gesture is active
-  const dynamicLOD = useMemo(() => {
-    const baseLOD = getLODSettings(zoom);
-    if (!isGestureActive) return baseLOD;
-    
-    // Simplify during active gesture to maintain 60FPS
-    return {
-        ...baseLOD,
-        renderEdges: zoom > 0.4, // Hide edges if zoomed out enough and moving
-        renderGlow: false,       // Always disable glow during movement
-        maxEdges: Math.min(baseLOD.maxEdges || 1000, 200),
-        edgeWidth: baseLOD.edgeWidth * 0.8
-    };
-  }, [zoom, isGestureActive]);
-
   // --- DATA PROCESSING (UPFRONT) ---
   
-  // Filter valid nodes and edges respecting hiddenClusters AND Year
+  // Nodes failing a "hide" filter leave the graph; a "dim" filter only fades them when drawing
+  const hideFilter = nodeFilter?.mode === 'hide' ? nodeFilter : null;
+  const dimFilter = nodeFilter?.mode === 'dim' ? nodeFilter : null;
+
+  // Filter valid nodes and edges respecting hiddenClusters and the filter builder.
+  // The timeline year is applied per frame (node.reveal) so scrubbing does not reset the simulation.
   const processedNodes = useMemo(() => {
-    return data.nodes.filter(n => {
-        if (hiddenClusters.has(n.cluster)) return false;
-        if (n.year !== undefined && n.year > maxYear) return false;
-        return true;
-    }).map(n => ({
+    return data.nodes.filter(n => (
+      !hiddenClusters.has(n.cluster) && (!hideFilter || hideFilter.nodeIds.has(n.id))
+    )).map(n => ({
       ...n,
+      // Held at its stored position: pinned itself or part of a locked cluster
+      pinned: Boolean(n.pinned || data.clusters[n.cluster]?.locked),
       originalX: n.x,
       originalY: n.y,
       vx: 0,
       vy: 0
     }));
-  }, [data.nodes, hiddenClusters, maxYear]);
+  }, [data.nodes, data.clusters, hiddenClusters, hideFilter]);
 
   // Create node map for O(1) lookups
   const nodeMap = useMemo(() => {
@@ -82,17 +141,136 @@ const CanvasNetwork = React.memo(({
   }, [processedNodes]);
 
   const processedEdges = useMemo(() => {
-    return data.edges.filter(e => nodeMap.has(e.source) && nodeMap.has(e.target));
-  }, [data.edges, nodeMap]);
+    return data.edges.filter(e => (
+      nodeMap.has(e.source) && nodeMap.has(e.target) && (!hideFilter || hideFilter.edges.has(e))
+    ));
+  }, [data.edges, nodeMap, hideFilter]);
+
+  // Index of each node in the layout engine's position buffer
+  const nodeIndexMap = useMemo(() => {
+    return new Map(processedNodes.map((n, i) => [n.id, i]));
+  }, [processedNodes]);
+
+  // Layout selection: an explicit view setting wins over the theme's default layout
+  const activeTheme = THEMES[viewSettings.theme] || THEMES.default;
+  const layoutMode = viewSettings.layout && viewSettings.layout !== 'theme'
+    ? viewSettings.layout
+    : (activeTheme.layout || 'force');
+
+  // Theme physics with the user's slider overrides on top
+  const layoutStart = viewSettings.layoutStart || 'stored';
+  const layoutSeed = viewSettings.layoutSeed ?? DEFAULT_LAYOUT_SEED;
+
+  const physicsParams = useMemo(() => {
+    return resolvePhysics(activeTheme.physics, viewSettings.physics);
+  }, [activeTheme, viewSettings.physics]);
+
+  // Lanes and year axis of the timeline layout (shared with the simulation's targets)
+  const timelineGeometry = useMemo(() => {
+    if (layoutMode !== 'timeline') return null;
+    return getTimelineGeometry(processedNodes, Object.keys(data.clusters));
+  }, [layoutMode, processedNodes, data.clusters]);
+
+  // Analytics-driven node size/colour overrides (null when both use the defaults)
+  const nodeStyles = useMemo(() => {
+    const sizeBy = viewSettings.sizeBy || 'default';
+    const colorBy = viewSettings.colorBy || 'cluster';
+    if (!analytics || (sizeBy === 'default' && colorBy === 'cluster')) return null;
+
+    const sizes = sizeBy !== 'default' ? normalizeMetric(getMetricValues(analytics, sizeBy)) : {};
+    const colors = colorBy !== 'cluster' && colorBy !== 'community'
+      ? normalizeMetric(getMetricValues(analytics, colorBy))
+      : {};
+
+    const styles = new Map();
+    processedNodes.forEach(node => {
+      const style = {};
+      // Nodes without a value (e.g. unreachable for chain depth) keep their defaults
+      if (sizes[node.id] !== undefined) {
+        style.size = METRIC_SIZE_MIN + Math.sqrt(sizes[node.id]) * METRIC_SIZE_RANGE;
+      }
+      if (colorBy === 'community') {
+        const community = analytics.communities.membership[node.id];
+        if (community !== undefined) style.color = categoricalColor(community);
+      } else if (colors[node.id] !== undefined) {
+        style.color = heatColor(colors[node.id]);
+      }
+      styles.set(node.id, style);
+    });
+    return styles;
+  }, [analytics, viewSettings.sizeBy, viewSettings.colorBy, processedNodes]);
+
+  const getNodeSize = useCallback((node) => {
+    return nodeStyles?.get(node.id)?.size ?? node.size;
+  }, [nodeStyles]);
+
+  const maxNodeSize = useMemo(
+    () => processedNodes.reduce((max, node) => Math.max(max, getNodeSize(node)), 0),
+    [processedNodes, getNodeSize]
+  );
+
+  // Quadtree over the live node positions for picking and culling. Positions move every
+  // frame, so the render loop marks it stale and it is rebuilt on the next query.
+  const nodeIndexRef = useRef({ tree: new Quadtree(), nodes: null, stale: true });
+  const getNodeIndex = useCallback(() => {
+    const index = nodeIndexRef.current;
+    if (index.stale || index.nodes !== processedNodes) {
+      index.tree.build(processedNodes);
+      index.nodes = processedNodes;
+      index.stale = false;
+    }
+    return index.tree;
+  }, [processedNodes]);
+
+  // Closest node on the current timeline within `reach` times its radius of a world point
+  const pickNode = useCallback((world, reach) => {
+    const [found] = getNodeIndex().nearest(world.x, world.y, {
+      maxDistance: maxNodeSize * reach,
+      filter: node => existsInYear(node, maxYear) &&
+        Math.hypot(world.x - node.x, world.y - node.y) < getNodeSize(node) * reach,
+    });
+    return found || null;
+  }, [getNodeIndex, maxNodeSize, maxYear, getNodeSize]);
 
   // Search Filtering Logic
   const matchedSet = useMemo(() => new Set(searchState.matchedIds), [searchState]);
   const isSearchActive = searchState && searchState.term && searchState.term.length > 0;
 
+  // A path from the explorer or a lineage trace from the detail panel dims everything
+  // outside its subgraph; the explorer's path takes precedence
+  const highlight = useMemo(() => {
+    if (activePath) {
+      return { nodes: new Set(activePath.nodes), edges: new Set(activePath.edges.map(edgeKey)) };
+    }
+    if (lineage) {
+      return { nodes: new Set(Object.keys(lineage.depths)), edges: new Set(lineage.edges.map(edgeKey)) };
+    }
+    return null;
+  }, [activePath, lineage]);
+  const isHighlightActive = isSearchActive || !!highlight;
+
+  // Filters, search and highlights fade everything they do not match
+  const getOpacity = useCallback((id) => {
+    if (dimFilter && !dimFilter.nodeIds.has(id)) return 0.1;
+    if (highlight && !highlight.nodes.has(id)) return 0.1;
+    if (!isSearchActive) return 1;
+    if (matchedSet.has(id)) return 1;
+    return 0.1; // Dimmed
+  }, [dimFilter, highlight, isSearchActive, matchedSet]);
+
+  // Edge opacity before the timeline reveal: the fainter endpoint, faded further outside
+  // a dim filter; highlighted path/lineage edges stand out against the rest
+  const getEdgeOpacity = useCallback((edge) => {
+    const filterAlpha = dimFilter && !dimFilter.edges.has(edge) ? 0.25 : 1;
+    const isHighlightEdge = highlight?.edges.has(edgeKey(edge));
+    return Math.min(getOpacity(edge.source), getOpacity(edge.target)) * filterAlpha * (isHighlightEdge ? 0.9 : 0.4);
+  }, [dimFilter, highlight, getOpacity]);
+
   const targetRef = useRef(cameraTarget);
   const isPanningRef = useRef(false);
   const dragStartRef = useRef({ x: 0, y: 0 }); // For panning
   const dragRef = useRef(null); // For node dragging
+  const edgeClickRef = useRef(null); // Edge under a mouse press, clicked on release unless the press pans
   
   // Mobile Interaction Refs
   const pinchStartDistRef = useRef(0);
@@ -101,10 +279,18 @@ const CanvasNetwork = React.memo(({
   
   const timeRef = useRef(0);
   const animationFrameRef = useRef(null);
-  const spatialHashRef = useRef(new SpatialHash(100));
+  const frameRef = useRef(null); // { advanceFrame, describeFrame } of the current render loop
+  const wakeRenderRef = useRef(() => {}); // Resumes the render loop after it went to sleep
+  const rendererRef = useRef(null); // Active rendering backend (see src/render)
+  const capturingRef = useRef(false); // Live loop is paused while a capture drives the frames
+  const layoutEngineRef = useRef(null);
+  const layoutStatusRef = useRef(onLayoutStatus);
+  const liveNodesRef = useRef(new Map()); // Last simulated nodes by id, kept across data edits
+  const startKeyRef = useRef(null); // Start mode and seed the simulation last started from
   
   // Visual effects state
   const pulsesRef = useRef([]); 
+  const pathPulseRef = useRef({ path: null, hop: 0, nextTime: 0 });
   
   // Gesture intent handlers - subscribe to high-level intents only
   useGestureIntents({
@@ -135,16 +321,7 @@ const CanvasNetwork = React.memo(({
       if (event.payload.grabbed) {
           const px = event.payload.x * dimensions.width;
           const py = event.payload.y * dimensions.height;
-          const world = screenToWorld(px, py);
-          let found = null;
-          for (const node of processedNodes || []) {
-            const dx = world.x - node.x;
-            const dy = world.y - node.y;
-            if (Math.sqrt(dx * dx + dy * dy) < node.size * 2.5) { 
-              found = node;
-              break;
-            }
-          }
+          const found = pickNode(screenToWorld(px, py), 2.5);
           if (found && onNodeClick) {
             onNodeClick(found);
             soundManager.playClick();
@@ -195,16 +372,7 @@ const CanvasNetwork = React.memo(({
         hoverNode: (x, y) => {
            const px = x * dimensions.width;
            const py = y * dimensions.height;
-           const world = screenToWorld(px, py);
-           let found = null;
-           for (const node of processedNodes || []) {
-             const dx = world.x - node.x;
-             const dy = world.y - node.y;
-             if (Math.sqrt(dx * dx + dy * dy) < node.size * 2.5) { 
-               found = node;
-               break;
-             }
-           }
+           const found = pickNode(screenToWorld(px, py), 2.5);
            setHoveredNode(found?.id || null);
         },
         toggleDetailPanel: () => {
@@ -219,12 +387,97 @@ const CanvasNetwork = React.memo(({
     return () => {
       if (adapter && adapter.setPlatform) adapter.setPlatform(null);
     };
-  }, [gesturesEnabled, dimensions, processedNodes, hoveredNode, onNodeClick, data.nodes, screenToWorld, setHoveredNode]);
+  }, [gesturesEnabled, dimensions, hoveredNode, onNodeClick, data.nodes, screenToWorld, setHoveredNode, pickNode]);
 
-  // Build spatial hash from visible nodes
   useEffect(() => {
-    spatialHashRef.current.build(processedNodes);
-  }, [processedNodes]);
+    layoutStatusRef.current = onLayoutStatus;
+  }, [onLayoutStatus]);
+
+  // Layout engine lifecycle: the simulation runs in a worker when available
+  useEffect(() => {
+    const engine = new LayoutEngine();
+    layoutEngineRef.current = engine;
+
+    let reported = null;
+    engine.onStatus = (status) => {
+      wakeRenderRef.current();
+      const alpha = Math.round(status.alpha / ALPHA_REPORT_STEP) * ALPHA_REPORT_STEP;
+      if (reported && reported.alpha === alpha && reported.settled === status.settled && reported.frozen === status.frozen) return;
+      reported = { ...status, alpha };
+      layoutStatusRef.current?.(reported);
+    };
+    return () => {
+      engine.destroy();
+      layoutEngineRef.current = null;
+    };
+  }, []);
+
+  // Feed the current graph to the simulation and copy streamed positions back onto the nodes
+  useEffect(() => {
+    const engine = layoutEngineRef.current;
+    if (!engine) return;
+
+    engine.onPositions = (positions) => {
+      processedNodes.forEach((node, i) => {
+        if (node.isDragging) return;
+        node.x = positions[i * 2];
+        node.y = positions[i * 2 + 1];
+      });
+      wakeRenderRef.current();
+    };
+    // Nodes whose stored position did not change keep their simulated position,
+    // so editing one node does not snap the rest of the graph back to the stored layout.
+    // A seeded start always begins from its scatter, and picking another start begins afresh.
+    const scatter = layoutStart === 'seeded';
+    const startKey = `${layoutStart}:${layoutSeed}`;
+    const restart = startKey !== startKeyRef.current;
+    startKeyRef.current = startKey;
+    processedNodes.forEach(node => {
+      const live = liveNodesRef.current.get(node.id);
+      if (!scatter && !restart && live && live.originalX === node.originalX && live.originalY === node.originalY) {
+        node.x = live.x;
+        node.y = live.y;
+      } else {
+        node.x = node.originalX;
+        node.y = node.originalY;
+      }
+    });
+    liveNodesRef.current = nodeMap;
+
+    engine.setGraph(processedNodes, processedEdges, Object.keys(data.clusters), { seed: layoutSeed, scatter });
+  }, [processedNodes, processedEdges, nodeMap, data.clusters, layoutStart, layoutSeed]);
+
+  useEffect(() => {
+    layoutEngineRef.current?.setLayout(layoutMode, physicsParams);
+  }, [layoutMode, physicsParams]);
+
+  useEffect(() => {
+    layoutEngineRef.current?.setFrozen(!!viewSettings.physicsFrozen);
+  }, [viewSettings.physicsFrozen]);
+
+  // A new reheatKey (the Reheat button) shakes the layout up from full temperature
+  useEffect(() => {
+    if (reheatKey) layoutEngineRef.current?.reheat(1);
+  }, [reheatKey]);
+
+  // Only nodes that exist at the active timeline year take part in the simulation
+  useEffect(() => {
+    const mask = new Uint8Array(processedNodes.length);
+    processedNodes.forEach((node, i) => {
+      mask[i] = existsInYear(node, maxYear) ? 1 : 0;
+    });
+    layoutEngineRef.current?.setActive(mask);
+  }, [processedNodes, maxYear]);
+
+  useEffect(() => {
+    const engine = layoutEngineRef.current;
+    if (!engine) return;
+    if (animating) {
+      engine.start();
+    } else {
+      engine.stop();
+    }
+  }, [animating]);
 
   // Handle resize
   useEffect(() => {
@@ -275,6 +528,16 @@ const CanvasNetwork = React.memo(({
   }, [zoom, onZoomChange]);
 
 
+  // Edge under a world point, among the edges the renderer currently draws
+  const pickDrawnEdge = (world) => {
+    if (rendererRef.current && !rendererRef.current.getLOD(zoom).renderEdges) return null;
+    const drawn = processedEdges.filter(edge =>
+      nodeMap.get(edge.source)?.reveal > 0 && nodeMap.get(edge.target)?.reveal > 0
+    );
+    const hit = pickEdge(world, drawn, nodeMap, { time: timeRef.current, tolerance: EDGE_PICK_TOLERANCE / zoom });
+    return hit?.edge || null;
+  };
+
   // Mouse move handler
   const handleMouseMove = (e) => {
     const rect = canvasRef.current.getBoundingClientRect();
@@ -286,10 +549,17 @@ const CanvasNetwork = React.memo(({
     // Handle Node Dragging (Synchronous)
     if (dragRef.current) {
         const world = screenToWorld(mouseX, mouseY);
-        dragRef.current.node.x = world.x;
-        dragRef.current.node.y = world.y;
-        dragRef.current.node.vx = 0; 
-        dragRef.current.node.vy = 0;
+        // The grabbed node follows the pointer; the rest of a locked cluster keeps its offset
+        const dx = world.x - dragRef.current.node.originX;
+        const dy = world.y - dragRef.current.node.originY;
+        dragRef.current.group.forEach(({ node, index }) => {
+          node.x = node.originX + dx;
+          node.y = node.originY + dy;
+          node.vx = 0;
+          node.vy = 0;
+          layoutEngineRef.current?.setPosition(index, node.x, node.y);
+        });
+        dragRef.current.moved = true;
         return;
     }
 
@@ -306,21 +576,12 @@ const CanvasNetwork = React.memo(({
       });
       
       dragStartRef.current = { x: e.clientX, y: e.clientY };
+      if (dx !== 0 || dy !== 0) edgeClickRef.current = null;
       return;
     }
 
     const world = screenToWorld(mouseX, mouseY);
-    let found = null;
-
-    // Use spatial hash for query optimization
-    for (const node of processedNodes) {
-      const dx = world.x - node.x;
-      const dy = world.y - node.y;
-      if (Math.sqrt(dx * dx + dy * dy) < node.size * 1.5) { 
-        found = node;
-        break;
-      }
-    }
+    const found = pickNode(world, 1.5);
 
     if (found?.id !== hoveredNode?.id && !isPanningRef.current) {
       setHoveredNode(found);
@@ -328,10 +589,18 @@ const CanvasNetwork = React.memo(({
         soundManager.playHover();
       }
     }
+
+    // Nodes win over the edges running into them
+    if (setHoveredEdge) {
+      const edge = found ? null : pickDrawnEdge(world);
+      if (edge !== hoveredEdge) setHoveredEdge(edge);
+    }
   };
 
+
   // Mouse handlers
   const handleMouseDown = useCallback((e) => {
+    wakeRenderRef.current(); // Click pulses, drags and pans all draw from the render loop
     // 1. Check for Node Click
     if (hoveredNode) {
       const currentTheme = THEMES[viewSettings.theme] || THEMES.default;
@@ -358,7 +627,7 @@ const CanvasNetwork = React.memo(({
                  const neighbor = nodeMap.get(neighborId);
                  const edgeSourceNode = nodeMap.get(edge.source); // CRITICAL: Defines the curve phase
 
-                 if (neighbor && edgeSourceNode) {
+                 if (neighbor && edgeSourceNode && existsInYear(neighbor, maxYear)) {
                      pulsesRef.current.push({
                          source: hoveredNode, 
                          target: neighbor,
@@ -370,21 +639,60 @@ const CanvasNetwork = React.memo(({
              }
           });
 
-          dragRef.current = { node: hoveredNode, startX: x, startY: y };
+          // A locked cluster is dragged as one group
+          const members = data.clusters[hoveredNode.cluster]?.locked
+            ? processedNodes.filter(node => node.cluster === hoveredNode.cluster)
+            : [hoveredNode];
+          const group = members.map(node => {
+            node.isDragging = true;
+            node.originX = node.x;
+            node.originY = node.y;
+            const index = nodeIndexMap.get(node.id);
+            layoutEngineRef.current?.setPinned(index, true);
+            return { node, index };
+          });
+          layoutEngineRef.current?.setAlphaTarget(DRAG_ALPHA_TARGET);
+          dragRef.current = { node: hoveredNode, group, startX: x, startY: y };
           // Do NOT set isPanningRef here
       }
     } else {
-      // 2. Background Click -> Pan Start
+      // 2. Edge or Background Click -> Pan Start; an edge counts as clicked if the press does not pan
+      edgeClickRef.current = hoveredEdge;
       setIsDragging(true); // Update Cursor
       isPanningRef.current = true;
       dragStartRef.current = { x: e.clientX, y: e.clientY };
     }
-  }, [hoveredNode, viewSettings, onNodeClick, canvasRef, dimensions, camera, zoom, processedEdges, nodeMap]);
+  }, [hoveredNode, hoveredEdge, viewSettings, onNodeClick, canvasRef, dimensions, camera, zoom, processedNodes, processedEdges, nodeMap, nodeIndexMap, maxYear, data.clusters]);
+
+  const handleMouseUp = (e) => {
+    if (edgeClickRef.current && e?.type === 'mouseup') {
+      onEdgeClick?.(edgeClickRef.current);
+      soundManager.playClick();
+    }
+    edgeClickRef.current = null;
+    if (e?.type === 'mouseleave') setHoveredEdge?.(null);
 
-  const handleMouseUp = () => {
     // Clear Node Drag
     if (hoveredNode) hoveredNode.isDragging = false;
-    if (dragRef.current?.node) dragRef.current.node.isDragging = false;
+    if (dragRef.current?.node) {
+      const { node, group, moved } = dragRef.current;
+      group.forEach(({ node: member, index }) => {
+        member.isDragging = false;
+        // Pinned nodes stay where they were dropped; the rest rejoin the simulation
+        layoutEngineRef.current?.setPinned(index, member.pinned);
+      });
+      layoutEngineRef.current?.setAlphaTarget(0);
+
+      // Only the force layout uses stored positions, unless the nodes are pinned there;
+      // target layouts pull unpinned nodes back anyway
+      if (onNodesMove && moved && (layoutMode === 'force' || node.pinned)) {
+        onNodesMove(group.map(({ node: member }) => ({
+          id: member.id,
+          x: Math.round(member.x),
+          y: Math.round(member.y),
+        })));
+      }
+    }
     dragRef.current = null;
     
     // Clear Pan
@@ -394,6 +702,28 @@ const CanvasNetwork = React.memo(({
     setIsDragging(false);
   };
 
+  // Double-click a node to pin it where it is, or release it
+  const handleDoubleClick = () => {
+    if (hoveredNode && onTogglePin) onTogglePin(hoveredNode.id);
+  };
+
+  // Right-click on a node toggles its pin; on empty canvas it adds a node at that world position
+  const handleContextMenu = (e) => {
+    if (hoveredNode) {
+      if (!onTogglePin) return;
+      e.preventDefault();
+      onTogglePin(hoveredNode.id);
+      return;
+    }
+    if (!onAddNode) return;
+    e.preventDefault();
+    isPanningRef.current = false;
+    setIsDragging(false);
+
+    const rect = canvasRef.current.getBoundingClientRect();
+    onAddNode(screenToWorld(e.clientX - rect.left, e.clientY - rect.top));
+  };
+
   const handleWheel = useCallback((e) => {
     e.preventDefault();
     setZoom(prev => Math.max(0.25, Math.min(3, prev * (e.deltaY > 0 ? 0.92 : 1.08))));
@@ -416,16 +746,7 @@ const CanvasNetwork = React.memo(({
       const ty = touch.clientY - rect.top;
 
       // Handle Node Hover/Highlight on Tap
-      const world = screenToWorld(tx, ty);
-      let found = null;
-      for (const node of processedNodes) {
-        const dx = world.x - node.x;
-        const dy = world.y - node.y;
-        if (Math.sqrt(dx * dx + dy * dy) < node.size * 2) {
-          found = node;
-          break;
-        }
-      }
+      const found = pickNode(screenToWorld(tx, ty), 2);
 
       if (found) {
         setHoveredNode(found);
@@ -445,7 +766,7 @@ const CanvasNetwork = React.memo(({
       pinchStartDistRef.current = getTouchDist(e.touches);
       initialZoomRef.current = zoom;
     }
-  }, [canvasRef, screenToWorld, processedNodes, setHoveredNode, handleMouseDown, zoom]);
+  }, [canvasRef, screenToWorld, setHoveredNode, handleMouseDown, zoom, pickNode]);
 
   const handleTouchMove = useCallback((e) => {
     if (e.touches.length === 1 && isPanningRef.current) {
@@ -509,502 +830,292 @@ const CanvasNetwork = React.memo(({
     };
   }, [handleWheel, handleTouchStart, handleTouchMove, handleTouchEnd, canvasRef]);
 
-  // Animation and rendering
+  // Rendering backend: WebGL draws on the surface canvas under the main (2D) canvas, which then
+  // only carries text; Canvas 2D draws everything on the main canvas. A lost GPU context drops
+  // back to Canvas 2D without remounting, so the event listeners on the canvas stay attached.
   useEffect(() => {
     const canvas = canvasRef.current;
-    if (!canvas) return;
-
-    const ctx = canvas.getContext('2d');
-    const dpr = window.devicePixelRatio || 1;
+    const surface = surfaceRef.current;
+    if (!canvas || !surface) return;
+
+    let active = null;
+    const activate = (renderer) => {
+      active = renderer;
+      rendererRef.current = renderer;
+      onRendererChange?.(renderer.kind);
+      wakeRenderRef.current();
+    };
 
-    canvas.width = dimensions.width * dpr;
-    canvas.height = dimensions.height * dpr;
-    canvas.style.width = dimensions.width + 'px';
-    canvas.style.height = dimensions.height + 'px';
-    ctx.scale(dpr, dpr);
+    activate(createRenderer(rendererPreference, { surface, canvas }));
+    active.onContextLost = () => {
+      debug.warn('Rendering context lost, switching to Canvas 2D');
+      active.destroy();
+      activate(new Canvas2DRenderer(canvas));
+    };
 
-    const animate = () => {
-      const now = performance.now();
-      if (animating) {
-        timeRef.current += 0.006;
-      }
+    return () => {
+      active.destroy();
+      rendererRef.current = null;
+    };
+  }, [rendererPreference, canvasRef, onRendererChange]);
 
-      const time = timeRef.current;
+  // Animation and rendering
+  useEffect(() => {
+    const dpr = window.devicePixelRatio || 1;
 
-      // Smooth camera interpolation (moved from setInterval for frame-sync)
-      const camDx = targetRef.current.x - camera.x;
-      const camDy = targetRef.current.y - camera.y;
-      if (Math.abs(camDx) > 0.05 || Math.abs(camDy) > 0.05) {
-        setCamera(prev => ({
-          x: prev.x + camDx * 0.15,
-          y: prev.y + camDy * 0.15
-        }));
+    // Step animation time and the timeline reveal by `frames` 60fps frames;
+    // `settle` jumps the reveal straight to the year instead of easing.
+    // Returns true while some node is still easing in or out.
+    const advanceFrame = ({ frames = 1, year, animate, settle = false }) => {
+      if (animate) {
+        timeRef.current += TIME_STEP * frames;
       }
 
-      // Physics Simulation Parameters
-      // Get parameters from current theme or fall back to defaults
-      const currentTheme = THEMES[viewSettings.theme] || THEMES.default;
-      const layoutMode = currentTheme.layout || 'force';
-
-      const REPULSION = currentTheme.physics?.repulsion || 1000;
-      const SPRING_LENGTH = 120;
-      const SPRING_STRENGTH = currentTheme.physics?.spring || 0.05;
-      const CENTER_GRAVITY = currentTheme.physics?.centerGravity !== undefined ? currentTheme.physics.centerGravity : 0.01;
-      const DAMPING = 0.85;
-
-      // Layout Target Calculations (Memoized ideally, but for now in animate loop with checks)
-      // Since processedNodes reference is stable unless data changes, we can compute once per theme switch?
-      // For simplicity in this loop, we'll compute on the fly or use simple math.
-      
-      // GRID LAYOUT CONSTANTS
-      const GRID_COLS = Math.ceil(Math.sqrt(processedNodes.length * 1.5));
-      const GRID_SPACING = 150;
-      
-      // RADIAL LAYOUT CONSTANTS
-      const CLUSTER_KEYS = Object.keys(data.clusters);
-      
-      // Apply forces
-      if (animating) {
-        // Optimization: Build spatial grid for fast repulsion queries
-        spatialHashRef.current.build(processedNodes);
-        
-        if (layoutMode === 'force') {
-            // --- FORCE DIRECTED LAYOUT (Optimized) ---
-            
-            // 1. Repulsion (Grid-based O(N) optimization)
-            processedNodes.forEach(a => {
-              if (a.isDragging) return;
-              
-              // Only check nearby nodes (radius 400 pixels)
-              const neighbors = spatialHashRef.current.query(a.x, a.y, 400);
-              neighbors.forEach(b => {
-                if (a === b) return;
-                
-                const dx = a.x - b.x;
-                const dy = a.y - b.y;
-                const distSq = dx * dx + dy * dy + 0.1;
-                
-                if (distSq < 160000) { // 400^2
-                    const dist = Math.sqrt(distSq);
-                    const force = REPULSION / distSq;
-                    a.vx += (dx / dist) * force;
-                    a.vy += (dy / dist) * force;
-                }
-              });
-            });
-            
-             // 2. Attraction
-            processedEdges.forEach(edge => {
-              const s = nodeMap.get(edge.source);
-              const t = nodeMap.get(edge.target);
-              if (!s || !t) return;
-
-              const dx = t.x - s.x;
-              const dy = t.y - s.y;
-              const dist = Math.sqrt(dx * dx + dy * dy);
-              
-              const force = (dist - SPRING_LENGTH) * SPRING_STRENGTH;
-              const fx = (dx / dist) * force;
-              const fy = (dy / dist) * force;
-
-              if (!s.isDragging) { s.vx += fx; s.vy += fy; }
-              if (!t.isDragging) { t.vx -= fx; t.vy -= fy; }
-            });
-            
-             // 3. Center Gravity
-            processedNodes.forEach(node => {
-               if (node.isDragging) return;
-               node.vx -= node.x * CENTER_GRAVITY;
-               node.vy -= node.y * CENTER_GRAVITY;
-            });
-
-        } else if (layoutMode === 'grid') {
-            // --- GRID LAYOUT ---
-            // Organize by cluster, then alphabetical
-            // We need a stable index for each node.
-            // Let's use the index in processedNodes which is stable.
-            
-            processedNodes.forEach((node, index) => {
-                if (node.isDragging) return;
-                
-                const col = index % GRID_COLS;
-                const row = Math.floor(index / GRID_COLS);
-                
-                const targetX = (col - GRID_COLS / 2) * GRID_SPACING;
-                const targetY = (row - GRID_COLS / 2) * GRID_SPACING;
-                
-                // Strong pull to target
-                const dx = targetX - node.x;
-                const dy = targetY - node.y;
-                
-                node.vx += dx * 0.05;
-                node.vy += dy * 0.05;
-            });
-             // No repulsion or edge springs in strict grid for clean look
-
-        } else if (layoutMode === 'radial') {
-            // --- RADIAL LAYOUT ---
-            // Rings based on clusters
-            
-            processedNodes.forEach(node => {
-                if (node.isDragging) return;
-                
-                const clusterIndex = CLUSTER_KEYS.indexOf(node.cluster);
-                // If unknown cluster, put in outer ring
-                const ringIndex = clusterIndex === -1 ? CLUSTER_KEYS.length : clusterIndex;
-                
-                const radius = 200 + (ringIndex * 150);
-                // Distribute nodes within cluster evenly? 
-                // Simple hash for angle to keep it stable but distributed
-                const angle = (node.id.split('').reduce((acc, char) => acc + char.charCodeAt(0), 0) % 360) * (Math.PI / 180);
-                
-                const targetX = Math.cos(angle) * radius;
-                const targetY = Math.sin(angle) * radius;
-                
-                // Pull to ring
-                const dx = targetX - node.x;
-                const dy = targetY - node.y;
-                
-                node.vx += dx * 0.05;
-                node.vy += dy * 0.05;
-            });
+      // Timeline playback: ease nodes in (or out) as the active year passes their invention date
+      let revealing = false;
+      processedNodes.forEach(node => {
+        const target = existsInYear(node, year) ? 1 : 0;
+        if (node.reveal === undefined || settle) {
+          node.reveal = target;
+        } else if (node.reveal < target) {
+          node.reveal = Math.min(target, node.reveal + REVEAL_STEP * frames);
+        } else if (node.reveal > target) {
+          node.reveal = Math.max(target, node.reveal - REVEAL_STEP * frames);
         }
+        if (node.reveal !== target) revealing = true;
+      });
+      return revealing;
+    };
 
-        // 4. Update Positions (Velocity Integration)
-        processedNodes.forEach(node => {
-          if (node.isDragging) {
-             node.vx = 0; node.vy = 0;
-          } else {
-             node.vx *= DAMPING;
-             node.vy *= DAMPING;
-             const vMag = Math.sqrt(node.vx * node.vx + node.vy * node.vy);
-             if (vMag > 50) {
-                 node.vx = (node.vx / vMag) * 50;
-                 node.vy = (node.vy / vMag) * 50;
-             }
-             if (vMag < 0.1) {
-                node.vx = 0; node.vy = 0;
-             }
-             node.x += node.vx;
-             node.y += node.vy;
-          }
-        });
+    // Describe one frame for a renderer. `view` carries everything that differs between the live
+    // canvas and an offscreen capture: size, pixel ratio, camera, zoom, year, LOD, background and
+    // whether pulses are forced on (a pulse recording would otherwise be a still with pulses off).
+    const describeFrame = (view) => {
+      const time = timeRef.current;
 
-        // Broadcast node positions to parent (for minimap) - throttled
-        if (onNodesUpdate && Math.floor(time * 60) % 3 === 0) {
-          onNodesUpdate(processedNodes);
+      // Walk the path explorer's route hop by hop, then start over
+      const pathPulse = pathPulseRef.current;
+      if (pathPulse.path !== activePath) {
+        pathPulseRef.current = { path: activePath, hop: 0, nextTime: time };
+      } else if (activePath && activePath.hops > 0 && time >= pathPulse.nextTime) {
+        const edge = activePath.edges[pathPulse.hop];
+        const from = nodeMap.get(activePath.nodes[pathPulse.hop]);
+        const to = nodeMap.get(activePath.nodes[pathPulse.hop + 1]);
+        const edgeSource = nodeMap.get(edge.source);
+        if (from && to && edgeSource) {
+          pulsesRef.current.push({ source: from, target: to, edgeSource, startTime: time, color: '#00ffff' });
         }
+        const isLastHop = pathPulse.hop === activePath.hops - 1;
+        pathPulse.hop = isLastHop ? 0 : pathPulse.hop + 1;
+        pathPulse.nextTime = time + (isLastHop ? PATH_HOP_INTERVAL + PATH_REPEAT_DELAY : PATH_HOP_INTERVAL);
       }
+      pulsesRef.current = pulsesRef.current.filter(pulse => time - pulse.startTime <= PULSE_LIFESPAN);
 
-      // Clear canvas and apply Theme Background
-      ctx.fillStyle = currentTheme.background;
-      ctx.fillRect(0, 0, dimensions.width, dimensions.height);
-      
-      ctx.save();
-      ctx.translate(dimensions.width / 2 + camera.x, dimensions.height / 2 + camera.y);
-      ctx.scale(zoom, zoom);
+      const currentTheme = THEMES[viewSettings.theme] || THEMES.default;
 
-      // Get LOD settings based on zoom level and gesture activity
-      const lod = dynamicLOD;
-      
-      // LOGIC FIX: User settings should act as MASTER OVERRIDES.
-      // If user checks "Show Labels", they should show (maybe unless WAY zoomed out, but let's trust user).
-      // If user unchecks, they must hide.
-      const renderLabels = viewSettings.renderLabels; 
-      const renderGlow = viewSettings.renderGlow && currentTheme.glow; 
-      const renderPulses = viewSettings.renderPulses && currentTheme.pulses;
-
-      // Search Filtering Logic
-      // (Moved to top level: matchedSet, isSearchActive)
-       
-      const getOpacity = (id) => {
-          if (!isSearchActive) return 1;
-          if (matchedSet.has(id)) return 1;
-          return 0.1; // Dimmed
+      // Viewport culling, with room for the largest glow and the labels
+      const bounds = getViewportBounds(view.camera, view.zoom, view.width, view.height,
+        CULL_MARGIN + maxNodeSize * MAX_GLOW_SCALE * view.zoom);
+      const onScreen = new Set(getNodeIndex().queryRect(bounds.minX, bounds.minY, bounds.maxX, bounds.maxY));
+
+      return {
+        width: view.width,
+        height: view.height,
+        pixelRatio: view.pixelRatio,
+        camera: view.camera,
+        zoom: view.zoom,
+        lod: view.lod,
+        transparent: view.transparent,
+        animating: view.animating,
+        time,
+        now: performance.now(),
+        theme: currentTheme,
+        themeKey: viewSettings.theme,
+        clusters: data.clusters,
+        nodes: processedNodes.filter(node => node.reveal > 0 && onScreen.has(node)),
+        // Edges are kept while their curve can cross the viewport, even with both ends off screen
+        edges: processedEdges.filter(edge => {
+          const source = nodeMap.get(edge.source);
+          const target = nodeMap.get(edge.target);
+          return source?.reveal > 0 && target?.reveal > 0 && segmentInBounds(bounds, source, target, EDGE_CURVE_OFFSET);
+        }),
+        nodeMap,
+        hoveredId: hoveredNode?.id ?? null,
+        hoveredEdge,
+        highlightActive: isHighlightActive,
+        // User settings act as master overrides, within what the theme supports
+        show: {
+          labels: viewSettings.renderLabels,
+          glow: viewSettings.renderGlow && currentTheme.glow,
+          pulses: view.forcePulses || (viewSettings.renderPulses && currentTheme.pulses),
+        },
+        nodeSize: getNodeSize,
+        nodeOpacity: getOpacity,
+        edgeOpacity: getEdgeOpacity,
+        // An explicit analytics colour wins over theme and cluster colours
+        nodeColor: (node) => nodeColor(node, data.clusters, viewSettings.theme, nodeStyles?.get(node.id)?.color),
+        pulses: pulsesRef.current,
+        ripples,
+        timeline: timelineGeometry ? { geometry: timelineGeometry, year: view.year } : null,
       };
+    };
 
-      // Draw edges (with LOD optimization)
-      const edgesToRender = lod.renderEdges ? (
-        lod.maxEdges && processedEdges.length > lod.maxEdges
-          ? processedEdges.slice(0, lod.maxEdges)
-          : processedEdges
-      ) : [];
-      
-      edgesToRender.forEach(edge => {
-        const source = nodeMap.get(edge.source);
-        const target = nodeMap.get(edge.target);
-        if (!source || !target) return;
-
-        // Performance: Skip backlink/accelerates edges when zoomed out
-        if (zoom < 0.8 && (edge.type === 'backlink' || edge.type === 'accelerates')) {
-          return;
-        }
-
-        // Use theme override color OR cluster color
-        // If theme has explicit edgeBase, maybe blend it?
-        // Actually, let's keep cluster colors but maybe tint them if theme dictates?
-        // For 'void' or 'blueprint', we might want specific edge colors.
-        
-        let sColor = data.clusters[source.cluster]?.color || currentTheme.edgeBase;
-        let tColor = data.clusters[target.cluster]?.color || currentTheme.edgeBase;
-
-        // Special Theme Logic
-        if (viewSettings.theme === 'void' || viewSettings.theme === 'minimal') {
-            sColor = currentTheme.edgeBase;
-            tColor = currentTheme.edgeBase;
-        } else if (viewSettings.theme === 'matrix') {
-             sColor = currentTheme.edgeBase;
-             tColor = currentTheme.edgeBase;
-        }
-
-        const gradient = ctx.createLinearGradient(source.x, source.y, target.x, target.y);
-        
-        let alphaS = getOpacity(source.id);
-        let alphaT = getOpacity(target.id);
-        
-        // If searching, only show edges between two matched nodes fully? 
-        // Or if one match? Let's say if BOTH are dimmed, edge is barely visible.
-        const edgeAlpha = Math.min(alphaS, alphaT) * 0.4; // Base edge opacity
-
-        gradient.addColorStop(0, sColor + Math.floor(255 * edgeAlpha).toString(16).padStart(2, '0'));
-        gradient.addColorStop(1, tColor + Math.floor(255 * edgeAlpha).toString(16).padStart(2, '0'));
-
-        ctx.beginPath();
-        ctx.strokeStyle = gradient;
-        ctx.lineWidth = (edge.type === 'backlink' ? 1.5 : 1) * lod.edgeWidth;
-
-        if (edge.type === 'backlink') {
-            ctx.setLineDash([4, 4]); // Dashed
-        } else if (edge.type === 'accelerates') {
-            ctx.setLineDash([2, 6]); // Dotted (sparse)
-        } else if (edge.type === 'inhibits') {
-            ctx.setLineDash([10, 2]); // Long dashes
-        } else {
-            ctx.setLineDash([]); // Solid (forward/default)
-        }
-
-        const midX = (source.x + target.x) / 2;
-        const midY = (source.y + target.y) / 2;
-        const offset = Math.sin(time * 2 + source.x * 0.05) * 12;
-
-        ctx.moveTo(source.x, source.y);
-        ctx.quadraticCurveTo(midX + offset, midY + offset, target.x, target.y);
-        ctx.stroke();
-        ctx.setLineDash([]);
-
-        // Continuous Data Flow Animation
-        if (renderPulses && animating) {
-          const pulsePos = (time * 0.25 + edge.source.charCodeAt(0) * 0.1) % 1;
-          const pulseX = source.x + (target.x - source.x) * pulsePos;
-          const pulseY = source.y + (target.y - source.y) * pulsePos;
-
-          ctx.beginPath();
-          ctx.arc(pulseX, pulseY, 1.5, 0, Math.PI * 2);
-          ctx.fillStyle = sColor + '80';
-          ctx.fill();
-        }
-      });
-
-      // Draw Interactive Click Pulses (Magic/Signal Mode)
-      pulsesRef.current = pulsesRef.current.filter(pulse => {
-        const age = time - pulse.startTime;
-        const lifeSpan = 1.0; 
-        if (age > lifeSpan) return false;
-
-        const progress = age / lifeSpan;
-        const ease = 1 - Math.pow(1 - progress, 3); // Cubic ease out for fast start, slow arrival
-        
-        const s = pulse.source;
-        const t = pulse.target;
-        const es = pulse.edgeSource; // The node that defines the curve phase
-        
-        // Exact Edge Curve Logic
-        const midX = (s.x + t.x) / 2;
-        const midY = (s.y + t.y) / 2;
-        // Use edgeSource.x for the phase to match the edge's waver exactly
-        const offset = Math.sin(time * 2 + es.x * 0.05) * 12; 
-        
-        const cpX = midX + offset;
-        const cpY = midY + offset;
-        
-        // Get position at 'p' (0 to 1)
-        const getPos = (p) => {
-             const invT = 1 - p;
-             const x = (invT * invT * s.x) + (2 * invT * p * cpX) + (p * p * t.x);
-             const y = (invT * invT * s.y) + (2 * invT * p * cpY) + (p * p * t.y);
-             return { x, y };
-        };
-
-        const pos = getPos(ease);
-
-        // --- OPTIMIZED LIGHTWEIGHT RENDERING ---
-        
-        ctx.save();
-        ctx.globalCompositeOperation = 'lighter'; 
-        
-        // 1. Trail (Single Stroke - Very Fast)
-        // Calculate a point slightly behind in time for the tail
-        const tailPos = getPos(Math.max(0, ease - 0.15));
-        
-        ctx.beginPath();
-        ctx.moveTo(pos.x, pos.y);
-        ctx.lineTo(tailPos.x, tailPos.y);
-        ctx.lineCap = 'round';
-        ctx.lineWidth = 3;
-        ctx.strokeStyle = pulse.color + '80'; // 50% opacity
-        ctx.stroke();
-
-        // 2. Head & Glow (Simple Arcs - No ShadowBlur)
-        // Outer Glow (instead of shadow)
-        ctx.beginPath();
-        ctx.arc(pos.x, pos.y, 8, 0, Math.PI * 2);
-        ctx.fillStyle = pulse.color + '33'; // ~20% opacity
-        ctx.fill();
-        
-        // Core (White Hot)
-        ctx.beginPath();
-        ctx.arc(pos.x, pos.y, 2.5, 0, Math.PI * 2);
-        ctx.fillStyle = '#ffffff';
-        ctx.fill();
-
-        ctx.restore();
-        return true;
-      });
-
-      // Draw nodes
-      processedNodes.forEach(node => {
-        const isHovered = hoveredNode?.id === node.id;
-        const opacity = getOpacity(node.id);
-        
-        // Skip rendering distinct details if fully filtered out? 
-        // No, keep them visible but faint.
-        
-        const size = isHovered ? node.size * 1.5 : node.size;
-        
-        let color = data.clusters[node.cluster]?.color || currentTheme.nodeBase;
-
-        // Theme Overrides
-        if (viewSettings.theme === 'void' || viewSettings.theme === 'minimal' || viewSettings.theme === 'blueprint') {
-            // Use subtle variations or single color
-             color = currentTheme.nodeBase;
-             // If we really want to distinguish clusters, maybe mix? 
-             // For now, strict adherence to theme vibe.
-             if (viewSettings.theme === 'blueprint') color = '#ffffff'; 
+    // Frames are only scheduled while something moves: the layout, a timeline reveal, camera easing,
+    // a drag or pan, or pulses and ripples. Otherwise the loop sleeps until wakeRenderRef is called
+    // (layout status or positions, a press on the canvas, a new renderer, the end of a capture);
+    // any change to the dependencies below re-runs this effect and draws a fresh frame anyway.
+    let sleeping = false;
+    const animate = () => {
+      const renderer = rendererRef.current;
+      let busy = false;
+      if (renderer && !capturingRef.current) {
+        const revealing = advanceFrame({ year: maxYear, animate: animating });
+        nodeIndexRef.current.stale = true; // Positions may have moved since the last frame
+
+        // Smooth camera interpolation (moved from setInterval for frame-sync)
+        const camDx = targetRef.current.x - camera.x;
+        const camDy = targetRef.current.y - camera.y;
+        const easing = Math.abs(camDx) > 0.05 || Math.abs(camDy) > 0.05;
+        if (easing) {
+          setCamera(prev => ({
+            x: prev.x + camDx * 0.15,
+            y: prev.y + camDy * 0.15
+          }));
         }
 
-        // Glow effect
-        if ((renderGlow || isHovered) && currentTheme.glow && opacity > 0.5) {
-          const glowSize = size * (isHovered ? 4 : 2.5); // Enhanced hover glow size
-          const glowAlpha = isHovered ? '60' : '25';     // Enhanced hover glow opacity
-          const glow = ctx.createRadialGradient(node.x, node.y, 0, node.x, node.y, glowSize);
-          glow.addColorStop(0, color + glowAlpha);
-          glow.addColorStop(1, 'transparent');
-          ctx.beginPath();
-          ctx.arc(node.x, node.y, glowSize, 0, Math.PI * 2);
-          ctx.fillStyle = glow;
-          ctx.fill();
-        }
+        // Advance the layout simulation (no-op when it runs in the worker)
+        const engine = layoutEngineRef.current;
+        const layoutMoving = animating && engine !== null && !engine.status.settled;
+        if (animating) {
+          engine?.step();
 
-        // Node circle
-        ctx.beginPath();
-        ctx.arc(node.x, node.y, size, 0, Math.PI * 2);
-        
-        // Gradient or Solid based on theme?
-        if (viewSettings.theme === 'paper' || viewSettings.theme === 'minimal') {
-             ctx.fillStyle = color;
-        } else {
-            const ng = ctx.createRadialGradient(
-              node.x - size * 0.3,
-              node.y - size * 0.3,
-              0,
-              node.x,
-              node.y,
-              size
-            );
-            ng.addColorStop(0, color + Math.floor(255 * opacity).toString(16).padStart(2, '0'));
-            ng.addColorStop(1, color + Math.floor(180 * opacity).toString(16).padStart(2, '0'));
-            ctx.fillStyle = ng;
-        }
-        
-        
-        ctx.fill();
-
-        ctx.strokeStyle = color + Math.floor(255 * opacity).toString(16).padStart(2, '0');
-        ctx.lineWidth = isHovered ? 2 : 1;
-        ctx.stroke();
-
-        // Special ring animation for fire and agi
-        if ((node.id === 'fire' || node.id === 'agi') && renderPulses) {
-          for (let i = 0; i < 3; i++) {
-            const phase = (time + i * 0.33) % 1;
-            const ringSize = size + phase * size * 2;
-            const alpha = (1 - phase) * 0.25;
-            ctx.beginPath();
-            ctx.arc(node.x, node.y, ringSize, 0, Math.PI * 2);
-            ctx.strokeStyle = color + Math.floor(alpha * 255).toString(16).padStart(2, '0');
-            ctx.lineWidth = 1;
-            ctx.stroke();
+          // Broadcast node positions to parent (for minimap) - throttled, plus the final ones
+          if (onNodesUpdate && (!layoutMoving || Math.floor(timeRef.current * 60) % 3 === 0)) {
+            onNodesUpdate(processedNodes);
           }
         }
 
-        // Label
-        // Only show label if matching search OR if no search and (setting on OR hovered)
-        const showLabel = (isSearchActive && opacity === 1) || (!isSearchActive && (renderLabels || isHovered));
+        renderer.resize(dimensions.width, dimensions.height, dpr);
+        const frame = describeFrame({
+          width: dimensions.width,
+          height: dimensions.height,
+          pixelRatio: dpr,
+          camera,
+          zoom,
+          year: maxYear,
+          // Dynamic LOD: simplified while a gesture is active
+          lod: renderer.getLOD(zoom, isGestureActive),
+          animating,
+        });
+        renderer.render(frame);
 
-        if (showLabel) {
-          ctx.font = `${isHovered ? '11px' : '9px'} ${currentTheme.font}, monospace`;
-          ctx.textAlign = 'center';
-          
-          // Clear Labels: Add stroke background
-          ctx.strokeStyle = currentTheme.background;
-          ctx.lineWidth = 3;
-          ctx.lineJoin = 'round';
-          ctx.strokeText(node.label, node.x, node.y + size + 14);
-          
-          ctx.fillStyle = currentTheme.text; // Theme text color
-          ctx.fillText(node.label, node.x, node.y + size + 14);
-        }
-      });
- 
-      // 6. Draw Spatial Ripples (Iron Man style feedback)
-      ripples.forEach((ripple) => {
-          const age = now - ripple.startTime;
-          const life = 1000; // 1s
-          if (age > life) return;
-          
-          const alpha = 1 - (age / life);
-          const size = (age / life) * 100 * (1/zoom);
-          
-          ctx.beginPath();
-          ctx.strokeStyle = `rgba(0, 242, 255, ${alpha})`;
-          ctx.lineWidth = 2 / zoom;
-          ctx.arc(ripple.x, ripple.y, size, 0, Math.PI * 2);
-          ctx.stroke();
-          
-          ctx.beginPath();
-          ctx.arc(ripple.x, ripple.y, size * 0.7, 0, Math.PI * 2);
-          ctx.stroke();
-      });
+        busy = revealing || easing || layoutMoving || dragRef.current !== null || isPanningRef.current
+          || (animating && activePath?.hops > 0) || hasTransientEffects(frame);
+      }
 
-      ctx.restore();
-      animationFrameRef.current = requestAnimationFrame(animate);
+      if (busy) {
+        animationFrameRef.current = requestAnimationFrame(animate);
+      } else {
+        animationFrameRef.current = null;
+        sleeping = true;
+      }
     };
 
+    wakeRenderRef.current = () => {
+      if (!sleeping) return;
+      sleeping = false;
+      animationFrameRef.current = requestAnimationFrame(animate);
+    };
+    frameRef.current = { advanceFrame, describeFrame };
     animate();
 
     return () => {
+      wakeRenderRef.current = () => {};
       if (animationFrameRef.current) {
         cancelAnimationFrame(animationFrameRef.current);
       }
     };
   }, [
     dimensions, camera, zoom, animating, processedNodes, processedEdges, nodeMap, 
-    data.clusters, hoveredNode, matchedSet, isSearchActive, 
-    canvasRef, onNodesUpdate, viewSettings, dynamicLOD, ripples
+    data.clusters, hoveredNode, hoveredEdge, isHighlightActive, activePath, getOpacity, getEdgeOpacity,
+    onNodesUpdate, viewSettings, isGestureActive, ripples, maxYear, timelineGeometry,
+    nodeStyles, getNodeSize, maxNodeSize, getNodeIndex
+  ]);
+
+  // Static copy of what is drawn, for the vector exporter (see utils/vectorExport).
+  // Nodes are taken at their current positions with the timeline fully revealed.
+  useImperativeHandle(sceneRef, () => ({
+    captureScene: () => {
+      const nodes = processedNodes
+        .filter(node => existsInYear(node, maxYear))
+        .map(node => ({
+          id: node.id,
+          label: node.label,
+          cluster: node.cluster,
+          x: node.x,
+          y: node.y,
+          size: getNodeSize(node),
+          color: nodeColor(node, data.clusters, viewSettings.theme, nodeStyles?.get(node.id)?.color),
+          opacity: getOpacity(node.id),
+        }));
+      const ids = new Set(nodes.map(n => n.id));
+      const edges = processedEdges
+        .filter(edge => ids.has(edge.source) && ids.has(edge.target))
+        .map(edge => ({ source: edge.source, target: edge.target, type: edge.type, opacity: getEdgeOpacity(edge) }));
+
+      return {
+        nodes,
+        edges,
+        clusters: data.clusters,
+        theme: viewSettings.theme,
+        renderLabels: viewSettings.renderLabels,
+        renderGlow: viewSettings.renderGlow,
+        highlightActive: isHighlightActive,
+        camera,
+        zoom,
+        width: dimensions.width,
+        height: dimensions.height,
+        time: timeRef.current,
+      };
+    },
+
+    // Live positions by node id, for baking the layout into the data
+    capturePositions: () => new Map(processedNodes.map(node => [node.id, { x: node.x, y: node.y }])),
+
+    // Frame-by-frame rendering for the capture tools (see utils/canvasCapture)
+    getViewport: () => ({ width: dimensions.width, height: dimensions.height, camera, zoom, year: maxYear }),
+    setCapturing: (active) => {
+      capturingRef.current = active;
+      if (!active) wakeRenderRef.current();
+    },
+    stepFrame: ({ frames = 1, year = maxYear, settle = false } = {}) => {
+      frameRef.current?.advanceFrame({ frames, year, animate: true, settle });
+    },
+    // Captures always paint with Canvas 2D, whatever the live backend
+    renderFrame: (ctx, view = {}) => {
+      const frame = frameRef.current;
+      if (!frame) return;
+      const frameZoom = view.zoom ?? zoom;
+      drawScene2D(ctx, frame.describeFrame({
+        width: dimensions.width,
+        height: dimensions.height,
+        pixelRatio: 1,
+        camera,
+        year: maxYear,
+        animating: true,
+        ...view,
+        zoom: frameZoom,
+        lod: getLODSettings(frameZoom),
+      }));
+    },
+  }), [
+    processedNodes, processedEdges, maxYear, getNodeSize, data.clusters, viewSettings, nodeStyles,
+    getOpacity, getEdgeOpacity, isHighlightActive, camera, zoom, dimensions
   ]);
 
   return (
     <div className={styles.canvasContainer}>
+      <canvas ref={surfaceRef} className={styles.surface} aria-hidden="true" />
       <canvas
         ref={canvasRef}
         className={styles.canvas}
@@ -1012,7 +1123,9 @@ const CanvasNetwork = React.memo(({
         onMouseDown={handleMouseDown}
         onMouseUp={handleMouseUp}
         onMouseLeave={handleMouseUp}
-        style={{ cursor: isDragging ? 'grabbing' : (hoveredNode ? 'pointer' : 'grab'), touchAction: 'none' }}
+        onDoubleClick={handleDoubleClick}
+        onContextMenu={handleContextMenu}
+        style={{ cursor: isDragging ? 'grabbing' : (hoveredNode || hoveredEdge ? 'pointer' : 'grab'), touchAction: 'none' }}
       />
       
       {/* Phase 15: Cinematic HUD Overlay */}
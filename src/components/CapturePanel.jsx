@@ -0,0 +1,145 @@
+import React, { useState, useRef } from 'react';
+import controls from '../styles/components/Controls.module.css';
+import styles from '../styles/components/CapturePanel.module.css';
+import { exportToPNG, exportAnimation } from '../utils/exportHelpers';
+import { CAPTURE_SIZES, ANIMATION_SOURCES, ANIMATION_FORMATS, DEFAULT_WATERMARK } from '../utils/canvasCapture';
+
+const DURATIONS = [3, 6, 10, 15];
+
+const FILE_BASENAME = 'bude-global-neuro-chain';
+
+/**
+ * Raster capture options for the export menu: high-resolution PNG stills and
+ * WebM/GIF recordings of pulses, timeline playback or the guided tour
+ */
+const CapturePanel = React.memo(({ sceneRef, timelineStart, onDone }) => {
+  const [options, setOptions] = useState({
+    size: 'screen',
+    transparent: false,
+    watermark: true,
+    watermarkText: DEFAULT_WATERMARK,
+    source: 'pulses',
+    format: 'webm',
+    duration: 6,
+  });
+  const [progress, setProgress] = useState(null); // 0..1 while recording
+  const [error, setError] = useState(null);
+  const abortRef = useRef(null);
+
+  const updateOptions = (changes) => setOptions(prev => ({ ...prev, ...changes }));
+
+  const captureOptions = () => ({
+    size: options.size,
+    transparent: options.transparent,
+    watermark: options.watermark ? options.watermarkText.trim() : '',
+  });
+
+  const handleExportPNG = async () => {
+    const renderer = sceneRef?.current;
+    if (!renderer) return;
+    setError(null);
+    try {
+      await exportToPNG(renderer, captureOptions(), `${FILE_BASENAME}.png`);
+      onDone?.();
+    } catch (err) {
+      setError(err.message);
+    }
+  };
+
+  const handleRecord = async () => {
+    const renderer = sceneRef?.current;
+    if (!renderer) return;
+    const controller = new AbortController();
+    abortRef.current = controller;
+    setError(null);
+    setProgress(0);
+    try {
+      await exportAnimation(renderer, {
+        ...captureOptions(),
+        source: options.source,
+        format: options.format,
+        duration: options.duration,
+        startYear: timelineStart,
+        onProgress: setProgress,
+        signal: controller.signal,
+      }, `${FILE_BASENAME}-${options.source}`);
+      onDone?.();
+    } catch (err) {
+      if (err.name !== 'AbortError') setError(err.message);
+    } finally {
+      abortRef.current = null;
+      setProgress(null);
+    }
+  };
+
+  const recording = progress !== null;
+
+  return (
+    <div className={styles.capture}>
+      <div className={controls.optionRow}>
+        <select value={options.size} onChange={(e) => updateOptions({ size: e.target.value })} aria-label="Capture size" disabled={recording}>
+          {Object.entries(CAPTURE_SIZES).map(([key, { label }]) => (
+            <option key={key} value={key}>{label}</option>
+          ))}
+        </select>
+      </div>
+      <div className={controls.exportChecks}>
+        <label title="Not supported by WebM; PNG and GIF keep transparency">
+          <input type="checkbox" checked={options.transparent} onChange={() => updateOptions({ transparent: !options.transparent })} disabled={recording} />
+          Transparent
+        </label>
+        <label>
+          <input type="checkbox" checked={options.watermark} onChange={() => updateOptions({ watermark: !options.watermark })} disabled={recording} />
+          Watermark
+        </label>
+      </div>
+      {options.watermark && (
+        <input
+          className={styles.watermark}
+          value={options.watermarkText}
+          onChange={(e) => updateOptions({ watermarkText: e.target.value })}
+          aria-label="Watermark text"
+          disabled={recording}
+        />
+      )}
+      <button onClick={handleExportPNG} className={controls.exportOption} disabled={recording}>
+        📷 Export PNG
+      </button>
+
+      <div className={controls.optionRow}>
+        <select value={options.source} onChange={(e) => updateOptions({ source: e.target.value })} aria-label="Animation" disabled={recording}>
+          {Object.entries(ANIMATION_SOURCES).map(([key, label]) => (
+            <option key={key} value={key}>{label}</option>
+          ))}
+        </select>
+        <select value={options.format} onChange={(e) => updateOptions({ format: e.target.value })} aria-label="Video format" disabled={recording}>
+          {Object.entries(ANIMATION_FORMATS).map(([key, { label }]) => (
+            <option key={key} value={key}>{label}</option>
+          ))}
+        </select>
+        <select value={options.duration} onChange={(e) => updateOptions({ duration: Number(e.target.value) })} aria-label="Duration" disabled={recording}>
+          {DURATIONS.map(seconds => (
+            <option key={seconds} value={seconds}>{seconds}s</option>
+          ))}
+        </select>
+      </div>
+      {recording ? (
+        <div className={styles.progress}>
+          <progress value={progress} max={1} aria-label="Recording progress" />
+          <button className={controls.scopeBtn} onClick={() => abortRef.current?.abort()}>
+            Cancel
+          </button>
+        </div>
+      ) : (
+        <button onClick={handleRecord} className={controls.exportOption}>
+          🎬 Record {ANIMATION_FORMATS[options.format].label}
+        </button>
+      )}
+      {error && <div className={styles.error} role="alert">{error}</div>}
+    </div>
+  );
+});
+
+CapturePanel.displayName = 'CapturePanel';
+
+export default CapturePanel;
@@ -0,0 +1,126 @@
+import React, { useState, useMemo } from 'react';
+import styles from '../styles/components/ChangeLog.module.css';
+import { diffCollection, diffDatasets, summarizeDiff, createPatch } from '../utils/dataDiff';
+import { downloadFile } from '../utils/exportHelpers';
+
+// Values in the diff view are cut to this many characters
+const VALUE_PREVIEW_LENGTH = 60;
+
+const formatValue = (value) => {
+  if (value === undefined) return '∅';
+  const text = JSON.stringify(value);
+  return text.length > VALUE_PREVIEW_LENGTH ? `${text.slice(0, VALUE_PREVIEW_LENGTH - 1)}…` : text;
+};
+
+const formatTime = (time) => new Date(time).toLocaleTimeString([], { hour: '2-digit', minute: '2-digit', second: '2-digit' });
+
+/**
+ * Record-level diff of one history entry
+ */
+const EntryDiff = ({ entry }) => {
+  const diffs = useMemo(() => (
+    Object.entries(entry.changes).map(([collection, change]) => ({
+      collection,
+      diff: diffCollection(collection, change.before, change.after),
+    }))
+  ), [entry]);
+
+  return (
+    <div className={styles.diff}>
+      {diffs.map(({ collection, diff }) => (
+        <div key={collection}>
+          <div className={styles.diffCollection}>{collection} {summarizeDiff(diff)}</div>
+          {diff.added.map(({ key }) => (
+            <div key={`+${key}`} className={styles.added}>+ {key}</div>
+          ))}
+          {diff.removed.map(({ key }) => (
+            <div key={`-${key}`} className={styles.removed}>− {key}</div>
+          ))}
+          {diff.changed.map(({ key, fields }) => (
+            <div key={`~${key}`} className={styles.changed}>
+              ~ {key}
+              {fields.map(({ field, before, after }) => (
+                <div key={field} className={styles.field}>
+                  {field}: <del>{formatValue(before)}</del> → <ins>{formatValue(after)}</ins>
+                </div>
+              ))}
+            </div>
+          ))}
+        </div>
+      ))}
+    </div>
+  );
+};
+
+/**
+ * Edit history with undo/redo, per-change diffs and patch export
+ */
+const ChangeLog = React.memo(({ history }) => {
+  const { past, future, baseline, data, undo, redo } = history;
+  const [expandedId, setExpandedId] = useState(null);
+
+  // Net changes since the session started, including edits older than the undo limit
+  const netSummary = useMemo(() => {
+    const diffs = diffDatasets(baseline, data);
+    return Object.entries(diffs).map(([collection, diff]) => `${collection} ${summarizeDiff(diff)}`);
+  }, [baseline, data]);
+
+  const handleExportPatch = () => {
+    const patch = createPatch(baseline, data, {
+      changes: past.map(entry => ({ label: entry.label, time: new Date(entry.time).toISOString() })),
+    });
+    downloadFile(JSON.stringify(patch, null, 2), `neuro-chain-patch-${new Date().toISOString().slice(0, 10)}.json`, 'application/json');
+  };
+
+  const renderEntry = (entry, undone) => (
+    <li key={entry.id} className={`${styles.entry} ${undone ? styles.undone : ''}`}>
+      <button
+        className={styles.entryHeader}
+        onClick={() => setExpandedId(expandedId === entry.id ? null : entry.id)}
+        aria-expanded={expandedId === entry.id}
+      >
+        <span className={styles.entryLabel}>{entry.label}</span>
+        <span className={styles.entryTime}>{formatTime(entry.time)}</span>
+      </button>
+      {expandedId === entry.id && <EntryDiff entry={entry} />}
+    </li>
+  );
+
+  return (
+    <div className={styles.changeLog}>
+      <div className={styles.toolbar}>
+        <button className={styles.btn} onClick={undo} disabled={past.length === 0} title="Undo (Ctrl+Z)">
+          ↶ Undo
+        </button>
+        <button className={styles.btn} onClick={redo} disabled={future.length === 0} title="Redo (Ctrl+Shift+Z)">
+          ↷ Redo
+        </button>
+        <button
+          className={`${styles.btn} ${styles.primary}`}
+          onClick={handleExportPatch}
+          disabled={netSummary.length === 0}
+          title="Download the net changes as a patch file"
+        >
+          Export Patch
+        </button>
+      </div>
+
+      {past.length === 0 && future.length === 0 ? (
+        <div className={styles.empty}>No edits yet. Changes from the editors and node drags appear here.</div>
+      ) : (
+        <ol className={styles.entries}>
+          {[...future].reverse().map(entry => renderEntry(entry, true))}
+          {[...past].reverse().map(entry => renderEntry(entry, false))}
+        </ol>
+      )}
+
+      <div className={styles.statusBar}>
+        {netSummary.length > 0 ? netSummary.join(' · ') : 'No net changes'}
+      </div>
+    </div>
+  );
+});
+
+ChangeLog.displayName = 'ChangeLog';
+
+export default ChangeLog;
@@ -1,6 +1,6 @@
 import React, { useMemo } from 'react';
-import DOMPurify from 'dompurify';
 import styles from '../styles/components/ClusterView.module.css';
+import SafeHTML from './SafeHTML';
 
 const ClusterView = React.memo(({ clusters, descriptions }) => {
   const clusterSections = useMemo(() => {
@@ -16,16 +16,12 @@ const ClusterView = React.memo(({ clusters, descriptions }) => {
         <span key={`backlink-${idx}`} className={`${styles.linkTag} ${styles.backlink}`}>{l}</span>
       )) || [];
 
-      // Sanitize HTML content
-      const sanitizedBody = DOMPurify.sanitize(desc.body);
-
       return {
         id,
         cluster,
         desc,
         links,
         backlinks,
-        sanitizedBody,
         delay: i * 0.08
       };
     }).filter(Boolean);
@@ -33,7 +29,7 @@ const ClusterView = React.memo(({ clusters, descriptions }) => {
 
   return (
     <div className={styles.panelContent}>
-      {clusterSections.map(({ id, cluster, desc, links, backlinks, sanitizedBody, delay }) => (
+      {clusterSections.map(({ id, cluster, desc, links, backlinks, delay }) => (
         <div
           key={id}
           className={styles.clusterSection}
@@ -50,7 +46,7 @@ const ClusterView = React.memo(({ clusters, descriptions }) => {
             {desc.title}
           </div>
           <div className={styles.clusterBody}>
-            <div dangerouslySetInnerHTML={{ __html: sanitizedBody }} />
+            <SafeHTML html={desc.body} />
             <br /><br />
             {links}
             {backlinks}
@@ -1,35 +1,69 @@
 import React, { useState } from 'react';
 import styles from '../styles/components/Controls.module.css';
-import { exportToPNG, exportToSVG, generateShareLink } from '../utils/exportHelpers';
+import { exportToSVG, exportToPDF, generateShareLink, getExporters } from '../utils/exportHelpers';
+import { VECTOR_REGIONS, DEFAULT_TITLE } from '../utils/vectorExport';
+import { PAPER_SIZES } from '../utils/pdfExport';
 import { soundManager } from '../utils/SoundManager';
+import CapturePanel from './CapturePanel';
 
 const Controls = React.memo(({ 
   animating, 
   onResetView, 
   onToggleAnimation, 
   onExportData,
+  onExportGraph,
   onToggleSettings, // New prop
-  canvasRef,
-  nodes,
-  edges,
-  clusters,
+  onTogglePathExplorer,
+  pathExplorerOpen = false,
+  onToggleWorkspaces,
+  workspacesOpen = false,
+  onToggleFilters,
+  filtersOpen = false,
+  filterActive = false,
+  sceneRef,
+  timelineStart,
   camera,
-  zoom
+  zoom,
+  viewState
 }) => {
   const [showExportMenu, setShowExportMenu] = useState(false);
+  const [exportScope, setExportScope] = useState('full');
+  const [vectorOptions, setVectorOptions] = useState({ region: 'viewport', title: true, legend: true, paper: 'a4', tiles: 1 });
 
-  const handleExportPNG = () => {
-    exportToPNG(canvasRef, 'bude-global-neuro-chain.png');
+  const updateVectorOptions = (changes) => setVectorOptions(prev => ({ ...prev, ...changes }));
+
+  const vectorLayoutOptions = () => ({
+    region: vectorOptions.region,
+    title: vectorOptions.title ? DEFAULT_TITLE : null,
+    legend: vectorOptions.legend,
+  });
+
+  const handleExportSVG = () => {
+    const scene = sceneRef?.current?.captureScene();
+    if (scene) exportToSVG(scene, vectorLayoutOptions(), 'bude-global-neuro-chain.svg');
     setShowExportMenu(false);
   };
 
-  const handleExportSVG = () => {
-    exportToSVG(canvasRef, 'bude-global-neuro-chain.svg');
+  const handleExportPDF = () => {
+    const scene = sceneRef?.current?.captureScene();
+    if (scene) {
+      exportToPDF(scene, {
+        ...vectorLayoutOptions(),
+        paper: vectorOptions.paper,
+        columns: vectorOptions.tiles,
+        rows: vectorOptions.tiles,
+      }, 'bude-global-neuro-chain.pdf');
+    }
+    setShowExportMenu(false);
+  };
+
+  const handleExportGraph = (format) => {
+    onExportGraph(format, exportScope);
     setShowExportMenu(false);
   };
 
   const handleShareLink = async () => {
-    const link = generateShareLink({ nodes, edges, clusters, camera, zoom });
+    const link = generateShareLink(camera, zoom, viewState?.nodeId, viewState);
     try {
         await navigator.clipboard.writeText(link);
         alert('Share link copied to clipboard!'); // Or use a toast notification if available
@@ -58,6 +92,30 @@ const Controls = React.memo(({
         <span className={styles.icon}>⚙️</span>
       </button>
 
+      <button
+        className={`${styles.controlBtn} ${pathExplorerOpen ? styles.active : ''}`}
+        onClick={onTogglePathExplorer}
+        title="Path Explorer"
+      >
+        <span className={styles.icon}>🧭</span>
+      </button>
+
+      <button
+        className={`${styles.controlBtn} ${filtersOpen || filterActive ? styles.active : ''}`}
+        onClick={onToggleFilters}
+        title={filterActive ? 'Filters (active)' : 'Filters'}
+      >
+        <span className={styles.icon}>🎛️</span>
+      </button>
+
+      <button
+        className={`${styles.controlBtn} ${workspacesOpen ? styles.active : ''}`}
+        onClick={onToggleWorkspaces}
+        title="Workspaces"
+      >
+        <span className={styles.icon}>🗂️</span>
+      </button>
+
       <button
         className={styles.controlBtn}
         onClick={onResetView}
@@ -95,15 +153,77 @@ const Controls = React.memo(({
         
         {showExportMenu && (
           <div className={styles.exportMenu}>
-            <button onClick={handleExportPNG} className={styles.exportOption}>
-              📷 Export PNG
-            </button>
+            <CapturePanel sceneRef={sceneRef} timelineStart={timelineStart} onDone={() => setShowExportMenu(false)} />
+            <div className={styles.menuDivider} />
+            <div className={styles.exportScope}>
+              {Object.entries(VECTOR_REGIONS).map(([region, label]) => (
+                <button
+                  key={region}
+                  className={`${styles.scopeBtn} ${vectorOptions.region === region ? styles.active : ''}`}
+                  onClick={() => updateVectorOptions({ region })}
+                >
+                  {label}
+                </button>
+              ))}
+            </div>
+            <div className={styles.exportChecks}>
+              <label>
+                <input type="checkbox" checked={vectorOptions.title} onChange={() => updateVectorOptions({ title: !vectorOptions.title })} />
+                Title
+              </label>
+              <label>
+                <input type="checkbox" checked={vectorOptions.legend} onChange={() => updateVectorOptions({ legend: !vectorOptions.legend })} />
+                Legend
+              </label>
+            </div>
             <button onClick={handleExportSVG} className={styles.exportOption}>
               🎨 Export SVG
             </button>
+            <div className={styles.optionRow}>
+              <select value={vectorOptions.paper} onChange={(e) => updateVectorOptions({ paper: e.target.value })} aria-label="Paper size">
+                {Object.entries(PAPER_SIZES).map(([key, { label }]) => (
+                  <option key={key} value={key}>{label}</option>
+                ))}
+              </select>
+              <select value={vectorOptions.tiles} onChange={(e) => updateVectorOptions({ tiles: Number(e.target.value) })} aria-label="Poster pages">
+                {[1, 2, 3, 4].map(n => (
+                  <option key={n} value={n}>{n === 1 ? '1 page' : `${n}×${n} pages`}</option>
+                ))}
+              </select>
+            </div>
+            <button onClick={handleExportPDF} className={styles.exportOption}>
+              🖨️ Export PDF
+            </button>
+            <div className={styles.menuDivider} />
             <button onClick={onExportData} className={styles.exportOption}>
               📄 Export JSON
             </button>
+            {onExportGraph && (
+              <>
+                <div className={styles.menuDivider} />
+                <div className={styles.exportScope}>
+                  <button
+                    className={`${styles.scopeBtn} ${exportScope === 'full' ? styles.active : ''}`}
+                    onClick={() => setExportScope('full')}
+                  >
+                    Full graph
+                  </button>
+                  <button
+                    className={`${styles.scopeBtn} ${exportScope === 'visible' ? styles.active : ''}`}
+                    onClick={() => setExportScope('visible')}
+                    title="Only nodes shown at the current year, outside hidden clusters and matching filters"
+                  >
+                    Visible only
+                  </button>
+                </div>
+                {getExporters().map(exporter => (
+                  <button key={exporter.id} onClick={() => handleExportGraph(exporter.id)} className={styles.exportOption}>
+                    🕸️ {exporter.label}
+                  </button>
+                ))}
+                <div className={styles.menuDivider} />
+              </>
+            )}
             <button onClick={handleShareLink} className={styles.exportOption}>
               🔗 Copy Share Link
             </button>
@@ -1,10 +1,59 @@
-import React, { useState, useEffect, useMemo } from 'react';
+import React, { useState, useEffect, useMemo, useRef } from 'react';
 import styles from '../styles/components/DataEditor.module.css';
+import { validateCollection } from '../utils/dataValidation';
+import { locateJsonPaths, lineForPath } from '../utils/jsonLocator';
+
+// Issues listed under the editor; the gutter still marks every affected line
+const MAX_LISTED_ISSUES = 50;
+
+// Full validation sanitizes every description and walks every edge, so it waits for a pause in typing
+const VALIDATION_DELAY = 250;
+
+/**
+ * Full schema and integrity check of an edited collection against the rest of the data
+ * @returns {Object|null} Issues with line numbers and gutter markers, or null when the text is not JSON
+ */
+const checkContent = (data, dataKey, content) => {
+  let parsed;
+  try {
+    parsed = JSON.parse(content);
+  } catch {
+    return null;
+  }
+  const rootPath = `$.${dataKey}`;
+  const result = validateCollection(data, dataKey, parsed);
+  const lines = locateJsonPaths(content, rootPath);
+  // Errors anywhere block the edit; warnings elsewhere predate it and are left out
+  const issues = result.issues
+    .filter(issue => issue.severity === 'error' || issue.path.startsWith(rootPath))
+    .map(issue => ({ ...issue, line: lineForPath(lines, issue.path) }))
+    .sort((a, b) => (a.severity === b.severity ? 0 : a.severity === 'error' ? -1 : 1));
+
+  const markers = new Map();
+  issues.forEach(issue => {
+    if (issue.line === null) return;
+    const marker = markers.get(issue.line) || { severity: 'warning', messages: [] };
+    if (issue.severity === 'error') marker.severity = 'error';
+    marker.messages.push(`${issue.path} ${issue.message}`);
+    markers.set(issue.line, marker);
+  });
+
+  return {
+    valid: result.valid,
+    errors: result.errors,
+    warnings: issues.filter(issue => issue.severity === 'warning'),
+    issues,
+    markers,
+  };
+};
 
 const DataEditor = React.memo(({ data, onDataUpdate }) => {
   const [selectedDataKey, setSelectedDataKey] = useState('clusters');
   const [editorContent, setEditorContent] = useState('');
   const [isValid, setIsValid] = useState(true);
+  const [checkedContent, setCheckedContent] = useState(''); // Text the shown validation belongs to
+  const textareaRef = useRef(null);
+  const gutterRef = useRef(null);
 
   useEffect(() => {
     setEditorContent(JSON.stringify(data[selectedDataKey], null, 2));
@@ -15,6 +64,39 @@ const DataEditor = React.memo(({ data, onDataUpdate }) => {
     return data.nodes?.length || 0;
   }, [data.nodes]);
 
+  // The parse check in handleEditorChange is immediate; the full check runs once typing pauses
+  useEffect(() => {
+    const timer = setTimeout(() => setCheckedContent(editorContent), VALIDATION_DELAY);
+    return () => clearTimeout(timer);
+  }, [editorContent]);
+
+  const isChecking = checkedContent !== editorContent;
+  const validation = useMemo(
+    () => checkContent(data, selectedDataKey, checkedContent),
+    [data, selectedDataKey, checkedContent]
+  );
+
+  // While a check is pending, Apply validates the current text itself
+  const canApply = isValid && (isChecking || Boolean(validation?.valid));
+
+  const jumpToLine = (line) => {
+    const textarea = textareaRef.current;
+    if (!textarea || !line) return;
+    const lines = editorContent.split('\n');
+    const start = lines.slice(0, line - 1).reduce((sum, l) => sum + l.length + 1, 0);
+    textarea.focus();
+    textarea.setSelectionRange(start, start + lines[line - 1].length);
+    const lineHeight = parseFloat(getComputedStyle(textarea).lineHeight) || 19;
+    textarea.scrollTop = Math.max(0, (line - 3) * lineHeight);
+  };
+
+  // Keep gutter markers aligned with the textarea's scroll position
+  const handleEditorScroll = (e) => {
+    if (gutterRef.current) {
+      gutterRef.current.style.transform = `translateY(${-e.target.scrollTop}px)`;
+    }
+  };
+
   const handleEditorChange = (e) => {
     const value = e.target.value;
     setEditorContent(value);
@@ -28,11 +110,15 @@ const DataEditor = React.memo(({ data, onDataUpdate }) => {
   };
 
   const handleApply = () => {
-    if (!isValid) return;
+    if (!canApply) return;
+    if (isChecking) {
+      setCheckedContent(editorContent);
+      if (!checkContent(data, selectedDataKey, editorContent)?.valid) return;
+    }
     
     try {
       const parsed = JSON.parse(editorContent);
-      onDataUpdate(selectedDataKey, parsed);
+      onDataUpdate(selectedDataKey, parsed, `Apply ${selectedDataKey}.json`);
     } catch (error) {
       console.error('Failed to apply changes:', error);
     }
@@ -68,7 +154,12 @@ const DataEditor = React.memo(({ data, onDataUpdate }) => {
       </div>
 
       <div className={styles.editorToolbar}>
-        <button className={`${styles.editorBtn} ${styles.primary}`} onClick={handleApply}>
+        <button
+          className={`${styles.editorBtn} ${styles.primary}`}
+          onClick={handleApply}
+          disabled={!canApply}
+          title={canApply ? 'Apply changes' : 'Fix the errors below before applying'}
+        >
           Apply Changes
         </button>
         <button className={styles.editorBtn} onClick={handleReset}>
@@ -80,18 +171,65 @@ const DataEditor = React.memo(({ data, onDataUpdate }) => {
       </div>
 
       <div className={styles.panelContent}>
-        <textarea
-          className={styles.jsonEditor}
-          value={editorContent}
-          onChange={handleEditorChange}
-          spellCheck={false}
-        />
+        <div className={styles.editorFrame}>
+          <div className={styles.gutter} aria-hidden="true">
+            <div ref={gutterRef} className={styles.gutterInner}>
+              {isValid && validation && [...validation.markers].map(([line, marker]) => (
+                <span
+                  key={line}
+                  className={`${styles.marker} ${marker.severity === 'error' ? styles.markerError : styles.markerWarning}`}
+                  style={{ top: `calc(1rem + ${line - 1} * 1.2rem)` }}
+                  title={marker.messages.join('\n')}
+                  onClick={() => jumpToLine(line)}
+                />
+              ))}
+            </div>
+          </div>
+          <textarea
+            ref={textareaRef}
+            className={styles.jsonEditor}
+            value={editorContent}
+            onChange={handleEditorChange}
+            onScroll={handleEditorScroll}
+            spellCheck={false}
+            wrap="off"
+          />
+        </div>
+
+        {isValid && validation && validation.issues.length > 0 && (
+          <ul className={styles.issueList} aria-label="Validation issues">
+            {validation.issues.slice(0, MAX_LISTED_ISSUES).map((issue, i) => (
+              <li
+                key={i}
+                className={`${styles.issue} ${issue.severity === 'error' ? styles.issueError : styles.issueWarning}`}
+                onClick={() => jumpToLine(issue.line)}
+              >
+                <span className={styles.issueLine}>{issue.line ? `Ln ${issue.line}` : '—'}</span>
+                <code className={styles.issuePath}>{issue.path}</code>
+                <span>{issue.message}</span>
+              </li>
+            ))}
+            {validation.issues.length > MAX_LISTED_ISSUES && (
+              <li className={styles.issueMore}>
+                +{validation.issues.length - MAX_LISTED_ISSUES} more
+              </li>
+            )}
+          </ul>
+        )}
       </div>
 
       <div className={styles.statusBar}>
         <div className={styles.statusIndicator}>
-          <span className={`${styles.statusDot} ${!isValid ? styles.error : ''}`} />
-          <span>{isValid ? 'Valid JSON' : 'Invalid JSON'}</span>
+          <span className={`${styles.statusDot} ${!canApply ? styles.error : ''}`} />
+          <span>
+            {!isValid
+              ? 'Invalid JSON'
+              : !validation
+                ? 'Checking…'
+                : validation.valid
+                ? `Valid${validation.warnings.length ? ` · ${validation.warnings.length} warnings` : ''}`
+                : `${validation.errors.length} errors · ${validation.warnings.length} warnings`}
+          </span>
         </div>
         <span>{nodeCount} nodes</span>
       </div>
@@ -1,9 +1,38 @@
-import React from 'react';
+import React, { useMemo } from 'react';
 import styles from '../styles/components/DetailPanel.module.css';
+import SafeHTML from './SafeHTML';
+import { safeUrl } from '../config/security';
+import { downloadFile } from '../utils/exportHelpers';
+
+// Names listed per generation before collapsing into "+N more"
+const MAX_GENERATION_TAGS = 12;
+
+const LINEAGE_MODES = [
+  { id: 'ancestors', label: 'Prerequisites', title: 'Everything that had to exist first' },
+  { id: 'descendants', label: 'Descendants', title: 'Everything this made possible' },
+];
+
+const DetailPanel = React.memo(({ node, cluster, nodes = [], lineage, onTraceLineage, onClose, onNodeSelect, onEdit, pinned = false, onTogglePin }) => {
+  const nodeById = useMemo(() => new Map(nodes.map(n => [n.id, n])), [nodes]);
 
-const DetailPanel = React.memo(({ node, cluster, onClose, onNodeSelect }) => {
   if (!node) return null;
 
+  const wikiUrl = safeUrl(node.wikiUrl);
+
+  const exportLineage = () => {
+    const subgraph = {
+      root: lineage.rootId,
+      direction: lineage.direction,
+      generations: lineage.generations,
+      nodes: Object.keys(lineage.depths)
+        .map(id => nodeById.get(id))
+        .filter(Boolean)
+        .map(n => ({ ...n, generation: lineage.depths[n.id] })),
+      edges: lineage.edges,
+    };
+    downloadFile(JSON.stringify(subgraph, null, 2), `${node.id}-${lineage.direction}.json`, 'application/json');
+  };
+
   return (
     <div className={styles.panel}>
       <button className={styles.closeBtn} onClick={onClose}>×</button>
@@ -39,7 +68,63 @@ const DetailPanel = React.memo(({ node, cluster, onClose, onNodeSelect }) => {
         {node.description && (
             <div className={styles.section}>
                 <h3>Description</h3>
-                <div className={styles.description} dangerouslySetInnerHTML={{ __html: typeof node.description === 'object' ? node.description.body : node.description }} />
+                <SafeHTML html={node.description} className={styles.description} />
+            </div>
+        )}
+
+        {/* Lineage */}
+        {onTraceLineage && (
+            <div className={styles.section}>
+                <h3>Trace Lineage</h3>
+                <div className={styles.lineageModes}>
+                    {LINEAGE_MODES.map(mode => (
+                        <button
+                            key={mode.id}
+                            className={`${styles.lineageBtn} ${lineage?.direction === mode.id ? styles.lineageActive : ''}`}
+                            onClick={() => onTraceLineage(lineage?.direction === mode.id ? null : mode.id)}
+                            title={mode.title}
+                            aria-pressed={lineage?.direction === mode.id}
+                        >
+                            {mode.label}
+                        </button>
+                    ))}
+                </div>
+
+                {lineage && (
+                    <div className={styles.lineage}>
+                        <div className={styles.lineageSummary}>
+                            {lineage.generations.length <= 1
+                                ? `No ${lineage.direction === 'ancestors' ? 'prerequisites' : 'descendants'} recorded.`
+                                : `${Object.keys(lineage.depths).length - 1} inventions across ${lineage.generations.length - 1} generations`}
+                        </div>
+                        {lineage.generations.slice(1).map((ids, index) => (
+                            <div key={index} className={styles.generation}>
+                                <div className={styles.generationLabel}>
+                                    Gen {index + 1} <span>{ids.length}</span>
+                                </div>
+                                <div className={styles.tags}>
+                                    {ids.slice(0, MAX_GENERATION_TAGS).map(id => (
+                                        <button
+                                            key={id}
+                                            className={`${styles.tag} ${styles.tagLink}`}
+                                            onClick={() => nodeById.has(id) && onNodeSelect?.(nodeById.get(id))}
+                                        >
+                                            {nodeById.get(id)?.label || id}
+                                        </button>
+                                    ))}
+                                    {ids.length > MAX_GENERATION_TAGS && (
+                                        <span className={styles.tag}>+{ids.length - MAX_GENERATION_TAGS} more</span>
+                                    )}
+                                </div>
+                            </div>
+                        ))}
+                        {lineage.generations.length > 1 && (
+                            <button className={styles.actionBtn} onClick={exportLineage} title="Export traced subgraph as JSON">
+                                💾 Export Subgraph
+                            </button>
+                        )}
+                    </div>
+                )}
             </div>
         )}
 
@@ -65,10 +150,10 @@ const DetailPanel = React.memo(({ node, cluster, onClose, onNodeSelect }) => {
 
         {/* Actions */}
         <div className={styles.actions}>
-            {node.wikiUrl && (
+            {wikiUrl && (
               <button 
                 className={styles.actionBtn}
-                onClick={() => window.open(node.wikiUrl, '_blank')}
+                onClick={() => window.open(wikiUrl, '_blank', 'noopener,noreferrer')}
                 title="View on Wikipedia"
               >
                 📖 View Source
@@ -76,19 +161,30 @@ const DetailPanel = React.memo(({ node, cluster, onClose, onNodeSelect }) => {
             )}
             <button 
               className={styles.actionBtn}
-              onClick={() => {
-                const blob = new Blob([JSON.stringify(node, null, 2)], { type: 'application/json' });
-                const url = URL.createObjectURL(blob);
-                const a = document.createElement('a');
-                a.href = url;
-                a.download = `${node.id}-data.json`;
-                a.click();
-                URL.revokeObjectURL(url);
-              }}
+              onClick={() => downloadFile(JSON.stringify(node, null, 2), `${node.id}-data.json`, 'application/json')}
               title="Export node data as JSON"
             >
               💾 Export Data
             </button>
+            {onEdit && (
+              <button
+                className={styles.actionBtn}
+                onClick={() => onEdit(node)}
+                title="Edit this node in the data panel"
+              >
+                ✏️ Edit
+              </button>
+            )}
+            {onTogglePin && (
+              <button
+                className={styles.actionBtn}
+                onClick={onTogglePin}
+                aria-pressed={pinned}
+                title={pinned ? 'Let the layout move this node again' : 'Keep this node where it is now'}
+              >
+                📌 {pinned ? 'Unpin' : 'Pin'}
+              </button>
+            )}
         </div>
 
       </div>
@@ -0,0 +1,179 @@
+import React, { useState, useMemo } from 'react';
+import styles from '../styles/components/DataForms.module.css';
+import NodePicker from './NodePicker';
+import { EDGE_TYPES, WEIGHT_RANGE } from '../utils/dataValidation';
+import { validateEdit } from '../utils/dataEditing';
+
+const MAX_LIST_ROWS = 100;
+
+const EMPTY_FORM = { source: null, target: null, type: 'forward', weight: '5' };
+
+/**
+ * Edge list filtered by node, with a form to add, change or remove a connection
+ */
+const EdgeEditor = React.memo(({ data, onDataUpdate }) => {
+  const [focus, setFocus] = useState(null);
+  const [editingIndex, setEditingIndex] = useState(null);
+  const [form, setForm] = useState(EMPTY_FORM);
+  const [errors, setErrors] = useState([]);
+
+  const nodeById = useMemo(() => new Map(data.nodes.map(n => [n.id, n])), [data.nodes]);
+
+  const listed = useMemo(() => {
+    const rows = data.edges
+      .map((edge, index) => ({ edge, index }))
+      .filter(({ edge }) => !focus || edge.source === focus.id || edge.target === focus.id);
+    return rows.slice(0, MAX_LIST_ROWS);
+  }, [data.edges, focus]);
+
+  const labelFor = (id) => nodeById.get(id)?.label || id;
+
+  const setField = (key, value) => setForm(prev => ({ ...prev, [key]: value }));
+
+  const startNew = () => {
+    setEditingIndex(null);
+    setForm({ ...EMPTY_FORM, source: focus });
+    setErrors([]);
+  };
+
+  const openEdge = (index) => {
+    const edge = data.edges[index];
+    setEditingIndex(index);
+    setForm({
+      source: nodeById.get(edge.source) || null,
+      target: nodeById.get(edge.target) || null,
+      type: edge.type,
+      weight: edge.weight === undefined ? '' : String(edge.weight),
+    });
+    setErrors([]);
+  };
+
+  const handleSave = () => {
+    const edge = { source: form.source.id, target: form.target.id, type: form.type };
+    if (form.weight.trim() !== '') edge.weight = Number(form.weight);
+
+    const edges = editingIndex === null
+      ? [...data.edges, edge]
+      : data.edges.map((e, i) => (i === editingIndex ? edge : e));
+
+    const result = validateEdit(data, { edges });
+    if (!result.valid) {
+      setErrors(result.errors.map(issue => `${issue.path.replace(/^\$\./, '')} ${issue.message}`));
+      return;
+    }
+
+    const verb = editingIndex === null ? 'Add' : 'Edit';
+    onDataUpdate('edges', edges, `${verb} connection ${form.source.label} → ${form.target.label}`);
+    setEditingIndex(editingIndex === null ? edges.length - 1 : editingIndex);
+    setErrors([]);
+  };
+
+  const handleDelete = () => {
+    const edge = data.edges[editingIndex];
+    onDataUpdate(
+      'edges',
+      data.edges.filter((_, i) => i !== editingIndex),
+      `Delete connection ${labelFor(edge.source)} → ${labelFor(edge.target)}`
+    );
+    setEditingIndex(null);
+    setForm({ ...EMPTY_FORM, source: focus });
+  };
+
+  return (
+    <div className={styles.editor}>
+      <div className={styles.form}>
+        <NodePicker
+          id="edge-filter"
+          label="Connections of"
+          value={focus}
+          nodes={data.nodes}
+          clusters={data.clusters}
+          onChange={setFocus}
+        />
+        {focus && (
+          <button className={styles.linkBtn} onClick={() => setFocus(null)}>Show all connections</button>
+        )}
+      </div>
+
+      <ul className={styles.list}>
+        {listed.map(({ edge, index }) => (
+          <li key={`${edge.source}->${edge.target}-${index}`}>
+            <button
+              className={`${styles.listItem} ${index === editingIndex ? styles.selected : ''}`}
+              onClick={() => openEdge(index)}
+            >
+              <span className={styles.listLabel}>{labelFor(edge.source)} → {labelFor(edge.target)}</span>
+              <span className={styles.listMeta}>{edge.type} · {edge.weight ?? '–'}</span>
+            </button>
+          </li>
+        ))}
+      </ul>
+
+      <div className={styles.form}>
+        <div className={styles.formHeader}>
+          <span className={styles.formTitle}>
+            {editingIndex === null ? 'New connection' : `Editing edges[${editingIndex}]`}
+          </span>
+          {editingIndex !== null && <button className={styles.linkBtn} onClick={startNew}>+ New</button>}
+        </div>
+        <NodePicker
+          id="edge-source"
+          label="Source"
+          value={form.source}
+          nodes={data.nodes}
+          clusters={data.clusters}
+          onChange={(node) => setField('source', node)}
+        />
+        <NodePicker
+          id="edge-target"
+          label="Target"
+          value={form.target}
+          nodes={data.nodes}
+          clusters={data.clusters}
+          onChange={(node) => setField('target', node)}
+        />
+        <div className={styles.fieldRow}>
+          <label className={styles.field}>
+            Type
+            <select value={form.type} onChange={(e) => setField('type', e.target.value)}>
+              {EDGE_TYPES.map(type => <option key={type} value={type}>{type}</option>)}
+            </select>
+          </label>
+          <label className={styles.field}>
+            Weight
+            <input
+              type="number"
+              min={WEIGHT_RANGE.min}
+              max={WEIGHT_RANGE.max}
+              value={form.weight}
+              onChange={(e) => setField('weight', e.target.value)}
+            />
+          </label>
+        </div>
+
+        {errors.length > 0 && (
+          <ul className={styles.errorList}>
+            {errors.map(message => <li key={message}>{message}</li>)}
+          </ul>
+        )}
+      </div>
+
+      <div className={styles.toolbar}>
+        <button
+          className={`${styles.btn} ${styles.primary}`}
+          onClick={handleSave}
+          disabled={!form.source || !form.target}
+        >
+          {editingIndex === null ? 'Add Connection' : 'Save'}
+        </button>
+        {editingIndex !== null && (
+          <button className={`${styles.btn} ${styles.danger}`} onClick={handleDelete}>Delete</button>
+        )}
+      </div>
+    </div>
+  );
+});
+
+EdgeEditor.displayName = 'EdgeEditor';
+
+export default EdgeEditor;
@@ -0,0 +1,197 @@
+import React, { useState, useMemo } from 'react';
+import styles from '../styles/components/DetailPanel.module.css';
+import forms from '../styles/components/DataForms.module.css';
+import { EDGE_TYPES, WEIGHT_RANGE } from '../utils/dataValidation';
+import { validateEdit } from '../utils/dataEditing';
+import { EDGE_TYPE_INFO } from '../utils/graphStyle';
+
+const formFromEdge = (edge) => ({
+  type: edge?.type || 'forward',
+  weight: edge?.weight === undefined ? '' : String(edge.weight),
+});
+
+const yearLabel = (year) => {
+  if (!year) return null;
+  return `${Math.abs(year).toLocaleString()} ${year < 0 ? 'BCE' : 'CE'}`;
+};
+
+/**
+ * Details of one connection: both endpoints side by side and a form to retype,
+ * reweigh or delete it
+ */
+const EdgeInspector = React.memo(({ edge, data, onDataUpdate, onEdgeChange, onNodeSelect, onClose }) => {
+  const [form, setForm] = useState(() => formFromEdge(edge));
+  const [errors, setErrors] = useState([]);
+  const [formEdge, setFormEdge] = useState(edge);
+
+  // Reload the form when another edge is inspected
+  if (edge !== formEdge) {
+    setFormEdge(edge);
+    setForm(formFromEdge(edge));
+    setErrors([]);
+  }
+
+  const nodeById = useMemo(() => new Map(data.nodes.map(n => [n.id, n])), [data.nodes]);
+
+  const degrees = useMemo(() => {
+    const counts = new Map();
+    data.edges.forEach(e => {
+      counts.set(e.source, (counts.get(e.source) || 0) + 1);
+      counts.set(e.target, (counts.get(e.target) || 0) + 1);
+    });
+    return counts;
+  }, [data.edges]);
+
+  if (!edge) return null;
+
+  const source = nodeById.get(edge.source);
+  const target = nodeById.get(edge.target);
+  const sourceLabel = source?.label || edge.source;
+  const targetLabel = target?.label || edge.target;
+  const typeInfo = EDGE_TYPE_INFO[edge.type];
+  const edgeIndex = data.edges.indexOf(edge);
+
+  const setField = (key, value) => setForm(prev => ({ ...prev, [key]: value }));
+
+  const handleSave = () => {
+    const updated = { ...edge, type: form.type };
+    if (form.weight.trim() === '') {
+      delete updated.weight;
+    } else {
+      updated.weight = Number(form.weight);
+    }
+
+    const edges = data.edges.map((e, i) => (i === edgeIndex ? updated : e));
+    const result = validateEdit(data, { edges });
+    if (!result.valid) {
+      setErrors(result.errors.map(issue => `${issue.path.replace(/^\$\./, '')} ${issue.message}`));
+      return;
+    }
+
+    onDataUpdate('edges', edges, `Edit connection ${sourceLabel} → ${targetLabel}`);
+    onEdgeChange?.(updated);
+    setErrors([]);
+  };
+
+  const handleDelete = () => {
+    onDataUpdate(
+      'edges',
+      data.edges.filter((_, i) => i !== edgeIndex),
+      `Delete connection ${sourceLabel} → ${targetLabel}`
+    );
+    onClose();
+  };
+
+  const renderEndpoint = (role, id, node) => {
+    const cluster = data.clusters[node?.cluster];
+    return (
+      <div className={styles.endpoint}>
+        <div className={styles.endpointRole}>{role}</div>
+        <div className={styles.clusterBadge} style={{ borderColor: cluster?.color, color: cluster?.color }}>
+          {cluster?.label || node?.cluster || 'Unknown'}
+        </div>
+        <button
+          className={styles.endpointLabel}
+          onClick={() => node && onNodeSelect?.(node)}
+          title={node ? `Focus ${node.label}` : undefined}
+        >
+          {node?.label || id}
+        </button>
+        <div className={styles.endpointMeta}>
+          {[yearLabel(node?.year), node?.status || 'Concept', `${degrees.get(id) || 0} connections`]
+            .filter(Boolean)
+            .join(' · ')}
+        </div>
+      </div>
+    );
+  };
+
+  return (
+    <div className={styles.panel}>
+      <button className={styles.closeBtn} onClick={onClose}>×</button>
+
+      <div className={styles.header}>
+        <div className={styles.clusterBadge}>
+          {typeInfo?.label || edge.type}
+        </div>
+        <h2 className={styles.title}>{sourceLabel} → {targetLabel}</h2>
+        <div className={styles.year}>{edge.type}</div>
+      </div>
+
+      <div className={styles.content}>
+        <div className={styles.metaGrid}>
+          <div className={styles.metaItem}>
+            <label>Type</label>
+            <span className={styles.statusValue}>{typeInfo?.label || edge.type}</span>
+          </div>
+          <div className={styles.metaItem}>
+            <label>Weight</label>
+            {edge.weight === undefined ? (
+              <span className={styles.statusValue}>–</span>
+            ) : (
+              <div className={styles.meter} title={`${edge.weight}/${WEIGHT_RANGE.max}`}>
+                <div className={styles.meterFill} style={{ width: `${(edge.weight / WEIGHT_RANGE.max) * 100}%` }}></div>
+              </div>
+            )}
+          </div>
+        </div>
+
+        {typeInfo && (
+          <div className={styles.section}>
+            <h3>Meaning</h3>
+            <div className={styles.description}>{typeInfo.description}</div>
+          </div>
+        )}
+
+        <div className={styles.section}>
+          <h3>Endpoints</h3>
+          <div className={styles.endpoints}>
+            {renderEndpoint('Source', edge.source, source)}
+            {renderEndpoint('Target', edge.target, target)}
+          </div>
+        </div>
+
+        {onDataUpdate && edgeIndex !== -1 && (
+          <div className={styles.section}>
+            <h3>Edit Connection</h3>
+            <div className={forms.form}>
+              <div className={forms.fieldRow}>
+                <label className={forms.field}>
+                  Type
+                  <select value={form.type} onChange={(e) => setField('type', e.target.value)}>
+                    {EDGE_TYPES.map(type => <option key={type} value={type}>{type}</option>)}
+                  </select>
+                </label>
+                <label className={forms.field}>
+                  Weight
+                  <input
+                    type="number"
+                    min={WEIGHT_RANGE.min}
+                    max={WEIGHT_RANGE.max}
+                    value={form.weight}
+                    onChange={(e) => setField('weight', e.target.value)}
+                  />
+                </label>
+              </div>
+
+              {errors.length > 0 && (
+                <ul className={forms.errorList}>
+                  {errors.map(message => <li key={message}>{message}</li>)}
+                </ul>
+              )}
+            </div>
+
+            <div className={forms.toolbar}>
+              <button className={`${forms.btn} ${forms.primary}`} onClick={handleSave}>Save</button>
+              <button className={`${forms.btn} ${forms.danger}`} onClick={handleDelete}>Delete</button>
+            </div>
+          </div>
+        )}
+      </div>
+    </div>
+  );
+});
+
+EdgeInspector.displayName = 'EdgeInspector';
+
+export default EdgeInspector;
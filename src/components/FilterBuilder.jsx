@@ -0,0 +1,261 @@
+import React, { useState, useMemo } from 'react';
+import styles from '../styles/components/FilterBuilder.module.css';
+import useFilterPresets from '../hooks/useFilterPresets';
+import { EDGE_TYPES } from '../utils/graphAnalytics';
+import {
+  FILTER_FIELDS,
+  OPERATOR_LABELS,
+  DEGREE_DIRECTIONS,
+  FILTER_MODES,
+  createFilter,
+  createRule,
+  describeFilter,
+} from '../utils/graphFilters';
+
+const toNumber = (value) => (value === '' ? null : Number(value));
+
+/**
+ * Combine node predicates with AND/OR, pick edge types and save the result as presets
+ */
+const FilterBuilder = React.memo(({ filter, onChange, nodes, clusters, matchCount, onClose }) => {
+  const { presets, savePreset, deletePreset } = useFilterPresets();
+  const [presetName, setPresetName] = useState('');
+
+  const statuses = useMemo(
+    () => [...new Set(nodes.map(n => n.status).filter(Boolean))].sort(),
+    [nodes]
+  );
+
+  const update = (changes) => onChange({ ...filter, ...changes });
+
+  const updateRule = (index, changes) => {
+    update({ rules: filter.rules.map((rule, i) => (i === index ? { ...rule, ...changes } : rule)) });
+  };
+
+  const handleAddRule = (e) => {
+    if (!e.target.value) return;
+    update({ rules: [...filter.rules, createRule(e.target.value)] });
+    e.target.value = '';
+  };
+
+  // No edge type selected means every type is kept
+  const isEdgeTypeShown = (type) => filter.edgeTypes.length === 0 || filter.edgeTypes.includes(type);
+  const toggleEdgeType = (type) => {
+    const shown = EDGE_TYPES.filter(isEdgeTypeShown);
+    const next = shown.includes(type) ? shown.filter(t => t !== type) : [...shown, type];
+    update({ edgeTypes: next.length === EDGE_TYPES.length ? [] : next });
+  };
+
+  const handleSavePreset = (e) => {
+    e.preventDefault();
+    if (!presetName.trim()) return;
+    savePreset(presetName.trim(), filter);
+    setPresetName('');
+  };
+
+  const renderValue = (rule, index) => {
+    switch (rule.field) {
+      case 'cluster':
+        return (
+          <select value={rule.value} onChange={(e) => updateRule(index, { value: e.target.value })} aria-label="Cluster">
+            <option value="">Choose…</option>
+            {Object.entries(clusters).map(([key, cluster]) => (
+              <option key={key} value={key}>{cluster.label}</option>
+            ))}
+          </select>
+        );
+      case 'status':
+        return (
+          <select value={rule.value} onChange={(e) => updateRule(index, { value: e.target.value })} aria-label="Status">
+            <option value="">Choose…</option>
+            {statuses.map(status => <option key={status} value={status}>{status}</option>)}
+          </select>
+        );
+      case 'maturity':
+      case 'year':
+        return (
+          <span className={styles.range}>
+            <input
+              type="number"
+              value={rule.min ?? ''}
+              onChange={(e) => updateRule(index, { min: toNumber(e.target.value) })}
+              aria-label={`Minimum ${rule.field}`}
+            />
+            –
+            <input
+              type="number"
+              value={rule.max ?? ''}
+              onChange={(e) => updateRule(index, { max: toNumber(e.target.value) })}
+              aria-label={`Maximum ${rule.field}`}
+            />
+          </span>
+        );
+      case 'degree':
+        return (
+          <input
+            type="number"
+            min="0"
+            value={rule.value ?? ''}
+            onChange={(e) => updateRule(index, { value: toNumber(e.target.value) })}
+            aria-label="Connection count"
+          />
+        );
+      default:
+        return (
+          <input
+            type="text"
+            value={rule.value}
+            onChange={(e) => updateRule(index, { value: e.target.value })}
+            placeholder={rule.field === 'contributors' ? 'e.g. Watt' : 'e.g. laser'}
+            aria-label={FILTER_FIELDS[rule.field].label}
+          />
+        );
+    }
+  };
+
+  return (
+    <div className={styles.builder}>
+      <div className={styles.header}>
+        <h3>Filters</h3>
+        <button className={styles.closeBtn} onClick={onClose} aria-label="Close filters">×</button>
+      </div>
+
+      <div className={styles.segmented}>
+        {FILTER_MODES.map(mode => (
+          <button
+            key={mode}
+            className={`${styles.segmentBtn} ${filter.mode === mode ? styles.active : ''}`}
+            onClick={() => update({ mode })}
+          >
+            {mode === 'dim' ? 'Dim others' : 'Hide others'}
+          </button>
+        ))}
+      </div>
+
+      <div className={styles.combinator}>
+        Match
+        <select
+          value={filter.combinator}
+          onChange={(e) => update({ combinator: e.target.value })}
+          aria-label="Combine rules with"
+        >
+          <option value="and">all rules (AND)</option>
+          <option value="or">any rule (OR)</option>
+        </select>
+      </div>
+
+      <ul className={styles.rules}>
+        {filter.rules.map((rule, index) => (
+          <li key={index} className={styles.rule}>
+            <div className={styles.ruleHeader}>
+              {rule.field === 'degree' ? (
+                <span className={styles.degreeOptions}>
+                  <select
+                    value={rule.direction}
+                    onChange={(e) => updateRule(index, { direction: e.target.value })}
+                    aria-label="Direction"
+                  >
+                    {Object.entries(DEGREE_DIRECTIONS).map(([key, label]) => (
+                      <option key={key} value={key}>{label}</option>
+                    ))}
+                  </select>
+                  <select
+                    value={rule.edgeType}
+                    onChange={(e) => updateRule(index, { edgeType: e.target.value })}
+                    aria-label="Edge type"
+                  >
+                    <option value="any">any type</option>
+                    {EDGE_TYPES.map(type => <option key={type} value={type}>{type}</option>)}
+                  </select>
+                </span>
+              ) : (
+                <span className={styles.fieldName}>{FILTER_FIELDS[rule.field].label}</span>
+              )}
+              <button
+                className={styles.removeBtn}
+                onClick={() => update({ rules: filter.rules.filter((_, i) => i !== index) })}
+                aria-label="Remove rule"
+              >
+                ×
+              </button>
+            </div>
+            <div className={styles.ruleBody}>
+              {FILTER_FIELDS[rule.field].ops.length > 1 && (
+                <select value={rule.op} onChange={(e) => updateRule(index, { op: e.target.value })} aria-label="Operator">
+                  {FILTER_FIELDS[rule.field].ops.map(op => (
+                    <option key={op} value={op}>{OPERATOR_LABELS[op]}</option>
+                  ))}
+                </select>
+              )}
+              {renderValue(rule, index)}
+            </div>
+          </li>
+        ))}
+      </ul>
+
+      <select className={styles.addRule} defaultValue="" onChange={handleAddRule} aria-label="Add rule">
+        <option value="">+ Add rule…</option>
+        {Object.entries(FILTER_FIELDS).map(([field, { label }]) => (
+          <option key={field} value={field}>{label}</option>
+        ))}
+      </select>
+
+      <div className={styles.edgeTypes}>
+        <span>Edges</span>
+        {EDGE_TYPES.map(type => (
+          <label key={type} className={styles.option}>
+            <input type="checkbox" checked={isEdgeTypeShown(type)} onChange={() => toggleEdgeType(type)} />
+            {type}
+          </label>
+        ))}
+      </div>
+
+      <div className={styles.summary}>
+        <span>{matchCount} of {nodes.length} nodes · {describeFilter(filter, clusters)}</span>
+        <button className={styles.linkBtn} onClick={() => onChange({ ...createFilter(), mode: filter.mode })}>Clear</button>
+      </div>
+
+      <div className={styles.presets}>
+        <h4>Presets</h4>
+        <form className={styles.saveForm} onSubmit={handleSavePreset}>
+          <input
+            type="text"
+            value={presetName}
+            onChange={(e) => setPresetName(e.target.value)}
+            placeholder="Preset name"
+            aria-label="Preset name"
+          />
+          <button type="submit" className={styles.btn} disabled={!presetName.trim()}>Save</button>
+        </form>
+        {presets.length === 0 ? (
+          <div className={styles.empty}>No saved presets.</div>
+        ) : (
+          <ul className={styles.presetList}>
+            {presets.map(preset => (
+              <li key={preset.name} className={styles.preset}>
+                <button
+                  className={styles.presetName}
+                  onClick={() => onChange(preset.filter)}
+                  title={describeFilter(preset.filter, clusters)}
+                >
+                  {preset.name}
+                </button>
+                <button
+                  className={styles.removeBtn}
+                  onClick={() => deletePreset(preset.name)}
+                  aria-label={`Delete preset ${preset.name}`}
+                >
+                  ×
+                </button>
+              </li>
+            ))}
+          </ul>
+        )}
+      </div>
+    </div>
+  );
+});
+
+FilterBuilder.displayName = 'FilterBuilder';
+
+export default FilterBuilder;
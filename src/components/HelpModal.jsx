@@ -47,7 +47,10 @@ const HelpModal = React.memo(() => {
               <li><span className={styles.key}>Drag</span> Pan View</li>
               <li><span className={styles.key}>Scroll</span> Zoom In/Out</li>
               <li><span className={styles.key}>Click Node</span> Focus & Details</li>
-              <li><span className={styles.key}>Double Click</span> Reset View</li>
+              <li><span className={styles.key}>Drag Node</span> Move (a locked cluster moves as one)</li>
+              <li><span className={styles.key}>Double Click Node</span> Pin / Unpin</li>
+              <li><span className={styles.key}>Right Click Node</span> Pin / Unpin</li>
+              <li><span className={styles.key}>Right Click</span> Add Node Here</li>
             </ul>
           </section>
           
@@ -57,10 +60,24 @@ const HelpModal = React.memo(() => {
               <li><span className={styles.key}>Ctrl</span> + <span className={styles.key}>K</span> Search</li>
               <li><span className={styles.key}>Space</span> Pause Animation</li>
               <li><span className={styles.key}>R</span> Reset Camera</li>
+              <li><span className={styles.key}>Ctrl</span> + <span className={styles.key}>Z</span> Undo Edit</li>
+              <li><span className={styles.key}>Ctrl</span> + <span className={styles.key}>Shift</span> + <span className={styles.key}>Z</span> Redo Edit</li>
               <li><span className={styles.key}>?</span> Toggle Help</li>
             </ul>
           </section>
 
+          <section className={styles.section}>
+            <h3>Search</h3>
+            <ul className={styles.list}>
+              <li><span className={styles.key}>cluster:bio</span> Cluster key or name</li>
+              <li><span className={styles.key}>year:&lt;1800</span> Also &gt;, &lt;=, &gt;= and 1500..1800</li>
+              <li><span className={styles.key}>status:Emerging</span> Status</li>
+              <li><span className={styles.key}>tech:laser</span> Technology or <span className={styles.key}>by:</span> contributor</li>
+              <li><span className={styles.key}>-cluster:info</span> Exclude matches</li>
+              <li><span className={styles.key}>PgUp</span> / <span className={styles.key}>PgDn</span> Result pages</li>
+            </ul>
+          </section>
+
           <section className={styles.section}>
             <h3>Metrics Legend</h3>
             <div className={styles.metricItem}>
@@ -0,0 +1,269 @@
+import React, { useState, useMemo } from 'react';
+import forms from '../styles/components/DataForms.module.css';
+import styles from '../styles/components/ImportWizard.module.css';
+import { IMPORT_FORMATS, detectFormat, parseCsvTables, parseGraphFile } from '../utils/importParsers';
+import {
+  NODE_IMPORT_FIELDS,
+  EDGE_IMPORT_FIELDS,
+  CONFLICT_RESOLUTIONS,
+  suggestMapping,
+  mapImport,
+  planMerge,
+  applyMerge,
+} from '../utils/dataImport';
+import { validateEdit } from '../utils/dataEditing';
+import { debug } from '../config/env';
+
+const MAX_LISTED_ISSUES = 8;
+
+const ACCEPT = Object.values(IMPORT_FORMATS).flatMap(f => f.extensions).join(',');
+
+const readFile = (event) => new Promise((resolve, reject) => {
+  const file = event.target.files?.[0];
+  if (!file) {
+    resolve(null);
+    return;
+  }
+  const reader = new FileReader();
+  reader.onload = () => resolve({ name: file.name, text: reader.result });
+  reader.onerror = () => reject(reader.error);
+  reader.readAsText(file);
+});
+
+/**
+ * Import wizard: read CSV tables, GraphML, GEXF or Cytoscape JSON, map attributes onto
+ * the schema, preview the merge with conflict resolution and apply it as one edit
+ */
+const ImportWizard = React.memo(({ data, onDataUpdate }) => {
+  const [format, setFormat] = useState('auto');
+  const [source, setSource] = useState(null); // { name, text }
+  const [edgeSource, setEdgeSource] = useState(null); // CSV edge table
+  const [mapping, setMapping] = useState(null);
+  const [defaultCluster, setDefaultCluster] = useState(() => Object.keys(data.clusters)[0] || '');
+  const [createClusters, setCreateClusters] = useState(true);
+  const [resolution, setResolution] = useState('keep');
+  const [resolutions, setResolutions] = useState({});
+  const [result, setResult] = useState(null);
+
+  const activeFormat = format === 'auto' && source ? detectFormat(source.text, source.name) : format;
+
+  const parsed = useMemo(() => {
+    if (!source) return null;
+    try {
+      const raw = activeFormat === 'csv'
+        ? parseCsvTables(source.text, edgeSource?.text)
+        : parseGraphFile(source.text, activeFormat);
+      return { raw };
+    } catch (error) {
+      return { error: error.message };
+    }
+  }, [source, edgeSource, activeFormat]);
+  const raw = parsed?.raw || null;
+
+  // A newly parsed source starts from guessed mappings and default conflict handling
+  const [prevRaw, setPrevRaw] = useState(null);
+  if (raw !== prevRaw) {
+    setPrevRaw(raw);
+    setMapping(raw ? suggestMapping(raw) : null);
+    setResolutions({});
+  }
+
+  const imported = useMemo(() => (
+    raw && mapping ? mapImport(raw, mapping, { clusters: data.clusters, defaultCluster, createClusters }) : null
+  ), [raw, mapping, data.clusters, defaultCluster, createClusters]);
+
+  const plan = useMemo(() => (imported ? planMerge(data, imported) : null), [data, imported]);
+
+  const merge = useMemo(() => (
+    imported ? applyMerge(data, imported, { resolution, resolutions }) : null
+  ), [data, imported, resolution, resolutions]);
+
+  const validation = useMemo(() => (merge ? validateEdit(data, merge.changes) : null), [data, merge]);
+
+  const handleSourceFile = (e) => {
+    readFile(e)
+      .then(file => {
+        setSource(file);
+        setResult(null);
+      })
+      .catch(error => debug.error('Failed to read import file:', error));
+  };
+
+  const handleEdgeFile = (e) => {
+    readFile(e)
+      .then(setEdgeSource)
+      .catch(error => debug.error('Failed to read edge table:', error));
+  };
+
+  const setMappingField = (collection, key, value) => {
+    setMapping(prev => ({ ...prev, [collection]: { ...prev[collection], [key]: value } }));
+  };
+
+  const handleApply = () => {
+    onDataUpdate(merge.changes, null, `Import ${source.name}`);
+    setResult(merge.summary);
+    setSource(null);
+    setEdgeSource(null);
+  };
+
+  const renderMapping = (collection, fields, sourceFields) => (
+    <div className={styles.mapping}>
+      {fields.map(({ key, label }) => (
+        <label key={key} className={forms.field}>
+          {label}
+          <select
+            value={mapping[collection][key]}
+            onChange={(e) => setMappingField(collection, key, e.target.value)}
+          >
+            <option value="">— none —</option>
+            {sourceFields.map(name => <option key={name} value={name}>{name}</option>)}
+          </select>
+        </label>
+      ))}
+    </div>
+  );
+
+  return (
+    <div className={forms.editor}>
+      <div className={forms.form}>
+        <section className={styles.step}>
+          <h4>1. Source</h4>
+          <label className={forms.field}>
+            Format
+            <select value={format} onChange={(e) => setFormat(e.target.value)}>
+              <option value="auto">Detect from file</option>
+              {Object.entries(IMPORT_FORMATS).map(([key, { label }]) => (
+                <option key={key} value={key}>{label}</option>
+              ))}
+            </select>
+          </label>
+          <label className={forms.field}>
+            {activeFormat === 'csv' ? 'Node table' : 'Graph file'}
+            <input type="file" accept={ACCEPT} onChange={handleSourceFile} />
+          </label>
+          {activeFormat === 'csv' && (
+            <label className={forms.field}>
+              Edge table (optional)
+              <input type="file" accept=".csv,.tsv,.txt" onChange={handleEdgeFile} />
+            </label>
+          )}
+          {parsed?.error && <ul className={forms.errorList}><li>{parsed.error}</li></ul>}
+          {raw && (
+            <div className={styles.detected}>
+              {IMPORT_FORMATS[raw.format].label} · {raw.nodes.length} nodes · {raw.edges.length} edges
+            </div>
+          )}
+          {result && (
+            <div className={styles.detected}>
+              Imported: {result.added} added, {result.replaced + result.merged} updated, {result.renamed} copied, {result.edgesAdded} edges
+            </div>
+          )}
+        </section>
+
+        {raw && mapping && (
+          <section className={styles.step}>
+            <h4>2. Map fields</h4>
+            {renderMapping('nodes', NODE_IMPORT_FIELDS, raw.nodeFields)}
+            {raw.edgeFields.length > 0 && (
+              <>
+                <h5>Edges</h5>
+                {renderMapping('edges', EDGE_IMPORT_FIELDS, raw.edgeFields)}
+              </>
+            )}
+            <div className={forms.fieldRow}>
+              <label className={forms.field}>
+                Default cluster
+                <select value={defaultCluster} onChange={(e) => setDefaultCluster(e.target.value)}>
+                  {Object.entries(data.clusters).map(([key, cluster]) => (
+                    <option key={key} value={key}>{cluster.label}</option>
+                  ))}
+                </select>
+              </label>
+            </div>
+            <label className={styles.checkbox}>
+              <input type="checkbox" checked={createClusters} onChange={() => setCreateClusters(!createClusters)} />
+              Create clusters for unknown values
+            </label>
+          </section>
+        )}
+
+        {merge && (
+          <section className={styles.step}>
+            <h4>3. Preview</h4>
+            <ul className={styles.summary}>
+              <li>{plan.added.length} new nodes{merge.summary.positioned > 0 && ` (${merge.summary.positioned} placed automatically)`}</li>
+              <li>{plan.conflicts.length} existing ids with changes · {plan.unchanged.length} identical</li>
+              <li>{merge.summary.edgesAdded} new edges · {merge.summary.edgesDuplicate} duplicates · {merge.summary.edgesSkipped} skipped</li>
+              {merge.summary.clustersAdded > 0 && <li>{merge.summary.clustersAdded} new clusters</li>}
+            </ul>
+
+            {imported.warnings.length > 0 && (
+              <ul className={styles.warnings}>
+                {imported.warnings.slice(0, MAX_LISTED_ISSUES).map(warning => <li key={warning}>{warning}</li>)}
+              </ul>
+            )}
+
+            {plan.conflicts.length > 0 && (
+              <>
+                <label className={forms.field}>
+                  Duplicate ids
+                  <select value={resolution} onChange={(e) => setResolution(e.target.value)}>
+                    {Object.entries(CONFLICT_RESOLUTIONS).map(([key, label]) => (
+                      <option key={key} value={key}>{label}</option>
+                    ))}
+                  </select>
+                </label>
+                <ul className={styles.conflicts}>
+                  {plan.conflicts.map(conflict => (
+                    <li key={conflict.id} className={styles.conflict}>
+                      <div className={styles.conflictInfo}>
+                        <span>{conflict.existing.label}</span>
+                        <span className={forms.listMeta}>{conflict.fields.join(', ')}</span>
+                      </div>
+                      <select
+                        value={resolutions[conflict.id] || resolution}
+                        onChange={(e) => setResolutions(prev => ({ ...prev, [conflict.id]: e.target.value }))}
+                        aria-label={`Resolve ${conflict.id}`}
+                      >
+                        {Object.entries(CONFLICT_RESOLUTIONS).map(([key, label]) => (
+                          <option key={key} value={key}>{label}</option>
+                        ))}
+                      </select>
+                    </li>
+                  ))}
+                </ul>
+              </>
+            )}
+
+            {validation.valid ? (
+              <div className={styles.valid}>✓ Passes validation</div>
+            ) : (
+              <ul className={forms.errorList}>
+                {validation.errors.slice(0, MAX_LISTED_ISSUES).map(issue => (
+                  <li key={`${issue.code} ${issue.path}`}>{issue.path}: {issue.message}</li>
+                ))}
+                {validation.errors.length > MAX_LISTED_ISSUES && (
+                  <li>…and {validation.errors.length - MAX_LISTED_ISSUES} more</li>
+                )}
+              </ul>
+            )}
+          </section>
+        )}
+      </div>
+
+      <div className={forms.toolbar}>
+        <button
+          className={`${forms.btn} ${forms.primary}`}
+          onClick={handleApply}
+          disabled={!merge || !validation.valid}
+        >
+          Import
+        </button>
+      </div>
+    </div>
+  );
+});
+
+ImportWizard.displayName = 'ImportWizard';
+
+export default ImportWizard;
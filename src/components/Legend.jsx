@@ -1,7 +1,7 @@
 import React, { useMemo } from 'react';
 import styles from '../styles/components/Legend.module.css';
 
-const Legend = React.memo(({ clusters, onFocusCluster, hiddenClusters, onToggleCluster, defaultCollapsed = false }) => {
+const Legend = React.memo(({ clusters, onFocusCluster, hiddenClusters, onToggleCluster, onToggleLock, defaultCollapsed = false }) => {
   const [isCollapsed, setIsCollapsed] = React.useState(defaultCollapsed);
 
   const clusterEntries = useMemo(() => {
@@ -26,7 +26,7 @@ const Legend = React.memo(({ clusters, onFocusCluster, hiddenClusters, onToggleC
                     <div
                         key={id}
                         className={`${styles.legendItem} ${isHidden ? styles.hidden : ''}`}
-                        title="Click name to focus, Eye to toggle visibility"
+                        title="Click name to focus, Eye to toggle visibility, Lock to hold the cluster in place"
                     >
                         <div 
                             className={styles.visibilityToggle}
@@ -51,6 +51,21 @@ const Legend = React.memo(({ clusters, onFocusCluster, hiddenClusters, onToggleC
                             />
                             <span>{cluster.label}</span>
                         </div>
+
+                        {onToggleLock && (
+                            <button
+                                className={`${styles.lockToggle} ${cluster.locked ? styles.locked : ''}`}
+                                onClick={(e) => {
+                                    e.stopPropagation();
+                                    onToggleLock(id);
+                                }}
+                                aria-pressed={Boolean(cluster.locked)}
+                                aria-label={`${cluster.locked ? 'Unlock' : 'Lock'} ${cluster.label}`}
+                                title={cluster.locked ? 'Unlock: let the layout move this cluster again' : 'Lock: keep this cluster in place and drag it as one group'}
+                            >
+                                {cluster.locked ? '🔒' : '🔓'}
+                            </button>
+                        )}
                     </div>
                 );
             })}
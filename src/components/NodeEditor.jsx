@@ -0,0 +1,233 @@
+import React, { useState, useMemo } from 'react';
+import styles from '../styles/components/DataForms.module.css';
+import SafeHTML from './SafeHTML';
+import { searchNodes } from '../utils/nodeSearch';
+import { NODE_STATUSES } from '../utils/dataValidation';
+import { nodeToForm, formToNode, createNodeId, validateEdit } from '../utils/dataEditing';
+
+// Rows rendered in the node list; searching narrows it down further
+const MAX_LIST_ROWS = 100;
+
+const FIELDS = [
+  { key: 'year', label: 'Year', type: 'number', placeholder: 'Undated', hint: 'Negative for BCE' },
+  { key: 'maturity', label: 'Maturity', type: 'number', placeholder: '0–100' },
+  { key: 'contributors', label: 'Contributors', placeholder: 'Comma separated' },
+  { key: 'technologies', label: 'Technologies', placeholder: 'Comma separated' },
+  { key: 'wikiUrl', label: 'Wiki URL', type: 'url', placeholder: 'https://' },
+];
+
+/**
+ * Searchable node list with a form for the selected or new node.
+ * `request` opens a node from outside: `{ kind: 'new', x, y }` or `{ kind: 'edit', nodeId }`.
+ */
+const NodeEditor = React.memo(({ data, onDataUpdate, request }) => {
+  const [term, setTerm] = useState('');
+  const [draft, setDraft] = useState(null); // { base, form, isNew }
+  const [errors, setErrors] = useState(null);
+  const [prevRequest, setPrevRequest] = useState(null);
+
+  const defaultCluster = Object.keys(data.clusters)[0] || '';
+
+  // Rows of a filtered list are scored copies from searchNodes; edit the stored record instead
+  const openNode = (node) => {
+    const record = data.nodes.find(n => n.id === node.id) || node;
+    setDraft({ base: record, form: nodeToForm(record), isNew: false });
+    setErrors(null);
+  };
+
+  const openNew = (x = 0, y = 0) => {
+    setDraft({ base: { x: Math.round(x), y: Math.round(y) }, form: nodeToForm({ cluster: defaultCluster }), isNew: true });
+    setErrors(null);
+  };
+
+  // Requests from the canvas or the detail panel replace the current draft
+  if (request !== prevRequest) {
+    setPrevRequest(request);
+    if (request?.kind === 'new') openNew(request.x, request.y);
+    if (request?.kind === 'edit') {
+      const node = data.nodes.find(n => n.id === request.nodeId);
+      if (node) openNode(node);
+    }
+  }
+
+  const listed = useMemo(() => (
+    term.trim()
+      ? searchNodes(data.nodes, term, data.clusters, MAX_LIST_ROWS)
+      : data.nodes.slice(0, MAX_LIST_ROWS)
+  ), [data.nodes, data.clusters, term]);
+
+  const setField = (key, value) => {
+    setDraft(prev => ({ ...prev, form: { ...prev.form, [key]: value } }));
+  };
+
+  const handleSave = () => {
+    const { base, form, isNew } = draft;
+    const id = isNew ? createNodeId(form.label, data.nodes.map(n => n.id)) : base.id;
+    const node = formToNode(form, { ...base, id });
+    const index = isNew ? data.nodes.length : data.nodes.findIndex(n => n.id === base.id);
+    const nodes = isNew ? [...data.nodes, node] : data.nodes.map((n, i) => (i === index ? node : n));
+
+    const result = validateEdit(data, { nodes });
+    if (!result.valid) {
+      // Map `nodes[i].field` paths back onto the form
+      const prefix = `nodes[${index}].`;
+      const fields = {};
+      const other = [];
+      Object.entries(result.fieldErrors).forEach(([path, message]) => {
+        if (path.startsWith(prefix)) fields[path.slice(prefix.length).split(/[.[]/)[0]] = message;
+        else other.push(`${path} ${message}`);
+      });
+      setErrors({ fields, other });
+      return;
+    }
+
+    onDataUpdate('nodes', nodes, `${isNew ? 'Add' : 'Edit'} node "${node.label}"`);
+    openNode(node);
+  };
+
+  const handleDelete = () => {
+    const { base } = draft;
+    const edges = data.edges.filter(e => e.source !== base.id && e.target !== base.id);
+    const removed = data.edges.length - edges.length;
+    if (!window.confirm(`Delete "${base.label}"${removed ? ` and its ${removed} connections` : ''}?`)) return;
+
+    // One history entry, so undo restores the node together with its connections
+    onDataUpdate({ nodes: data.nodes.filter(n => n.id !== base.id), edges }, null, `Delete node "${base.label}"`);
+    setDraft(null);
+  };
+
+  const fieldError = (key) => errors?.fields[key] && (
+    <span className={styles.fieldError}>{errors.fields[key]}</span>
+  );
+
+  if (draft) {
+    const { form, isNew, base } = draft;
+    return (
+      <div className={styles.editor}>
+        <div className={styles.formHeader}>
+          <button className={styles.linkBtn} onClick={() => setDraft(null)}>← All nodes</button>
+          <span className={styles.formTitle}>
+            {isNew ? `New node at (${base.x}, ${base.y})` : base.id}
+          </span>
+        </div>
+
+        <div className={styles.form}>
+          <label className={styles.field}>
+            Label
+            <input
+              type="text"
+              value={form.label}
+              onChange={(e) => setField('label', e.target.value)}
+              autoFocus={isNew}
+            />
+            {fieldError('label')}
+          </label>
+
+          <div className={styles.fieldRow}>
+            <label className={styles.field}>
+              Cluster
+              <select value={form.cluster} onChange={(e) => setField('cluster', e.target.value)}>
+                {Object.entries(data.clusters).map(([key, cluster]) => (
+                  <option key={key} value={key}>{cluster.label}</option>
+                ))}
+              </select>
+              {fieldError('cluster')}
+            </label>
+            <label className={styles.field}>
+              Status
+              <select value={form.status} onChange={(e) => setField('status', e.target.value)}>
+                {NODE_STATUSES.map(status => <option key={status} value={status}>{status}</option>)}
+              </select>
+              {fieldError('status')}
+            </label>
+          </div>
+
+          {FIELDS.map(field => (
+            <label key={field.key} className={styles.field}>
+              {field.label}
+              <input
+                type={field.type || 'text'}
+                value={form[field.key]}
+                placeholder={field.placeholder}
+                title={field.hint}
+                onChange={(e) => setField(field.key, e.target.value)}
+              />
+              {fieldError(field.key)}
+            </label>
+          ))}
+
+          <label className={styles.field}>
+            Description
+            <textarea
+              rows={5}
+              value={form.description}
+              onChange={(e) => setField('description', e.target.value)}
+            />
+            {fieldError('description')}
+            {/* Preview as readers will see it, listing any markup that gets stripped */}
+            <SafeHTML html={form.description} className={styles.preview} showRemoved />
+          </label>
+
+          {errors?.other.length > 0 && (
+            <ul className={styles.errorList}>
+              {errors.other.map(message => <li key={message}>{message}</li>)}
+            </ul>
+          )}
+        </div>
+
+        <div className={styles.toolbar}>
+          <button className={`${styles.btn} ${styles.primary}`} onClick={handleSave} disabled={!form.label.trim()}>
+            {isNew ? 'Add Node' : 'Save'}
+          </button>
+          {isNew ? (
+            <button className={styles.btn} onClick={() => setDraft(null)}>Cancel</button>
+          ) : (
+            <>
+              <button className={styles.btn} onClick={() => openNode(base)}>Revert</button>
+              <button className={`${styles.btn} ${styles.danger}`} onClick={handleDelete}>Delete</button>
+            </>
+          )}
+        </div>
+      </div>
+    );
+  }
+
+  return (
+    <div className={styles.editor}>
+      <div className={styles.toolbar}>
+        <input
+          type="search"
+          className={styles.search}
+          placeholder={`Search ${data.nodes.length} nodes...`}
+          value={term}
+          onChange={(e) => setTerm(e.target.value)}
+          aria-label="Search nodes"
+        />
+        <button className={`${styles.btn} ${styles.primary}`} onClick={() => openNew()}>+ New</button>
+      </div>
+
+      <ul className={styles.list}>
+        {listed.map(node => (
+          <li key={node.id}>
+            <button className={styles.listItem} onClick={() => openNode(node)}>
+              <span className={styles.dot} style={{ backgroundColor: data.clusters[node.cluster]?.color }} />
+              <span className={styles.listLabel}>{node.label}</span>
+              <span className={styles.listMeta}>{node.id}</span>
+            </button>
+          </li>
+        ))}
+      </ul>
+
+      <div className={styles.statusBar}>
+        {!term.trim() && listed.length < data.nodes.length
+          ? `Showing ${listed.length} of ${data.nodes.length} · search to narrow`
+          : `${listed.length} nodes`}
+        <span>Right-click the canvas to add a node there</span>
+      </div>
+    </div>
+  );
+});
+
+NodeEditor.displayName = 'NodeEditor';
+
+export default NodeEditor;
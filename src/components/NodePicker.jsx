@@ -0,0 +1,71 @@
+import React, { useState, useMemo } from 'react';
+import styles from '../styles/components/NodePicker.module.css';
+import { searchNodes } from '../utils/nodeSearch';
+
+/**
+ * Search-as-you-type node picker using the search bar's scoring
+ */
+const NodePicker = React.memo(({ id, label, value, nodes, clusters, onChange, limit = 6 }) => {
+  const [term, setTerm] = useState('');
+  const [isOpen, setIsOpen] = useState(false);
+  const results = useMemo(() => searchNodes(nodes, term, clusters, limit), [nodes, term, clusters, limit]);
+
+  const handleSelect = (node) => {
+    onChange(node);
+    setTerm('');
+    setIsOpen(false);
+  };
+
+  return (
+    <div className={styles.picker}>
+      <label htmlFor={id}>{label}</label>
+      <input
+        id={id}
+        name={id}
+        type="text"
+        className={styles.pickerInput}
+        placeholder={value ? value.label : 'Search innovations...'}
+        value={term}
+        autoComplete="off"
+        onChange={(e) => {
+          setTerm(e.target.value);
+          setIsOpen(true);
+        }}
+        onFocus={() => setIsOpen(true)}
+        onBlur={() => setTimeout(() => setIsOpen(false), 200)}
+        onKeyDown={(e) => {
+          if (e.key === 'Enter' && results[0]) {
+            e.preventDefault();
+            handleSelect(results[0]);
+          }
+          if (e.key === 'Escape') setIsOpen(false);
+        }}
+      />
+      {value && !term && (
+        <span className={styles.pickerValue} style={{ borderColor: clusters[value.cluster]?.color }}>
+          {value.label}
+        </span>
+      )}
+      {isOpen && results.length > 0 && (
+        <div className={styles.pickerResults} role="listbox">
+          {results.map(node => (
+            <div
+              key={node.id}
+              role="option"
+              aria-selected={value?.id === node.id}
+              className={styles.pickerResult}
+              onMouseDown={() => handleSelect(node)}
+            >
+              <span className={styles.dot} style={{ backgroundColor: clusters[node.cluster]?.color }} />
+              {node.label}
+            </div>
+          ))}
+        </div>
+      )}
+    </div>
+  );
+});
+
+NodePicker.displayName = 'NodePicker';
+
+export default NodePicker;
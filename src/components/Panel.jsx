@@ -1,11 +1,34 @@
 import React, { useState } from 'react';
 import ClusterView from './ClusterView';
 import DataEditor from './DataEditor';
+import NodeEditor from './NodeEditor';
+import EdgeEditor from './EdgeEditor';
+import ChangeLog from './ChangeLog';
+import ImportWizard from './ImportWizard';
 import styles from '../styles/components/Panel.module.css';
 
-const Panel = React.memo(({ data, onDataUpdate }) => {
+const TABS = [
+  { id: 'clusters', label: 'Clusters' },
+  { id: 'nodes', label: 'Nodes' },
+  { id: 'edges', label: 'Edges' },
+  { id: 'editor', label: 'Raw JSON' },
+  { id: 'import', label: 'Import' },
+  { id: 'history', label: 'History' },
+];
+
+const Panel = React.memo(({ data, onDataUpdate, editorRequest = null, history }) => {
   const [activeTab, setActiveTab] = useState('clusters');
   const [isCollapsed, setIsCollapsed] = useState(true);
+  const [prevRequest, setPrevRequest] = useState(null);
+
+  // Adding or editing a node from elsewhere opens the node form
+  if (editorRequest !== prevRequest) {
+    setPrevRequest(editorRequest);
+    if (editorRequest) {
+      setIsCollapsed(false);
+      setActiveTab('nodes');
+    }
+  }
 
   return (
     <div className={`${styles.panel} ${isCollapsed ? styles.collapsed : ''}`}>
@@ -20,18 +43,15 @@ const Panel = React.memo(({ data, onDataUpdate }) => {
       {!isCollapsed && (
         <>
             <div className={styles.panelTabs}>
-                <button
-                className={`${styles.panelTab} ${activeTab === 'clusters' ? styles.active : ''}`}
-                onClick={() => setActiveTab('clusters')}
-                >
-                Clusters
-                </button>
-                <button
-                className={`${styles.panelTab} ${activeTab === 'editor' ? styles.active : ''}`}
-                onClick={() => setActiveTab('editor')}
-                >
-                Data Editor
-                </button>
+                {TABS.map(tab => (
+                  <button
+                  key={tab.id}
+                  className={`${styles.panelTab} ${activeTab === tab.id ? styles.active : ''}`}
+                  onClick={() => setActiveTab(tab.id)}
+                  >
+                  {tab.label}
+                  </button>
+                ))}
             </div>
 
             <div className={styles.tabView} style={{ display: activeTab === 'clusters' ? 'block' : 'none' }}>
@@ -41,12 +61,40 @@ const Panel = React.memo(({ data, onDataUpdate }) => {
                 />
             </div>
 
+            <div className={styles.tabView} style={{ display: activeTab === 'nodes' ? 'block' : 'none' }}>
+                <NodeEditor
+                data={data}
+                onDataUpdate={onDataUpdate}
+                request={editorRequest}
+                />
+            </div>
+
+            <div className={styles.tabView} style={{ display: activeTab === 'edges' ? 'block' : 'none' }}>
+                <EdgeEditor
+                data={data}
+                onDataUpdate={onDataUpdate}
+                />
+            </div>
+
             <div className={styles.tabView} style={{ display: activeTab === 'editor' ? 'block' : 'none' }}>
                 <DataEditor
                 data={data}
                 onDataUpdate={onDataUpdate}
                 />
             </div>
+
+            <div className={styles.tabView} style={{ display: activeTab === 'import' ? 'block' : 'none' }}>
+                <ImportWizard
+                data={data}
+                onDataUpdate={onDataUpdate}
+                />
+            </div>
+
+            {history && (
+              <div className={styles.tabView} style={{ display: activeTab === 'history' ? 'block' : 'none' }}>
+                  <ChangeLog history={history} />
+              </div>
+            )}
         </>
       )}
     </div>
@@ -0,0 +1,178 @@
+import React, { useState, useMemo, useEffect } from 'react';
+import styles from '../styles/components/PathExplorer.module.css';
+import NodePicker from './NodePicker';
+import { findShortestPath, findKShortestPaths, findStrongestPath } from '../utils/pathFinding';
+
+const STRATEGIES = [
+  { id: 'shortest', label: 'Shortest', title: 'Fewest hops' },
+  { id: 'k-shortest', label: 'Alternatives', title: 'The k shortest distinct routes' },
+  { id: 'strongest', label: 'Strongest', title: 'Prefers the heaviest dependencies' },
+];
+
+const K_OPTIONS = [3, 5, 8];
+
+// Narrative snippets are cut to the first sentence or this many characters
+const SNIPPET_LENGTH = 180;
+
+const firstSentence = (text) => {
+  if (!text) return '';
+  const plain = text.replace(/\s+/g, ' ').trim();
+  const end = plain.search(/[.!?](\s|$)/);
+  const sentence = end === -1 ? plain : plain.slice(0, end + 1);
+  return sentence.length > SNIPPET_LENGTH ? `${sentence.slice(0, SNIPPET_LENGTH - 1)}…` : sentence;
+};
+
+const PathExplorer = React.memo(({ nodes, edges, clusters, initialPath = null, onPathChange, onNodeSelect, onClose }) => {
+  // A route already on the canvas (e.g. from a link) seeds the endpoints
+  const [from, setFrom] = useState(() => nodes.find(n => n.id === initialPath?.nodes[0]) || null);
+  const [to, setTo] = useState(() => nodes.find(n => n.id === initialPath?.nodes[initialPath.nodes.length - 1]) || null);
+  const [strategy, setStrategy] = useState('shortest');
+  const [k, setK] = useState(3);
+  const [ignoreDirection, setIgnoreDirection] = useState(false);
+  const [selectedIndex, setSelectedIndex] = useState(0);
+
+  const nodeById = useMemo(() => new Map(nodes.map(n => [n.id, n])), [nodes]);
+
+  const paths = useMemo(() => {
+    if (!from || !to || from.id === to.id) return [];
+    const options = { directed: !ignoreDirection };
+    if (strategy === 'k-shortest') return findKShortestPaths(nodes, edges, from.id, to.id, k, options);
+    const path = strategy === 'strongest'
+      ? findStrongestPath(nodes, edges, from.id, to.id, options)
+      : findShortestPath(nodes, edges, from.id, to.id, options);
+    return path ? [path] : [];
+  }, [nodes, edges, from, to, strategy, k, ignoreDirection]);
+
+  const activePath = paths[Math.min(selectedIndex, paths.length - 1)] || null;
+
+  // Propagate the chosen path to the canvas
+  useEffect(() => {
+    if (onPathChange) onPathChange(activePath);
+  }, [activePath, onPathChange]);
+
+  // Clear the canvas highlight when the explorer closes
+  useEffect(() => () => onPathChange?.(null), [onPathChange]);
+
+  const resetSelection = (update) => (value) => {
+    update(value);
+    setSelectedIndex(0);
+  };
+
+  const handleSwap = () => {
+    setFrom(to);
+    setTo(from);
+    setSelectedIndex(0);
+  };
+
+  const renderNodeName = (id) => {
+    const node = nodeById.get(id);
+    return (
+      <button className={styles.nodeLink} onClick={() => node && onNodeSelect?.(node)}>
+        <span className={styles.dot} style={{ backgroundColor: clusters[node?.cluster]?.color }} />
+        {node?.label || id}
+      </button>
+    );
+  };
+
+  return (
+    <div className={styles.explorer}>
+      <div className={styles.header}>
+        <h3>Path Explorer</h3>
+        <button className={styles.closeBtn} onClick={onClose} aria-label="Close path explorer">×</button>
+      </div>
+
+      <div className={styles.endpoints}>
+        <NodePicker id="path-from" label="From" value={from} nodes={nodes} clusters={clusters} onChange={resetSelection(setFrom)} />
+        <button className={styles.swapBtn} onClick={handleSwap} title="Swap start and goal">⇅</button>
+        <NodePicker id="path-to" label="To" value={to} nodes={nodes} clusters={clusters} onChange={resetSelection(setTo)} />
+      </div>
+
+      <div className={styles.strategies}>
+        {STRATEGIES.map(option => (
+          <button
+            key={option.id}
+            className={`${styles.strategyBtn} ${strategy === option.id ? styles.active : ''}`}
+            onClick={() => resetSelection(setStrategy)(option.id)}
+            title={option.title}
+          >
+            {option.label}
+          </button>
+        ))}
+      </div>
+
+      <div className={styles.options}>
+        <label className={styles.option}>
+          <input
+            type="checkbox"
+            checked={ignoreDirection}
+            onChange={() => resetSelection(setIgnoreDirection)(!ignoreDirection)}
+          />
+          Ignore edge direction
+        </label>
+        {strategy === 'k-shortest' && (
+          <label className={styles.option}>
+            Routes
+            <select value={k} onChange={(e) => resetSelection(setK)(Number(e.target.value))}>
+              {K_OPTIONS.map(value => <option key={value} value={value}>{value}</option>)}
+            </select>
+          </label>
+        )}
+      </div>
+
+      {from && to && paths.length === 0 && (
+        <div className={styles.empty}>
+          {from.id === to.id
+            ? 'Pick two different innovations.'
+            : `No route from ${from.label} to ${to.label}${ignoreDirection ? '' : '. Try ignoring edge direction'}.`}
+        </div>
+      )}
+
+      {paths.length > 1 && (
+        <div className={styles.routes}>
+          {paths.map((path, index) => (
+            <button
+              key={path.nodes.join('>')}
+              className={`${styles.route} ${path === activePath ? styles.active : ''}`}
+              onClick={() => setSelectedIndex(index)}
+            >
+              #{index + 1} · {path.hops} hops · weight {path.totalWeight}
+            </button>
+          ))}
+        </div>
+      )}
+
+      {activePath && (
+        <ol className={styles.narrative}>
+          <li className={styles.step}>
+            <div className={styles.stepHeader}>{renderNodeName(activePath.nodes[0])}</div>
+            <p>{firstSentence(nodeById.get(activePath.nodes[0])?.description)}</p>
+          </li>
+          {activePath.edges.map((edge, hop) => {
+            const targetId = activePath.nodes[hop + 1];
+            const reversed = edge.target !== targetId;
+            return (
+              <li key={`${hop}-${targetId}`} className={styles.step}>
+                <div className={styles.hopMeta}>
+                  {reversed ? '↑' : '↓'} {edge.type} · weight {edge.weight ?? 1}
+                  {reversed && ' · against edge direction'}
+                </div>
+                <div className={styles.stepHeader}>{renderNodeName(targetId)}</div>
+                <p>{firstSentence(nodeById.get(targetId)?.description)}</p>
+              </li>
+            );
+          })}
+        </ol>
+      )}
+
+      {activePath && (
+        <div className={styles.summary}>
+          {activePath.hops} hops · total weight {activePath.totalWeight}
+        </div>
+      )}
+    </div>
+  );
+});
+
+PathExplorer.displayName = 'PathExplorer';
+
+export default PathExplorer;
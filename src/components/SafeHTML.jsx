@@ -0,0 +1,36 @@
+import React, { useMemo } from 'react';
+import styles from '../styles/components/SafeHTML.module.css';
+import { sanitizeHTMLWithReport, describeRemoved } from '../config/security';
+
+/**
+ * The one place description HTML reaches the DOM. Content is sanitised with
+ * SANITIZE_CONFIG, links are limited to SAFE_URL_SCHEMES and get rel="noopener".
+ * With showRemoved, whatever was stripped is listed below the content.
+ * @param {Object} props
+ * @param {string|{body: string}} props.html - Untrusted HTML, or a descriptions.json entry
+ * @param {string} [props.className]
+ * @param {boolean} [props.showRemoved] - List stripped markup (for editors)
+ */
+const SafeHTML = React.memo(({ html, className, showRemoved = false }) => {
+  const { html: clean, removed } = useMemo(
+    () => sanitizeHTMLWithReport(typeof html === 'object' && html !== null ? html.body : html),
+    [html]
+  );
+
+  if (!clean && !(showRemoved && removed.length)) return null;
+
+  return (
+    <>
+      <div className={className} dangerouslySetInnerHTML={{ __html: clean }} />
+      {showRemoved && removed.length > 0 && (
+        <div className={styles.removed} role="note">
+          Removed unsafe content: {removed.map(describeRemoved).join(', ')}
+        </div>
+      )}
+    </>
+  );
+});
+
+SafeHTML.displayName = 'SafeHTML';
+
+export default SafeHTML;
@@ -1,82 +1,104 @@
-import React, { useState, useMemo, useCallback } from 'react';
+import React, { useState, useMemo, useCallback, useEffect } from 'react';
 import styles from '../styles/components/SearchBar.module.css';
+import { tokenize } from '../search/tokenize.js';
+import { EMPTY_RESULT } from '../search/SearchEngine.js';
+import { debug } from '../config/env';
 
-/**
- * Calculate fuzzy match score (higher = better match)
- */
-const calculateMatchScore = (text, term) => {
-  const t = text.toLowerCase();
-  const s = term.toLowerCase();
-
-  // Exact match = highest score
-  if (t === s) return 100;
-  // Starts with = high score
-  if (t.startsWith(s)) return 80;
-  // Contains = medium score
-  if (t.includes(s)) return 50;
-
-  return 0;
-};
+const PAGE_SIZE = 8;
 
 /**
- * Highlight matching text in label
+ * Highlight words whose stem is one of the matched index terms
  */
-const highlightMatch = (text, term) => {
-  if (!term) return text;
-
-  const regex = new RegExp(`(${term.replace(/[.*+?^${}()|[\]\\]/g, '\\$&')})`, 'gi');
-  const parts = text.split(regex);
+const highlightMatch = (text, terms) => {
+  if (!terms || terms.length === 0) return text;
 
-  return parts.map((part, i) =>
-    regex.test(part)
+  const matched = new Set(terms);
+  return text.split(/([A-Za-z0-9\u00c0-\u024f]+)/).map((part, i) =>
+    matched.has(tokenize(part)[0])
       ? <mark key={i} className={styles.highlight}>{part}</mark>
       : part
   );
 };
 
-const SearchBar = React.memo(({ nodes, onNodeSelect, clusters, inputRef, onSearchChange }) => {
-  const [searchTerm, setSearchTerm] = useState('');
+const SearchBar = React.memo(({ nodes, onNodeSelect, clusters, searchIndex, inputRef, onSearchChange, restoreTerm = null }) => {
+  const [searchTerm, setSearchTerm] = useState(restoreTerm?.term || '');
   const [isOpen, setIsOpen] = useState(false);
   const [selectedIndex, setSelectedIndex] = useState(0);
+  const [page, setPage] = useState(1);
+  const [response, setResponse] = useState(null); // { term, result } of the latest answered query
 
-  const filteredNodes = useMemo(() => {
-    if (!searchTerm.trim()) return [];
+  const nodesById = useMemo(() => new Map(nodes.map(n => [n.id, n])), [nodes]);
 
-    const term = searchTerm.toLowerCase();
-
-    return nodes
-      .map(node => {
-        const labelScore = calculateMatchScore(node.label, term);
-        const idScore = calculateMatchScore(node.id, term) * 0.8;
-        const clusterScore = calculateMatchScore(clusters[node.cluster]?.label || '', term) * 0.5;
-        const score = Math.max(labelScore, idScore, clusterScore);
-        return { ...node, score };
+  // Queries run in the search worker, once per term and over every node; an answer for an outdated query is dropped
+  useEffect(() => {
+    if (!searchTerm.trim()) return;
+    let cancelled = false;
+    searchIndex.search(searchTerm, { pageSize: Number.MAX_SAFE_INTEGER })
+      .then(result => {
+        if (!cancelled) setResponse({ term: searchTerm, result });
       })
-      .filter(node => node.score > 0)
-      .sort((a, b) => b.score - a.score)
-      .slice(0, 10);
-  }, [searchTerm, nodes, clusters]);
+      .catch(error => debug.error('Search failed:', error));
+    return () => { cancelled = true; };
+  }, [searchTerm, searchIndex]);
+
+  // Visibility and paging are applied here, so timeline playback (new visible nodes every frame) never re-queries.
+  // Keep showing the previous answer while the next one is on its way
+  const result = useMemo(() => {
+    if (!searchTerm.trim() || !response) return EMPTY_RESULT;
+    const visible = response.result.hits.filter(hit => nodesById.has(hit.id));
+    const pageCount = Math.max(1, Math.ceil(visible.length / PAGE_SIZE));
+    const current = Math.min(Math.max(1, page), pageCount);
+    return {
+      total: visible.length,
+      page: current,
+      pageSize: PAGE_SIZE,
+      pageCount,
+      hits: visible.slice((current - 1) * PAGE_SIZE, current * PAGE_SIZE),
+      ids: visible.map(hit => hit.id),
+    };
+  }, [searchTerm, response, nodesById, page]);
+  const isAnswered = response?.term === searchTerm;
+  const hits = useMemo(
+    () => result.hits.map(hit => ({ ...hit, node: nodesById.get(hit.id) })),
+    [result, nodesById]
+  );
 
   // Propagate search state to parent for visual filtering
-  React.useEffect(() => {
+  useEffect(() => {
     if (onSearchChange) {
         onSearchChange({
             term: searchTerm,
-            matchedIds: filteredNodes.map(n => n.id)
+            matchedIds: result.ids
         });
     }
-  }, [searchTerm, filteredNodes, onSearchChange]);
+  }, [searchTerm, result, onSearchChange]);
+
+  const [isExpanded, setIsExpanded] = useState(!!restoreTerm?.term);
 
-  const [isExpanded, setIsExpanded] = useState(false);
+  // Terms restored from a link or history navigation replace what was typed
+  const [prevRestoreTerm, setPrevRestoreTerm] = useState(restoreTerm);
+  if (restoreTerm !== prevRestoreTerm) {
+    setPrevRestoreTerm(restoreTerm);
+    setSearchTerm(restoreTerm?.term || '');
+    setPage(1);
+    setIsExpanded(!!restoreTerm?.term);
+  }
 
   const handleSelect = useCallback((node) => {
     onNodeSelect(node);
     setSearchTerm('');
     setIsOpen(false);
     setSelectedIndex(0);
+    setPage(1);
     setIsExpanded(false);
   }, [onNodeSelect]);
 
+  const changePage = useCallback((next) => {
+    if (next < 1 || next > result.pageCount) return;
+    setPage(next);
+    setSelectedIndex(0);
+  }, [result.pageCount]);
+
   const handleBlur = useCallback(() => {
     // Small delay to allow click events on results/clear button
     setTimeout(() => {
@@ -89,13 +111,11 @@ const SearchBar = React.memo(({ nodes, onNodeSelect, clusters, inputRef, onSearc
 
   const handleKeyDown = useCallback((e) => {
     if (!isOpen && !isExpanded) return;
-    
-    // ... existing key logic ...
-    
+
     switch (e.key) {
       case 'ArrowDown':
         e.preventDefault();
-        setSelectedIndex(prev => Math.min(prev + 1, filteredNodes.length - 1));
+        setSelectedIndex(prev => Math.min(prev + 1, hits.length - 1));
         break;
       case 'ArrowUp':
         e.preventDefault();
@@ -103,10 +123,18 @@ const SearchBar = React.memo(({ nodes, onNodeSelect, clusters, inputRef, onSearc
         break;
       case 'Enter':
         e.preventDefault();
-        if (filteredNodes[selectedIndex]) {
-          handleSelect(filteredNodes[selectedIndex]);
+        if (hits[selectedIndex]) {
+          handleSelect(hits[selectedIndex].node);
         }
         break;
+      case 'PageDown':
+        e.preventDefault();
+        changePage(result.page + 1);
+        break;
+      case 'PageUp':
+        e.preventDefault();
+        changePage(result.page - 1);
+        break;
       case 'Escape':
         setIsOpen(false);
         setSearchTerm('');
@@ -115,7 +143,7 @@ const SearchBar = React.memo(({ nodes, onNodeSelect, clusters, inputRef, onSearc
       default:
         break;
     }
-  }, [isOpen, isExpanded, filteredNodes, selectedIndex, handleSelect]);
+  }, [isOpen, isExpanded, hits, selectedIndex, handleSelect, changePage, result.page]);
 
   return (
     <>
@@ -144,12 +172,13 @@ const SearchBar = React.memo(({ nodes, onNodeSelect, clusters, inputRef, onSearc
             name="innovation-search"
             type="text"
             className={styles.searchInput}
-            placeholder="Search innovations, clusters..."
+            placeholder="Search innovations… try cluster:bio year:<1800"
             value={searchTerm}
             onChange={(e) => {
               setSearchTerm(e.target.value);
               setIsOpen(true);
               setSelectedIndex(0);
+              setPage(1);
             }}
             onFocus={() => {
                 setIsOpen(true);
@@ -166,6 +195,7 @@ const SearchBar = React.memo(({ nodes, onNodeSelect, clusters, inputRef, onSearc
                 setSearchTerm('');
                 setIsOpen(false);
                 setSelectedIndex(0);
+                setPage(1);
                 inputRef.current?.focus();
               }}
             >
@@ -174,9 +204,9 @@ const SearchBar = React.memo(({ nodes, onNodeSelect, clusters, inputRef, onSearc
           )}
         </div>
 
-        {isOpen && filteredNodes.length > 0 && (
+        {isOpen && hits.length > 0 && (
           <div className={styles.searchResults}>
-            {filteredNodes.map((node, index) => (
+            {hits.map(({ node, terms, snippet }, index) => (
               <div
                 key={node.id}
                 className={`${styles.searchResult} ${index === selectedIndex ? styles.selected : ''}`}
@@ -184,8 +214,11 @@ const SearchBar = React.memo(({ nodes, onNodeSelect, clusters, inputRef, onSearc
                 onMouseEnter={() => setSelectedIndex(index)}
               >
                 <div className={styles.resultLabel}>
-                  {highlightMatch(node.label, searchTerm)}
+                  {highlightMatch(node.label, terms)}
                 </div>
+                {snippet && (
+                  <div className={styles.resultSnippet}>{highlightMatch(snippet, terms)}</div>
+                )}
                 <div className={styles.resultCluster}>
                   <span
                     className={styles.resultDot}
@@ -195,10 +228,34 @@ const SearchBar = React.memo(({ nodes, onNodeSelect, clusters, inputRef, onSearc
                 </div>
               </div>
             ))}
+            {result.pageCount > 1 && (
+              // mousedown would blur the input and close the results before the click lands
+              <div className={styles.pager} onMouseDown={(e) => e.preventDefault()}>
+                <button
+                  className={styles.pageBtn}
+                  onClick={() => changePage(result.page - 1)}
+                  disabled={result.page <= 1}
+                  aria-label="Previous results"
+                >
+                  ‹
+                </button>
+                <span className={styles.pageInfo}>
+                  {(result.page - 1) * result.pageSize + 1}–{(result.page - 1) * result.pageSize + result.hits.length} of {result.total}
+                </span>
+                <button
+                  className={styles.pageBtn}
+                  onClick={() => changePage(result.page + 1)}
+                  disabled={result.page >= result.pageCount}
+                  aria-label="Next results"
+                >
+                  ›
+                </button>
+              </div>
+            )}
           </div>
         )}
 
-        {isOpen && searchTerm && filteredNodes.length === 0 && (
+        {isOpen && searchTerm.trim() && isAnswered && result.total === 0 && (
           <div className={styles.searchResults}>
             <div className={styles.noResults}>
               No innovations found for "{searchTerm}"
@@ -1,5 +1,19 @@
-import React, { useMemo } from "react";
+import React, { useDeferredValue, useMemo, useState } from "react";
 import styles from "../styles/components/StatsPanel.module.css";
+import { analyzeGraph, EDGE_TYPES } from "../utils/graphAnalytics";
+
+const TABS = [
+  { id: "overview", label: "Overview" },
+  { id: "influence", label: "Influence" },
+  { id: "bridges", label: "Bridges" },
+  { id: "chains", label: "Chains" },
+  { id: "communities", label: "Groups" },
+];
+
+const topEntries = (values, count = 8) =>
+  Object.entries(values)
+    .sort(([, a], [, b]) => b - a)
+    .slice(0, count);
 
 const StatsPanel = React.memo(
   ({ nodes, edges, clusters, defaultCollapsed = false }) => {
@@ -37,6 +51,46 @@ const StatsPanel = React.memo(
     }, [nodes, edges, clusters]);
 
     const [isCollapsed, setIsCollapsed] = React.useState(defaultCollapsed);
+    const [activeTab, setActiveTab] = useState("overview");
+
+    // Analytics are costly (all-pairs paths), so only run them for an open analytics
+    // tab and let timeline playback skip intermediate years
+    const deferredNodes = useDeferredValue(nodes);
+    const deferredEdges = useDeferredValue(edges);
+    const showAnalytics = !isCollapsed && activeTab !== "overview";
+    const analytics = useMemo(
+      () =>
+        showAnalytics ? analyzeGraph(deferredNodes, deferredEdges) : null,
+      [showAnalytics, deferredNodes, deferredEdges],
+    );
+
+    const nodeById = useMemo(
+      () => new Map(deferredNodes.map((node) => [node.id, node])),
+      [deferredNodes],
+    );
+
+    const renderNodeRow = (id, value, title) => {
+      const node = nodeById.get(id);
+      if (!node) return null;
+      return (
+        <div key={id} className={styles.topNodeItem} title={title}>
+          <span
+            className={styles.nodeDot}
+            style={{ backgroundColor: clusters[node.cluster]?.color }}
+          />
+          <span className={styles.nodeName}>{node.label}</span>
+          <span className={styles.nodeCount}>{value}</span>
+        </div>
+      );
+    };
+
+    const degreeTitle = (id) => {
+      const degree = analytics?.degrees[id];
+      if (!degree) return undefined;
+      return EDGE_TYPES.map(
+        (type) => `${type}: ${degree.in[type]} in / ${degree.out[type]} out`,
+      ).join("\n");
+    };
 
     return (
       <div
@@ -53,72 +107,165 @@ const StatsPanel = React.memo(
         <div
           className={`${styles.statsContent} ${isCollapsed ? styles.hidden : ""}`}
         >
-          <div className={styles.statsGrid}>
-            <div
-              className={styles.statCard}
-              title="Total number of innovation nodes"
-            >
-              <div className={styles.statValue}>{stats.totalNodes}</div>
-              <div className={styles.statLabel}>Innovations</div>
-            </div>
-            <div className={styles.statCard} title="Total relationships">
-              <div className={styles.statValue}>{stats.totalEdges}</div>
-              <div className={styles.statLabel}>Connections</div>
-            </div>
-            <div className={styles.statCard} title="Categorized groups">
-              <div className={styles.statValue}>{stats.totalClusters}</div>
-              <div className={styles.statLabel}>Clusters</div>
-            </div>
-            <div className={styles.statCard} title="Connections per node">
-              <div className={styles.statValue}>
-                {(stats.totalEdges / stats.totalNodes).toFixed(1)}
-              </div>
-              <div className={styles.statLabel}>Density</div>
-            </div>
+          <div className={styles.tabs} role="tablist">
+            {TABS.map((tab) => (
+              <button
+                key={tab.id}
+                role="tab"
+                aria-selected={activeTab === tab.id}
+                className={`${styles.tab} ${activeTab === tab.id ? styles.activeTab : ""}`}
+                onClick={() => setActiveTab(tab.id)}
+              >
+                {tab.label}
+              </button>
+            ))}
           </div>
 
-          <div className={styles.topNodes}>
-            <h4>Most Connected</h4>
-            {stats.topNodes.map(({ node, connections }) => (
-              <div key={node.id} className={styles.topNodeItem}>
-                <span
-                  className={styles.nodeDot}
-                  style={{ backgroundColor: clusters[node.cluster]?.color }}
-                />
-                <span className={styles.nodeName}>{node.label}</span>
-                <span className={styles.nodeCount}>{connections}</span>
+          {activeTab === "overview" && (
+            <>
+              <div className={styles.statsGrid}>
+                <div
+                  className={styles.statCard}
+                  title="Total number of innovation nodes"
+                >
+                  <div className={styles.statValue}>{stats.totalNodes}</div>
+                  <div className={styles.statLabel}>Innovations</div>
+                </div>
+                <div className={styles.statCard} title="Total relationships">
+                  <div className={styles.statValue}>{stats.totalEdges}</div>
+                  <div className={styles.statLabel}>Connections</div>
+                </div>
+                <div className={styles.statCard} title="Categorized groups">
+                  <div className={styles.statValue}>{stats.totalClusters}</div>
+                  <div className={styles.statLabel}>Clusters</div>
+                </div>
+                <div className={styles.statCard} title="Connections per node">
+                  <div className={styles.statValue}>
+                    {(stats.totalEdges / stats.totalNodes).toFixed(1)}
+                  </div>
+                  <div className={styles.statLabel}>Density</div>
+                </div>
               </div>
-            ))}
-          </div>
 
-          <div className={styles.clusterDist}>
-            <h4>Cluster Distribution</h4>
-            {Object.entries(stats.clusterCounts)
-              .sort(([, a], [, b]) => b - a)
-              .map(([clusterId, count]) => (
-                <div key={clusterId} className={styles.clusterBar}>
-                  <div className={styles.clusterInfo}>
+              <div className={styles.topNodes}>
+                <h4>Most Connected</h4>
+                {stats.topNodes.map(({ node, connections }) => (
+                  <div key={node.id} className={styles.topNodeItem}>
                     <span
-                      className={styles.clusterDot}
-                      style={{ backgroundColor: clusters[clusterId]?.color }}
-                    />
-                    <span className={styles.clusterName}>
-                      {clusters[clusterId]?.label}
-                    </span>
-                  </div>
-                  <div className={styles.barContainer}>
-                    <div
-                      className={styles.bar}
-                      style={{
-                        width: `${(count / stats.totalNodes) * 100}%`,
-                        backgroundColor: clusters[clusterId]?.color,
-                      }}
+                      className={styles.nodeDot}
+                      style={{ backgroundColor: clusters[node.cluster]?.color }}
                     />
-                    <span className={styles.barLabel}>{count}</span>
+                    <span className={styles.nodeName}>{node.label}</span>
+                    <span className={styles.nodeCount}>{connections}</span>
                   </div>
-                </div>
-              ))}
-          </div>
+                ))}
+              </div>
+
+              <div className={styles.clusterDist}>
+                <h4>Cluster Distribution</h4>
+                {Object.entries(stats.clusterCounts)
+                  .sort(([, a], [, b]) => b - a)
+                  .map(([clusterId, count]) => (
+                    <div key={clusterId} className={styles.clusterBar}>
+                      <div className={styles.clusterInfo}>
+                        <span
+                          className={styles.clusterDot}
+                          style={{ backgroundColor: clusters[clusterId]?.color }}
+                        />
+                        <span className={styles.clusterName}>
+                          {clusters[clusterId]?.label}
+                        </span>
+                      </div>
+                      <div className={styles.barContainer}>
+                        <div
+                          className={styles.bar}
+                          style={{
+                            width: `${(count / stats.totalNodes) * 100}%`,
+                            backgroundColor: clusters[clusterId]?.color,
+                          }}
+                        />
+                        <span className={styles.barLabel}>{count}</span>
+                      </div>
+                    </div>
+                  ))}
+              </div>
+            </>
+          )}
+
+          {activeTab === "influence" && analytics && (
+            <div className={styles.topNodes}>
+              <h4>PageRank</h4>
+              <p className={styles.analyticsNote}>
+                Inventions that many dependency chains lead into. Hover for
+                degree by edge type.
+              </p>
+              {topEntries(analytics.pagerank).map(([id, score]) =>
+                renderNodeRow(id, (score * 100).toFixed(2), degreeTitle(id)),
+              )}
+            </div>
+          )}
+
+          {activeTab === "bridges" && analytics && (
+            <div className={styles.topNodes}>
+              <h4>Betweenness</h4>
+              <p className={styles.analyticsNote}>
+                Inventions sitting on the most shortest paths between others.
+              </p>
+              {topEntries(analytics.betweenness).map(([id, score]) =>
+                renderNodeRow(id, score.toFixed(3), degreeTitle(id)),
+              )}
+            </div>
+          )}
+
+          {activeTab === "chains" && analytics && (
+            <div className={styles.topNodes}>
+              <h4>Longest Chain from Fire</h4>
+              {analytics.chains.chain.length === 0 ? (
+                <p className={styles.analyticsNote}>
+                  Fire is not part of the current view.
+                </p>
+              ) : (
+                <>
+                  <p className={styles.analyticsNote}>
+                    {analytics.chains.maxDepth} forward steps,{" "}
+                    {Object.keys(analytics.chains.depths).length} inventions
+                    reachable.
+                  </p>
+                  {analytics.chains.chain.map((id, depth) =>
+                    renderNodeRow(id, depth),
+                  )}
+                </>
+              )}
+            </div>
+          )}
+
+          {activeTab === "communities" && analytics && (
+            <div className={styles.topNodes}>
+              <h4>
+                {analytics.communities.communities.length} Communities · Q{" "}
+                {analytics.communities.modularity.toFixed(2)}
+              </h4>
+              {analytics.communities.communities
+                .slice(0, 10)
+                .map((members, index) => {
+                  const hub = members.reduce((best, id) =>
+                    analytics.degrees[id].total > analytics.degrees[best].total
+                      ? id
+                      : best,
+                  );
+                  return (
+                    <div key={hub} className={styles.topNodeItem}>
+                      <span className={styles.nodeCount}>#{index + 1}</span>
+                      <span className={styles.nodeName}>
+                        {nodeById.get(hub)?.label} and {members.length - 1}{" "}
+                        more
+                      </span>
+                      <span className={styles.nodeCount}>{members.length}</span>
+                    </div>
+                  );
+                })}
+            </div>
+          )}
         </div>
       </div>
     );
@@ -1,35 +1,45 @@
-import React, { useState, useEffect, useRef } from 'react';
+import React, { useState, useEffect, useRef, useMemo } from 'react';
 import styles from '../styles/components/TimelineControl.module.css';
+import { createLogYearScale, formatYear } from '../utils/timeScale';
+
+// Slider resolution (the range input works on integer steps of the log scale)
+const SLIDER_STEPS = 1000;
+// Fraction of the slider advanced per frame during playback (~20s for the full history)
+const PLAYBACK_STEP = 1 / 1200;
 
 const TimelineControl = React.memo(({ minYear = -500000, maxYear = 2050, currentYear, onChange }) => {
   const [isPlaying, setIsPlaying] = useState(false);
   const animationRef = useRef(null);
+  const currentYearRef = useRef(currentYear);
 
-  // Format year for display logic
-  const formatYear = (y) => {
-    const absY = Math.abs(y);
-    if (y < 0) return `${absY.toLocaleString()} BCE`;
-    return `${absY} CE`;
-  };
+  // Log scale so that the last few millennia are not squashed into one pixel
+  const scale = useMemo(() => createLogYearScale(minYear, maxYear), [minYear, maxYear]);
+
+  useEffect(() => {
+    currentYearRef.current = currentYear;
+  }, [currentYear]);
 
   const handlePlayToggle = () => {
+    // Restart from the beginning when playback is requested at the end of history
+    if (!isPlaying && currentYear >= maxYear) {
+      onChange(minYear);
+      currentYearRef.current = minYear;
+    }
     setIsPlaying(!isPlaying);
   };
 
   useEffect(() => {
     if (isPlaying) {
-      let activeYear = currentYear;
-      const step = (maxYear - minYear) / 200; // Complete in ~3-4 seconds loop? specific speed
-      
+      let position = scale.toUnit(currentYearRef.current);
+
       const animate = () => {
-        activeYear += step;
-        if (activeYear >= maxYear) {
-            activeYear = maxYear;
+        position += PLAYBACK_STEP;
+        if (position >= 1) {
             setIsPlaying(false);
             onChange(maxYear);
             return;
         }
-        onChange(Math.floor(activeYear));
+        onChange(Math.floor(scale.fromUnit(position)));
         animationRef.current = requestAnimationFrame(animate);
       };
       animationRef.current = requestAnimationFrame(animate);
@@ -37,33 +47,35 @@ const TimelineControl = React.memo(({ minYear = -500000, maxYear = 2050, current
       cancelAnimationFrame(animationRef.current);
     }
     return () => cancelAnimationFrame(animationRef.current);
-  }, [isPlaying, minYear, maxYear, onChange]); // Removes currentYear dependency to avoid re-triggering constantly
+  }, [isPlaying, scale, maxYear, onChange]);
 
   return (
     <div className={styles.container}>
       <div className={styles.controls}>
-        <button 
-            className={styles.playButton} 
+        <button
+            className={styles.playButton}
             onClick={handlePlayToggle}
             title={isPlaying ? "Pause History" : "Play History"}
         >
             {isPlaying ? '⏸' : '▶'}
         </button>
-        
+
         <div className={styles.sliderWrapper}>
-            <input 
-                type="range" 
-                min={minYear} 
-                max={maxYear} 
-                value={currentYear} 
+            <input
+                type="range"
+                min={0}
+                max={SLIDER_STEPS}
+                value={Math.round(scale.toUnit(currentYear) * SLIDER_STEPS)}
                 onChange={(e) => {
                     setIsPlaying(false);
-                    onChange(parseInt(e.target.value));
+                    onChange(Math.floor(scale.fromUnit(parseInt(e.target.value) / SLIDER_STEPS)));
                 }}
                 className={styles.slider}
+                aria-label="Timeline year"
+                aria-valuetext={formatYear(currentYear)}
             />
         </div>
-        
+
         <div className={styles.yearDisplay}>
             {formatYear(currentYear)}
         </div>
@@ -1,7 +1,9 @@
 import React, { useMemo } from 'react';
+import SafeHTML from './SafeHTML';
+import { EDGE_TYPE_INFO } from '../utils/graphStyle';
 import styles from '../styles/components/Tooltip.module.css';
 
-const Tooltip = React.memo(({ hoveredNode, mousePos, clusters, edges, descriptions }) => {
+const Tooltip = React.memo(({ hoveredNode, hoveredEdge = null, mousePos, clusters, edges, nodes = [], descriptions }) => {
   const connectionCount = useMemo(() => {
     if (!hoveredNode) return 0;
     return edges.filter(e => e.source === hoveredNode.id || e.target === hoveredNode.id).length;
@@ -17,12 +19,7 @@ const Tooltip = React.memo(({ hoveredNode, mousePos, clusters, edges, descriptio
     
     // 1. Check external descriptions.json (usually for cluster hubs)
     if (descriptions && descriptions[hoveredNode.id]) {
-        const desc = descriptions[hoveredNode.id];
-        // Handle object structure from descriptions.json
-        if (typeof desc === 'object') {
-            return { __html: desc.body };
-        }
-        return desc; // Should be a string
+        return descriptions[hoveredNode.id]; // { title, body } or a plain string
     }
     
     // 2. Check inline node description (from nodes.json)
@@ -41,6 +38,45 @@ const Tooltip = React.memo(({ hoveredNode, mousePos, clusters, edges, descriptio
     return y < 0 ? `${absYear} BCE` : `${absYear} CE`;
   }, [hoveredNode]);
 
+  // Endpoints of a hovered edge, shown only when no node is hovered
+  const edgeEnds = useMemo(() => {
+    if (hoveredNode || !hoveredEdge) return null;
+    const source = nodes.find(n => n.id === hoveredEdge.source);
+    const target = nodes.find(n => n.id === hoveredEdge.target);
+    return {
+      source: source?.label || hoveredEdge.source,
+      target: target?.label || hoveredEdge.target,
+      color: clusters[source?.cluster]?.color,
+    };
+  }, [hoveredNode, hoveredEdge, nodes, clusters]);
+
+  if (!hoveredNode && edgeEnds) {
+    const typeInfo = EDGE_TYPE_INFO[hoveredEdge.type];
+    return (
+      <div
+        className={`${styles.tooltip} ${styles.visible}`}
+        style={{
+          left: `${mousePos.x + 12}px`,
+          top: `${mousePos.y + 12}px`
+        }}
+      >
+        <div className={styles.tooltipTitle}>{edgeEnds.source} → {edgeEnds.target}</div>
+        <div className={styles.tooltipMeta}>
+          <span style={{ color: edgeEnds.color }}>●</span> {typeInfo?.label || hoveredEdge.type} ({hoveredEdge.type})
+          {hoveredEdge.weight !== undefined && ` · weight ${hoveredEdge.weight}/10`}
+        </div>
+        {typeInfo && (
+          <div className={styles.tooltipDescription}>
+            {typeInfo.description}
+          </div>
+        )}
+        <div className={styles.tooltipHint}>
+          (Click to Inspect)
+        </div>
+      </div>
+    );
+  }
+
   if (!hoveredNode) return null;
 
   return (
@@ -60,16 +96,9 @@ const Tooltip = React.memo(({ hoveredNode, mousePos, clusters, edges, descriptio
             {yearLabel}
         </div>
       )}
-      {description && typeof description === 'object' ? (
-          <div 
-            className={styles.tooltipDescription} 
-            dangerouslySetInnerHTML={description} 
-          />
-      ) : description ? (
-          <div className={styles.tooltipDescription}>
-            {description}
-          </div>
-      ) : null}
+      {description && (
+          <SafeHTML html={description} className={styles.tooltipDescription} />
+      )}
       <div className={styles.tooltipHint}>
         (Click to Focus)
       </div>
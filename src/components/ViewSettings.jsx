@@ -1,8 +1,43 @@
 import React from 'react';
 import styles from '../styles/components/ViewSettings.module.css';
 import { THEMES } from '../config/themes';
+import { LAYOUTS, LAYOUT_STARTS, DEFAULT_LAYOUT_SEED } from '../layout/layouts.js';
+import { PHYSICS_CONTROLS, resolvePhysics } from '../layout/LayoutSimulation.js';
+import { ANALYTIC_METRICS } from '../utils/graphAnalytics';
+import { RENDERER_LABELS } from '../render/types.js';
+
+// Decimals needed to show a slider value at its step size
+const stepDecimals = (step) => (String(step).split('.')[1] || '').length;
+
+const describeLayoutStatus = (status) => {
+  if (!status) return null;
+  if (status.frozen) return 'Frozen';
+  if (status.settled) return 'At rest';
+  return `Cooling · α ${status.alpha.toFixed(2)}`;
+};
+
+const ViewSettings = ({
+  settings,
+  onToggleSetting,
+  onSetTheme,
+  onSetLayout,
+  onSetNodeMetric,
+  onSetRenderer,
+  activeRenderer,
+  onSetPhysics,
+  onReheat,
+  onSetLayoutStart,
+  onSetLayoutSeed,
+  onBakeLayout,
+  pinnedCount = 0,
+  onUnpinAll,
+  layoutStatus,
+  onClose
+}) => {
+  const physics = resolvePhysics((THEMES[settings.theme] || THEMES.default).physics, settings.physics);
+  const hasPhysicsOverrides = Object.keys(settings.physics || {}).length > 0;
+  const statusText = describeLayoutStatus(layoutStatus);
 
-const ViewSettings = ({ settings, onToggleSetting, onSetTheme, onClose }) => {
   return (
     <div className={styles.settingsPanel}>
       <div className={styles.header}>
@@ -70,6 +105,196 @@ const ViewSettings = ({ settings, onToggleSetting, onSetTheme, onClose }) => {
 
       <div className={styles.separator} />
 
+      <div className={styles.section}>
+        <h4>Layout</h4>
+        <div className={styles.themeGrid}>
+          <button
+            className={`${styles.themeBtn} ${!settings.layout || settings.layout === 'theme' ? styles.active : ''}`}
+            onClick={() => onSetLayout('theme')}
+            title="Use the layout of the current theme"
+          >
+            <span>Theme Default</span>
+          </button>
+          {Object.entries(LAYOUTS).map(([key, layout]) => (
+            <button
+              key={key}
+              className={`${styles.themeBtn} ${settings.layout === key ? styles.active : ''}`}
+              onClick={() => onSetLayout(key)}
+              title={`${layout.label} layout`}
+            >
+              <span>{layout.label}</span>
+            </button>
+          ))}
+        </div>
+        {onSetLayoutStart && (
+          <>
+            <div className={`${styles.selectRow} ${styles.spaced}`}>
+              <label htmlFor="layout-start">Start From</label>
+              <select
+                id="layout-start"
+                className={styles.select}
+                value={settings.layoutStart || 'stored'}
+                onChange={(e) => onSetLayoutStart(e.target.value)}
+              >
+                {Object.entries(LAYOUT_STARTS).map(([key, start]) => (
+                  <option key={key} value={key}>{start.label}</option>
+                ))}
+              </select>
+            </div>
+            {settings.layoutStart === 'seeded' && (
+              <div className={styles.selectRow}>
+                <label htmlFor="layout-seed">Seed</label>
+                <input
+                  id="layout-seed"
+                  type="number"
+                  step="1"
+                  className={styles.select}
+                  value={settings.layoutSeed ?? DEFAULT_LAYOUT_SEED}
+                  onChange={(e) => e.target.value !== '' && onSetLayoutSeed(Number(e.target.value))}
+                />
+              </div>
+            )}
+          </>
+        )}
+        {onBakeLayout && (
+          <div className={styles.buttonRow}>
+            <button
+              className={`${styles.themeBtn} ${styles.wide}`}
+              onClick={onBakeLayout}
+              disabled={!layoutStatus?.settled}
+              title={layoutStatus?.settled
+                ? 'Save the current positions into the data, download them as nodes.json and reopen them paused'
+                : 'Wait until the layout is at rest'}
+            >
+              <span>Bake Layout</span>
+            </button>
+            {onUnpinAll && (
+              <button
+                className={`${styles.themeBtn} ${styles.wide}`}
+                onClick={onUnpinAll}
+                disabled={pinnedCount === 0}
+                title="Release every pinned node and locked cluster; double-click a node to pin it"
+              >
+                <span>Unpin All ({pinnedCount})</span>
+              </button>
+            )}
+          </div>
+        )}
+      </div>
+
+      <div className={styles.separator} />
+
+      {onSetPhysics && (
+        <>
+          <div className={styles.section}>
+            <h4>Physics</h4>
+            {PHYSICS_CONTROLS.map(control => (
+              <div key={control.key} className={styles.sliderRow}>
+                <label htmlFor={`physics-${control.key}`}>
+                  {control.label}
+                  <span>{physics[control.key].toFixed(stepDecimals(control.step))}</span>
+                </label>
+                <input
+                  id={`physics-${control.key}`}
+                  type="range"
+                  min={control.min}
+                  max={control.max}
+                  step={control.step}
+                  value={physics[control.key]}
+                  onChange={(e) => onSetPhysics(control.key, Number(e.target.value))}
+                />
+              </div>
+            ))}
+            <div className={styles.buttonRow}>
+              <button
+                className={`${styles.themeBtn} ${settings.physicsFrozen ? styles.active : ''}`}
+                onClick={() => onToggleSetting('physicsFrozen')}
+                aria-pressed={!!settings.physicsFrozen}
+                title="Stop all movement; dragged nodes stay where they are dropped"
+              >
+                <span>{settings.physicsFrozen ? 'Unfreeze' : 'Freeze'}</span>
+              </button>
+              <button
+                className={styles.themeBtn}
+                onClick={onReheat}
+                disabled={settings.physicsFrozen}
+                title="Heat the simulation up so the layout settles again"
+              >
+                <span>Reheat</span>
+              </button>
+              <button
+                className={styles.themeBtn}
+                onClick={() => onSetPhysics(null)}
+                disabled={!hasPhysicsOverrides}
+                title="Drop the slider changes and use the theme's physics"
+              >
+                <span>Reset</span>
+              </button>
+            </div>
+            {statusText && <p className={styles.hint}>{statusText}</p>}
+          </div>
+
+          <div className={styles.separator} />
+        </>
+      )}
+
+      <div className={styles.section}>
+        <h4>Analytics</h4>
+        <div className={styles.selectRow}>
+          <label htmlFor="node-size-metric">Node Size</label>
+          <select
+            id="node-size-metric"
+            className={styles.select}
+            value={settings.sizeBy || 'default'}
+            onChange={(e) => onSetNodeMetric('sizeBy', e.target.value)}
+          >
+            <option value="default">Default</option>
+            {Object.entries(ANALYTIC_METRICS).map(([key, metric]) => (
+              <option key={key} value={key}>{metric.label}</option>
+            ))}
+          </select>
+        </div>
+        <div className={styles.selectRow}>
+          <label htmlFor="node-color-metric">Node Colour</label>
+          <select
+            id="node-color-metric"
+            className={styles.select}
+            value={settings.colorBy || 'cluster'}
+            onChange={(e) => onSetNodeMetric('colorBy', e.target.value)}
+          >
+            <option value="cluster">Cluster</option>
+            <option value="community">Community</option>
+            {Object.entries(ANALYTIC_METRICS).map(([key, metric]) => (
+              <option key={key} value={key}>{metric.label}</option>
+            ))}
+          </select>
+        </div>
+      </div>
+
+      <div className={styles.separator} />
+
+      <div className={styles.section}>
+        <h4>Rendering</h4>
+        <div className={styles.selectRow}>
+          <label htmlFor="renderer-backend">Backend</label>
+          <select
+            id="renderer-backend"
+            className={styles.select}
+            value={settings.renderer || 'auto'}
+            onChange={(e) => onSetRenderer(e.target.value)}
+          >
+            {Object.entries(RENDERER_LABELS).map(([key, label]) => (
+              <option key={key} value={key}>{label}</option>
+            ))}
+          </select>
+        </div>
+        {activeRenderer && (
+          <p className={styles.hint}>Drawing with {RENDERER_LABELS[activeRenderer]}</p>
+        )}
+      </div>
+
+      <div className={styles.separator} />
+
       <div className={styles.section}>
         <h4>Themes ({Object.keys(THEMES).length})</h4>
         <div className={styles.themeGrid}>
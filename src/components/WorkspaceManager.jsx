@@ -0,0 +1,111 @@
+import React, { useState } from 'react';
+import styles from '../styles/components/WorkspaceManager.module.css';
+
+const formatDate = (time) => new Date(time).toLocaleString([], { dateStyle: 'medium', timeStyle: 'short' });
+
+/**
+ * Save, open, duplicate and delete named copies of the dataset
+ */
+const WorkspaceManager = React.memo(({ workspaces, onClose }) => {
+  const { workspaces: list, active, isSaved, isRestoring } = workspaces;
+  const [name, setName] = useState('');
+  const [error, setError] = useState(null);
+
+  // IndexedDB can refuse (quota, private mode); surface it rather than leaving a rejected promise
+  const run = async (action, failure) => {
+    setError(null);
+    try {
+      await action();
+      return true;
+    } catch (err) {
+      setError(`${failure}: ${err.message}`);
+      return false;
+    }
+  };
+
+  const handleSaveAs = async (e) => {
+    e.preventDefault();
+    if (!name.trim()) return;
+    if (await run(() => workspaces.saveAs(name.trim()), 'Could not save workspace')) setName('');
+  };
+
+  const handleLoad = (workspace) => run(() => workspaces.load(workspace.id), `Could not open "${workspace.name}"`);
+
+  const handleDuplicate = (workspace) => run(() => workspaces.duplicate(workspace.id), `Could not duplicate "${workspace.name}"`);
+
+  const handleDelete = (workspace) => {
+    if (window.confirm(`Delete workspace "${workspace.name}"? This cannot be undone.`)) {
+      run(() => workspaces.remove(workspace.id), `Could not delete "${workspace.name}"`);
+    }
+  };
+
+  const handleReset = () => {
+    const message = active
+      ? `Switch to the bundled data? "${active.name}" stays saved.`
+      : 'Discard unsaved edits and switch to the bundled data?';
+    if (window.confirm(message)) run(() => workspaces.resetToBundled(), 'Could not switch to the bundled data');
+  };
+
+  return (
+    <div className={styles.manager}>
+      <div className={styles.header}>
+        <h3>Workspaces</h3>
+        <button className={styles.closeBtn} onClick={onClose} aria-label="Close workspaces">×</button>
+      </div>
+
+      <div className={styles.current}>
+        <span className={styles.currentName}>{active ? active.name : 'Bundled data'}</span>
+        <span className={`${styles.saveState} ${isSaved ? '' : styles.pending}`}>
+          {isRestoring ? 'Restoring…' : isSaved ? 'Saved' : 'Saving…'}
+        </span>
+      </div>
+
+      <form className={styles.saveAs} onSubmit={handleSaveAs}>
+        <input
+          type="text"
+          value={name}
+          onChange={(e) => setName(e.target.value)}
+          placeholder="New workspace name"
+          aria-label="New workspace name"
+        />
+        <button type="submit" className={styles.btn} disabled={!name.trim()}>Save as</button>
+      </form>
+
+      {error && <div className={styles.error} role="alert">{error}</div>}
+
+      {list.length === 0 ? (
+        <div className={styles.empty}>No saved workspaces. Edits are saved automatically.</div>
+      ) : (
+        <ul className={styles.list}>
+          {list.map(workspace => (
+            <li key={workspace.id} className={`${styles.item} ${active?.id === workspace.id ? styles.active : ''}`}>
+              <div className={styles.itemInfo}>
+                <span className={styles.itemName}>{workspace.name}</span>
+                <span className={styles.itemMeta}>
+                  {workspace.nodeCount} nodes · {workspace.edgeCount} edges · {formatDate(workspace.updatedAt)}
+                </span>
+              </div>
+              <div className={styles.itemActions}>
+                <button
+                  className={styles.btn}
+                  onClick={() => handleLoad(workspace)}
+                  disabled={active?.id === workspace.id}
+                >
+                  Open
+                </button>
+                <button className={styles.btn} onClick={() => handleDuplicate(workspace)} title="Duplicate">⧉</button>
+                <button className={`${styles.btn} ${styles.danger}`} onClick={() => handleDelete(workspace)} title="Delete">✕</button>
+              </div>
+            </li>
+          ))}
+        </ul>
+      )}
+
+      <button className={styles.resetBtn} onClick={handleReset}>Reset to bundled data</button>
+    </div>
+  );
+});
+
+WorkspaceManager.displayName = 'WorkspaceManager';
+
+export default WorkspaceManager;
@@ -0,0 +1,81 @@
+/**
+ * Content Security Policy
+ * One policy for the build-time <meta> tag, the Cloudflare response headers and the
+ * report-only header of the dev server (see plugins/vite-plugin-csp.js).
+ * Kept free of browser and bundler APIs so vite.config.js can import it under Node.
+ */
+
+// MediaPipe Hands: hands.js is bundled, its WASM, model and packed assets come from
+// public/mediapipe (same origin) or the pinned CDN build in WebcamGestureController
+export const MEDIAPIPE_CDN = 'https://cdn.jsdelivr.net/npm/@mediapipe/';
+
+const ANALYTICS_SOURCES = ['https://www.googletagmanager.com', 'https://*.google-analytics.com'];
+
+/**
+ * Trusted Types policies the app may create: our default policy, the one for inert
+ * XML parsing and DOMPurify's own (created once per DOMPurify instance)
+ */
+export const TRUSTED_TYPES_POLICIES = ['default', 'neuro-chain-inert', 'dompurify'];
+
+/**
+ * Production policy, directive -> sources
+ */
+export const CSP_POLICY = {
+  'default-src': ["'self'"],
+  // wasm-unsafe-eval compiles the MediaPipe WASM without allowing eval()
+  'script-src': ["'self'", "'wasm-unsafe-eval'", MEDIAPIPE_CDN, 'https://www.googletagmanager.com'],
+  // Inline style attributes are how React positions tooltips and panels
+  'style-src': ["'self'", "'unsafe-inline'", 'https://fonts.googleapis.com'],
+  'font-src': ["'self'", 'https://fonts.gstatic.com'],
+  'img-src': ["'self'", 'data:', 'blob:', ...ANALYTICS_SOURCES],
+  // MediaPipe fetches its .wasm, .data and .tflite files
+  'connect-src': ["'self'", MEDIAPIPE_CDN, ...ANALYTICS_SOURCES],
+  // Layout, search and gesture workers plus the service worker
+  'worker-src': ["'self'", 'blob:'],
+  'media-src': ["'self'", 'blob:'],
+  'object-src': ["'none'"],
+  'base-uri': ["'self'"],
+  'form-action': ["'self'"],
+  'frame-ancestors': ["'none'"],
+  'require-trusted-types-for': ["'script'"],
+  'trusted-types': [...TRUSTED_TYPES_POLICIES, "'allow-duplicates'"],
+};
+
+// Browsers ignore these in a <meta> tag and warn about them
+const HEADER_ONLY_DIRECTIVES = ['frame-ancestors', 'report-uri', 'report-to', 'sandbox'];
+
+/**
+ * Policy with build- or environment-specific additions
+ * @param {Object} [options]
+ * @param {string[]} [options.scriptHashes] - 'sha256-…' sources for inline scripts
+ * @param {boolean} [options.dev] - Allow the Vite dev server's HMR socket and inline client
+ * @param {string} [options.reportUri] - Where violation reports are posted
+ * @returns {Object<string, string[]>}
+ */
+export const buildCSPPolicy = ({ scriptHashes = [], dev = false, reportUri } = {}) => {
+  const policy = Object.fromEntries(Object.entries(CSP_POLICY).map(([directive, sources]) => [directive, [...sources]]));
+  policy['script-src'].push(...scriptHashes.map(hash => `'${hash}'`));
+  if (dev) {
+    // HMR socket, and the React Refresh preamble Vite inlines into index.html
+    policy['connect-src'].push('ws:', 'wss:');
+    policy['script-src'].push("'unsafe-inline'");
+  }
+  if (reportUri) {
+    policy['report-uri'] = [reportUri];
+  }
+  return policy;
+};
+
+/**
+ * Serialise a policy
+ * @param {Object<string, string[]>} [policy]
+ * @param {Object} [options]
+ * @param {boolean} [options.meta] - Leave out directives that only work as a header
+ * @returns {string}
+ */
+export const generateCSPString = (policy = CSP_POLICY, { meta = false } = {}) => {
+  return Object.entries(policy)
+    .filter(([directive]) => !meta || !HEADER_ONLY_DIRECTIVES.includes(directive))
+    .map(([directive, sources]) => `${directive} ${sources.join(' ')}`)
+    .join('; ');
+};
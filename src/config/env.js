@@ -20,6 +20,7 @@ export const config = {
   // Performance settings
   maxVisibleNodes: parseInt(import.meta.env.VITE_MAX_VISIBLE_NODES, 10) || 1000,
   animationFPS: parseInt(import.meta.env.VITE_ANIMATION_FPS, 10) || 60,
+  renderer: import.meta.env.VITE_RENDERER || 'auto',
 
   // Analytics
   gaId: import.meta.env.VITE_GA_ID || '',
@@ -1,9 +1,17 @@
 /**
  * Security Configuration Module
- * Provides security utilities including DOMPurify config, input validation, and rate limiting
+ * Provides security utilities including DOMPurify config, input limits, and rate limiting.
+ * Data validation lives in utils/dataValidation.js
  */
 
 import DOMPurify from 'dompurify';
+import { MEDIAPIPE_CDN, CSP_POLICY, generateCSPString } from './csp.js';
+import { debug } from './env.js';
+
+/**
+ * URL schemes that links and wikiUrl may use; anything else is dropped
+ */
+export const SAFE_URL_SCHEMES = ['https:'];
 
 /**
  * Strict DOMPurify configuration for HTML sanitization
@@ -19,86 +27,107 @@ export const SANITIZE_CONFIG = {
   FORCE_BODY: true,
 };
 
+// Wrapper elements DOMPurify reports as removed while parsing with FORCE_BODY
+const PARSER_WRAPPERS = ['HTML', 'HEAD', 'BODY', 'REMOVE'];
+
 /**
- * Sanitize HTML content using DOMPurify with strict config
- * @param {string} dirty - Untrusted HTML content
- * @returns {string} Sanitized HTML
+ * Check a URL against SAFE_URL_SCHEMES
+ * @param {string} value
+ * @returns {boolean}
  */
-export const sanitizeHTML = (dirty) => {
-  if (!dirty || typeof dirty !== 'string') return '';
-  return DOMPurify.sanitize(dirty, SANITIZE_CONFIG);
+export const isSafeUrl = (value) => {
+  if (typeof value !== 'string') return false;
+  try {
+    return SAFE_URL_SCHEMES.includes(new URL(value).protocol);
+  } catch {
+    return false;
+  }
 };
 
 /**
- * Validate JSON data against expected schema
- * @param {object} data - Data to validate
- * @param {string} schemaType - Type of schema: 'nodes', 'edges', 'clusters', 'descriptions'
- * @returns {{valid: boolean, errors: string[]}}
+ * @param {string} value
+ * @returns {string|null} The URL when it passes isSafeUrl, otherwise null
  */
-export const validateDataSchema = (data, schemaType) => {
-  const errors = [];
-
-  switch (schemaType) {
-    case 'nodes':
-      if (!Array.isArray(data)) {
-        errors.push('Nodes must be an array');
-        break;
-      }
-      data.forEach((node, i) => {
-        if (!node.id) errors.push(`Node ${i}: missing id`);
-        if (!node.label) errors.push(`Node ${i}: missing label`);
-        if (!node.cluster) errors.push(`Node ${i}: missing cluster`);
-        if (typeof node.x !== 'number') errors.push(`Node ${i}: x must be a number`);
-        if (typeof node.y !== 'number') errors.push(`Node ${i}: y must be a number`);
-        if (typeof node.size !== 'number' || node.size <= 0) {
-          errors.push(`Node ${i}: size must be a positive number`);
-        }
-      });
-      break;
+export const safeUrl = (value) => (isSafeUrl(value) ? value : null);
 
-    case 'edges':
-      if (!Array.isArray(data)) {
-        errors.push('Edges must be an array');
-        break;
-      }
-      data.forEach((edge, i) => {
-        if (!edge.source) errors.push(`Edge ${i}: missing source`);
-        if (!edge.target) errors.push(`Edge ${i}: missing target`);
-        if (!['forward', 'backlink'].includes(edge.type)) {
-          errors.push(`Edge ${i}: type must be 'forward' or 'backlink'`);
-        }
-      });
-      break;
+// Own DOMPurify instance so the link hooks do not leak into other users of the library.
+// Created on first use: there is no DOM to bind to when this module loads in a worker.
+let purifier = null;
 
-    case 'clusters':
-      if (typeof data !== 'object' || Array.isArray(data)) {
-        errors.push('Clusters must be an object');
-        break;
+const getPurifier = () => {
+  if (!purifier) {
+    purifier = DOMPurify();
+    // DOMPurify's URI check also applies to plain attributes like target, so links are checked here
+    purifier.addHook('uponSanitizeAttribute', (node, data) => {
+      if (data.attrName === 'href' && !isSafeUrl(data.attrValue)) data.keepAttr = false;
+    });
+    purifier.addHook('afterSanitizeAttributes', (node) => {
+      if (node.nodeName === 'A' && node.hasAttribute('href')) {
+        node.setAttribute('rel', 'noopener noreferrer');
       }
-      Object.entries(data).forEach(([key, cluster]) => {
-        if (!cluster.color) errors.push(`Cluster ${key}: missing color`);
-        if (!cluster.label) errors.push(`Cluster ${key}: missing label`);
-      });
-      break;
+    });
+  }
+  return purifier;
+};
+
+/**
+ * @typedef {Object} RemovedContent
+ * @property {'element' | 'attribute'} kind
+ * @property {string} name - Lower-case tag or attribute name
+ * @property {string} [element] - Tag the attribute was on
+ * @property {string} [value] - Attribute value
+ */
 
-    case 'descriptions':
-      if (typeof data !== 'object' || Array.isArray(data)) {
-        errors.push('Descriptions must be an object');
-        break;
+/**
+ * Sanitize HTML and list what was taken out
+ * @param {string} dirty - Untrusted HTML content
+ * @returns {{html: string, removed: RemovedContent[]}}
+ */
+export const sanitizeHTMLWithReport = (dirty) => {
+  if (!dirty || typeof dirty !== 'string') return { html: '', removed: [] };
+  const instance = getPurifier();
+  const html = instance.sanitize(dirty, SANITIZE_CONFIG);
+
+  const removedElements = new Set();
+  const removed = [];
+  instance.removed.forEach(entry => {
+    if (entry.element) {
+      removedElements.add(entry.element);
+      if (!PARSER_WRAPPERS.includes(entry.element.nodeName)) {
+        removed.push({ kind: 'element', name: entry.element.nodeName.toLowerCase() });
       }
-      Object.entries(data).forEach(([key, desc]) => {
-        if (!desc.title) errors.push(`Description ${key}: missing title`);
-        if (!desc.body) errors.push(`Description ${key}: missing body`);
+    } else if (entry.attribute && !removedElements.has(entry.from)) {
+      // Attributes of an element that is gone anyway are not worth listing
+      removed.push({
+        kind: 'attribute',
+        name: entry.attribute.name,
+        element: entry.from?.nodeName.toLowerCase(),
+        value: entry.attribute.value,
       });
-      break;
-
-    default:
-      errors.push(`Unknown schema type: ${schemaType}`);
-  }
+    }
+  });
 
-  return { valid: errors.length === 0, errors };
+  return { html, removed };
 };
 
+/**
+ * Sanitize HTML content using DOMPurify with strict config
+ * @param {string} dirty - Untrusted HTML content
+ * @returns {string} Sanitized HTML
+ */
+export const sanitizeHTML = (dirty) => sanitizeHTMLWithReport(dirty).html;
+
+/**
+ * Short human-readable description of a removal, e.g. `<script>` or `onclick on <p>`
+ * @param {RemovedContent} item
+ * @returns {string}
+ */
+export const describeRemoved = (item) => (
+  item.kind === 'element'
+    ? `<${item.name}>`
+    : `${item.name}${item.name === 'href' ? `="${item.value}"` : ''} on <${item.element}>`
+);
+
 /**
  * Rate limiter for expensive operations
  */
@@ -156,28 +185,91 @@ export const validateLength = (content, type) => {
   return typeof content === 'string' && content.length <= maxLength;
 };
 
+// The policy itself lives in csp.js so the build can read it without a DOM
+export { CSP_POLICY, generateCSPString };
+
+// Script URLs the default policy lets through besides our own origin
+const TRUSTED_SCRIPT_ORIGINS = [MEDIAPIPE_CDN, 'https://www.googletagmanager.com/'];
+
+let trustedTypesInstalled = false;
+let inertPolicy = null;
+
+const isTrustedScriptUrl = (value) => {
+  try {
+    const url = new URL(value, window.location.href);
+    return url.origin === window.location.origin || TRUSTED_SCRIPT_ORIGINS.some(prefix => url.href.startsWith(prefix));
+  } catch {
+    return false;
+  }
+};
+
+/**
+ * Create the Trusted Types default policy. With `require-trusted-types-for 'script'`
+ * every string assigned to an HTML sink (innerHTML, dangerouslySetInnerHTML, DOMParser)
+ * passes through sanitizeHTML, script URLs are limited to our origin and the MediaPipe
+ * and analytics hosts, and string-to-code sinks are refused.
+ * Call once before rendering. Does nothing where Trusted Types are unsupported.
+ * @returns {boolean} Whether the policy is active
+ */
+export const installTrustedTypes = () => {
+  if (trustedTypesInstalled) return true;
+  if (typeof window === 'undefined' || !window.trustedTypes?.createPolicy) return false;
+
+  // DOMPurify parses through an inert document, which is an HTML sink too; don't sanitise that again
+  let sanitizing = false;
+  window.trustedTypes.createPolicy('default', {
+    createHTML: (value) => {
+      if (sanitizing) return value;
+      sanitizing = true;
+      try {
+        return sanitizeHTML(value);
+      } finally {
+        sanitizing = false;
+      }
+    },
+    createScriptURL: (value) => {
+      if (isTrustedScriptUrl(value)) return value;
+      debug.warn('Trusted Types blocked script URL', value);
+      return null;
+    },
+    createScript: () => null,
+  });
+  trustedTypesInstalled = true;
+  return true;
+};
+
 /**
- * Content Security Policy configuration for meta tag
- * Note: Headers should be set at server/CDN level for production
+ * Parse markup into a document without running or sanitising it, e.g. GraphML imports.
+ * Documents from DOMParser are inert, so the text bypasses the HTML sanitiser.
+ * @param {string} text
+ * @param {DOMParserSupportedType} type
+ * @returns {Document}
  */
-export const CSP_POLICY = {
-  'default-src': ["'self'"],
-  'script-src': ["'self'", "'unsafe-inline'"], // Needed for Vite HMR in dev
-  'style-src': ["'self'", "'unsafe-inline'", 'fonts.googleapis.com'],
-  'font-src': ["'self'", 'fonts.gstatic.com'],
-  'img-src': ["'self'", 'data:', 'blob:'],
-  'connect-src': ["'self'", 'ws:', 'wss:'], // WebSocket for HMR
+export const parseInertDocument = (text, type) => {
+  if (!inertPolicy && typeof window !== 'undefined' && window.trustedTypes?.createPolicy) {
+    inertPolicy = window.trustedTypes.createPolicy('neuro-chain-inert', { createHTML: (value) => value });
+  }
+  return new DOMParser().parseFromString(inertPolicy ? inertPolicy.createHTML(text) : text, type);
 };
 
-export const generateCSPString = () => {
-  return Object.entries(CSP_POLICY)
-    .map(([directive, sources]) => `${directive} ${sources.join(' ')}`)
-    .join('; ');
+/**
+ * Log CSP violations in development, where the policy is sent report-only
+ * @returns {function(): void} Removes the listener
+ */
+export const watchCSPViolations = () => {
+  const onViolation = (event) => {
+    console.warn(`[CSP] ${event.violatedDirective} blocked ${event.blockedURI || 'inline'}`,
+      event.sourceFile ? `at ${event.sourceFile}:${event.lineNumber}` : '');
+  };
+  document.addEventListener('securitypolicyviolation', onViolation);
+  return () => document.removeEventListener('securitypolicyviolation', onViolation);
 };
 
 export default {
   sanitizeHTML,
-  validateDataSchema,
+  sanitizeHTMLWithReport,
+  isSafeUrl,
+  installTrustedTypes,
   validateLength,
   exportRateLimiter,
   updateRateLimiter,
@@ -148,6 +148,18 @@ export const THEMES = {
     font: "'Roboto', sans-serif",
     physics: { repulsion: 4000, spring: 0.01 } // Extremely spaced
   },
+  chronicle: {
+    label: 'Chronicle',
+    layout: 'timeline', // Log-scaled year axis with one swim-lane per cluster
+    background: '#0b0a08', // Dark parchment
+    nodeBase: '#d4a373',
+    edgeBase: '#6b5b45',
+    text: '#e9dcc9',
+    glow: true,
+    pulses: false,
+    font: "'JetBrains Mono', monospace",
+    physics: { repulsion: 1000, spring: 0.02 }
+  },
   structure: {
     label: 'Structure',
     layout: 'force',
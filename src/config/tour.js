@@ -0,0 +1,56 @@
+/**
+ * Guided tour shown on first visit. Each step's target is the camera offset and zoom
+ * the view moves to; the capture tools fly the same route for tour recordings.
+ */
+export const TOUR_STEPS = [
+  {
+    title: 'Welcome to Neuro-Chain',
+    description: 'Explore the global innovation network visualization. Discover how technologies, ideas, and discoveries connect across time and space.',
+    icon: '🌐',
+    hint: 'Innovation is a network, not a timeline',
+    animation: 'pulse',
+    target: { x: 0, y: 0, zoom: 1.5 } // Focus on center/Fire
+  },
+  {
+    title: 'Navigate the Universe',
+    description: 'Click and drag to pan across the cosmos of ideas. Use your scroll wheel or pinch to zoom in for details or out for the big picture.',
+    icon: '🖱️',
+    hint: 'Arrow keys also work for navigation',
+    animation: 'pan',
+    target: { x: 0, y: 0, zoom: 0.6 }, // Zoom out for big picture
+    controls: [
+      { key: 'Drag', action: 'Pan around' },
+      { key: 'Scroll', action: 'Zoom in/out' },
+      { key: 'R', action: 'Reset view' }
+    ]
+  },
+  {
+    title: 'Discover Connections',
+    description: 'Hover over nodes to reveal their connections. Click any node to trigger a signal pulse that travels along historical links.',
+    icon: '✨',
+    hint: 'Watch the knowledge flow between ideas',
+    animation: 'glow',
+    target: { x: -280, y: -60, zoom: 1.2 } // Focus on Tools cluster
+  },
+  {
+    title: 'Filter & Explore',
+    description: 'Use the legend to toggle clusters. The search bar (Ctrl+K) lets you find specific innovations instantly.',
+    icon: '🔍',
+    hint: 'Try searching for "electricity" or "printing"',
+    animation: 'search',
+    target: { x: 240, y: 120, zoom: 1.0 }, // Focus on Electricity
+    controls: [
+      { key: 'Ctrl+K', action: 'Quick search' },
+      { key: 'Space', action: 'Pause animation' },
+      { key: 'Esc', action: 'Close dialogs' }
+    ]
+  },
+  {
+    title: 'You\'re Ready!',
+    description: 'The network awaits. Click on nodes, explore clusters, and discover the hidden connections that shaped human progress.',
+    icon: '🚀',
+    hint: 'Start by clicking on "Fire" - the origin of it all',
+    animation: 'launch',
+    target: { x: 434, y: 347, zoom: 1.4 } // Focus on AGI/Intelligence
+  }
+];
@@ -1,5 +1,6 @@
 import { GestureController } from './GestureController.js';
 import { INTENTS, CONTROLLER_STATES, GESTURE_ERRORS } from './types.js';
+import { MEDIAPIPE_CDN } from '../config/csp.js';
 
 /**
  * Webcam Gesture Controller (Worker-Optimized)
@@ -78,7 +79,7 @@ export class WebcamGestureController extends GestureController {
     const Camera = cameraModule.Camera || cameraModule.default?.Camera || window.Camera;
 
     this.hands = new Hands({
-      locateFile: (file) => `https://cdn.jsdelivr.net/npm/@mediapipe/hands@0.4.1675469240/${file}`
+      locateFile: (file) => `${MEDIAPIPE_CDN}hands@0.4.1675469240/${file}`
     });
 
     this.hands.setOptions({
@@ -0,0 +1,96 @@
+import { useReducer, useCallback } from 'react';
+
+// Oldest entries are dropped past this; the patch baseline is kept regardless
+export const HISTORY_LIMIT = 200;
+
+/**
+ * Swap the collections named in an entry between its before and after values
+ */
+const applyEntry = (data, entry, side) => {
+  const next = { ...data };
+  Object.entries(entry.changes).forEach(([key, change]) => {
+    next[key] = change[side];
+  });
+  return next;
+};
+
+const historyReducer = (state, action) => {
+  switch (action.type) {
+    case 'commit': {
+      const changes = {};
+      Object.entries(action.changes).forEach(([key, value]) => {
+        if (state.data[key] !== value) changes[key] = { before: state.data[key], after: value };
+      });
+      if (Object.keys(changes).length === 0) return state;
+
+      const entry = { id: state.sequence + 1, label: action.label, time: action.time, changes };
+      return {
+        ...state,
+        sequence: entry.id,
+        data: applyEntry(state.data, entry, 'after'),
+        past: [...state.past, entry].slice(-HISTORY_LIMIT),
+        future: [],
+      };
+    }
+    case 'undo': {
+      const entry = state.past[state.past.length - 1];
+      if (!entry) return state;
+      return {
+        ...state,
+        data: applyEntry(state.data, entry, 'before'),
+        past: state.past.slice(0, -1),
+        future: [entry, ...state.future],
+      };
+    }
+    case 'redo': {
+      const [entry, ...future] = state.future;
+      if (!entry) return state;
+      return {
+        ...state,
+        data: applyEntry(state.data, entry, 'after'),
+        past: [...state.past, entry],
+        future,
+      };
+    }
+    case 'reset':
+      return { ...state, data: action.data, baseline: action.data, past: [], future: [] };
+    default:
+      return state;
+  }
+};
+
+/**
+ * Command history over the data collections.
+ * Every edit is recorded as the before/after value of each collection it replaced,
+ * so undo and redo are reference swaps rather than recomputation.
+ * @param {Object} initialData - { clusters, nodes, edges, descriptions }
+ * @returns {{
+ *   data: Object,
+ *   baseline: Object,
+ *   past: Array,
+ *   future: Array,
+ *   commit: (changes: Object, label?: string) => void,
+ *   undo: () => void,
+ *   redo: () => void,
+ *   reset: (data: Object) => void
+ * }}
+ */
+export const useEditHistory = (initialData) => {
+  const [state, dispatch] = useReducer(historyReducer, initialData, (data) => ({
+    data,
+    baseline: data,
+    past: [],
+    future: [],
+    sequence: 0,
+  }));
+
+  const commit = useCallback((changes, label = 'Edit data') => dispatch({ type: 'commit', changes, label, time: Date.now() }), []);
+  const undo = useCallback(() => dispatch({ type: 'undo' }), []);
+  const redo = useCallback(() => dispatch({ type: 'redo' }), []);
+  const reset = useCallback((data) => dispatch({ type: 'reset', data }), []);
+
+  const { data, baseline, past, future } = state;
+  return { data, baseline, past, future, commit, undo, redo, reset };
+};
+
+export default useEditHistory;
@@ -0,0 +1,52 @@
+import { useState, useCallback } from 'react';
+import { debug } from '../config/env';
+
+export const PRESETS_STORAGE_KEY = 'neuro-chain-filter-presets';
+
+const readPresets = () => {
+  try {
+    const stored = JSON.parse(localStorage.getItem(PRESETS_STORAGE_KEY));
+    return Array.isArray(stored) ? stored : [];
+  } catch (error) {
+    debug.warn('Ignoring unreadable filter presets:', error);
+    return [];
+  }
+};
+
+const writePresets = (presets) => {
+  try {
+    localStorage.setItem(PRESETS_STORAGE_KEY, JSON.stringify(presets));
+  } catch (error) {
+    debug.error('Failed to save filter presets:', error);
+  }
+};
+
+/**
+ * Named filter presets kept in localStorage.
+ * Saving under an existing name replaces that preset.
+ * @returns {{presets: Array<{name: string, filter: Object}>, savePreset: Function, deletePreset: Function}}
+ */
+export const useFilterPresets = () => {
+  const [presets, setPresets] = useState(readPresets);
+
+  const savePreset = useCallback((name, filter) => {
+    setPresets(current => {
+      const next = [...current.filter(p => p.name !== name), { name, filter }]
+        .sort((a, b) => a.name.localeCompare(b.name));
+      writePresets(next);
+      return next;
+    });
+  }, []);
+
+  const deletePreset = useCallback((name) => {
+    setPresets(current => {
+      const next = current.filter(p => p.name !== name);
+      writePresets(next);
+      return next;
+    });
+  }, []);
+
+  return { presets, savePreset, deletePreset };
+};
+
+export default useFilterPresets;
@@ -1,7 +1,18 @@
 import { useEffect } from 'react';
 
+/**
+ * Whether a keyboard event target is a form field or editable content
+ * @param {EventTarget} target
+ * @returns {boolean}
+ */
+export const isEditableTarget = (target) => (
+  target?.isContentEditable || ['INPUT', 'TEXTAREA', 'SELECT'].includes(target?.tagName)
+);
+
 /**
  * Custom hook for keyboard shortcuts
+ * Plain keys are left alone while typing in a form field; modifier combinations and Escape still fire.
+ * A handler can return `false` to leave the event to the browser.
  * @param {Object} shortcuts - Map of key combinations to handlers
  */
 export const useKeyboardShortcuts = (shortcuts) => {
@@ -12,6 +23,8 @@ export const useKeyboardShortcuts = (shortcuts) => {
       const shift = event.shiftKey;
       const alt = event.altKey;
 
+      if (!ctrl && !alt && key !== 'escape' && isEditableTarget(event.target)) return;
+
       // Build key combination string
       let combination = '';
       if (ctrl) combination += 'ctrl+';
@@ -22,9 +35,8 @@ export const useKeyboardShortcuts = (shortcuts) => {
       // Check if we have a handler for this combination
       const handler = shortcuts[combination] || shortcuts[key];
       
-      if (handler) {
+      if (handler && handler(event) !== false) {
         event.preventDefault();
-        handler(event);
       }
     };
 
@@ -0,0 +1,48 @@
+import { useState, useEffect, useRef, useCallback, useMemo } from 'react';
+import { SearchEngine, EMPTY_RESULT } from '../search/SearchEngine.js';
+import { debug } from '../config/env';
+
+/**
+ * Keep a search index in sync with the dataset.
+ * The index is rebuilt in a worker whenever nodes, clusters or descriptions change;
+ * `version` increments after each rebuild so callers can re-run their query.
+ * @param {Object} data - { nodes, clusters, descriptions }
+ * @param {Object} [options] - SearchEngine options
+ * @returns {{search: (query: string, options?: Object) => Promise<Object>, version: number}}
+ */
+export const useSearchEngine = ({ nodes, clusters, descriptions }, options) => {
+  const engineRef = useRef(null);
+  const [version, setVersion] = useState(0);
+  const [engineOptions] = useState(options);
+
+  useEffect(() => {
+    const engine = new SearchEngine(engineOptions);
+    engineRef.current = engine;
+    return () => {
+      engine.destroy();
+      engineRef.current = null;
+    };
+  }, [engineOptions]);
+
+  useEffect(() => {
+    const engine = engineRef.current;
+    if (!engine) return;
+    let cancelled = false;
+    engine.build({ nodes, clusters, descriptions })
+      .then(() => {
+        if (!cancelled) setVersion(v => v + 1);
+      })
+      .catch(error => {
+        if (!cancelled) debug.error('Failed to build search index:', error);
+      });
+    return () => { cancelled = true; };
+  }, [nodes, clusters, descriptions]);
+
+  const search = useCallback((query, searchOptions) => (
+    engineRef.current ? engineRef.current.search(query, searchOptions) : Promise.resolve(EMPTY_RESULT)
+  ), []);
+
+  return useMemo(() => ({ search, version }), [search, version]);
+};
+
+export default useSearchEngine;
@@ -0,0 +1,48 @@
+import { useEffect, useRef } from 'react';
+import { serializeViewState, parseViewState } from '../utils/urlState';
+
+// Camera and zoom change every frame while panning, so URL writes wait for a pause
+export const URL_WRITE_DELAY = 300;
+
+/**
+ * Mirror view state into the URL and restore it on browser back/forward.
+ * Selecting a different node adds a history entry; every other change replaces the current one.
+ * @param {Object} viewState - See URL_STATE_DEFAULTS in utils/urlState
+ * @param {(state: Object) => void} onRestore - Called with the parsed state on popstate
+ */
+export const useUrlState = (viewState, onRestore) => {
+  const query = serializeViewState(viewState).toString();
+  const nodeId = viewState.nodeId || null;
+  const onRestoreRef = useRef(onRestore);
+  const writtenNodeRef = useRef(parseViewState(window.location.search).nodeId);
+
+  useEffect(() => {
+    onRestoreRef.current = onRestore;
+  }, [onRestore]);
+
+  useEffect(() => {
+    const timer = setTimeout(() => {
+      if (`?${query}` === window.location.search) return;
+      const url = `${window.location.pathname}?${query}${window.location.hash}`;
+      if (nodeId !== writtenNodeRef.current) {
+        window.history.pushState(null, '', url);
+      } else {
+        window.history.replaceState(null, '', url);
+      }
+      writtenNodeRef.current = nodeId;
+    }, URL_WRITE_DELAY);
+    return () => clearTimeout(timer);
+  }, [query, nodeId]);
+
+  useEffect(() => {
+    const handlePopState = () => {
+      const state = parseViewState(window.location.search);
+      writtenNodeRef.current = state.nodeId;
+      onRestoreRef.current(state);
+    };
+    window.addEventListener('popstate', handlePopState);
+    return () => window.removeEventListener('popstate', handlePopState);
+  }, []);
+};
+
+export default useUrlState;
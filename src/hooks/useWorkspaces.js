@@ -0,0 +1,120 @@
+import { useState, useEffect, useCallback } from 'react';
+import { createWorkspaceStore } from '../utils/workspaceStore';
+import { debug } from '../config/env';
+
+// Quiet period after the last edit before it is written to the active workspace
+export const AUTOSAVE_DELAY = 1000;
+
+const COLLECTIONS = ['clusters', 'nodes', 'edges', 'descriptions'];
+
+const sameCollections = (a, b) => COLLECTIONS.every(key => a[key] === b[key]);
+
+/**
+ * Named workspaces on top of the edit history.
+ * Restores the last workspace on startup and auto-saves edits into the active one;
+ * the first edit on the bundled data creates a workspace for it.
+ * @param {Object} history - Result of useEditHistory
+ * @param {Object} bundledData - Data shipped with the app
+ * @param {Object} [options]
+ * @param {Object} [options.store] - Workspace store; defaults to IndexedDB
+ */
+export const useWorkspaces = (history, bundledData, { store: providedStore } = {}) => {
+  const [store] = useState(() => providedStore || createWorkspaceStore());
+  const [workspaces, setWorkspaces] = useState([]);
+  const [active, setActive] = useState(null); // { id, name } or null for the bundled data
+  const [savedData, setSavedData] = useState(null);
+  const [isRestoring, setIsRestoring] = useState(true);
+  const { data, baseline, reset } = history;
+
+  const refresh = useCallback(() => store.list().then(setWorkspaces), [store]);
+
+  const open = useCallback((workspace) => {
+    reset(workspace.data);
+    setActive({ id: workspace.id, name: workspace.name });
+    setSavedData(workspace.data);
+    return store.setLastWorkspaceId(workspace.id);
+  }, [store, reset]);
+
+  // Restore the last workspace on startup
+  useEffect(() => {
+    let cancelled = false;
+    store.getLastWorkspaceId()
+      .then(id => (id ? store.load(id) : null))
+      .then(workspace => {
+        if (!cancelled && workspace) return open(workspace);
+      })
+      .catch(error => debug.error('Failed to restore workspace:', error))
+      .finally(() => {
+        if (cancelled) return;
+        setIsRestoring(false);
+        refresh();
+      });
+    return () => { cancelled = true; };
+  }, [store, open, refresh]);
+
+  // Auto-save edits once they settle. Undoing back to the loaded state still saves,
+  // but untouched bundled data never creates a workspace.
+  const hasEdits = !sameCollections(data, baseline);
+  const isSaved = savedData ? sameCollections(data, savedData) : !hasEdits;
+  useEffect(() => {
+    if (isRestoring || isSaved || (!active && !hasEdits)) return;
+
+    const timer = setTimeout(() => {
+      store.save({ id: active?.id, name: active?.name, data })
+        .then(workspace => {
+          setSavedData(data);
+          if (!active) {
+            setActive({ id: workspace.id, name: workspace.name });
+            store.setLastWorkspaceId(workspace.id);
+          }
+          return refresh();
+        })
+        .catch(error => debug.error('Auto-save failed:', error));
+    }, AUTOSAVE_DELAY);
+    return () => clearTimeout(timer);
+  }, [store, data, isSaved, hasEdits, active, isRestoring, refresh]);
+
+  const load = useCallback(async (id) => {
+    const workspace = await store.load(id);
+    if (workspace) await open(workspace);
+  }, [store, open]);
+
+  const saveAs = useCallback(async (name) => {
+    const workspace = await store.save({ name, data });
+    await open(workspace);
+    await refresh();
+  }, [store, data, open, refresh]);
+
+  const duplicate = useCallback(async (id) => {
+    await store.duplicate(id);
+    await refresh();
+  }, [store, refresh]);
+
+  const remove = useCallback(async (id) => {
+    await store.remove(id);
+    // The data stays on screen; the next edit saves it as a new workspace
+    if (active?.id === id) setActive(null);
+    await refresh();
+  }, [store, active, refresh]);
+
+  const resetToBundled = useCallback(async () => {
+    reset(bundledData);
+    setActive(null);
+    setSavedData(bundledData);
+    await store.setLastWorkspaceId(null);
+  }, [store, reset, bundledData]);
+
+  return {
+    workspaces,
+    active,
+    isRestoring,
+    isSaved,
+    load,
+    saveAs,
+    duplicate,
+    remove,
+    resetToBundled,
+  };
+};
+
+export default useWorkspaces;
@@ -0,0 +1,270 @@
+/**
+ * Layout Engine
+ * Main-thread facade over LayoutSimulation. Uses LayoutWorker when Web Workers
+ * are available (and VITE_ENABLE_WORKERS is not 'false'), otherwise steps the
+ * same simulation synchronously from the render loop.
+ */
+
+import { LayoutSimulation } from './LayoutSimulation.js';
+import { LAYOUT_MESSAGES } from './types.js';
+import { config, debug } from '../config/env.js';
+
+/**
+ * @callback PositionsCallback
+ * @param {Float32Array} positions - Interleaved x/y, indexed like the nodes passed to setGraph
+ */
+
+/**
+ * @typedef {Object} LayoutStatus
+ * @property {number} alpha - Current temperature, 1 when freshly heated
+ * @property {boolean} settled - No movement until something reheats the simulation
+ * @property {boolean} frozen
+ */
+
+/**
+ * @callback StatusCallback
+ * @param {LayoutStatus} status
+ */
+
+export class LayoutEngine {
+  /**
+   * @param {Object} [options]
+   * @param {boolean} [options.useWorker] - Force worker usage on/off
+   */
+  constructor({ useWorker = config.enableWorkers } = {}) {
+    /** @type {PositionsCallback|null} */
+    this.onPositions = null;
+    /** @type {StatusCallback|null} */
+    this.onStatus = null;
+    /** @type {LayoutStatus} */
+    this.status = { alpha: 1, settled: false, frozen: false };
+    this.running = false;
+    this.version = 0;
+    this.worker = null;
+    this.simulation = null;
+
+    if (useWorker && typeof Worker !== 'undefined') {
+      try {
+        this.initWorker();
+      } catch (error) {
+        debug.warn('Layout worker unavailable, simulating on main thread:', error);
+        this.worker = null;
+      }
+    }
+
+    if (!this.worker) {
+      this.simulation = new LayoutSimulation();
+    }
+  }
+
+  /**
+   * Initialize simulation worker
+   */
+  initWorker() {
+    this.worker = new Worker(new URL('./LayoutWorker.js', import.meta.url), { type: 'module' });
+    this.worker.onmessage = (e) => this.handleWorkerMessage(e.data);
+  }
+
+  /**
+   * @returns {boolean} True when the simulation runs off the main thread
+   */
+  get isWorker() {
+    return this.worker !== null;
+  }
+
+  handleWorkerMessage(data) {
+    if (data.type === LAYOUT_MESSAGES.ERROR) {
+      debug.error('[Layout] Worker Error:', data.payload);
+      return;
+    }
+    if (data.type === LAYOUT_MESSAGES.STATUS) {
+      this.updateStatus(data.payload);
+      return;
+    }
+    if (data.type !== LAYOUT_MESSAGES.POSITIONS) return;
+
+    const { buffer, version, alpha } = data;
+    this.updateStatus({ alpha, settled: false });
+    if (version === this.version && this.onPositions) {
+      this.onPositions(buffer);
+    }
+    // Hand the buffer back so the worker can reuse it
+    this.worker.postMessage({ type: LAYOUT_MESSAGES.RETURN_BUFFER, payload: buffer }, [buffer.buffer]);
+  }
+
+  /**
+   * @param {Partial<LayoutStatus>} changes
+   */
+  updateStatus(changes) {
+    this.status = { ...this.status, ...changes };
+    if (this.onStatus) this.onStatus(this.status);
+  }
+
+  /**
+   * Main-thread fallback: report a warm-up straight away. The simulation only ticks from the
+   * render loop, which stops scheduling frames while the layout is settled.
+   */
+  syncStatus() {
+    const { alpha, settled } = this.simulation;
+    if (settled !== this.status.settled) this.updateStatus({ alpha, settled });
+  }
+
+  send(type, payload, transfer) {
+    if (this.worker) {
+      this.worker.postMessage({ type, payload }, transfer || []);
+    }
+  }
+
+  /**
+   * @param {Array} nodes - Nodes with id/cluster/year/size/x/y, and pinned for nodes held in place
+   * @param {Array} edges - Edges with source/target ids and type
+   * @param {string[]} clusterKeys
+   * @param {Object} [start] - Starting positions, see LayoutSimulation#setGraph
+   * @param {string|number} [start.seed]
+   * @param {boolean} [start.scatter]
+   */
+  setGraph(nodes, edges, clusterKeys, { seed, scatter = false } = {}) {
+    this.version += 1;
+    const graph = {
+      nodes: nodes.map(n => ({ id: n.id, cluster: n.cluster, year: n.year, size: n.size, x: n.x, y: n.y, pinned: Boolean(n.pinned) })),
+      edges: edges.map(e => ({ source: e.source, target: e.target, type: e.type })),
+      clusterKeys,
+      seed,
+      scatter,
+    };
+
+    if (this.worker) {
+      this.send(LAYOUT_MESSAGES.SET_GRAPH, { ...graph, version: this.version });
+    } else {
+      this.simulation.setGraph(graph);
+      this.syncStatus();
+    }
+  }
+
+  /**
+   * @param {string} layout - Key of LAYOUTS
+   * @param {Object} [params] - Physics overrides
+   */
+  setLayout(layout, params = {}) {
+    if (this.worker) {
+      this.send(LAYOUT_MESSAGES.SET_LAYOUT, { layout, params });
+    } else {
+      this.simulation.setLayout(layout, params);
+      this.syncStatus();
+    }
+  }
+
+  /**
+   * @param {Uint8Array} mask - 1 for nodes that take part in the simulation
+   */
+  setActive(mask) {
+    if (this.worker) {
+      this.send(LAYOUT_MESSAGES.SET_ACTIVE, { mask });
+    } else {
+      this.simulation.setActive(mask);
+      this.syncStatus();
+    }
+  }
+
+  setPosition(index, x, y) {
+    if (this.worker) {
+      this.send(LAYOUT_MESSAGES.SET_POSITION, { index, x, y });
+    } else {
+      this.simulation.setPosition(index, x, y);
+    }
+  }
+
+  setPinned(index, pinned) {
+    if (this.worker) {
+      this.send(LAYOUT_MESSAGES.SET_PINNED, { index, pinned });
+    } else {
+      this.simulation.setPinned(index, pinned);
+    }
+  }
+
+  /**
+   * Change physics parameters without switching layout; warms the simulation slightly
+   * @param {Object} params
+   */
+  setParams(params) {
+    if (this.worker) {
+      this.send(LAYOUT_MESSAGES.SET_PARAMS, { params });
+    } else {
+      this.simulation.setParams(params);
+      this.syncStatus();
+    }
+  }
+
+  /**
+   * @param {number} [alpha] - Temperature to warm up to
+   */
+  reheat(alpha = 1) {
+    if (this.worker) {
+      this.send(LAYOUT_MESSAGES.REHEAT, { alpha });
+    } else {
+      this.simulation.reheat(alpha);
+      this.syncStatus();
+    }
+  }
+
+  /**
+   * @param {number} target - Temperature to hold, e.g. while dragging; 0 to cool to rest
+   */
+  setAlphaTarget(target) {
+    if (this.worker) {
+      this.send(LAYOUT_MESSAGES.SET_ALPHA_TARGET, { target });
+    } else {
+      this.simulation.setAlphaTarget(target);
+      this.syncStatus();
+    }
+  }
+
+  /**
+   * @param {boolean} frozen
+   */
+  setFrozen(frozen) {
+    if (this.worker) {
+      this.send(LAYOUT_MESSAGES.SET_FROZEN, { frozen });
+    } else {
+      this.simulation.setFrozen(frozen);
+      this.updateStatus({ frozen, settled: this.simulation.settled });
+    }
+  }
+
+  start() {
+    this.running = true;
+    this.send(LAYOUT_MESSAGES.START);
+  }
+
+  stop() {
+    this.running = false;
+    this.send(LAYOUT_MESSAGES.STOP);
+  }
+
+  /**
+   * Advance the main-thread fallback by one tick. No-op when a worker is used.
+   */
+  step() {
+    if (this.worker || !this.running) return;
+    const moved = this.simulation.tick();
+    if (moved && this.onPositions) {
+      this.onPositions(this.simulation.positions);
+    }
+    const { alpha, settled } = this.simulation;
+    if (moved || settled !== this.status.settled) {
+      this.updateStatus({ alpha, settled });
+    }
+  }
+
+  destroy() {
+    this.stop();
+    if (this.worker) {
+      this.worker.terminate();
+      this.worker = null;
+    }
+    this.onPositions = null;
+    this.onStatus = null;
+  }
+}
+
+export default LayoutEngine;
@@ -0,0 +1,444 @@
+/**
+ * Layout Simulation
+ * Renderer-agnostic physics integrator working on flat typed arrays.
+ * Runs unchanged inside LayoutWorker or on the main thread as a fallback.
+ */
+
+import { Quadtree, cellDistanceSq } from '../utils/quadtree.js';
+import { getLayout, DEFAULT_LAYOUT_SEED } from './layouts.js';
+import { createRandom } from '../utils/random.js';
+
+/**
+ * @typedef {import('./layouts.js').LayoutNode} LayoutNode
+ */
+
+/**
+ * @typedef {Object} PhysicsParams
+ * @property {number} repulsion - Coulomb-style repulsion constant
+ * @property {number} spring - Edge spring strength
+ * @property {number} springLength - Edge rest length
+ * @property {number} centerGravity - Pull towards the origin
+ * @property {number} damping - Velocity multiplier per tick
+ * @property {number} targetStrength - Pull towards target positions (target layouts)
+ * @property {number} alphaDecay - Share of the distance to alphaTarget that alpha covers per tick
+ * @property {number} alphaMin - The simulation is at rest once alpha drops below this
+ */
+
+/** @type {PhysicsParams} */
+export const DEFAULT_PHYSICS = Object.freeze({
+  repulsion: 1000,
+  spring: 0.05,
+  springLength: 120,
+  centerGravity: 0.01,
+  damping: 0.85,
+  targetStrength: 0.05,
+  alphaDecay: 0.0228, // 1 - 0.001^(1/300): cools from 1 to rest in about 300 ticks
+  alphaMin: 0.001,
+});
+
+/**
+ * Parameters exposed as live sliders in the view settings
+ */
+export const PHYSICS_CONTROLS = [
+  { key: 'repulsion', label: 'Repulsion', min: 0, max: 10000, step: 100 },
+  { key: 'spring', label: 'Spring Strength', min: 0, max: 0.2, step: 0.001 },
+  { key: 'springLength', label: 'Spring Length', min: 20, max: 400, step: 5 },
+  { key: 'centerGravity', label: 'Gravity', min: 0, max: 0.05, step: 0.0001 },
+  { key: 'damping', label: 'Damping', min: 0.5, max: 0.99, step: 0.01 },
+];
+
+/**
+ * Physics of a theme with the user's slider overrides on top
+ * @param {Partial<PhysicsParams>} [themePhysics]
+ * @param {Partial<PhysicsParams>} [overrides]
+ * @returns {Object<string, number>} A value for every key in PHYSICS_CONTROLS
+ */
+export const resolvePhysics = (themePhysics = {}, overrides = {}) => {
+  return Object.fromEntries(PHYSICS_CONTROLS.map(({ key }) => {
+    const value = overrides[key] ?? themePhysics[key] ?? DEFAULT_PHYSICS[key];
+    return [key, value];
+  }));
+};
+
+// Alpha after small disturbances (slider changes, nodes appearing on the timeline)
+const NUDGE_ALPHA = 0.3;
+
+// Radius of a seeded scatter per square root of the node count
+const SCATTER_SPACING = 30;
+
+// Nodes stacked on one stored position are spread this far apart; repulsion cannot separate them
+const COINCIDENT_JITTER = 1;
+
+/**
+ * Seeded point in a disc, by rejection sampling so no trigonometry is involved and
+ * every JavaScript engine draws exactly the same point
+ * @param {() => number} random
+ * @param {number} radius
+ * @returns {[number, number]}
+ */
+const randomInDisc = (random, radius) => {
+  let x;
+  let y;
+  do {
+    x = random() * 2 - 1;
+    y = random() * 2 - 1;
+  } while (x * x + y * y > 1);
+  return [x * radius, y * radius];
+};
+
+const REPULSION_RADIUS = 400;
+const REPULSION_RADIUS_SQ = REPULSION_RADIUS * REPULSION_RADIUS;
+
+// Barnes–Hut opening angle: a cell narrower than theta times its distance acts as one body
+const BARNES_HUT_THETA = 0.9;
+
+const MAX_VELOCITY = 50;
+const REST_VELOCITY = 0.1;
+
+export class LayoutSimulation {
+  constructor() {
+    /** @type {LayoutNode[]} */
+    this.nodes = [];
+    /** @type {Array<{source: number, target: number, type: string}>} */
+    this.edges = [];
+    /** @type {string[]} */
+    this.clusterKeys = [];
+
+    /** @type {Float32Array} Interleaved x/y */
+    this.positions = new Float32Array(0);
+    /** @type {Float32Array} Interleaved vx/vy */
+    this.velocities = new Float32Array(0);
+    /** @type {Uint8Array} 1 = node takes part in the simulation */
+    this.active = new Uint8Array(0);
+    /** @type {Uint8Array} 1 = node is held in place (pinned, in a locked cluster or being dragged) */
+    this.pinned = new Uint8Array(0);
+    /** @type {Float32Array|null} */
+    this.targets = null;
+
+    this.layoutId = 'force';
+    /** @type {PhysicsParams} */
+    this.params = { ...DEFAULT_PHYSICS };
+
+    this.quadtree = new Quadtree();
+    this.points = [];
+
+    // Temperature: force-layout forces are scaled by alpha, which decays towards alphaTarget
+    this.alpha = 1;
+    this.alphaTarget = 0;
+    this.frozen = false;
+  }
+
+  /**
+   * @returns {boolean} True when ticking would not move anything
+   */
+  get settled() {
+    return this.frozen || (this.alpha < this.params.alphaMin && this.alphaTarget < this.params.alphaMin);
+  }
+
+  /**
+   * Warm the simulation up to at least `alpha`
+   * @param {number} [alpha]
+   */
+  reheat(alpha = 1) {
+    this.alpha = Math.max(this.alpha, alpha);
+  }
+
+  /**
+   * Alpha the simulation cools (or warms) towards; raised while a node is dragged
+   * @param {number} target
+   */
+  setAlphaTarget(target) {
+    this.alphaTarget = target;
+    this.reheat(target);
+  }
+
+  /**
+   * Stop all movement without losing the temperature; unfreezing carries on where it left off
+   * @param {boolean} frozen
+   */
+  setFrozen(frozen) {
+    this.frozen = frozen;
+  }
+
+  /**
+   * Replace the graph being simulated.
+   * Starting positions are a pure function of the seed and the data, never of timing;
+   * each node draws from its own generator, so adding a node does not move the others.
+   * @param {Object} graph
+   * @param {Array<LayoutNode & {x?: number, y?: number, pinned?: boolean}>} graph.nodes
+   * @param {Array<{source: string, target: string, type: string}>} graph.edges
+   * @param {string[]} graph.clusterKeys
+   * @param {string|number} [graph.seed]
+   * @param {boolean} [graph.scatter] - Start from a seeded scatter instead of the stored x/y
+   */
+  setGraph({ nodes, edges, clusterKeys, seed = DEFAULT_LAYOUT_SEED, scatter = false }) {
+    const count = nodes.length;
+    const indexById = new Map(nodes.map((n, i) => [n.id, i]));
+
+    this.nodes = nodes.map(n => ({ id: n.id, cluster: n.cluster, year: n.year, size: n.size }));
+    this.edges = [];
+    edges.forEach(e => {
+      const source = indexById.get(e.source);
+      const target = indexById.get(e.target);
+      if (source === undefined || target === undefined) return;
+      this.edges.push({ source, target, type: e.type });
+    });
+    this.clusterKeys = clusterKeys;
+
+    this.positions = new Float32Array(count * 2);
+    this.velocities = new Float32Array(count * 2);
+    this.active = new Uint8Array(count).fill(1);
+    this.pinned = new Uint8Array(count);
+    const scatterRadius = SCATTER_SPACING * Math.sqrt(count);
+    const taken = new Set();
+    nodes.forEach((n, i) => {
+      const random = createRandom(`${seed}:${n.id}`);
+      let x = n.x;
+      let y = n.y;
+      const stored = Number.isFinite(x) && Number.isFinite(y);
+      // Pinned nodes always keep their stored position, even in a seeded scatter
+      this.pinned[i] = n.pinned && stored ? 1 : 0;
+      if (!stored || (scatter && !this.pinned[i])) {
+        [x, y] = randomInDisc(random, scatterRadius);
+      } else if (!this.pinned[i] && taken.has(`${x},${y}`)) {
+        const [dx, dy] = randomInDisc(random, COINCIDENT_JITTER);
+        x += dx;
+        y += dy;
+      }
+      taken.add(`${x},${y}`);
+      this.positions[i * 2] = x;
+      this.positions[i * 2 + 1] = y;
+    });
+
+    this.points = nodes.map((_, i) => ({ index: i, x: 0, y: 0 }));
+    this.targets = null;
+    this.reheat(1);
+  }
+
+  /**
+   * Switch layout algorithm and/or physics parameters
+   * @param {string} layoutId
+   * @param {Partial<PhysicsParams>} [params]
+   */
+  setLayout(layoutId, params = {}) {
+    if (layoutId !== this.layoutId) {
+      this.layoutId = layoutId;
+      this.targets = null;
+      this.reheat(1);
+    }
+    this.setParams(params);
+  }
+
+  /**
+   * @param {Partial<PhysicsParams>} params
+   */
+  setParams(params) {
+    let changed = false;
+    Object.entries(params).forEach(([key, value]) => {
+      if (value === undefined || this.params[key] === value) return;
+      this.params[key] = value;
+      changed = true;
+    });
+    if (changed) this.reheat(NUDGE_ALPHA);
+  }
+
+  /**
+   * @param {Uint8Array|number[]} mask - 1 for nodes that should be simulated
+   */
+  setActive(mask) {
+    if (mask.length !== this.active.length) return;
+    if (this.active.every((value, i) => value === mask[i])) return;
+    this.active.set(mask);
+    this.reheat(NUDGE_ALPHA);
+  }
+
+  /**
+   * Move a node directly (dragging). The node stays where it is put while pinned.
+   */
+  setPosition(index, x, y) {
+    if (index < 0 || index >= this.nodes.length) return;
+    this.positions[index * 2] = x;
+    this.positions[index * 2 + 1] = y;
+    this.velocities[index * 2] = 0;
+    this.velocities[index * 2 + 1] = 0;
+  }
+
+  setPinned(index, pinned) {
+    if (index < 0 || index >= this.nodes.length) return;
+    this.pinned[index] = pinned ? 1 : 0;
+  }
+
+  /**
+   * Tick until the simulation comes to rest
+   * @param {number} [maxTicks]
+   * @returns {number} Ticks taken
+   */
+  settle(maxTicks = 1000) {
+    let ticks = 0;
+    while (ticks < maxTicks && this.tick()) ticks++;
+    return ticks;
+  }
+
+  /**
+   * Advance the simulation by one step
+   * @returns {boolean} False when it is settled or frozen and nothing moved
+   */
+  tick() {
+    if (this.settled) return false;
+    this.alpha += (this.alphaTarget - this.alpha) * this.params.alphaDecay;
+
+    const layout = getLayout(this.layoutId);
+
+    if (layout.kind === 'force') {
+      this.applyRepulsion();
+      this.applySprings();
+      this.applyGravity();
+    } else {
+      if (!this.targets) {
+        this.targets = layout.computeTargets({
+          nodes: this.nodes,
+          edges: this.edges,
+          clusterKeys: this.clusterKeys,
+        });
+      }
+      // Target layouts converge on their own; alpha only decides when to stop
+      this.applyTargets();
+    }
+
+    this.integrate();
+    return true;
+  }
+
+  applyRepulsion() {
+    const { positions, velocities, active, pinned, alpha } = this;
+    const { repulsion } = this.params;
+
+    const activePoints = [];
+    this.points.forEach(point => {
+      if (!active[point.index]) return;
+      point.x = positions[point.index * 2];
+      point.y = positions[point.index * 2 + 1];
+      activePoints.push(point);
+    });
+    const tree = this.quadtree.build(activePoints).accumulate();
+    const thetaSq = BARNES_HUT_THETA * BARNES_HUT_THETA;
+
+    activePoints.forEach(a => {
+      if (pinned[a.index]) return;
+
+      let fx = 0;
+      let fy = 0;
+      const push = (dx, dy, distSq, mass) => {
+        const dist = Math.sqrt(distSq);
+        const force = repulsion * alpha * mass / distSq;
+        fx += (dx / dist) * force;
+        fy += (dy / dist) * force;
+      };
+
+      tree.visit(cell => {
+        // Nothing in this cell is close enough to matter
+        if (cell.mass === 0 || cellDistanceSq(cell, a.x, a.y) >= REPULSION_RADIUS_SQ) return true;
+
+        if (cell.children) {
+          const dx = a.x - cell.cx;
+          const dy = a.y - cell.cy;
+          const distSq = dx * dx + dy * dy + 0.1;
+          const width = cell.x1 - cell.x0;
+          const inside = a.x >= cell.x0 && a.x < cell.x1 && a.y >= cell.y0 && a.y < cell.y1;
+          if (inside || width * width >= thetaSq * distSq) return false;
+
+          // Far enough away: approximate the whole cell by its centre of mass
+          if (distSq < REPULSION_RADIUS_SQ) push(dx, dy, distSq, cell.mass);
+          return true;
+        }
+
+        cell.items.forEach(b => {
+          if (a === b) return;
+          const dx = a.x - b.x;
+          const dy = a.y - b.y;
+          const distSq = dx * dx + dy * dy + 0.1;
+          if (distSq < REPULSION_RADIUS_SQ) push(dx, dy, distSq, 1);
+        });
+        return true;
+      });
+
+      velocities[a.index * 2] += fx;
+      velocities[a.index * 2 + 1] += fy;
+    });
+  }
+
+  applySprings() {
+    const { positions, velocities, active, pinned, alpha } = this;
+    const { spring, springLength } = this.params;
+
+    this.edges.forEach(({ source: s, target: t }) => {
+      if (!active[s] || !active[t]) return;
+
+      const dx = positions[t * 2] - positions[s * 2];
+      const dy = positions[t * 2 + 1] - positions[s * 2 + 1];
+      const dist = Math.sqrt(dx * dx + dy * dy) || 0.01;
+
+      const force = (dist - springLength) * spring * alpha;
+      const fx = (dx / dist) * force;
+      const fy = (dy / dist) * force;
+
+      if (!pinned[s]) { velocities[s * 2] += fx; velocities[s * 2 + 1] += fy; }
+      if (!pinned[t]) { velocities[t * 2] -= fx; velocities[t * 2 + 1] -= fy; }
+    });
+  }
+
+  applyGravity() {
+    const { positions, velocities, active, pinned, alpha } = this;
+    const { centerGravity } = this.params;
+
+    for (let i = 0; i < this.nodes.length; i++) {
+      if (!active[i] || pinned[i]) continue;
+      velocities[i * 2] -= positions[i * 2] * centerGravity * alpha;
+      velocities[i * 2 + 1] -= positions[i * 2 + 1] * centerGravity * alpha;
+    }
+  }
+
+  applyTargets() {
+    const { positions, velocities, active, pinned, targets } = this;
+    const { targetStrength } = this.params;
+
+    for (let i = 0; i < this.nodes.length; i++) {
+      if (!active[i] || pinned[i]) continue;
+      velocities[i * 2] += (targets[i * 2] - positions[i * 2]) * targetStrength;
+      velocities[i * 2 + 1] += (targets[i * 2 + 1] - positions[i * 2 + 1]) * targetStrength;
+    }
+  }
+
+  integrate() {
+    const { positions, velocities, active, pinned } = this;
+    const { damping } = this.params;
+
+    for (let i = 0; i < this.nodes.length; i++) {
+      if (!active[i]) continue;
+      if (pinned[i]) {
+        velocities[i * 2] = 0;
+        velocities[i * 2 + 1] = 0;
+        continue;
+      }
+
+      let vx = velocities[i * 2] * damping;
+      let vy = velocities[i * 2 + 1] * damping;
+      const vMag = Math.sqrt(vx * vx + vy * vy);
+      if (vMag > MAX_VELOCITY) {
+        vx = (vx / vMag) * MAX_VELOCITY;
+        vy = (vy / vMag) * MAX_VELOCITY;
+      }
+      if (vMag < REST_VELOCITY) {
+        vx = 0;
+        vy = 0;
+      }
+
+      velocities[i * 2] = vx;
+      velocities[i * 2 + 1] = vy;
+      positions[i * 2] += vx;
+      positions[i * 2 + 1] += vy;
+    }
+  }
+}
+
+export default LayoutSimulation;
@@ -0,0 +1,138 @@
+/**
+ * Layout Worker
+ * Hosts LayoutSimulation off the main thread and streams node positions back.
+ *
+ * Positions travel as transferable Float32Arrays from a small buffer pool:
+ * the main thread hands each buffer back after copying it, so a busy UI
+ * naturally throttles how often frames are posted.
+ *
+ * The tick loop stops once the simulation has cooled to rest and restarts
+ * when a message warms it up again, so a settled graph costs no CPU.
+ */
+
+import { LayoutSimulation } from './LayoutSimulation.js';
+import { LAYOUT_MESSAGES } from './types.js';
+
+const TICK_INTERVAL = 16; // ~60 ticks per second
+const POOL_SIZE = 2;
+
+const simulation = new LayoutSimulation();
+let version = 0;
+let running = false;
+let timer = null;
+let bufferPool = [];
+
+const resetPool = () => {
+  bufferPool = [];
+  for (let i = 0; i < POOL_SIZE; i++) {
+    bufferPool.push(new Float32Array(simulation.positions.length));
+  }
+};
+
+const postPositions = () => {
+  const buffer = bufferPool.pop();
+  if (!buffer) return; // Main thread still holds every buffer; skip this frame
+
+  buffer.set(simulation.positions);
+  postMessage({ type: LAYOUT_MESSAGES.POSITIONS, version, buffer, alpha: simulation.alpha }, [buffer.buffer]);
+};
+
+const postStatus = () => {
+  postMessage({
+    type: LAYOUT_MESSAGES.STATUS,
+    payload: { alpha: simulation.alpha, settled: simulation.settled, frozen: simulation.frozen },
+  });
+};
+
+const loop = () => {
+  timer = null;
+  if (!running) return;
+  if (simulation.tick()) postPositions();
+  if (simulation.settled) {
+    postStatus();
+    return;
+  }
+  timer = setTimeout(loop, TICK_INTERVAL);
+};
+
+// Restart the loop after a message that may have warmed the simulation up
+const wake = () => {
+  if (running && timer === null && !simulation.settled) {
+    postStatus();
+    loop();
+  }
+};
+
+const start = () => {
+  if (running) return;
+  running = true;
+  wake();
+};
+
+const stop = () => {
+  running = false;
+  clearTimeout(timer);
+  timer = null;
+};
+
+self.onmessage = (e) => {
+  const { type, payload } = e.data;
+
+  try {
+    switch (type) {
+      case LAYOUT_MESSAGES.SET_GRAPH:
+        simulation.setGraph(payload);
+        version = payload.version;
+        resetPool();
+        postPositions();
+        break;
+      case LAYOUT_MESSAGES.SET_LAYOUT:
+        simulation.setLayout(payload.layout, payload.params);
+        break;
+      case LAYOUT_MESSAGES.SET_ACTIVE:
+        simulation.setActive(payload.mask);
+        break;
+      case LAYOUT_MESSAGES.SET_POSITION:
+        simulation.setPosition(payload.index, payload.x, payload.y);
+        break;
+      case LAYOUT_MESSAGES.SET_PINNED:
+        simulation.setPinned(payload.index, payload.pinned);
+        break;
+      case LAYOUT_MESSAGES.SET_PARAMS:
+        simulation.setParams(payload.params);
+        break;
+      case LAYOUT_MESSAGES.REHEAT:
+        simulation.reheat(payload.alpha);
+        break;
+      case LAYOUT_MESSAGES.SET_ALPHA_TARGET:
+        simulation.setAlphaTarget(payload.target);
+        break;
+      case LAYOUT_MESSAGES.SET_FROZEN:
+        simulation.setFrozen(payload.frozen);
+        postStatus();
+        break;
+      case LAYOUT_MESSAGES.START:
+        start();
+        break;
+      case LAYOUT_MESSAGES.STOP:
+        stop();
+        break;
+      case LAYOUT_MESSAGES.RETURN_BUFFER:
+        // Drop buffers from a previous graph
+        if (payload.length === simulation.positions.length && bufferPool.length < POOL_SIZE) {
+          bufferPool.push(payload);
+        }
+        break;
+      default:
+        break;
+    }
+    wake();
+  } catch (error) {
+    postMessage({
+      type: LAYOUT_MESSAGES.ERROR,
+      payload: {
+        message: error.message,
+      },
+    });
+  }
+};
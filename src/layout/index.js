@@ -0,0 +1,8 @@
+/**
+ * Layout module barrel export
+ */
+
+export { LayoutEngine } from './LayoutEngine.js';
+export { LayoutSimulation, DEFAULT_PHYSICS } from './LayoutSimulation.js';
+export { LAYOUTS, getLayout } from './layouts.js';
+export { LAYOUT_MESSAGES } from './types.js';
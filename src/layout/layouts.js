@@ -0,0 +1,275 @@
+/**
+ * Layout Definitions
+ * Every layout shares one interface so the simulation can swap them at runtime:
+ * - 'force' layouts are driven purely by repulsion/spring/gravity forces
+ * - 'target' layouts compute a fixed target position per node and pull nodes towards it
+ */
+
+import { createLogYearScale, getYearBounds, isDated } from '../utils/timeScale.js';
+
+/**
+ * @typedef {Object} LayoutNode
+ * @property {string} id
+ * @property {string} cluster
+ * @property {number|null} [year]
+ * @property {number} size
+ */
+
+/**
+ * @typedef {Object} LayoutGraph
+ * @property {LayoutNode[]} nodes
+ * @property {Array<{source: number, target: number, type: string}>} edges - Index-based edges
+ * @property {string[]} clusterKeys - Cluster ids in display order
+ */
+
+/**
+ * @typedef {Object} LayoutDefinition
+ * @property {string} label - Human readable name
+ * @property {'force' | 'target'} kind
+ * @property {(graph: LayoutGraph) => Float32Array} [computeTargets] - Interleaved x/y targets
+ */
+
+// Stable pseudo-random angle from a node id (keeps layouts identical between runs)
+const hashAngle = (id) => {
+  const sum = id.split('').reduce((acc, char) => acc + char.charCodeAt(0), 0);
+  return (sum % 360) * (Math.PI / 180);
+};
+
+const clusterIndexOf = (graph, node) => {
+  const index = graph.clusterKeys.indexOf(node.cluster);
+  // Unknown clusters are grouped after the known ones
+  return index === -1 ? graph.clusterKeys.length : index;
+};
+
+/**
+ * Grid: rows of evenly spaced nodes in data order
+ */
+const gridTargets = (graph) => {
+  const count = graph.nodes.length;
+  const cols = Math.ceil(Math.sqrt(count * 1.5));
+  const spacing = 150;
+  const targets = new Float32Array(count * 2);
+
+  for (let i = 0; i < count; i++) {
+    const col = i % cols;
+    const row = Math.floor(i / cols);
+    targets[i * 2] = (col - cols / 2) * spacing;
+    targets[i * 2 + 1] = (row - cols / 2) * spacing;
+  }
+  return targets;
+};
+
+/**
+ * Radial: one concentric ring per cluster
+ */
+const radialTargets = (graph) => {
+  const targets = new Float32Array(graph.nodes.length * 2);
+
+  graph.nodes.forEach((node, i) => {
+    const radius = 200 + clusterIndexOf(graph, node) * 150;
+    const angle = hashAngle(node.id);
+    targets[i * 2] = Math.cos(angle) * radius;
+    targets[i * 2 + 1] = Math.sin(angle) * radius;
+  });
+  return targets;
+};
+
+/**
+ * Timeline: log-scaled year on X, one swim-lane per cluster on Y.
+ * Undated nodes are parked in a gutter left of the time axis.
+ */
+export const TIMELINE_WIDTH = 6000;
+export const TIMELINE_LANE_HEIGHT = 220;
+export const TIMELINE_GUTTER_WIDTH = 260;
+
+const TIMELINE_ROWS = 5; // Staggered rows per lane so nodes close in time do not overlap
+const TIMELINE_MIN_SPACING = 40;
+const GUTTER_COLUMNS = 4;
+const GUTTER_SPACING = 50;
+
+/**
+ * Shared geometry of the timeline layout, used for node targets and the drawn ruler
+ * @param {LayoutNode[]} nodes
+ * @param {string[]} clusterKeys
+ */
+export const getTimelineGeometry = (nodes, clusterKeys) => {
+  const bounds = getYearBounds(nodes);
+  const scale = createLogYearScale(bounds.min, bounds.max);
+  const hasUnknown = nodes.some(n => !clusterKeys.includes(n.cluster));
+  const lanes = hasUnknown ? [...clusterKeys, null] : [...clusterKeys];
+  const top = -(lanes.length * TIMELINE_LANE_HEIGHT) / 2;
+
+  return {
+    minYear: bounds.min,
+    maxYear: bounds.max,
+    scale,
+    width: TIMELINE_WIDTH,
+    lanes,
+    top,
+    bottom: top + lanes.length * TIMELINE_LANE_HEIGHT,
+    left: -TIMELINE_WIDTH / 2,
+    right: TIMELINE_WIDTH / 2,
+    gutterLeft: -TIMELINE_WIDTH / 2 - TIMELINE_GUTTER_WIDTH,
+    yearToX: (year) => (scale.toUnit(year) - 0.5) * TIMELINE_WIDTH,
+    xToYear: (x) => scale.fromUnit(x / TIMELINE_WIDTH + 0.5),
+    laneCenter: (lane) => top + (lane + 0.5) * TIMELINE_LANE_HEIGHT,
+  };
+};
+
+const timelineTargets = (graph) => {
+  const targets = new Float32Array(graph.nodes.length * 2);
+  const geometry = getTimelineGeometry(graph.nodes, graph.clusterKeys);
+  const rowGap = TIMELINE_LANE_HEIGHT / (TIMELINE_ROWS + 1);
+
+  const dated = geometry.lanes.map(() => []);
+  const undated = geometry.lanes.map(() => []);
+  graph.nodes.forEach((node, i) => {
+    const lane = Math.min(clusterIndexOf(graph, node), geometry.lanes.length - 1);
+    (isDated(node) ? dated : undated)[lane].push(i);
+  });
+
+  dated.forEach((members, lane) => {
+    const rowEnds = new Array(TIMELINE_ROWS).fill(-Infinity);
+    members
+      .map(i => ({ i, x: geometry.yearToX(graph.nodes[i].year) }))
+      .sort((a, b) => a.x - b.x)
+      .forEach(({ i, x }) => {
+        // Greedy packing: first row with room, otherwise the least crowded one
+        let row = rowEnds.findIndex(end => x - end >= TIMELINE_MIN_SPACING);
+        if (row === -1) row = rowEnds.indexOf(Math.min(...rowEnds));
+        rowEnds[row] = x;
+
+        targets[i * 2] = x;
+        targets[i * 2 + 1] = geometry.laneCenter(lane) + (row - (TIMELINE_ROWS - 1) / 2) * rowGap;
+      });
+  });
+
+  undated.forEach((members, lane) => {
+    const rows = Math.ceil(members.length / GUTTER_COLUMNS);
+    const spacing = Math.min(36, (TIMELINE_LANE_HEIGHT * 0.85) / Math.max(rows, 1));
+    members.forEach((nodeIndex, k) => {
+      const col = k % GUTTER_COLUMNS;
+      const row = Math.floor(k / GUTTER_COLUMNS);
+      targets[nodeIndex * 2] = geometry.left - 60 - col * GUTTER_SPACING;
+      targets[nodeIndex * 2 + 1] = geometry.laneCenter(lane) + (row - (rows - 1) / 2) * spacing;
+    });
+  });
+
+  return targets;
+};
+
+/**
+ * Hierarchical: layers by longest chain of 'forward' dependencies
+ */
+export const computeDependencyDepths = (graph) => {
+  const count = graph.nodes.length;
+  const outgoing = Array.from({ length: count }, () => []);
+  const indegree = new Int32Array(count);
+
+  graph.edges.forEach(edge => {
+    if (edge.type !== 'forward' || edge.source === edge.target) return;
+    outgoing[edge.source].push(edge.target);
+    indegree[edge.target]++;
+  });
+
+  // Kahn's algorithm; nodes left over are part of a cycle and keep their current depth
+  const depth = new Int32Array(count);
+  const queue = [];
+  for (let i = 0; i < count; i++) {
+    if (indegree[i] === 0) queue.push(i);
+  }
+  for (let head = 0; head < queue.length; head++) {
+    const current = queue[head];
+    outgoing[current].forEach(next => {
+      depth[next] = Math.max(depth[next], depth[current] + 1);
+      indegree[next]--;
+      if (indegree[next] === 0) queue.push(next);
+    });
+  }
+  return depth;
+};
+
+const hierarchicalTargets = (graph) => {
+  const count = graph.nodes.length;
+  const targets = new Float32Array(count * 2);
+  const depth = computeDependencyDepths(graph);
+  const layerGap = 220;
+  const rowGap = 70;
+
+  const layers = new Map();
+  for (let i = 0; i < count; i++) {
+    if (!layers.has(depth[i])) layers.set(depth[i], []);
+    layers.get(depth[i]).push(i);
+  }
+  const maxDepth = Math.max(0, ...layers.keys());
+
+  layers.forEach((members, layer) => {
+    // Group by cluster inside a layer so related nodes stay together
+    members.sort((a, b) => clusterIndexOf(graph, graph.nodes[a]) - clusterIndexOf(graph, graph.nodes[b]));
+    members.forEach((nodeIndex, row) => {
+      targets[nodeIndex * 2] = (layer - maxDepth / 2) * layerGap;
+      targets[nodeIndex * 2 + 1] = (row - members.length / 2) * rowGap;
+    });
+  });
+  return targets;
+};
+
+/**
+ * Cluster ring: clusters spaced around a large circle, members spiral around their hub
+ */
+const clusterRingTargets = (graph) => {
+  const targets = new Float32Array(graph.nodes.length * 2);
+  const groupCount = graph.clusterKeys.length + 1;
+  const ringRadius = 300 * groupCount;
+  const goldenAngle = Math.PI * (3 - Math.sqrt(5));
+  const seen = new Int32Array(groupCount);
+
+  graph.nodes.forEach((node, i) => {
+    const group = clusterIndexOf(graph, node);
+    const hubAngle = (group / groupCount) * Math.PI * 2;
+    const hubX = Math.cos(hubAngle) * ringRadius;
+    const hubY = Math.sin(hubAngle) * ringRadius;
+
+    // Sunflower spiral keeps members evenly packed regardless of cluster size
+    const k = seen[group]++;
+    const r = 28 * Math.sqrt(k);
+    targets[i * 2] = hubX + Math.cos(k * goldenAngle) * r;
+    targets[i * 2 + 1] = hubY + Math.sin(k * goldenAngle) * r;
+  });
+  return targets;
+};
+
+/**
+ * Registry of available layouts
+ * @type {Object<string, LayoutDefinition>}
+ */
+export const LAYOUTS = {
+  force: { label: 'Force', kind: 'force' },
+  grid: { label: 'Grid', kind: 'target', computeTargets: gridTargets },
+  radial: { label: 'Radial', kind: 'target', computeTargets: radialTargets },
+  timeline: { label: 'Timeline', kind: 'target', computeTargets: timelineTargets },
+  hierarchical: { label: 'Hierarchical', kind: 'target', computeTargets: hierarchicalTargets },
+  'cluster-ring': { label: 'Cluster Ring', kind: 'target', computeTargets: clusterRingTargets },
+};
+
+/**
+ * Get a layout definition, falling back to force
+ * @param {string} id
+ * @returns {LayoutDefinition}
+ */
+export const getLayout = (id) => LAYOUTS[id] || LAYOUTS.force;
+
+/**
+ * Where the simulation starts from
+ * - 'stored': the x/y saved with each node
+ * - 'seeded': a scatter drawn from the layout seed, ignoring stored positions,
+ *   so the same seed and data always settle into the same picture
+ * - 'baked': the stored x/y with the simulation frozen, for positions baked earlier
+ */
+export const LAYOUT_STARTS = {
+  stored: { label: 'Stored positions' },
+  seeded: { label: 'Seeded scatter' },
+  baked: { label: 'Baked (paused)' },
+};
+
+export const DEFAULT_LAYOUT_SEED = 1;
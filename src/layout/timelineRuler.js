@@ -0,0 +1,148 @@
+/**
+ * Timeline Ruler
+ * Canvas drawing helpers for the 'timeline' layout: cluster swim-lanes,
+ * the undated gutter and a zoom-adaptive year ruler.
+ */
+
+import { generateYearTicks } from '../utils/timeScale.js';
+
+/**
+ * @typedef {ReturnType<import('./layouts.js').getTimelineGeometry>} TimelineGeometry
+ */
+
+/**
+ * Draw lane bands and the undated gutter. Call inside the world transform, before edges.
+ * @param {CanvasRenderingContext2D} ctx
+ * @param {Object} options
+ * @param {TimelineGeometry} options.geometry
+ * @param {Object} options.clusters - clusters.json map
+ * @param {Object} options.theme - Entry of THEMES
+ * @param {number} options.zoom
+ */
+export const drawTimelineLanes = (ctx, { geometry, clusters, theme, zoom }) => {
+  const { lanes, top, bottom, left, right, gutterLeft } = geometry;
+  const laneHeight = (bottom - top) / lanes.length;
+
+  lanes.forEach((clusterId, lane) => {
+    const color = clusters[clusterId]?.color || theme.nodeBase;
+    ctx.fillStyle = color + (lane % 2 === 0 ? '0d' : '08');
+    ctx.fillRect(gutterLeft, top + lane * laneHeight, right - gutterLeft, laneHeight);
+  });
+
+  // Gutter for nodes without a year
+  ctx.fillStyle = theme.text + '0a';
+  ctx.fillRect(gutterLeft, top, left - gutterLeft, bottom - top);
+
+  ctx.strokeStyle = theme.text + '30';
+  ctx.lineWidth = 1 / zoom;
+  ctx.setLineDash([6 / zoom, 6 / zoom]);
+  ctx.beginPath();
+  ctx.moveTo(left, top);
+  ctx.lineTo(left, bottom);
+  ctx.stroke();
+  ctx.setLineDash([]);
+};
+
+/**
+ * Draw the year ruler, lane labels and the current-year marker in screen space.
+ * Call after the world transform has been restored.
+ * @param {CanvasRenderingContext2D} ctx
+ * @param {Object} options
+ * @param {TimelineGeometry} options.geometry
+ * @param {Object} options.clusters
+ * @param {Object} options.theme
+ * @param {{x: number, y: number}} options.camera
+ * @param {number} options.zoom
+ * @param {number} options.width - Viewport width in CSS pixels
+ * @param {number} options.height - Viewport height in CSS pixels
+ * @param {number} [options.currentYear] - Year selected on the timeline control
+ */
+export const drawTimelineRuler = (ctx, { geometry, clusters, theme, camera, zoom, width, height, currentYear }) => {
+  const toScreenX = (wx) => width / 2 + camera.x + wx * zoom;
+  const toScreenY = (wy) => height / 2 + camera.y + wy * zoom;
+  const toWorldX = (sx) => (sx - width / 2 - camera.x) / zoom;
+
+  const axisLeft = Math.max(toScreenX(geometry.left), 0);
+  const axisRight = Math.min(toScreenX(geometry.right), width);
+  // Keep the ruler on screen while the lanes are scrolled past the top edge
+  const rulerY = Math.max(toScreenY(geometry.top) - 28, 8);
+  const font = `${theme.font}, monospace`;
+
+  ctx.save();
+
+  // Ruler band
+  ctx.fillStyle = theme.background + 'cc';
+  ctx.fillRect(0, rulerY - 8, width, 34);
+
+  if (axisRight > axisLeft) {
+    ctx.strokeStyle = theme.text + '60';
+    ctx.lineWidth = 1;
+    ctx.beginPath();
+    ctx.moveTo(axisLeft, rulerY + 18);
+    ctx.lineTo(axisRight, rulerY + 18);
+    ctx.stroke();
+
+    const ticks = generateYearTicks({
+      yearToPixel: (year) => toScreenX(geometry.yearToX(year)),
+      fromYear: geometry.xToYear(toWorldX(axisLeft)),
+      toYear: geometry.xToYear(toWorldX(axisRight)),
+    });
+
+    ctx.font = `10px ${font}`;
+    ctx.textAlign = 'center';
+    ticks.forEach(tick => {
+      const isMajor = tick.step >= 1000;
+      ctx.strokeStyle = theme.text + (isMajor ? '90' : '50');
+      ctx.beginPath();
+      ctx.moveTo(tick.x, rulerY + (isMajor ? 10 : 13));
+      ctx.lineTo(tick.x, rulerY + 18);
+      ctx.stroke();
+
+      // Faint guide through the lanes
+      ctx.strokeStyle = theme.text + '10';
+      ctx.beginPath();
+      ctx.moveTo(tick.x, rulerY + 18);
+      ctx.lineTo(tick.x, toScreenY(geometry.bottom));
+      ctx.stroke();
+
+      ctx.fillStyle = theme.text + (isMajor ? 'dd' : '99');
+      ctx.fillText(tick.label, tick.x, rulerY + 6);
+    });
+  }
+
+  // Undated gutter heading
+  const gutterX = toScreenX((geometry.gutterLeft + geometry.left) / 2);
+  if (gutterX > 0 && gutterX < width) {
+    ctx.font = `10px ${font}`;
+    ctx.textAlign = 'center';
+    ctx.fillStyle = theme.text + '99';
+    ctx.fillText('UNDATED', gutterX, rulerY + 6);
+  }
+
+  // Current year marker
+  if (currentYear !== undefined && currentYear >= geometry.minYear && currentYear < geometry.maxYear) {
+    const markerX = toScreenX(geometry.yearToX(currentYear));
+    if (markerX >= 0 && markerX <= width) {
+      ctx.strokeStyle = '#00ffff80';
+      ctx.lineWidth = 1.5;
+      ctx.beginPath();
+      ctx.moveTo(markerX, rulerY + 18);
+      ctx.lineTo(markerX, toScreenY(geometry.bottom));
+      ctx.stroke();
+    }
+  }
+
+  // Lane labels pinned to the left edge of the lanes (or of the screen)
+  const laneHeight = (geometry.bottom - geometry.top) / geometry.lanes.length;
+  const labelX = Math.max(toScreenX(geometry.gutterLeft) + 8, 8);
+  ctx.font = `11px ${font}`;
+  ctx.textAlign = 'left';
+  geometry.lanes.forEach((clusterId, lane) => {
+    const y = toScreenY(geometry.top + lane * laneHeight) + 14;
+    if (y < rulerY + 26 || y > height) return;
+    ctx.fillStyle = clusters[clusterId]?.color || theme.text;
+    ctx.fillText(clusters[clusterId]?.label || 'Other', labelX, y);
+  });
+
+  ctx.restore();
+};
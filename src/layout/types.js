@@ -0,0 +1,27 @@
+/**
+ * Layout Type Definitions
+ * Message constants shared by LayoutEngine and LayoutWorker
+ */
+
+/**
+ * Worker message types
+ * @readonly
+ * @enum {string}
+ */
+export const LAYOUT_MESSAGES = Object.freeze({
+  SET_GRAPH: 'SET_GRAPH',
+  SET_LAYOUT: 'SET_LAYOUT',
+  SET_ACTIVE: 'SET_ACTIVE',
+  SET_POSITION: 'SET_POSITION',
+  SET_PINNED: 'SET_PINNED',
+  SET_PARAMS: 'SET_PARAMS',
+  REHEAT: 'REHEAT',
+  SET_ALPHA_TARGET: 'SET_ALPHA_TARGET',
+  SET_FROZEN: 'SET_FROZEN',
+  START: 'START',
+  STOP: 'STOP',
+  RETURN_BUFFER: 'RETURN_BUFFER',
+  POSITIONS: 'POSITIONS',
+  STATUS: 'STATUS',
+  ERROR: 'ERROR',
+});
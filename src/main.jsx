@@ -3,6 +3,12 @@ import { createRoot } from 'react-dom/client'
 import App from './App.jsx'
 import ErrorBoundary from './components/ErrorBoundary.jsx'
 import { registerSW } from 'virtual:pwa-register'
+import { installTrustedTypes, watchCSPViolations } from './config/security.js'
+
+// Every HTML sink goes through the sanitiser from here on; in development the CSP is
+// report-only and violations are logged to the console instead
+installTrustedTypes()
+if (import.meta.env.DEV) watchCSPViolations()
 
 // Register Service Worker and handle auto-update
 const updateSW = registerSW({
@@ -0,0 +1,308 @@
+/**
+ * Canvas 2D Renderer
+ * The original immediate-mode renderer. Always available; also used for offscreen
+ * captures and for the text layer on top of the WebGL renderer.
+ */
+
+import { Renderer } from './Renderer.js';
+import { RENDERERS } from './types.js';
+import {
+  nodeAppearance,
+  nodeRings,
+  edgeAppearance,
+  flowPulsePosition,
+  clickPulsePosition,
+  rippleRings,
+} from './sceneStyle.js';
+import { alphaHex, isFlatNodeTheme } from '../utils/graphStyle';
+import { drawTimelineLanes, drawTimelineRuler } from '../layout/timelineRuler.js';
+
+/**
+ * @typedef {import('./types.js').RenderFrame} RenderFrame
+ */
+
+/**
+ * Clear (or paint the theme background) and reset to CSS-pixel coordinates
+ * @param {CanvasRenderingContext2D} ctx
+ * @param {RenderFrame} frame
+ * @param {boolean} [transparent]
+ */
+const beginFrame = (ctx, frame, transparent = frame.transparent) => {
+  ctx.setTransform(frame.pixelRatio, 0, 0, frame.pixelRatio, 0, 0);
+  if (transparent) {
+    ctx.clearRect(0, 0, frame.width, frame.height);
+  } else {
+    ctx.fillStyle = frame.theme.background;
+    ctx.fillRect(0, 0, frame.width, frame.height);
+  }
+};
+
+const applyCamera = (ctx, frame) => {
+  ctx.translate(frame.width / 2 + frame.camera.x, frame.height / 2 + frame.camera.y);
+  ctx.scale(frame.zoom, frame.zoom);
+};
+
+/**
+ * Edges drawn at this level of detail. Canvas 2D caps the count and, zoomed out,
+ * skips the minor edge types to hold frame rate.
+ */
+const edgesForLOD = (frame) => {
+  const { lod, zoom } = frame;
+  if (!lod.renderEdges) return [];
+  const edges = lod.maxEdges && frame.edges.length > lod.maxEdges ? frame.edges.slice(0, lod.maxEdges) : frame.edges;
+  // Performance: Skip backlink/accelerates edges when zoomed out
+  return zoom < 0.8 ? edges.filter(e => e.type !== 'backlink' && e.type !== 'accelerates') : edges;
+};
+
+/**
+ * Node label with a background-coloured halo. Call inside the world transform.
+ * @param {CanvasRenderingContext2D} ctx
+ * @param {RenderFrame} frame
+ * @param {Object} node
+ * @param {import('./sceneStyle.js').NodeAppearance} look
+ */
+export const drawNodeLabel = (ctx, frame, node, look) => {
+  ctx.font = `${look.hovered ? '11px' : '9px'} ${frame.theme.font}, monospace`;
+  ctx.textAlign = 'center';
+
+  // Clear Labels: Add stroke background
+  ctx.strokeStyle = frame.theme.background;
+  ctx.lineWidth = 3;
+  ctx.lineJoin = 'round';
+  ctx.strokeText(node.label, node.x, node.y + look.size + 14);
+
+  ctx.fillStyle = frame.theme.text; // Theme text color
+  ctx.fillText(node.label, node.x, node.y + look.size + 14);
+};
+
+/**
+ * Pin marker at the top right of a pinned node, drawn on top of the node so both
+ * backends can put it on their 2D layer. Call inside the world transform.
+ * @param {CanvasRenderingContext2D} ctx
+ * @param {RenderFrame} frame
+ * @param {Object} node
+ * @param {import('./sceneStyle.js').NodeAppearance} look
+ */
+export const drawPinMarker = (ctx, frame, node, look) => {
+  if (!look.pinned || look.opacity <= 0) return;
+  // Constant on-screen size whatever the zoom
+  const head = 3 / frame.zoom;
+  const tipX = node.x + look.size * 0.7;
+  const tipY = node.y - look.size * 0.7;
+  const headX = tipX + head * 1.5;
+  const headY = tipY - head * 1.5;
+
+  ctx.save();
+  ctx.globalAlpha = look.opacity;
+  ctx.strokeStyle = frame.theme.text;
+  ctx.lineWidth = 1 / frame.zoom;
+  ctx.beginPath();
+  ctx.moveTo(tipX, tipY);
+  ctx.lineTo(headX, headY);
+  ctx.stroke();
+
+  ctx.beginPath();
+  ctx.arc(headX, headY, head, 0, Math.PI * 2);
+  ctx.fillStyle = look.color;
+  ctx.fill();
+  ctx.stroke();
+  ctx.restore();
+};
+
+/**
+ * Year ruler in screen space so labels keep a constant size. Call after the world transform is restored.
+ */
+export const drawRuler = (ctx, frame) => {
+  if (!frame.timeline) return;
+  drawTimelineRuler(ctx, {
+    geometry: frame.timeline.geometry,
+    clusters: frame.clusters,
+    theme: frame.theme,
+    camera: frame.camera,
+    zoom: frame.zoom,
+    width: frame.width,
+    height: frame.height,
+    currentYear: frame.timeline.year,
+  });
+};
+
+/**
+ * Text, pin markers and timeline decorations only, over a transparent background. The WebGL
+ * renderer draws its geometry underneath this layer.
+ * @param {CanvasRenderingContext2D} ctx
+ * @param {RenderFrame} frame
+ * @param {Array<import('./sceneStyle.js').NodeAppearance>} looks - Appearance of frame.nodes, by index
+ */
+export const drawTextLayer = (ctx, frame, looks) => {
+  beginFrame(ctx, frame, true);
+  ctx.save();
+  applyCamera(ctx, frame);
+  if (frame.timeline) {
+    drawTimelineLanes(ctx, { geometry: frame.timeline.geometry, clusters: frame.clusters, theme: frame.theme, zoom: frame.zoom });
+  }
+  frame.nodes.forEach((node, i) => {
+    drawPinMarker(ctx, frame, node, looks[i]);
+    if (looks[i].showLabel) drawNodeLabel(ctx, frame, node, looks[i]);
+  });
+  ctx.restore();
+  drawRuler(ctx, frame);
+};
+
+/**
+ * Paint a whole frame with the 2D API
+ * @param {CanvasRenderingContext2D} ctx
+ * @param {RenderFrame} frame
+ */
+export const drawScene2D = (ctx, frame) => {
+  const { theme, time, nodeMap } = frame;
+  beginFrame(ctx, frame);
+
+  ctx.save();
+  applyCamera(ctx, frame);
+
+  if (frame.timeline) {
+    drawTimelineLanes(ctx, { geometry: frame.timeline.geometry, clusters: frame.clusters, theme, zoom: frame.zoom });
+  }
+
+  // Draw edges (with LOD optimization)
+  edgesForLOD(frame).forEach(edge => {
+    const source = nodeMap.get(edge.source);
+    const target = nodeMap.get(edge.target);
+    if (!source || !target) return;
+
+    const { colors: [sColor, tColor], alpha, width, dash, control } = edgeAppearance(frame, edge, source, target);
+
+    const gradient = ctx.createLinearGradient(source.x, source.y, target.x, target.y);
+    gradient.addColorStop(0, sColor + alphaHex(alpha));
+    gradient.addColorStop(1, tColor + alphaHex(alpha));
+
+    ctx.beginPath();
+    ctx.strokeStyle = gradient;
+    ctx.lineWidth = width;
+    ctx.setLineDash(dash);
+    ctx.moveTo(source.x, source.y);
+    ctx.quadraticCurveTo(control.x, control.y, target.x, target.y);
+    ctx.stroke();
+    ctx.setLineDash([]);
+
+    // Continuous Data Flow Animation
+    if (frame.show.pulses && frame.animating) {
+      const pulse = flowPulsePosition(edge, source, target, time);
+      ctx.beginPath();
+      ctx.arc(pulse.x, pulse.y, 1.5, 0, Math.PI * 2);
+      ctx.fillStyle = sColor + '80';
+      ctx.fill();
+    }
+  });
+
+  // Draw Interactive Click Pulses (Magic/Signal Mode)
+  frame.pulses.forEach(pulse => {
+    const { head, tail } = clickPulsePosition(pulse, time);
+
+    ctx.save();
+    ctx.globalCompositeOperation = 'lighter';
+
+    // 1. Trail (Single Stroke - Very Fast)
+    ctx.beginPath();
+    ctx.moveTo(head.x, head.y);
+    ctx.lineTo(tail.x, tail.y);
+    ctx.lineCap = 'round';
+    ctx.lineWidth = 3;
+    ctx.strokeStyle = pulse.color + '80'; // 50% opacity
+    ctx.stroke();
+
+    // 2. Head & Glow (Simple Arcs - No ShadowBlur)
+    ctx.beginPath();
+    ctx.arc(head.x, head.y, 8, 0, Math.PI * 2);
+    ctx.fillStyle = pulse.color + '33'; // ~20% opacity
+    ctx.fill();
+
+    // Core (White Hot)
+    ctx.beginPath();
+    ctx.arc(head.x, head.y, 2.5, 0, Math.PI * 2);
+    ctx.fillStyle = '#ffffff';
+    ctx.fill();
+
+    ctx.restore();
+  });
+
+  // Draw nodes
+  const flat = isFlatNodeTheme(frame.themeKey);
+  frame.nodes.forEach(node => {
+    const look = nodeAppearance(frame, node);
+    const { size, color, opacity } = look;
+
+    // Glow effect
+    if (look.glow) {
+      const glow = ctx.createRadialGradient(node.x, node.y, 0, node.x, node.y, look.glow.radius);
+      glow.addColorStop(0, color + alphaHex(look.glow.alpha));
+      glow.addColorStop(1, 'transparent');
+      ctx.beginPath();
+      ctx.arc(node.x, node.y, look.glow.radius, 0, Math.PI * 2);
+      ctx.fillStyle = glow;
+      ctx.fill();
+    }
+
+    // Node circle
+    ctx.beginPath();
+    ctx.arc(node.x, node.y, size, 0, Math.PI * 2);
+    if (flat) {
+      ctx.fillStyle = color;
+    } else {
+      const ng = ctx.createRadialGradient(node.x - size * 0.3, node.y - size * 0.3, 0, node.x, node.y, size);
+      ng.addColorStop(0, color + alphaHex(opacity));
+      ng.addColorStop(1, color + alphaHex(opacity * 180 / 255));
+      ctx.fillStyle = ng;
+    }
+    ctx.fill();
+
+    ctx.strokeStyle = color + alphaHex(opacity);
+    ctx.lineWidth = look.hovered ? 2 : 1;
+    ctx.stroke();
+
+    // Special ring animation for fire and agi
+    nodeRings(frame, node, size).forEach(ring => {
+      ctx.beginPath();
+      ctx.arc(node.x, node.y, ring.radius, 0, Math.PI * 2);
+      ctx.strokeStyle = color + alphaHex(ring.alpha);
+      ctx.lineWidth = 1;
+      ctx.stroke();
+    });
+
+    drawPinMarker(ctx, frame, node, look);
+    if (look.showLabel) drawNodeLabel(ctx, frame, node, look);
+  });
+
+  // Draw Spatial Ripples (Iron Man style feedback)
+  ctx.lineWidth = 2 / frame.zoom;
+  rippleRings(frame).forEach(ring => {
+    ctx.beginPath();
+    ctx.strokeStyle = `rgba(0, 242, 255, ${ring.alpha})`;
+    ctx.arc(ring.x, ring.y, ring.radius, 0, Math.PI * 2);
+    ctx.stroke();
+  });
+
+  ctx.restore();
+  drawRuler(ctx, frame);
+};
+
+export class Canvas2DRenderer extends Renderer {
+  /**
+   * @param {HTMLCanvasElement} canvas
+   */
+  constructor(canvas) {
+    super(canvas);
+    this.kind = RENDERERS.CANVAS2D;
+    this.ctx = canvas.getContext('2d');
+    if (!this.ctx) throw new Error('Canvas 2D is not available');
+  }
+
+  render(frame) {
+    drawScene2D(this.ctx, frame);
+  }
+
+  destroy() {
+    this.ctx.setTransform(1, 0, 0, 1, 0, 0);
+    this.ctx.clearRect(0, 0, this.canvas.width, this.canvas.height);
+  }
+}
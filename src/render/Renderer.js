@@ -0,0 +1,95 @@
+/**
+ * Renderer Base Class
+ * Abstract interface for swappable drawing backends. CanvasNetwork describes each
+ * frame once (see RenderFrame in types.js) and the active renderer paints it.
+ */
+
+import { getLODSettings } from '../utils/viewportCulling';
+
+/**
+ * @typedef {import('./types.js').RenderFrame} RenderFrame
+ */
+
+export class Renderer {
+  /**
+   * @param {HTMLCanvasElement} canvas - Surface the renderer draws to
+   */
+  constructor(canvas) {
+    if (new.target === Renderer) {
+      throw new Error('Renderer is abstract and cannot be instantiated directly');
+    }
+
+    /** @type {HTMLCanvasElement} */
+    this.canvas = canvas;
+
+    /** @type {string} */
+    this.kind = 'base';
+
+    /** @type {function(): void|null} Called when the backend stops working (e.g. GPU reset) */
+    this.onContextLost = null;
+
+    this.width = 0;
+    this.height = 0;
+    this.pixelRatio = 1;
+  }
+
+  /**
+   * Size the drawing surface. Resizing clears a canvas, so same-size calls are ignored.
+   * @param {number} width - CSS pixels
+   * @param {number} height - CSS pixels
+   * @param {number} pixelRatio
+   * @returns {boolean} True if the surface changed
+   */
+  resize(width, height, pixelRatio) {
+    if (width === this.width && height === this.height && pixelRatio === this.pixelRatio) return false;
+    this.width = width;
+    this.height = height;
+    this.pixelRatio = pixelRatio;
+    this.sizeCanvas(this.canvas);
+    return true;
+  }
+
+  /**
+   * @param {HTMLCanvasElement} canvas
+   */
+  sizeCanvas(canvas) {
+    canvas.width = this.width * this.pixelRatio;
+    canvas.height = this.height * this.pixelRatio;
+    canvas.style.width = this.width + 'px';
+    canvas.style.height = this.height + 'px';
+  }
+
+  /**
+   * Level of detail for a zoom level; backends override it to draw more than the baseline
+   * @param {number} zoom
+   * @param {boolean} [gestureActive] - A pan/zoom gesture is in progress
+   * @returns {Object}
+   */
+  getLOD(zoom, gestureActive = false) {
+    const baseLOD = getLODSettings(zoom);
+    if (!gestureActive) return baseLOD;
+
+    // Simplify during active gesture to maintain 60FPS
+    return {
+      ...baseLOD,
+      renderEdges: zoom > 0.4, // Hide edges if zoomed out enough and moving
+      renderGlow: false,       // Always disable glow during movement
+      maxEdges: Math.min(baseLOD.maxEdges || 1000, 200),
+      edgeWidth: baseLOD.edgeWidth * 0.8
+    };
+  }
+
+  /**
+   * Paint one frame
+   * @abstract
+   * @param {RenderFrame} frame
+   */
+  render() {
+    throw new Error('render() must be implemented by subclass');
+  }
+
+  /**
+   * Release GPU/canvas resources
+   */
+  destroy() {}
+}
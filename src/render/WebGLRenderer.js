@@ -0,0 +1,398 @@
+/**
+ * WebGL Renderer
+ * Draws edges, glows, nodes and pulses as instanced geometry with WebGL2: one draw call
+ * per layer however large the graph, so every edge is drawn at every zoom level.
+ * Text (labels, timeline lanes and ruler) stays on a Canvas 2D layer above the GL surface.
+ */
+
+import { Renderer } from './Renderer.js';
+import { RENDERERS } from './types.js';
+import { EDGE_STRIDE, CIRCLE_STRIDE, createSceneInstances, buildSceneInstances, parseColor } from './instances.js';
+import { drawTextLayer } from './Canvas2DRenderer.js';
+import { getLODSettings } from '../utils/viewportCulling';
+
+/**
+ * @typedef {import('./types.js').RenderFrame} RenderFrame
+ */
+
+// Segments per curved edge
+const EDGE_SEGMENTS = 24;
+
+// Thinnest edge, in world units, now that edges are never culled for speed
+const MIN_EDGE_WIDTH = 0.5;
+
+const VIEW_UNIFORMS = `
+uniform vec2 u_viewport; // CSS pixels
+uniform vec2 u_camera;
+uniform float u_zoom;
+
+vec4 toClip(vec2 world, vec2 offset) {
+  vec2 screen = world * u_zoom + u_camera + u_viewport * 0.5 + offset;
+  vec2 clip = screen / u_viewport * 2.0 - 1.0;
+  return vec4(clip.x, -clip.y, 0.0, 1.0);
+}
+`;
+
+const EDGE_VERTEX = `#version 300 es
+layout(location = 0) in vec2 a_corner; // t along the curve, side of the line
+layout(location = 1) in vec4 a_ends;   // from.xy, to.xy
+layout(location = 2) in vec2 a_control;
+layout(location = 3) in vec4 a_color0;
+layout(location = 4) in vec4 a_color1;
+layout(location = 5) in vec4 a_stroke; // width, dash on, dash off, length
+${VIEW_UNIFORMS}
+out vec4 v_color;
+out float v_side;
+out float v_distance;
+flat out float v_halfWidth;
+flat out vec2 v_dash;
+
+void main() {
+  float t = a_corner.x;
+  float it = 1.0 - t;
+  vec2 p0 = a_ends.xy;
+  vec2 p1 = a_ends.zw;
+  vec2 position = it * it * p0 + 2.0 * it * t * a_control + t * t * p1;
+  vec2 tangent = 2.0 * it * (a_control - p0) + 2.0 * t * (p1 - a_control);
+  if (dot(tangent, tangent) < 1e-8) tangent = vec2(1.0, 0.0);
+  vec2 normal = normalize(vec2(-tangent.y, tangent.x));
+
+  // Sub-pixel lines are drawn one pixel wide and faded instead
+  float pixelWidth = a_stroke.x * u_zoom;
+  float halfWidth = max(pixelWidth, 1.0) * 0.5;
+  float side = a_corner.y * (halfWidth + 1.0);
+  gl_Position = toClip(position, normal * side);
+
+  v_color = mix(a_color0, a_color1, t);
+  v_color.a *= min(pixelWidth, 1.0);
+  v_side = side;
+  v_halfWidth = halfWidth;
+  v_distance = t * a_stroke.w;
+  v_dash = a_stroke.yz;
+}
+`;
+
+const EDGE_FRAGMENT = `#version 300 es
+precision mediump float;
+in vec4 v_color;
+in float v_side;
+in float v_distance;
+flat in float v_halfWidth;
+flat in vec2 v_dash;
+out vec4 outColor;
+
+void main() {
+  if (v_dash.x > 0.0 && mod(v_distance, v_dash.x + v_dash.y) > v_dash.x) discard;
+  float coverage = clamp(v_halfWidth + 0.5 - abs(v_side), 0.0, 1.0);
+  float alpha = v_color.a * coverage;
+  outColor = vec4(v_color.rgb * alpha, alpha);
+}
+`;
+
+const CIRCLE_VERTEX = `#version 300 es
+layout(location = 0) in vec2 a_corner; // -1..1
+layout(location = 1) in vec3 a_circle; // x, y, radius
+layout(location = 2) in vec3 a_color;
+layout(location = 3) in vec4 a_alpha;  // inner, outer, stroke alpha, stroke width
+layout(location = 4) in float a_kind;
+${VIEW_UNIFORMS}
+out vec2 v_local;
+flat out vec3 v_color;
+flat out vec4 v_alpha;
+flat out float v_radius;
+flat out float v_kind;
+
+void main() {
+  // Room for half the outline and a pixel of antialiasing
+  float extent = a_circle.z + a_alpha.w * 0.5 + 1.0 / u_zoom;
+  v_local = a_corner * extent;
+  gl_Position = toClip(a_circle.xy + v_local, vec2(0.0));
+  v_color = a_color;
+  v_alpha = a_alpha;
+  v_radius = a_circle.z;
+  v_kind = a_kind;
+}
+`;
+
+const CIRCLE_FRAGMENT = `#version 300 es
+precision mediump float;
+uniform float u_zoom;
+in vec2 v_local;
+flat in vec3 v_color;
+flat in vec4 v_alpha;
+flat in float v_radius;
+flat in float v_kind;
+out vec4 outColor;
+
+// Parameter of the canvas radial gradient from a zero-radius circle at the focus
+// to the node circle (see createRadialGradient in the Canvas 2D renderer)
+float gradientAt(vec2 p, float r) {
+  vec2 focus = vec2(-0.3 * r);
+  vec2 d = -focus;
+  vec2 q = p - focus;
+  float a = dot(d, d) - r * r;
+  float qd = dot(q, d);
+  return clamp((qd - sqrt(max(qd * qd - a * dot(q, q), 0.0))) / a, 0.0, 1.0);
+}
+
+void main() {
+  float distance = length(v_local);
+  float pixel = 1.0 / u_zoom;
+  float inside = clamp((v_radius - distance) / pixel + 0.5, 0.0, 1.0);
+  float outline = clamp((v_alpha.w * 0.5 - abs(distance - v_radius)) / pixel + 0.5, 0.0, 1.0);
+
+  float fill = 0.0;
+  float stroke = 0.0;
+  if (v_kind < 0.5) {
+    fill = inside * mix(v_alpha.x, v_alpha.y, gradientAt(v_local, v_radius));
+    stroke = outline * v_alpha.z;
+  } else if (v_kind < 1.5) {
+    fill = inside * v_alpha.x * (1.0 - clamp(distance / v_radius, 0.0, 1.0));
+  } else if (v_kind < 2.5) {
+    stroke = outline * v_alpha.z;
+  } else {
+    fill = inside * v_alpha.x;
+  }
+
+  // Outline over fill (source-over, premultiplied)
+  float alpha = stroke + fill * (1.0 - stroke);
+  outColor = vec4(v_color * alpha, alpha);
+}
+`;
+
+const compileShader = (gl, type, source) => {
+  const shader = gl.createShader(type);
+  gl.shaderSource(shader, source);
+  gl.compileShader(shader);
+  if (!gl.getShaderParameter(shader, gl.COMPILE_STATUS)) {
+    const log = gl.getShaderInfoLog(shader);
+    gl.deleteShader(shader);
+    throw new Error(`Shader compilation failed: ${log}`);
+  }
+  return shader;
+};
+
+const createProgram = (gl, vertexSource, fragmentSource) => {
+  const vertex = compileShader(gl, gl.VERTEX_SHADER, vertexSource);
+  const fragment = compileShader(gl, gl.FRAGMENT_SHADER, fragmentSource);
+  const program = gl.createProgram();
+  gl.attachShader(program, vertex);
+  gl.attachShader(program, fragment);
+  gl.linkProgram(program);
+  gl.deleteShader(vertex);
+  gl.deleteShader(fragment);
+  if (!gl.getProgramParameter(program, gl.LINK_STATUS)) {
+    const log = gl.getProgramInfoLog(program);
+    gl.deleteProgram(program);
+    throw new Error(`Shader linking failed: ${log}`);
+  }
+  return {
+    program,
+    viewport: gl.getUniformLocation(program, 'u_viewport'),
+    camera: gl.getUniformLocation(program, 'u_camera'),
+    zoom: gl.getUniformLocation(program, 'u_zoom'),
+  };
+};
+
+const createPrograms = (gl) => ({
+  edge: createProgram(gl, EDGE_VERTEX, EDGE_FRAGMENT),
+  circle: createProgram(gl, CIRCLE_VERTEX, CIRCLE_FRAGMENT),
+});
+
+// Triangle strip along t = 0..1 with both sides of the line
+const edgeStrip = () => {
+  const vertices = new Float32Array((EDGE_SEGMENTS + 1) * 4);
+  for (let i = 0; i <= EDGE_SEGMENTS; i++) {
+    vertices.set([i / EDGE_SEGMENTS, -1, i / EDGE_SEGMENTS, 1], i * 4);
+  }
+  return vertices;
+};
+
+const QUAD = new Float32Array([-1, -1, 1, -1, -1, 1, 1, 1]);
+
+/**
+ * Vertex array of a shared base shape plus one instance buffer.
+ * @param {WebGL2RenderingContext} gl
+ * @param {Float32Array} shape - 2D vertices of the base shape
+ * @param {Array<[number, number]>} attributes - [location, size] of each instance attribute, in buffer order
+ * @param {number} stride - Floats per instance
+ */
+const createLayer = (gl, shape, attributes, stride) => {
+  const vao = gl.createVertexArray();
+  gl.bindVertexArray(vao);
+
+  const shapeBuffer = gl.createBuffer();
+  gl.bindBuffer(gl.ARRAY_BUFFER, shapeBuffer);
+  gl.bufferData(gl.ARRAY_BUFFER, shape, gl.STATIC_DRAW);
+  gl.enableVertexAttribArray(0);
+  gl.vertexAttribPointer(0, 2, gl.FLOAT, false, 0, 0);
+
+  const instanceBuffer = gl.createBuffer();
+  gl.bindBuffer(gl.ARRAY_BUFFER, instanceBuffer);
+  let offset = 0;
+  attributes.forEach(([location, size]) => {
+    gl.enableVertexAttribArray(location);
+    gl.vertexAttribPointer(location, size, gl.FLOAT, false, stride * 4, offset * 4);
+    gl.vertexAttribDivisor(location, 1);
+    offset += size;
+  });
+
+  gl.bindVertexArray(null);
+  return { vao, shapeBuffer, instanceBuffer, vertexCount: shape.length / 2, capacity: 0 };
+};
+
+let supportProbe = null;
+
+export class WebGLRenderer extends Renderer {
+  /**
+   * Whether WebGL2 is available and our shaders compile. Probed once on a throwaway canvas,
+   * because a canvas that has handed out a WebGL context can no longer give a 2D one.
+   * @returns {boolean}
+   */
+  static isSupported() {
+    if (supportProbe === null) {
+      supportProbe = false;
+      try {
+        const gl = document.createElement('canvas').getContext('webgl2');
+        if (gl) {
+          const programs = createPrograms(gl);
+          Object.values(programs).forEach(({ program }) => gl.deleteProgram(program));
+          gl.getExtension('WEBGL_lose_context')?.loseContext();
+          supportProbe = true;
+        }
+      } catch {
+        supportProbe = false;
+      }
+    }
+    return supportProbe;
+  }
+
+  /**
+   * @param {HTMLCanvasElement} canvas - GL surface
+   * @param {HTMLCanvasElement} textCanvas - 2D canvas stacked above it for labels and the ruler
+   */
+  constructor(canvas, textCanvas) {
+    super(canvas);
+    this.kind = RENDERERS.WEBGL;
+
+    const gl = canvas.getContext('webgl2', { alpha: true, premultipliedAlpha: true, antialias: false });
+    if (!gl) throw new Error('WebGL2 is not available');
+    this.gl = gl;
+
+    this.textCanvas = textCanvas;
+    this.textCtx = textCanvas.getContext('2d');
+
+    this.programs = createPrograms(gl);
+    const edgeAttributes = [[1, 4], [2, 2], [3, 4], [4, 4], [5, 4]];
+    const circleAttributes = [[1, 3], [2, 3], [3, 4], [4, 1]];
+    this.layers = {
+      edges: createLayer(gl, edgeStrip(), edgeAttributes, EDGE_STRIDE),
+      trails: createLayer(gl, edgeStrip(), edgeAttributes, EDGE_STRIDE),
+      dots: createLayer(gl, QUAD, circleAttributes, CIRCLE_STRIDE),
+      sparks: createLayer(gl, QUAD, circleAttributes, CIRCLE_STRIDE),
+      nodes: createLayer(gl, QUAD, circleAttributes, CIRCLE_STRIDE),
+    };
+    this.scene = createSceneInstances();
+
+    this.handleContextLost = (e) => {
+      e.preventDefault();
+      this.lost = true;
+      this.onContextLost?.();
+    };
+    canvas.addEventListener('webglcontextlost', this.handleContextLost);
+    this.lost = false;
+  }
+
+  resize(width, height, pixelRatio) {
+    const changed = super.resize(width, height, pixelRatio);
+    if (changed) this.sizeCanvas(this.textCanvas);
+    return changed;
+  }
+
+  /**
+   * Every edge at every zoom level; only the line width still follows the zoom
+   */
+  getLOD(zoom) {
+    const lod = getLODSettings(zoom);
+    return { ...lod, renderEdges: true, maxEdges: Infinity, edgeWidth: Math.max(lod.edgeWidth, MIN_EDGE_WIDTH) };
+  }
+
+  /**
+   * Upload one layer's instances and draw them in a single call
+   * @param {string} layerName - Key of this.layers and this.scene
+   * @param {Object} program
+   */
+  drawLayer(layerName, program) {
+    const { gl } = this;
+    const layer = this.layers[layerName];
+    const instances = this.scene[layerName];
+    if (instances.count === 0) return;
+
+    gl.useProgram(program.program);
+    gl.bindVertexArray(layer.vao);
+    gl.bindBuffer(gl.ARRAY_BUFFER, layer.instanceBuffer);
+    const data = instances.view();
+    if (data.length > layer.capacity) {
+      layer.capacity = instances.data.length;
+      gl.bufferData(gl.ARRAY_BUFFER, layer.capacity * 4, gl.DYNAMIC_DRAW);
+    }
+    gl.bufferSubData(gl.ARRAY_BUFFER, 0, data);
+    gl.drawArraysInstanced(gl.TRIANGLE_STRIP, 0, layer.vertexCount, instances.count);
+  }
+
+  /**
+   * @param {RenderFrame} frame
+   */
+  render(frame) {
+    if (this.lost) return;
+    const { gl } = this;
+
+    gl.viewport(0, 0, this.canvas.width, this.canvas.height);
+    const background = frame.transparent ? [0, 0, 0, 0] : parseColor(frame.theme.background);
+    gl.clearColor(background[0], background[1], background[2], background[3]);
+    gl.clear(gl.COLOR_BUFFER_BIT);
+
+    buildSceneInstances(frame, this.scene);
+
+    Object.values(this.programs).forEach(program => {
+      gl.useProgram(program.program);
+      gl.uniform2f(program.viewport, frame.width, frame.height);
+      gl.uniform2f(program.camera, frame.camera.x, frame.camera.y);
+      gl.uniform1f(program.zoom, frame.zoom);
+    });
+
+    gl.enable(gl.BLEND);
+    gl.blendFunc(gl.ONE, gl.ONE_MINUS_SRC_ALPHA);
+    this.drawLayer('edges', this.programs.edge);
+    this.drawLayer('dots', this.programs.circle);
+
+    // Click pulses add light like the canvas 'lighter' composite
+    gl.blendFunc(gl.ONE, gl.ONE);
+    this.drawLayer('trails', this.programs.edge);
+    this.drawLayer('sparks', this.programs.circle);
+
+    gl.blendFunc(gl.ONE, gl.ONE_MINUS_SRC_ALPHA);
+    this.drawLayer('nodes', this.programs.circle);
+    gl.bindVertexArray(null);
+
+    drawTextLayer(this.textCtx, frame, this.scene.looks);
+  }
+
+  destroy() {
+    const { gl } = this;
+    this.canvas.removeEventListener('webglcontextlost', this.handleContextLost);
+    this.textCtx.setTransform(1, 0, 0, 1, 0, 0);
+    this.textCtx.clearRect(0, 0, this.textCanvas.width, this.textCanvas.height);
+    if (this.lost) return;
+
+    Object.values(this.layers).forEach(layer => {
+      gl.deleteBuffer(layer.shapeBuffer);
+      gl.deleteBuffer(layer.instanceBuffer);
+      gl.deleteVertexArray(layer.vao);
+    });
+    Object.values(this.programs).forEach(({ program }) => gl.deleteProgram(program));
+    // Leave the surface empty for whichever renderer takes over
+    gl.clearColor(0, 0, 0, 0);
+    gl.clear(gl.COLOR_BUFFER_BIT);
+  }
+}
@@ -0,0 +1,32 @@
+/**
+ * Renderer Factory
+ * Picks a rendering backend at runtime, falling back to Canvas 2D when WebGL is
+ * unavailable or fails to start.
+ */
+
+import { RENDERERS } from './types.js';
+import { Canvas2DRenderer } from './Canvas2DRenderer.js';
+import { WebGLRenderer } from './WebGLRenderer.js';
+import { debug } from '../config/env.js';
+
+/**
+ * @param {string} preference - One of RENDERERS
+ * @param {Object} canvases
+ * @param {HTMLCanvasElement} canvases.surface - Canvas reserved for WebGL
+ * @param {HTMLCanvasElement} canvases.canvas - Main 2D canvas (the WebGL text layer, or the whole scene)
+ * @returns {import('./Renderer.js').Renderer}
+ */
+export const createRenderer = (preference, { surface, canvas }) => {
+  if (preference !== RENDERERS.CANVAS2D) {
+    if (WebGLRenderer.isSupported()) {
+      try {
+        return new WebGLRenderer(surface, canvas);
+      } catch (err) {
+        debug.warn('WebGL renderer failed to start, using Canvas 2D:', err);
+      }
+    } else if (preference === RENDERERS.WEBGL) {
+      debug.warn('WebGL2 is not supported here, using Canvas 2D');
+    }
+  }
+  return new Canvas2DRenderer(canvas);
+};
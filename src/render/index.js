@@ -0,0 +1,10 @@
+/**
+ * Render module barrel export
+ */
+
+export { Renderer } from './Renderer.js';
+export { Canvas2DRenderer, drawScene2D } from './Canvas2DRenderer.js';
+export { WebGLRenderer } from './WebGLRenderer.js';
+export { createRenderer } from './createRenderer.js';
+export { PULSE_LIFESPAN } from './sceneStyle.js';
+export { RENDERERS, RENDERER_LABELS } from './types.js';
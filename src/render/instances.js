@@ -0,0 +1,223 @@
+/**
+ * WebGL Instances
+ * Packs a RenderFrame into the per-instance attribute arrays drawn by WebGLRenderer.
+ * Free of GL calls so the geometry can be checked without a GPU.
+ */
+
+import { nodeAppearance, nodeRings, edgeAppearance, flowPulsePosition, clickPulsePosition, rippleRings } from './sceneStyle.js';
+import { isFlatNodeTheme } from '../utils/graphStyle';
+
+// Floats per edge: from (2), control (2), to (2), start colour (4), end colour (4),
+// width, dash on, dash off, approximate length
+export const EDGE_STRIDE = 18;
+
+// Floats per circle: centre (2), radius, colour (3), inner alpha, outer alpha,
+// stroke alpha, stroke width, kind
+export const CIRCLE_STRIDE = 11;
+
+/**
+ * How the circle shader fills an instance
+ * @readonly
+ * @enum {number}
+ */
+export const CIRCLE_KINDS = Object.freeze({
+  NODE: 0, // Off-centre radial gradient plus outline, like the canvas node
+  GLOW: 1, // Fades from the inner alpha at the centre to nothing at the radius
+  RING: 2, // Outline only
+  DOT: 3,  // Solid fill
+});
+
+const RIPPLE_COLOR = [0, 242 / 255, 1];
+const WHITE = [1, 1, 1, 1];
+
+const colorCache = new Map();
+
+/**
+ * @param {string} color - '#rgb', '#rrggbb' or '#rrggbbaa'
+ * @returns {number[]} [r, g, b, a] in 0..1
+ */
+export const parseColor = (color) => {
+  let parsed = colorCache.get(color);
+  if (parsed) return parsed;
+
+  let hex = (color || '').replace('#', '');
+  if (hex.length === 3) hex = [...hex].map(c => c + c).join('');
+  const channel = (i) => parseInt(hex.slice(i, i + 2), 16) / 255;
+  parsed = /^[0-9a-f]{6}([0-9a-f]{2})?$/i.test(hex)
+    ? [channel(0), channel(2), channel(4), hex.length === 8 ? channel(6) : 1]
+    : [0, 0, 0, 0];
+  colorCache.set(color, parsed);
+  return parsed;
+};
+
+/**
+ * Growable Float32Array of fixed-size instances, reused across frames
+ */
+export class InstanceBuffer {
+  /**
+   * @param {number} stride - Floats per instance
+   * @param {number} [capacity] - Initial instance capacity
+   */
+  constructor(stride, capacity = 256) {
+    this.stride = stride;
+    this.data = new Float32Array(stride * capacity);
+    this.count = 0;
+  }
+
+  reset() {
+    this.count = 0;
+  }
+
+  /**
+   * Reserve one instance
+   * @returns {number} Offset of its first float
+   */
+  next() {
+    if ((this.count + 1) * this.stride > this.data.length) {
+      const grown = new Float32Array(this.data.length * 2);
+      grown.set(this.data);
+      this.data = grown;
+    }
+    return this.count++ * this.stride;
+  }
+
+  /**
+   * @returns {Float32Array} View over the used part
+   */
+  view() {
+    return this.data.subarray(0, this.count * this.stride);
+  }
+}
+
+/**
+ * @param {InstanceBuffer} buffer
+ * @param {{x: number, y: number}} from
+ * @param {{x: number, y: number}} control
+ * @param {{x: number, y: number}} to
+ * @param {number[]} startColor - [r, g, b, a]
+ * @param {number[]} endColor
+ * @param {number} width - World units
+ * @param {number[]} dash - [on, off] in world units; empty for solid
+ */
+export const writeEdge = (buffer, from, control, to, startColor, endColor, width, dash) => {
+  const o = buffer.next();
+  const d = buffer.data;
+  d[o] = from.x; d[o + 1] = from.y;
+  d[o + 2] = control.x; d[o + 3] = control.y;
+  d[o + 4] = to.x; d[o + 5] = to.y;
+  d.set(startColor, o + 6);
+  d.set(endColor, o + 10);
+  d[o + 14] = width;
+  d[o + 15] = dash[0] || 0;
+  d[o + 16] = dash[1] || 0;
+  // Quadratic arc length lies between the chord and the control polygon
+  const chord = Math.hypot(to.x - from.x, to.y - from.y);
+  const polygon = Math.hypot(control.x - from.x, control.y - from.y) + Math.hypot(to.x - control.x, to.y - control.y);
+  d[o + 17] = (chord + polygon) / 2;
+};
+
+/**
+ * @param {InstanceBuffer} buffer
+ * @param {number} x
+ * @param {number} y
+ * @param {number} radius
+ * @param {number[]} color - [r, g, b, (a)]; alpha comes from the arguments below
+ * @param {number} innerAlpha
+ * @param {number} outerAlpha
+ * @param {number} strokeAlpha
+ * @param {number} strokeWidth - World units
+ * @param {number} kind - CIRCLE_KINDS
+ */
+export const writeCircle = (buffer, x, y, radius, color, innerAlpha, outerAlpha, strokeAlpha, strokeWidth, kind) => {
+  const o = buffer.next();
+  const d = buffer.data;
+  d[o] = x; d[o + 1] = y; d[o + 2] = radius;
+  d[o + 3] = color[0]; d[o + 4] = color[1]; d[o + 5] = color[2];
+  d[o + 6] = innerAlpha; d[o + 7] = outerAlpha;
+  d[o + 8] = strokeAlpha; d[o + 9] = strokeWidth;
+  d[o + 10] = kind;
+};
+
+const withAlpha = (color, alpha) => [color[0], color[1], color[2], alpha];
+
+/**
+ * @typedef {Object} SceneInstances
+ * @property {InstanceBuffer} edges - Every edge, no LOD cap
+ * @property {InstanceBuffer} dots - Data-flow dots on the edges
+ * @property {InstanceBuffer} trails - Click pulse trails (edge geometry, additive)
+ * @property {InstanceBuffer} sparks - Click pulse heads (additive)
+ * @property {InstanceBuffer} nodes - Glows, nodes and rings in draw order, then ripples
+ * @property {Array<import('./sceneStyle.js').NodeAppearance>} looks - Appearance of frame.nodes, for the text layer
+ */
+
+/**
+ * @returns {SceneInstances}
+ */
+export const createSceneInstances = () => ({
+  edges: new InstanceBuffer(EDGE_STRIDE, 2048),
+  dots: new InstanceBuffer(CIRCLE_STRIDE, 2048),
+  trails: new InstanceBuffer(EDGE_STRIDE, 64),
+  sparks: new InstanceBuffer(CIRCLE_STRIDE, 128),
+  nodes: new InstanceBuffer(CIRCLE_STRIDE, 4096),
+  looks: [],
+});
+
+/**
+ * Fill the instance buffers for a frame
+ * @param {import('./types.js').RenderFrame} frame
+ * @param {SceneInstances} scene - Reused between frames
+ * @returns {SceneInstances}
+ */
+export const buildSceneInstances = (frame, scene) => {
+  const { nodeMap, time } = frame;
+  Object.values(scene).forEach(part => part instanceof InstanceBuffer && part.reset());
+
+  if (frame.lod.renderEdges) {
+    frame.edges.forEach(edge => {
+      const source = nodeMap.get(edge.source);
+      const target = nodeMap.get(edge.target);
+      if (!source || !target) return;
+
+      const look = edgeAppearance(frame, edge, source, target);
+      const startColor = parseColor(look.colors[0]);
+      writeEdge(scene.edges, source, look.control, target,
+        withAlpha(startColor, look.alpha), withAlpha(parseColor(look.colors[1]), look.alpha), look.width, look.dash);
+
+      if (frame.show.pulses && frame.animating) {
+        const dot = flowPulsePosition(edge, source, target, time);
+        writeCircle(scene.dots, dot.x, dot.y, 1.5, startColor, 0x80 / 255, 0x80 / 255, 0, 0, CIRCLE_KINDS.DOT);
+      }
+    });
+  }
+
+  frame.pulses.forEach(pulse => {
+    const { head, tail } = clickPulsePosition(pulse, time);
+    const color = parseColor(pulse.color);
+    const mid = { x: (head.x + tail.x) / 2, y: (head.y + tail.y) / 2 };
+    writeEdge(scene.trails, head, mid, tail, withAlpha(color, 0.5), withAlpha(color, 0.5), 3, []);
+    writeCircle(scene.sparks, head.x, head.y, 8, color, 0x33 / 255, 0x33 / 255, 0, 0, CIRCLE_KINDS.DOT);
+    writeCircle(scene.sparks, head.x, head.y, 2.5, WHITE, 1, 1, 0, 0, CIRCLE_KINDS.DOT);
+  });
+
+  const flat = isFlatNodeTheme(frame.themeKey);
+  scene.looks = frame.nodes.map(node => {
+    const look = nodeAppearance(frame, node);
+    const color = parseColor(look.color);
+    if (look.glow) {
+      writeCircle(scene.nodes, node.x, node.y, look.glow.radius, color, look.glow.alpha, 0, 0, 0, CIRCLE_KINDS.GLOW);
+    }
+    const inner = flat ? 1 : look.opacity;
+    const outer = flat ? 1 : look.opacity * 180 / 255;
+    writeCircle(scene.nodes, node.x, node.y, look.size, color, inner, outer, look.opacity, look.hovered ? 2 : 1, CIRCLE_KINDS.NODE);
+    nodeRings(frame, node, look.size).forEach(ring => {
+      writeCircle(scene.nodes, node.x, node.y, ring.radius, color, 0, 0, ring.alpha, 1, CIRCLE_KINDS.RING);
+    });
+    return look;
+  });
+
+  rippleRings(frame).forEach(ring => {
+    writeCircle(scene.nodes, ring.x, ring.y, ring.radius, RIPPLE_COLOR, 0, 0, ring.alpha, 2 / frame.zoom, CIRCLE_KINDS.RING);
+  });
+
+  return scene;
+};
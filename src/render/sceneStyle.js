@@ -0,0 +1,152 @@
+/**
+ * Scene Style
+ * Appearance of the nodes, edges and effects of a RenderFrame. Every backend draws
+ * from these values so switching renderer does not change what the graph looks like.
+ */
+
+import { EDGE_DASHES, edgeColors, edgeControlPoint } from '../utils/graphStyle';
+
+// Lifetime of a click/path pulse in animation time
+export const PULSE_LIFESPAN = 1.0;
+
+// Nodes with an expanding ring animation
+const RING_NODES = new Set(['fire', 'agi']);
+
+const RIPPLE_LIFE = 1000; // ms
+
+// Line width multiplier for the edge under the pointer
+const HOVER_EDGE_SCALE = 2.5;
+
+/**
+ * @typedef {Object} NodeAppearance
+ * @property {boolean} hovered
+ * @property {number} opacity - Highlight/filter opacity times the timeline reveal
+ * @property {number} size - Radius in world units
+ * @property {string} color
+ * @property {{radius: number, alpha: number}|null} glow
+ * @property {boolean} showLabel
+ * @property {boolean} pinned - Held at its stored position, marked with a pin
+ */
+
+/**
+ * @param {import('./types.js').RenderFrame} frame
+ * @param {Object} node
+ * @returns {NodeAppearance}
+ */
+export const nodeAppearance = (frame, node) => {
+  const hovered = frame.hoveredId === node.id;
+  const opacity = frame.nodeOpacity(node.id) * node.reveal;
+
+  // Grow in from nothing while the node is being revealed
+  const growth = 1 - Math.pow(1 - node.reveal, 3);
+  const baseSize = frame.nodeSize(node);
+  const size = (hovered ? baseSize * 1.5 : baseSize) * growth;
+
+  const glow = (frame.show.glow || hovered) && frame.theme.glow && opacity > 0.5
+    ? { radius: size * (hovered ? 4 : 2.5), alpha: hovered ? 0x60 / 255 : 0x25 / 255 } // Enhanced hover glow
+    : null;
+
+  // Only show label if matching search OR if no search and (setting on OR hovered)
+  const showLabel = (frame.highlightActive && opacity === 1) || (!frame.highlightActive && (frame.show.labels || hovered));
+
+  return { hovered, opacity, size, color: frame.nodeColor(node), glow, showLabel, pinned: Boolean(node.pinned) };
+};
+
+/**
+ * Expanding rings around the origin and frontier nodes
+ * @returns {Array<{radius: number, alpha: number}>}
+ */
+export const nodeRings = (frame, node, size) => {
+  if (!RING_NODES.has(node.id) || !frame.show.pulses) return [];
+  return [0, 1, 2].map(i => {
+    const phase = (frame.time + i * 0.33) % 1;
+    return { radius: size + phase * size * 2, alpha: (1 - phase) * 0.25 };
+  });
+};
+
+/**
+ * @param {import('./types.js').RenderFrame} frame
+ * @param {Object} edge
+ * @param {Object} source - Source node
+ * @param {Object} target - Target node
+ * @returns {{colors: [string, string], alpha: number, width: number, dash: number[], control: {x: number, y: number}}}
+ */
+export const edgeAppearance = (frame, edge, source, target) => {
+  const hovered = frame.hoveredEdge === edge;
+  // Edges fade in with whichever endpoint appears last on the timeline
+  const reveal = Math.min(source.reveal, target.reveal);
+  const width = (edge.type === 'backlink' ? 1.5 : 1) * frame.lod.edgeWidth;
+  return {
+    // Cluster colours unless the theme draws edges in one colour
+    colors: edgeColors(source, target, frame.clusters, frame.themeKey),
+    alpha: (hovered ? 1 : frame.edgeOpacity(edge)) * reveal,
+    width: hovered ? Math.max(width, 1) * HOVER_EDGE_SCALE : width,
+    dash: EDGE_DASHES[edge.type] || EDGE_DASHES.forward,
+    control: edgeControlPoint(source, target, source.x, frame.time),
+  };
+};
+
+/**
+ * Position of the continuous data-flow dot along an edge's chord
+ * @returns {{x: number, y: number}}
+ */
+export const flowPulsePosition = (edge, source, target, time) => {
+  const progress = (time * 0.25 + edge.source.charCodeAt(0) * 0.1) % 1;
+  return {
+    x: source.x + (target.x - source.x) * progress,
+    y: source.y + (target.y - source.y) * progress,
+  };
+};
+
+/**
+ * Head and tail of a click/path pulse travelling along its edge's curve
+ * @param {{source: Object, target: Object, edgeSource: Object, startTime: number}} pulse
+ * @param {number} time
+ * @returns {{head: {x: number, y: number}, tail: {x: number, y: number}}}
+ */
+export const clickPulsePosition = (pulse, time) => {
+  const progress = Math.min(1, (time - pulse.startTime) / PULSE_LIFESPAN);
+  const ease = 1 - Math.pow(1 - progress, 3); // Cubic ease out for fast start, slow arrival
+
+  const s = pulse.source;
+  const t = pulse.target;
+  // The edge's source node defines the curve phase, so the pulse follows the edge's waver exactly
+  const control = edgeControlPoint(s, t, pulse.edgeSource.x, time);
+
+  const at = (p) => {
+    const invT = 1 - p;
+    return {
+      x: (invT * invT * s.x) + (2 * invT * p * control.x) + (p * p * t.x),
+      y: (invT * invT * s.y) + (2 * invT * p * control.y) + (p * p * t.y),
+    };
+  };
+
+  // A point slightly behind in time for the tail
+  return { head: at(ease), tail: at(Math.max(0, ease - 0.15)) };
+};
+
+/**
+ * Spatial ripples (gesture feedback) still alive at frame.now
+ * @returns {Array<{x: number, y: number, radius: number, alpha: number}>}
+ */
+export const rippleRings = (frame) => frame.ripples.flatMap(ripple => {
+  const age = frame.now - ripple.startTime;
+  if (age > RIPPLE_LIFE) return [];
+  const alpha = 1 - (age / RIPPLE_LIFE);
+  const radius = (age / RIPPLE_LIFE) * 100 * (1 / frame.zoom);
+  return [
+    { x: ripple.x, y: ripple.y, radius, alpha },
+    { x: ripple.x, y: ripple.y, radius: radius * 0.7, alpha },
+  ];
+});
+
+/**
+ * Whether the frame has short-lived effects still playing: click/path pulses in flight or
+ * ripples fading. Ambient motion (edge sway, flow dots, rings) does not count, so a scene
+ * whose layout has settled can stop redrawing.
+ * @param {import('./types.js').RenderFrame} frame
+ * @returns {boolean}
+ */
+export const hasTransientEffects = (frame) => (
+  (frame.animating && frame.pulses.length > 0) || rippleRings(frame).length > 0
+);
@@ -0,0 +1,52 @@
+/**
+ * Render Type Definitions
+ * Backend identifiers and the per-frame scene description shared by all renderers
+ */
+
+/**
+ * Rendering backends
+ * @readonly
+ * @enum {string}
+ */
+export const RENDERERS = Object.freeze({
+  AUTO: 'auto',
+  WEBGL: 'webgl',
+  CANVAS2D: 'canvas2d',
+});
+
+export const RENDERER_LABELS = Object.freeze({
+  [RENDERERS.AUTO]: 'Automatic',
+  [RENDERERS.WEBGL]: 'WebGL',
+  [RENDERERS.CANVAS2D]: 'Canvas 2D',
+});
+
+/**
+ * @typedef {Object} RenderFrame
+ * @property {number} width - Viewport width in CSS pixels
+ * @property {number} height - Viewport height in CSS pixels
+ * @property {number} pixelRatio - Device pixels per CSS pixel
+ * @property {{x: number, y: number}} camera
+ * @property {number} zoom
+ * @property {Object} lod - Result of the renderer's getLOD
+ * @property {boolean} [transparent] - Leave the background unpainted
+ * @property {number} time - Animation time
+ * @property {number} now - performance.now() of the frame (for ripples)
+ * @property {Object} theme - Entry of THEMES
+ * @property {string} themeKey
+ * @property {Object} clusters
+ * @property {Array} nodes - Nodes with reveal > 0, in draw order
+ * @property {Array} edges - Edges between revealed nodes
+ * @property {Map<string, Object>} nodeMap
+ * @property {string|null} hoveredId
+ * @property {Object|null} [hoveredEdge] - Edge under the pointer, drawn emphasised
+ * @property {boolean} highlightActive - Search, path or lineage highlight is on
+ * @property {{labels: boolean, glow: boolean, pulses: boolean}} show - View settings combined with the theme
+ * @property {boolean} animating
+ * @property {function(Object): number} nodeSize
+ * @property {function(string): number} nodeOpacity
+ * @property {function(Object): number} edgeOpacity
+ * @property {function(Object): string} nodeColor
+ * @property {Array} pulses - Click and path pulses still in flight
+ * @property {Array} ripples - Gesture ripples
+ * @property {Object|null} timeline - { geometry, year } for the timeline layout
+ */
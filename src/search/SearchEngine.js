@@ -0,0 +1,165 @@
+/**
+ * Search Engine
+ * Main-thread facade over SearchIndex. Builds and queries the index in SearchWorker
+ * when Web Workers are available (and VITE_ENABLE_WORKERS is not 'false'), otherwise
+ * runs the same index on the main thread. Both paths answer with promises.
+ */
+
+import { SearchIndex, DEFAULT_PAGE_SIZE } from './SearchIndex.js';
+import { SEARCH_MESSAGES } from './types.js';
+import { config, debug } from '../config/env.js';
+
+/** Result of an empty query */
+export const EMPTY_RESULT = Object.freeze({
+  total: 0,
+  page: 1,
+  pageSize: DEFAULT_PAGE_SIZE,
+  pageCount: 1,
+  hits: [],
+  ids: [],
+});
+
+// Only the fields the index reads cross the worker boundary
+const INDEXED_NODE_FIELDS = ['id', 'label', 'cluster', 'year', 'status', 'maturity', 'description', 'contributors', 'technologies'];
+
+const pickIndexedFields = (node) => {
+  const picked = {};
+  INDEXED_NODE_FIELDS.forEach(field => {
+    if (node[field] !== undefined) picked[field] = node[field];
+  });
+  return picked;
+};
+
+export class SearchEngine {
+  /**
+   * @param {Object} [options]
+   * @param {boolean} [options.useWorker] - Force worker usage on/off
+   */
+  constructor({ useWorker = config.enableWorkers } = {}) {
+    this.version = 0;
+    this.requestId = 0;
+    this.worker = null;
+    this.index = null;
+    /** @type {Map<string, {resolve: Function, reject: Function}>} */
+    this.pending = new Map();
+
+    if (useWorker && typeof Worker !== 'undefined') {
+      try {
+        this.initWorker();
+      } catch (error) {
+        debug.warn('Search worker unavailable, indexing on main thread:', error);
+        this.worker = null;
+      }
+    }
+
+    if (!this.worker) {
+      this.index = new SearchIndex();
+    }
+  }
+
+  /**
+   * Initialize index worker
+   */
+  initWorker() {
+    this.worker = new Worker(new URL('./SearchWorker.js', import.meta.url), { type: 'module' });
+    this.worker.onmessage = (e) => this.handleWorkerMessage(e.data);
+  }
+
+  /**
+   * @returns {boolean} True when the index lives off the main thread
+   */
+  get isWorker() {
+    return this.worker !== null;
+  }
+
+  handleWorkerMessage({ type, payload }) {
+    switch (type) {
+      case SEARCH_MESSAGES.BUILT:
+        this.settle(`build:${payload.version}`, 'resolve', payload.stats);
+        break;
+      case SEARCH_MESSAGES.RESULTS:
+        this.settle(`query:${payload.requestId}`, 'resolve', payload.result);
+        break;
+      case SEARCH_MESSAGES.ERROR: {
+        debug.error('[Search] Worker Error:', payload);
+        const key = payload.requestId !== null ? `query:${payload.requestId}` : `build:${payload.version}`;
+        this.settle(key, 'reject', new Error(payload.message));
+        break;
+      }
+      default:
+        break;
+    }
+  }
+
+  settle(key, outcome, value) {
+    const request = this.pending.get(key);
+    if (!request) return;
+    this.pending.delete(key);
+    request[outcome](value);
+  }
+
+  request(key, type, payload) {
+    return new Promise((resolve, reject) => {
+      this.pending.set(key, { resolve, reject });
+      this.worker.postMessage({ type, payload });
+    });
+  }
+
+  /**
+   * (Re)build the index
+   * @param {Object} data
+   * @param {Array} data.nodes
+   * @param {Object} [data.clusters]
+   * @param {Object} [data.descriptions]
+   * @returns {Promise<{documents: number, terms: number}>}
+   */
+  build({ nodes, clusters = {}, descriptions = {} }) {
+    this.version += 1;
+    const payload = { nodes: nodes.map(pickIndexedFields), clusters, descriptions };
+
+    if (this.worker) {
+      return this.request(`build:${this.version}`, SEARCH_MESSAGES.BUILD, { ...payload, version: this.version });
+    }
+    try {
+      this.index.build(payload);
+      return Promise.resolve(this.index.stats);
+    } catch (error) {
+      return Promise.reject(error);
+    }
+  }
+
+  /**
+   * Query the index
+   * @param {string} query - See parseQuery for the syntax
+   * @param {Object} [options] - page, pageSize and within, see SearchIndex#search
+   * @returns {Promise<import('./SearchIndex.js').SearchResult>}
+   */
+  search(query, options = {}) {
+    if (!query.trim()) return Promise.resolve(EMPTY_RESULT);
+
+    if (this.worker) {
+      this.requestId += 1;
+      return this.request(`query:${this.requestId}`, SEARCH_MESSAGES.QUERY, {
+        requestId: this.requestId,
+        query,
+        options,
+      });
+    }
+    try {
+      return Promise.resolve(this.index.search(query, options));
+    } catch (error) {
+      return Promise.reject(error);
+    }
+  }
+
+  destroy() {
+    if (this.worker) {
+      this.worker.terminate();
+      this.worker = null;
+    }
+    this.pending.forEach(({ reject }) => reject(new Error('Search engine destroyed')));
+    this.pending.clear();
+  }
+}
+
+export default SearchEngine;
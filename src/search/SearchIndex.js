@@ -0,0 +1,386 @@
+/**
+ * Search Index
+ * Inverted index over node text with BM25F ranking. Each field keeps its own length
+ * normalisation and weight, so a hit in a label outranks one deep in a description.
+ * Query terms missing from the vocabulary are matched within a small edit distance,
+ * and the last term of an unfinished query also matches as a prefix.
+ */
+
+import { tokenize, stripHtml, splitWords } from './tokenize.js';
+import { parseQuery, compareNumber } from './queryParser.js';
+
+/**
+ * Indexed fields and their BM25F weights
+ * `cluster` holds the cluster's label, title and descriptions.json body.
+ */
+export const SEARCH_FIELDS = Object.freeze([
+  { name: 'label', weight: 4 },
+  { name: 'technologies', weight: 1.5 },
+  { name: 'contributors', weight: 1.5 },
+  { name: 'description', weight: 1 },
+  { name: 'cluster', weight: 0.3 },
+]);
+
+export const DEFAULT_PAGE_SIZE = 10;
+
+const K1 = 1.2;
+const B = 0.75;
+const MIN_FUZZY_LENGTH = 4;
+const MAX_EXPANSIONS = 12;
+const PREFIX_WEIGHT = 0.7;
+const SNIPPET_RADIUS = 60;
+const LABEL_BOOST = { exact: 3, prefix: 2, contains: 1.5 };
+
+/**
+ * Edit distance counting adjacent transpositions as one edit ("engnie" -> "engine"),
+ * giving up once it exceeds `max`
+ * @param {string} a
+ * @param {string} b
+ * @param {number} max
+ * @returns {number} Distance, or max + 1 when further apart
+ */
+export const editDistance = (a, b, max = Infinity) => {
+  if (Math.abs(a.length - b.length) > max) return max + 1;
+  let beforePrevious = null;
+  let previous = Array.from({ length: b.length + 1 }, (_, i) => i);
+
+  for (let i = 1; i <= a.length; i++) {
+    const current = [i];
+    let rowMin = i;
+    for (let j = 1; j <= b.length; j++) {
+      const cost = a[i - 1] === b[j - 1] ? 0 : 1;
+      current[j] = Math.min(previous[j] + 1, current[j - 1] + 1, previous[j - 1] + cost);
+      if (beforePrevious && i > 1 && j > 1 && a[i - 1] === b[j - 2] && a[i - 2] === b[j - 1]) {
+        current[j] = Math.min(current[j], beforePrevious[j - 2] + 1);
+      }
+      rowMin = Math.min(rowMin, current[j]);
+    }
+    if (rowMin > max) return max + 1;
+    beforePrevious = previous;
+    previous = current;
+  }
+  return previous[b.length];
+};
+
+// Longer words tolerate more typos
+const maxTypos = (term) => (term.length >= 8 ? 2 : 1);
+
+// Index of the first entry >= value in a sorted array
+const lowerBound = (sorted, value) => {
+  let low = 0;
+  let high = sorted.length;
+  while (low < high) {
+    const mid = (low + high) >> 1;
+    if (sorted[mid] < value) low = mid + 1;
+    else high = mid;
+  }
+  return low;
+};
+
+const fieldText = (node, cluster, description) => ({
+  label: node.label || '',
+  technologies: (node.technologies || []).join(' '),
+  contributors: (node.contributors || []).join(' '),
+  description: node.description || '',
+  cluster: [cluster?.label, description?.title, stripHtml(description?.body)].filter(Boolean).join(' '),
+});
+
+/**
+ * Cut a short excerpt of `text` around the first word whose stem is in `terms`
+ */
+const makeSnippet = (text, terms) => {
+  const pattern = /[A-Za-z0-9\u00c0-\u024f]+/g;
+  let match;
+  while ((match = pattern.exec(text)) !== null) {
+    const [stemmed] = tokenize(match[0]);
+    if (!stemmed || !terms.has(stemmed)) continue;
+
+    const start = Math.max(0, match.index - SNIPPET_RADIUS);
+    const end = Math.min(text.length, match.index + match[0].length + SNIPPET_RADIUS);
+    return `${start > 0 ? '…' : ''}${text.slice(start, end).replace(/\s+/g, ' ').trim()}${end < text.length ? '…' : ''}`;
+  }
+  return null;
+};
+
+/**
+ * @typedef {Object} SearchHit
+ * @property {string} id - Node id
+ * @property {number} score
+ * @property {string[]} fields - Fields that matched a query term
+ * @property {string[]} terms - Index terms that matched, for highlighting
+ * @property {string|null} snippet - Description excerpt when the label itself did not match
+ */
+
+/**
+ * @typedef {Object} SearchResult
+ * @property {number} total - Number of matching nodes
+ * @property {number} page - 1-based page number
+ * @property {number} pageSize
+ * @property {number} pageCount
+ * @property {SearchHit[]} hits - Hits on this page
+ * @property {string[]} ids - Every matching node id, best first
+ */
+
+export class SearchIndex {
+  constructor() {
+    this.clear();
+  }
+
+  clear() {
+    this.docs = [];
+    /** @type {Map<string, Map<number, number[]>>} term -> doc -> per-field term frequency */
+    this.postings = new Map();
+    this.vocabulary = [];
+    this.fieldLengths = SEARCH_FIELDS.map(() => []);
+    this.averageLengths = SEARCH_FIELDS.map(() => 0);
+  }
+
+  /**
+   * Index a dataset, replacing whatever was indexed before
+   * @param {Object} data
+   * @param {Array} data.nodes
+   * @param {Object} [data.clusters] - clusters.json map
+   * @param {Object} [data.descriptions] - descriptions.json map, keyed by cluster
+   */
+  build({ nodes, clusters = {}, descriptions = {} }) {
+    this.clear();
+    // Cluster text is shared by every node of the cluster, so tokenize it once
+    const clusterTokens = new Map();
+
+    nodes.forEach((node, doc) => {
+      const cluster = clusters[node.cluster];
+      const texts = fieldText(node, cluster, descriptions[node.cluster]);
+      this.docs.push({
+        id: node.id,
+        label: node.label || '',
+        description: node.description || '',
+        cluster: node.cluster,
+        clusterLabel: (cluster?.label || '').toLowerCase(),
+        year: node.year,
+        status: (node.status || '').toLowerCase(),
+        maturity: node.maturity,
+        technologies: (node.technologies || []).map(t => t.toLowerCase()),
+        contributors: (node.contributors || []).map(c => c.toLowerCase()),
+      });
+
+      SEARCH_FIELDS.forEach(({ name }, field) => {
+        let tokens;
+        if (name === 'cluster') {
+          if (!clusterTokens.has(node.cluster)) clusterTokens.set(node.cluster, tokenize(texts.cluster));
+          tokens = clusterTokens.get(node.cluster);
+        } else {
+          tokens = tokenize(texts[name]);
+        }
+        this.fieldLengths[field][doc] = tokens.length;
+
+        tokens.forEach(term => {
+          let docs = this.postings.get(term);
+          if (!docs) {
+            docs = new Map();
+            this.postings.set(term, docs);
+          }
+          let frequencies = docs.get(doc);
+          if (!frequencies) {
+            frequencies = SEARCH_FIELDS.map(() => 0);
+            docs.set(doc, frequencies);
+          }
+          frequencies[field] += 1;
+        });
+      });
+    });
+
+    this.averageLengths = this.fieldLengths.map(lengths => (
+      lengths.length ? lengths.reduce((sum, n) => sum + n, 0) / lengths.length : 0
+    ));
+    this.vocabulary = [...this.postings.keys()].sort();
+  }
+
+  /**
+   * @returns {{documents: number, terms: number}}
+   */
+  get stats() {
+    return { documents: this.docs.length, terms: this.vocabulary.length };
+  }
+
+  /**
+   * Index terms a query term stands for: itself when indexed, otherwise close misspellings;
+   * plus prefix completions when the user is still typing it
+   * @param {string} term
+   * @param {boolean} partial
+   * @returns {Array<{term: string, weight: number}>}
+   */
+  expandTerm(term, partial) {
+    const expansions = new Map();
+    const add = (candidate, weight) => {
+      if ((expansions.get(candidate) || 0) < weight) expansions.set(candidate, weight);
+    };
+
+    if (this.postings.has(term)) {
+      add(term, 1);
+    } else if (term.length >= MIN_FUZZY_LENGTH) {
+      const max = maxTypos(term);
+      for (const candidate of this.vocabulary) {
+        const distance = editDistance(term, candidate, max);
+        if (distance <= max) add(candidate, 1 / (1 + distance));
+      }
+    }
+
+    if (partial) {
+      // The vocabulary is sorted, so completions form one contiguous run
+      let i = lowerBound(this.vocabulary, term);
+      while (i < this.vocabulary.length && this.vocabulary[i].startsWith(term)) {
+        if (this.vocabulary[i] !== term) add(this.vocabulary[i], PREFIX_WEIGHT);
+        i++;
+      }
+    }
+
+    // Keep the closest and most common expansions
+    return [...expansions]
+      .map(([candidate, weight]) => ({ term: candidate, weight, df: this.postings.get(candidate).size }))
+      .sort((a, b) => b.weight - a.weight || b.df - a.df)
+      .slice(0, MAX_EXPANSIONS);
+  }
+
+  /**
+   * BM25F contribution of one index term to one document
+   */
+  scoreTerm(term, doc, frequencies) {
+    const df = this.postings.get(term).size;
+    const idf = Math.log(1 + (this.docs.length - df + 0.5) / (df + 0.5));
+    let tf = 0;
+    SEARCH_FIELDS.forEach(({ weight }, field) => {
+      if (!frequencies[field]) return;
+      const average = this.averageLengths[field] || 1;
+      const norm = 1 - B + B * (this.fieldLengths[field][doc] / average);
+      tf += (weight * frequencies[field]) / norm;
+    });
+    return idf * (tf / (K1 + tf));
+  }
+
+  matchesFilters(doc, filters) {
+    return filters.every(filter => {
+      const { field, value } = filter;
+      let matched;
+      switch (field) {
+        case 'cluster':
+          matched = doc.cluster.toLowerCase() === value || doc.clusterLabel.includes(value);
+          break;
+        case 'status':
+          matched = doc.status.startsWith(value);
+          break;
+        case 'technologies':
+        case 'contributors':
+          matched = doc[field].some(entry => entry.includes(value));
+          break;
+        default:
+          matched = compareNumber(doc[field], filter);
+      }
+      return matched !== filter.negate;
+    });
+  }
+
+  /**
+   * Run a query
+   * @param {string} query - Free text plus optional `field:value` filters
+   * @param {Object} [options]
+   * @param {number} [options.page=1]
+   * @param {number} [options.pageSize]
+   * @param {string[]} [options.within] - Only consider these node ids
+   * @returns {SearchResult}
+   */
+  search(query, { page = 1, pageSize = DEFAULT_PAGE_SIZE, within = null } = {}) {
+    const parsed = parseQuery(query);
+    const allowed = within ? new Set(within) : null;
+    const candidate = (doc) => (
+      (!allowed || allowed.has(this.docs[doc].id)) && this.matchesFilters(this.docs[doc], parsed.filters)
+    );
+
+    let ranked;
+    if (parsed.terms.length === 0) {
+      // Filters only: chronological order reads best
+      ranked = parsed.filters.length === 0 ? [] : this.docs
+        .map((doc, index) => ({ doc: index, score: 0, fields: new Set(), terms: new Set() }))
+        .filter(entry => candidate(entry.doc))
+        .sort((a, b) => (this.docs[a.doc].year ?? 0) - (this.docs[b.doc].year ?? 0)
+          || this.docs[a.doc].label.localeCompare(this.docs[b.doc].label));
+    } else {
+      ranked = this.rank(parsed, candidate);
+    }
+
+    const size = Math.max(1, pageSize);
+    const pageCount = Math.max(1, Math.ceil(ranked.length / size));
+    const current = Math.min(Math.max(1, page), pageCount);
+    const hits = ranked.slice((current - 1) * size, current * size).map(entry => {
+      const doc = this.docs[entry.doc];
+      const fields = SEARCH_FIELDS.map(f => f.name).filter(name => entry.fields.has(name));
+      return {
+        id: doc.id,
+        score: entry.score,
+        fields,
+        terms: [...entry.terms],
+        snippet: fields.includes('description') && !fields.includes('label')
+          ? makeSnippet(doc.description, entry.terms)
+          : null,
+      };
+    });
+
+    return {
+      total: ranked.length,
+      page: current,
+      pageSize: size,
+      pageCount,
+      hits,
+      ids: ranked.map(entry => this.docs[entry.doc].id),
+    };
+  }
+
+  /**
+   * Score documents that match every query term (through any of its expansions)
+   */
+  rank(parsed, candidate) {
+    const scores = new Map(); // doc -> { score, matchedTerms, fields, terms }
+    const lastIndex = parsed.terms.length - 1;
+
+    parsed.terms.forEach((term, position) => {
+      const best = new Map(); // doc -> best score for this query term
+      this.expandTerm(term, parsed.partial && position === lastIndex).forEach(({ term: indexTerm, weight }) => {
+        this.postings.get(indexTerm).forEach((frequencies, doc) => {
+          if (!candidate(doc)) return;
+          const score = weight * this.scoreTerm(indexTerm, doc, frequencies);
+          let entry = scores.get(doc);
+          if (!entry) {
+            entry = { doc, score: 0, matched: new Set(), fields: new Set(), terms: new Set() };
+            scores.set(doc, entry);
+          }
+          entry.matched.add(position);
+          entry.terms.add(indexTerm);
+          SEARCH_FIELDS.forEach(({ name }, field) => {
+            if (frequencies[field]) entry.fields.add(name);
+          });
+          best.set(doc, Math.max(best.get(doc) || 0, score));
+        });
+      });
+      best.forEach((score, doc) => { scores.get(doc).score += score; });
+    });
+
+    const matches = [...scores.values()].filter(entry => entry.matched.size === parsed.terms.length);
+    // Cluster descriptions are shared by a whole cluster; they only decide the results
+    // when no node mentions the query itself
+    const ownMatches = matches.filter(entry => [...entry.fields].some(field => field !== 'cluster'));
+    const phrase = parsed.words.join(' ');
+
+    return (ownMatches.length > 0 ? ownMatches : matches)
+      .map(entry => {
+        // BM25 saturates term frequency, so a long description can rival the label;
+        // label matches are boosted to keep "Fire" above nodes that merely mention fire
+        const label = splitWords(this.docs[entry.doc].label).join(' ');
+        if (label === phrase) entry.score *= LABEL_BOOST.exact;
+        else if (label.startsWith(phrase)) entry.score *= LABEL_BOOST.prefix;
+        else if (entry.fields.has('label')) entry.score *= LABEL_BOOST.contains;
+        return entry;
+      })
+      .sort((a, b) => b.score - a.score || this.docs[a.doc].label.localeCompare(this.docs[b.doc].label));
+  }
+}
+
+export default SearchIndex;
@@ -0,0 +1,40 @@
+/**
+ * Search Worker
+ * Builds the search index off the main thread and answers queries against it.
+ * Messages are handled in order, so a query sent after BUILD always sees the new index.
+ */
+
+import { SearchIndex } from './SearchIndex.js';
+import { SEARCH_MESSAGES } from './types.js';
+
+const index = new SearchIndex();
+
+self.onmessage = (e) => {
+  const { type, payload } = e.data;
+
+  try {
+    switch (type) {
+      case SEARCH_MESSAGES.BUILD:
+        index.build(payload);
+        postMessage({ type: SEARCH_MESSAGES.BUILT, payload: { version: payload.version, stats: index.stats } });
+        break;
+      case SEARCH_MESSAGES.QUERY:
+        postMessage({
+          type: SEARCH_MESSAGES.RESULTS,
+          payload: { requestId: payload.requestId, result: index.search(payload.query, payload.options) },
+        });
+        break;
+      default:
+        break;
+    }
+  } catch (error) {
+    postMessage({
+      type: SEARCH_MESSAGES.ERROR,
+      payload: {
+        requestId: payload?.requestId ?? null,
+        version: payload?.version ?? null,
+        message: error.message,
+      },
+    });
+  }
+};
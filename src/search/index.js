@@ -0,0 +1,9 @@
+/**
+ * Search module barrel export
+ */
+
+export { SearchEngine, EMPTY_RESULT } from './SearchEngine.js';
+export { SearchIndex, SEARCH_FIELDS, DEFAULT_PAGE_SIZE, editDistance } from './SearchIndex.js';
+export { parseQuery, FILTER_FIELDS } from './queryParser.js';
+export { tokenize, stem } from './tokenize.js';
+export { SEARCH_MESSAGES } from './types.js';
@@ -0,0 +1,118 @@
+/**
+ * Search query parser
+ * Splits a query such as `steam cluster:energy year:<1800 -status:Emerging` into
+ * free-text terms and field filters. Unknown `field:value` pairs are treated as text.
+ */
+
+import { tokenize, splitWords } from './tokenize.js';
+
+/**
+ * Filterable fields and their aliases
+ * @readonly
+ * @enum {string}
+ */
+export const FILTER_FIELDS = Object.freeze({
+  cluster: 'cluster',
+  year: 'year',
+  status: 'status',
+  maturity: 'maturity',
+  tech: 'technologies',
+  technology: 'technologies',
+  contributor: 'contributors',
+  by: 'contributors',
+});
+
+const NUMERIC_FIELDS = new Set(['year', 'maturity']);
+
+// -?field:"quoted value" | -?field:value | "quoted text" | word
+const TOKEN_PATTERN = /(-?)([a-z]+):(?:"([^"]*)"|(\S+))|"([^"]*)"|(\S+)/gi;
+
+/**
+ * Parse a numeric comparison: `<1800`, `>=50`, `1500..1800` or `1769`
+ * @param {string} value
+ * @returns {{op: string, value: number, max?: number}|null}
+ */
+const parseComparison = (value) => {
+  const range = value.match(/^(-?\d+(?:\.\d+)?)\.\.(-?\d+(?:\.\d+)?)$/);
+  if (range) {
+    const [min, max] = [Number(range[1]), Number(range[2])].sort((a, b) => a - b);
+    return { op: 'range', value: min, max };
+  }
+  const match = value.match(/^(<=|>=|<|>|=)?(-?\d+(?:\.\d+)?)$/);
+  if (!match) return null;
+  return { op: match[1] || '=', value: Number(match[2]) };
+};
+
+/**
+ * @typedef {Object} SearchFilter
+ * @property {string} field - Document field, see FILTER_FIELDS
+ * @property {string} op - 'match' for text fields; '<', '<=', '>', '>=', '=' or 'range' for numbers
+ * @property {string|number} value
+ * @property {number} [max] - Upper bound of a range
+ * @property {boolean} negate - Excludes matching documents
+ */
+
+/**
+ * @typedef {Object} ParsedQuery
+ * @property {string[]} terms - Stemmed free-text terms, in query order
+ * @property {string[]} words - Unstemmed free-text words, for exact label boosts
+ * @property {SearchFilter[]} filters
+ * @property {boolean} partial - The last term may still be being typed
+ */
+
+/**
+ * Parse a search query
+ * @param {string} query
+ * @returns {ParsedQuery}
+ */
+export const parseQuery = (query) => {
+  const text = [];
+  const filters = [];
+  const source = String(query || '');
+
+  for (const match of source.matchAll(TOKEN_PATTERN)) {
+    const [whole, negation, name, quoted, bare, phrase, word] = match;
+    const field = name ? FILTER_FIELDS[name.toLowerCase()] : null;
+
+    if (field) {
+      const raw = (quoted ?? bare).trim();
+      if (!raw) continue;
+      if (NUMERIC_FIELDS.has(field)) {
+        const comparison = parseComparison(raw);
+        if (comparison) filters.push({ field, ...comparison, negate: !!negation });
+        continue;
+      }
+      filters.push({ field, op: 'match', value: raw.toLowerCase(), negate: !!negation });
+    } else {
+      text.push(phrase ?? word ?? whole);
+    }
+  }
+
+  const freeText = text.join(' ');
+  const last = text[text.length - 1] || '';
+  return {
+    terms: tokenize(freeText),
+    words: splitWords(freeText),
+    filters,
+    // A trailing space or a closed quote means the user finished the last word
+    partial: !!last && !/\s$/.test(source) && !source.trimEnd().endsWith('"'),
+  };
+};
+
+/**
+ * Check a numeric value against a comparison filter
+ * @param {number|null|undefined} actual
+ * @param {SearchFilter} filter
+ * @returns {boolean}
+ */
+export const compareNumber = (actual, filter) => {
+  if (actual === null || actual === undefined || Number.isNaN(actual)) return false;
+  switch (filter.op) {
+    case '<': return actual < filter.value;
+    case '<=': return actual <= filter.value;
+    case '>': return actual > filter.value;
+    case '>=': return actual >= filter.value;
+    case 'range': return actual >= filter.value && actual <= filter.max;
+    default: return actual === filter.value;
+  }
+};
@@ -0,0 +1,103 @@
+/**
+ * Tokenizer and stemmer shared by indexing and querying
+ * Text is lowercased, accents are folded, stop words dropped and each word reduced
+ * to a stem with a light suffix-stripping stemmer, so "engines" finds "engine".
+ */
+
+const STOP_WORDS = new Set([
+  'a', 'an', 'and', 'are', 'as', 'at', 'be', 'by', 'for', 'from', 'has', 'have', 'in', 'is', 'it',
+  'its', 'of', 'on', 'or', 'that', 'the', 'their', 'this', 'to', 'was', 'were', 'which', 'with',
+]);
+
+const VOWEL = /[aeiouy]/;
+
+// Longest suffixes first; each rule keeps a stem of at least `min` characters
+const SUFFIX_RULES = [
+  { suffix: 'ational', replace: 'ate', min: 3 },
+  { suffix: 'ization', replace: 'ize', min: 3 },
+  { suffix: 'fulness', replace: 'ful', min: 3 },
+  { suffix: 'iveness', replace: 'ive', min: 3 },
+  { suffix: 'ations', replace: 'ate', min: 3 },
+  { suffix: 'ation', replace: 'ate', min: 3 },
+  { suffix: 'ments', replace: '', min: 4 },
+  { suffix: 'ment', replace: '', min: 4 },
+  { suffix: 'ness', replace: '', min: 3 },
+  { suffix: 'ical', replace: 'ic', min: 3 },
+  { suffix: 'ally', replace: 'al', min: 3 },
+  { suffix: 'ities', replace: 'ity', min: 3 },
+  { suffix: 'ly', replace: '', min: 4 },
+];
+
+/**
+ * Strip HTML tags and decode the handful of entities used in descriptions.json
+ * @param {string} html
+ * @returns {string}
+ */
+export const stripHtml = (html) => (
+  String(html || '')
+    .replace(/<[^>]*>/g, ' ')
+    .replace(/&nbsp;/g, ' ')
+    .replace(/&amp;/g, '&')
+    .replace(/&lt;/g, '<')
+    .replace(/&gt;/g, '>')
+    .replace(/&quot;/g, '"')
+    .replace(/&#39;/g, "'")
+);
+
+/**
+ * Reduce an English word to its stem
+ * @param {string} word - Lowercase word
+ * @returns {string}
+ */
+export const stem = (word) => {
+  if (word.length <= 3 || /\d/.test(word)) return word;
+  let w = word;
+
+  // Plurals
+  if (w.endsWith('sses')) w = w.slice(0, -2);
+  else if (w.endsWith('ies') && w.length > 4) w = `${w.slice(0, -3)}y`;
+  else if (w.endsWith('s') && !w.endsWith('ss') && !w.endsWith('us') && !w.endsWith('is')) w = w.slice(0, -1);
+
+  // -ed / -ing, when the rest still contains a vowel
+  const verbal = w.match(/^(.+?)(eed|ed|ing)$/);
+  if (verbal && verbal[2] !== 'eed' && VOWEL.test(verbal[1]) && verbal[1].length >= 3) {
+    w = verbal[1];
+    if (/(at|bl|iz)$/.test(w)) w += 'e';
+    else if (/([^aeiouylsz])\1$/.test(w)) w = w.slice(0, -1);
+  }
+
+  for (const { suffix, replace, min } of SUFFIX_RULES) {
+    if (w.endsWith(suffix) && w.length - suffix.length >= min) {
+      w = w.slice(0, -suffix.length) + replace;
+      break;
+    }
+  }
+
+  // Trailing e: "engine" and "engines" both stem to "engin"
+  if (w.endsWith('e') && w.length > 4) w = w.slice(0, -1);
+  return w;
+};
+
+/**
+ * Split text into lowercase words without stemming
+ * @param {string} text
+ * @returns {string[]}
+ */
+export const splitWords = (text) => (
+  String(text || '')
+    .normalize('NFKD')
+    .replace(/[\u0300-\u036f]/g, '')
+    .toLowerCase()
+    .match(/[a-z0-9]+/g) || []
+);
+
+/**
+ * Tokenize text into stemmed index terms
+ * @param {string} text
+ * @returns {string[]}
+ */
+export const tokenize = (text) => (
+  splitWords(text)
+    .filter(word => !STOP_WORDS.has(word))
+    .map(stem)
+);
@@ -0,0 +1,17 @@
+/**
+ * Search Type Definitions
+ * Message constants shared by SearchEngine and SearchWorker
+ */
+
+/**
+ * Worker message types
+ * @readonly
+ * @enum {string}
+ */
+export const SEARCH_MESSAGES = Object.freeze({
+  BUILD: 'BUILD',
+  BUILT: 'BUILT',
+  QUERY: 'QUERY',
+  RESULTS: 'RESULTS',
+  ERROR: 'ERROR',
+});
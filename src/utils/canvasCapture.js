@@ -0,0 +1,283 @@
+/**
+ * Canvas capture
+ * High-resolution stills and frame-by-frame WebM/GIF recordings of the network view.
+ * Frames are drawn offscreen through CanvasNetwork's scene handle (getViewport, renderFrame,
+ * stepFrame, setCapturing), so a capture is independent of the on-screen canvas size and of
+ * how fast the browser can paint.
+ */
+
+import { createLogYearScale } from './timeScale';
+import { createGifEncoder } from './gifEncoder';
+import { TOUR_STEPS } from '../config/tour';
+
+/**
+ * Output sizes: a fixed scale factor or a target pixel width
+ */
+export const CAPTURE_SIZES = {
+  screen: { label: 'Screen', scale: 1 },
+  double: { label: '2×', scale: 2 },
+  '4k': { label: '4K', width: 3840 },
+  '8k': { label: '8K', width: 7680 },
+};
+
+export const ANIMATION_SOURCES = {
+  pulses: 'Pulses',
+  timeline: 'Timeline playback',
+  tour: 'Guided tour',
+};
+
+export const ANIMATION_FORMATS = {
+  webm: { label: 'WebM', extension: 'webm', mimeType: 'video/webm', fps: 30 },
+  gif: { label: 'GIF', extension: 'gif', mimeType: 'image/gif', fps: 15 },
+};
+
+export const DEFAULT_WATERMARK = 'Neuro-Chain · Bude Global';
+
+// Largest canvas browsers reliably allocate (Chromium: 32767px per side, 2^28 pixels)
+const MAX_CANVAS_SIDE = 32767;
+const MAX_CANVAS_AREA = 268435456;
+
+// Live frames are nominally 60fps; recordings step time by the same amount per real second
+const LIVE_FPS = 60;
+
+const WATERMARK_FONT_SIZE = 12;
+const WATERMARK_MARGIN = 12;
+const WEBM_BITRATE = 8000000;
+
+const wait = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+const easeInOut = (t) => (t < 0.5 ? 2 * t * t : 1 - Math.pow(-2 * t + 2, 2) / 2);
+
+/**
+ * @param {string} size - Key of CAPTURE_SIZES
+ * @param {number} viewportWidth - CSS width of the view being captured
+ * @returns {number} Pixels per CSS pixel
+ */
+export const resolveCaptureScale = (size, viewportWidth) => {
+  const preset = CAPTURE_SIZES[size] || CAPTURE_SIZES.screen;
+  return preset.width ? preset.width / Math.max(1, viewportWidth) : preset.scale;
+};
+
+/**
+ * Allocate a canvas for a capture
+ * @throws {Error} If the output would exceed what browsers can allocate
+ */
+export const createCaptureCanvas = (width, height, scale) => {
+  const pixelWidth = Math.round(width * scale);
+  const pixelHeight = Math.round(height * scale);
+  if (pixelWidth < 1 || pixelHeight < 1) {
+    throw new Error('Nothing to capture: the view has no size');
+  }
+  if (pixelWidth > MAX_CANVAS_SIDE || pixelHeight > MAX_CANVAS_SIDE || pixelWidth * pixelHeight > MAX_CANVAS_AREA) {
+    throw new Error(`A ${pixelWidth}×${pixelHeight} capture exceeds the browser's canvas limits`);
+  }
+  const canvas = document.createElement('canvas');
+  canvas.width = pixelWidth;
+  canvas.height = pixelHeight;
+  return canvas;
+};
+
+/**
+ * Attribution text in the bottom-right corner, on a translucent backing so it reads on any theme
+ * @param {CanvasRenderingContext2D} ctx
+ * @param {string} text
+ * @param {{width: number, height: number, scale: number}} frame - CSS size and pixel scale
+ */
+export const drawWatermark = (ctx, text, { width, height, scale }) => {
+  if (!text) return;
+  ctx.save();
+  ctx.setTransform(scale, 0, 0, scale, 0, 0);
+  ctx.font = `600 ${WATERMARK_FONT_SIZE}px system-ui, sans-serif`;
+  const textWidth = ctx.measureText(text).width;
+  const padding = WATERMARK_FONT_SIZE / 2;
+  const x = width - WATERMARK_MARGIN - textWidth - padding * 2;
+  const y = height - WATERMARK_MARGIN - WATERMARK_FONT_SIZE - padding * 2;
+  ctx.fillStyle = 'rgba(0, 0, 0, 0.45)';
+  ctx.fillRect(x, y, textWidth + padding * 2, WATERMARK_FONT_SIZE + padding * 2);
+  ctx.fillStyle = 'rgba(255, 255, 255, 0.85)';
+  ctx.textAlign = 'left';
+  ctx.textBaseline = 'top';
+  ctx.fillText(text, x + padding, y + padding);
+  ctx.restore();
+};
+
+/**
+ * Render the current view offscreen
+ * @param {Object} renderer - CanvasNetwork scene handle
+ * @param {Object} [options]
+ * @param {string} [options.size] - Key of CAPTURE_SIZES
+ * @param {boolean} [options.transparent] - Leave the background transparent
+ * @param {string} [options.watermark] - Attribution text, omitted when empty
+ * @returns {HTMLCanvasElement}
+ */
+export const captureImage = (renderer, { size = 'screen', transparent = false, watermark = '' } = {}) => {
+  const { width, height } = renderer.getViewport();
+  const scale = resolveCaptureScale(size, width);
+  const canvas = createCaptureCanvas(width, height, scale);
+  const ctx = canvas.getContext('2d');
+  renderer.renderFrame(ctx, { pixelRatio: scale, transparent });
+  drawWatermark(ctx, watermark, { width, height, scale });
+  return canvas;
+};
+
+/**
+ * @param {HTMLCanvasElement} canvas
+ * @param {string} [type]
+ * @returns {Promise<Blob>}
+ */
+export const canvasToBlob = (canvas, type = 'image/png') => new Promise((resolve, reject) => {
+  canvas.toBlob(blob => (blob ? resolve(blob) : reject(new Error('Could not encode the capture'))), type);
+});
+
+/**
+ * Camera, zoom and year of one recorded frame
+ * @param {string} source - Key of ANIMATION_SOURCES
+ * @param {{camera: {x: number, y: number}, zoom: number, year: number}} viewport - View when recording starts
+ * @param {number} progress - 0 at the first frame, 1 at the last
+ * @param {Object} [options]
+ * @param {number} [options.startYear] - First year of a timeline recording (it ends at the viewport's year)
+ * @param {Array} [options.stops] - Tour steps with { target: { x, y, zoom } }
+ * @returns {{camera: {x: number, y: number}, zoom: number, year: number}}
+ */
+export const animationFrameAt = (source, viewport, progress, { startYear, stops = TOUR_STEPS } = {}) => {
+  const frame = { camera: viewport.camera, zoom: viewport.zoom, year: viewport.year };
+
+  if (source === 'timeline' && startYear !== undefined && startYear < viewport.year) {
+    // Same log scale as the timeline slider, so recent centuries get their share of the clip
+    const scale = createLogYearScale(startYear, viewport.year);
+    return { ...frame, year: Math.floor(scale.fromUnit(progress)) };
+  }
+
+  if (source === 'tour' && stops.length > 0) {
+    // Fly between consecutive stops, easing in and out of each
+    const position = Math.min(1, Math.max(0, progress)) * (stops.length - 1);
+    const index = Math.min(stops.length - 2, Math.floor(position));
+    if (index < 0) {
+      const { x, y, zoom } = stops[0].target;
+      return { ...frame, camera: { x, y }, zoom };
+    }
+    const from = stops[index].target;
+    const to = stops[index + 1].target;
+    const t = easeInOut(position - index);
+    return {
+      ...frame,
+      camera: { x: from.x + (to.x - from.x) * t, y: from.y + (to.y - from.y) * t },
+      zoom: from.zoom + (to.zoom - from.zoom) * t,
+    };
+  }
+
+  return frame;
+};
+
+// MediaRecorder stamps frames with wall-clock time, so each requested frame is held for its duration
+const createWebMRecorder = (canvas, fps) => {
+  if (typeof MediaRecorder === 'undefined' || !canvas.captureStream) {
+    throw new Error('WebM recording is not supported in this browser');
+  }
+  const stream = canvas.captureStream(0);
+  const [track] = stream.getVideoTracks();
+  const mimeType = ['video/webm;codecs=vp9', 'video/webm;codecs=vp8', 'video/webm']
+    .find(type => MediaRecorder.isTypeSupported(type));
+  const recorder = new MediaRecorder(stream, { mimeType, videoBitsPerSecond: WEBM_BITRATE });
+  const chunks = [];
+  recorder.ondataavailable = (e) => {
+    if (e.data.size > 0) chunks.push(e.data);
+  };
+  recorder.start();
+
+  const stopTracks = () => stream.getTracks().forEach(t => t.stop());
+
+  return {
+    addFrame: () => {
+      track.requestFrame();
+      return wait(1000 / fps);
+    },
+    finish: () => new Promise(resolve => {
+      recorder.onstop = () => {
+        stopTracks();
+        resolve(new Blob(chunks, { type: 'video/webm' }));
+      };
+      recorder.stop();
+    }),
+    dispose: () => {
+      if (recorder.state !== 'inactive') recorder.stop();
+      stopTracks();
+    },
+  };
+};
+
+const createGifRecorder = (canvas, ctx, fps, transparent) => {
+  const encoder = createGifEncoder(canvas.width, canvas.height, { delay: Math.round(100 / fps), transparent });
+  return {
+    // Yield between frames so the page can repaint progress
+    addFrame: () => {
+      encoder.addFrame(ctx.getImageData(0, 0, canvas.width, canvas.height).data);
+      return wait(0);
+    },
+    finish: () => Promise.resolve(new Blob([encoder.finish()], { type: 'image/gif' })),
+    dispose: () => {},
+  };
+};
+
+/**
+ * Record an animation frame by frame. The live canvas is paused for the duration; each
+ * frame steps animation time (and the timeline reveal) exactly one frame interval.
+ * @param {Object} renderer - CanvasNetwork scene handle
+ * @param {Object} [options]
+ * @param {string} [options.source] - Key of ANIMATION_SOURCES; 'pulses' draws them even when the view has them off
+ * @param {string} [options.format] - Key of ANIMATION_FORMATS
+ * @param {number} [options.duration] - Seconds
+ * @param {number} [options.fps] - Defaults to the format's frame rate
+ * @param {string} [options.size] - Key of CAPTURE_SIZES
+ * @param {boolean} [options.transparent] - Transparent background (GIF only; WebM stays opaque)
+ * @param {string} [options.watermark]
+ * @param {number} [options.startYear] - First year of a timeline recording
+ * @param {function(number): void} [options.onProgress] - Called with 0..1 after each frame
+ * @param {AbortSignal} [options.signal] - Cancels the recording
+ * @returns {Promise<Blob>}
+ */
+export const recordAnimation = async (renderer, {
+  source = 'pulses',
+  format = 'webm',
+  duration = 6,
+  fps,
+  size = 'screen',
+  transparent = false,
+  watermark = '',
+  startYear,
+  onProgress,
+  signal,
+} = {}) => {
+  const viewport = renderer.getViewport();
+  const frameRate = fps || ANIMATION_FORMATS[format].fps;
+  const scale = resolveCaptureScale(size, viewport.width);
+  const canvas = createCaptureCanvas(viewport.width, viewport.height, scale);
+  const ctx = canvas.getContext('2d', { willReadFrequently: format === 'gif' });
+  const clearBackground = transparent && format === 'gif';
+  const recorder = format === 'gif'
+    ? createGifRecorder(canvas, ctx, frameRate, clearBackground)
+    : createWebMRecorder(canvas, frameRate);
+
+  const frameCount = Math.max(1, Math.round(duration * frameRate));
+  const frameAt = (i) => animationFrameAt(source, viewport, frameCount > 1 ? i / (frameCount - 1) : 1, { startYear });
+  renderer.setCapturing(true);
+  try {
+    // Start from a settled timeline rather than fading in from the live view
+    renderer.stepFrame({ frames: 0, year: frameAt(0).year, settle: true });
+    for (let i = 0; i < frameCount; i++) {
+      if (signal?.aborted) throw new DOMException('Recording cancelled', 'AbortError');
+      const frame = frameAt(i);
+      renderer.stepFrame({ frames: LIVE_FPS / frameRate, year: frame.year });
+      renderer.renderFrame(ctx, { ...frame, pixelRatio: scale, transparent: clearBackground, forcePulses: source === 'pulses' });
+      drawWatermark(ctx, watermark, { width: viewport.width, height: viewport.height, scale });
+      await recorder.addFrame();
+      onProgress?.((i + 1) / frameCount);
+    }
+    return await recorder.finish();
+  } catch (error) {
+    recorder.dispose();
+    throw error;
+  } finally {
+    renderer.setCapturing(false);
+  }
+};
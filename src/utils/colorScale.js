@@ -0,0 +1,44 @@
+/**
+ * Colour scales for data-driven node styling.
+ * All colours are 6-digit hex so the canvas code can append alpha bytes.
+ */
+
+// Cool → hot ramp for continuous metrics
+const HEAT_STOPS = [
+  [59, 76, 192],
+  [14, 165, 233],
+  [16, 185, 129],
+  [250, 204, 21],
+  [239, 68, 68],
+];
+
+// Distinct hues for categorical values such as communities
+const CATEGORICAL = [
+  '#0ea5e9', '#f97316', '#22c55e', '#e11d48', '#a855f7',
+  '#eab308', '#14b8a6', '#f472b6', '#84cc16', '#6366f1',
+  '#fb923c', '#06b6d4',
+];
+
+const toHex = (value) => Math.round(value).toString(16).padStart(2, '0');
+
+/**
+ * Colour for a normalized metric value
+ * @param {number} t - Value in [0, 1]
+ * @returns {string} Hex colour
+ */
+export const heatColor = (t) => {
+  const clamped = Math.max(0, Math.min(1, t || 0));
+  const position = clamped * (HEAT_STOPS.length - 1);
+  const index = Math.min(Math.floor(position), HEAT_STOPS.length - 2);
+  const local = position - index;
+  const from = HEAT_STOPS[index];
+  const to = HEAT_STOPS[index + 1];
+  return '#' + from.map((c, i) => toHex(c + (to[i] - c) * local)).join('');
+};
+
+/**
+ * Colour for a category index; wraps around after the palette is exhausted
+ * @param {number} index
+ * @returns {string} Hex colour
+ */
+export const categoricalColor = (index) => CATEGORICAL[((index % CATEGORICAL.length) + CATEGORICAL.length) % CATEGORICAL.length];
@@ -0,0 +1,170 @@
+/**
+ * Record-level diffs and patch files for the data collections
+ * Nodes are matched by id, edges by source and target, clusters and descriptions by key.
+ */
+
+export const PATCH_FORMAT = 'neuro-chain-patch';
+export const PATCH_VERSION = 1;
+
+const COLLECTIONS = ['clusters', 'nodes', 'edges', 'descriptions'];
+
+const isEqual = (a, b) => a === b || JSON.stringify(a) === JSON.stringify(b);
+
+/**
+ * Key records of a collection. Parallel edges between the same pair get `#2`, `#3`... suffixes.
+ * @param {string} collection
+ * @param {Array|Object} value
+ * @returns {Map<string, Object>}
+ */
+export const keyRecords = (collection, value) => {
+  if (!Array.isArray(value)) return new Map(Object.entries(value || {}));
+
+  const records = new Map();
+  value.forEach((record, index) => {
+    let key = collection === 'edges' ? `${record?.source}->${record?.target}` : String(record?.id ?? index);
+    if (records.has(key)) {
+      let n = 2;
+      while (records.has(`${key}#${n}`)) n++;
+      key = `${key}#${n}`;
+    }
+    records.set(key, record);
+  });
+  return records;
+};
+
+/**
+ * Field-level changes between two versions of one record
+ * @returns {Array<{field: string, before: *, after: *}>}
+ */
+const diffFields = (before, after) => {
+  const fields = new Set([...Object.keys(before || {}), ...Object.keys(after || {})]);
+  return [...fields]
+    .filter(field => !isEqual(before?.[field], after?.[field]))
+    .map(field => ({ field, before: before?.[field], after: after?.[field] }));
+};
+
+/**
+ * Compare two versions of a collection
+ * @param {string} collection - 'nodes', 'edges', 'clusters' or 'descriptions'
+ * @param {Array|Object} before
+ * @param {Array|Object} after
+ * @returns {{added: Array<{key, value}>, removed: Array<{key, value}>, changed: Array<{key, fields}>}}
+ */
+export const diffCollection = (collection, before, after) => {
+  const diff = { added: [], removed: [], changed: [] };
+  if (before === after) return diff;
+
+  const previous = keyRecords(collection, before);
+  const next = keyRecords(collection, after);
+
+  previous.forEach((value, key) => {
+    if (!next.has(key)) {
+      diff.removed.push({ key, value });
+      return;
+    }
+    const fields = diffFields(value, next.get(key));
+    if (fields.length > 0) diff.changed.push({ key, fields });
+  });
+  next.forEach((value, key) => {
+    if (!previous.has(key)) diff.added.push({ key, value });
+  });
+
+  return diff;
+};
+
+/**
+ * Diff every collection that differs between two datasets
+ * @returns {Object<string, ReturnType<typeof diffCollection>>}
+ */
+export const diffDatasets = (before, after) => {
+  const diffs = {};
+  COLLECTIONS.forEach(collection => {
+    if (before[collection] === after[collection]) return;
+    const diff = diffCollection(collection, before[collection], after[collection]);
+    if (diff.added.length || diff.removed.length || diff.changed.length) diffs[collection] = diff;
+  });
+  return diffs;
+};
+
+/**
+ * One-line summary such as `+2 ~1 −0`
+ * @param {ReturnType<typeof diffCollection>} diff
+ * @returns {string}
+ */
+export const summarizeDiff = (diff) => `+${diff.added.length} ~${diff.changed.length} −${diff.removed.length}`;
+
+/**
+ * Build a patch file with the net changes from `baseline` to `current`
+ * @param {Object} baseline
+ * @param {Object} current
+ * @param {Object} [meta] - Extra fields such as the change log
+ * @returns {Object}
+ */
+export const createPatch = (baseline, current, meta = {}) => {
+  const operations = [];
+  Object.entries(diffDatasets(baseline, current)).forEach(([collection, diff]) => {
+    diff.removed.forEach(({ key }) => operations.push({ op: 'remove', collection, key }));
+    diff.changed.forEach(({ key, fields }) => {
+      const set = {};
+      const unset = [];
+      fields.forEach(({ field, after }) => {
+        if (after === undefined) unset.push(field);
+        else set[field] = after;
+      });
+      operations.push({ op: 'update', collection, key, set, ...(unset.length ? { unset } : {}) });
+    });
+    diff.added.forEach(({ key, value }) => operations.push({ op: 'add', collection, key, value }));
+  });
+
+  return {
+    format: PATCH_FORMAT,
+    version: PATCH_VERSION,
+    created: new Date().toISOString(),
+    ...meta,
+    operations,
+  };
+};
+
+/**
+ * Apply a patch created by createPatch
+ * @param {Object} data
+ * @param {Object} patch
+ * @returns {Object} A new dataset; untouched collections are shared with the input
+ * @throws {Error} When the patch format is unknown or an operation targets a missing record
+ */
+export const applyPatch = (data, patch) => {
+  if (patch?.format !== PATCH_FORMAT || patch.version !== PATCH_VERSION) {
+    throw new Error('Unsupported patch format');
+  }
+
+  const working = {};
+  const recordsFor = (collection) => {
+    if (!COLLECTIONS.includes(collection)) throw new Error(`Unknown collection "${collection}"`);
+    if (!working[collection]) working[collection] = keyRecords(collection, data[collection]);
+    return working[collection];
+  };
+
+  patch.operations.forEach(({ op, collection, key, value, set = {}, unset = [] }) => {
+    const records = recordsFor(collection);
+    if (op === 'add') {
+      records.set(key, value);
+      return;
+    }
+    if (!records.has(key)) throw new Error(`${collection} has no record "${key}"`);
+    if (op === 'remove') {
+      records.delete(key);
+    } else if (op === 'update') {
+      const record = { ...records.get(key), ...set };
+      unset.forEach(field => delete record[field]);
+      records.set(key, record);
+    } else {
+      throw new Error(`Unknown operation "${op}"`);
+    }
+  });
+
+  const result = { ...data };
+  Object.entries(working).forEach(([collection, records]) => {
+    result[collection] = Array.isArray(data[collection]) ? [...records.values()] : Object.fromEntries(records);
+  });
+  return result;
+};
@@ -0,0 +1,124 @@
+/**
+ * Helpers for the form-based node and edge editors
+ * Convert between stored records and form state and check edits with the validation engine.
+ */
+
+import { MAX_LENGTHS } from '../config/security';
+import { validateDataset } from './dataValidation';
+
+export const DEFAULT_NODE_SIZE = 12;
+
+// Fields a stored node may have (see validateNode in dataValidation)
+const NODE_FIELDS = new Set([
+  'id', 'label', 'cluster', 'x', 'y', 'size', 'year', 'description', 'status',
+  'maturity', 'contributors', 'technologies', 'wikiUrl', 'pinned',
+]);
+
+/**
+ * Turn a label into a lowercase, dash-separated id
+ * @param {string} label
+ * @returns {string}
+ */
+export const slugify = (label) => (
+  String(label || '')
+    .normalize('NFKD')
+    .replace(/[\u0300-\u036f]/g, '')
+    .toLowerCase()
+    .replace(/[^a-z0-9]+/g, '-')
+    .replace(/^-+|-+$/g, '')
+    .slice(0, MAX_LENGTHS.nodeId)
+);
+
+/**
+ * Derive a node id from its label that does not collide with existing ids
+ * @param {string} label
+ * @param {Set<string>|Array<string>} existingIds
+ * @returns {string}
+ */
+export const createNodeId = (label, existingIds) => {
+  const taken = existingIds instanceof Set ? existingIds : new Set(existingIds);
+  const base = slugify(label) || 'node';
+  if (!taken.has(base)) return base;
+  let suffix = 2;
+  while (taken.has(`${base}-${suffix}`)) suffix++;
+  return `${base}-${suffix}`;
+};
+
+/**
+ * Split comma-separated form input into a list of trimmed, non-empty entries
+ * @param {string} text
+ * @returns {string[]}
+ */
+export const parseListInput = (text) => (
+  String(text || '').split(',').map(item => item.trim()).filter(Boolean)
+);
+
+/**
+ * Form state for a node; numbers and lists become editable strings
+ * @param {Object} [node]
+ * @returns {Object}
+ */
+export const nodeToForm = (node = {}) => ({
+  label: node.label || '',
+  cluster: node.cluster || '',
+  year: node.year === null || node.year === undefined ? '' : String(node.year),
+  status: node.status || 'Unknown',
+  maturity: node.maturity === undefined ? '' : String(node.maturity),
+  contributors: (node.contributors || []).join(', '),
+  technologies: (node.technologies || []).join(', '),
+  wikiUrl: node.wikiUrl || '',
+  description: node.description || '',
+});
+
+/**
+ * Build a node record from form state, keeping fields the form does not edit (id, position, size, pin).
+ * Keys outside the node schema, such as a search row's score, are dropped.
+ * @param {Object} form
+ * @param {Object} base - The node being edited, or `{ id, x, y }` for a new one
+ * @returns {Object}
+ */
+export const formToNode = (form, base) => {
+  const node = {
+    size: DEFAULT_NODE_SIZE,
+    ...Object.fromEntries(Object.entries(base).filter(([key]) => NODE_FIELDS.has(key))),
+    label: form.label.trim(),
+    cluster: form.cluster,
+    year: form.year.trim() === '' ? null : Number(form.year),
+    status: form.status,
+    contributors: parseListInput(form.contributors),
+    technologies: parseListInput(form.technologies),
+  };
+
+  // Optional fields are left out rather than stored empty
+  if (form.maturity.trim() === '') delete node.maturity;
+  else node.maturity = Number(form.maturity);
+  if (form.description.trim() === '') delete node.description;
+  else node.description = form.description.trim();
+  if (form.wikiUrl.trim() === '') delete node.wikiUrl;
+  else node.wikiUrl = form.wikiUrl.trim();
+
+  return node;
+};
+
+const issueKey = (issue) => `${issue.code} ${issue.path}`;
+
+/**
+ * Validate an edit and report only the errors it introduces.
+ * Errors already present in the current data do not block an unrelated edit.
+ * @param {Object} data - Current dataset
+ * @param {Object} changes - Collections to replace, e.g. `{ nodes, edges }`
+ * @returns {{valid: boolean, errors: Array, fieldErrors: Object<string, string>}}
+ *   fieldErrors maps `nodes[3].year` style keys to their first message
+ */
+export const validateEdit = (data, changes) => {
+  const before = new Set(validateDataset(data).errors.map(issueKey));
+  const errors = validateDataset({ ...data, ...changes }).errors.filter(issue => !before.has(issueKey(issue)));
+
+  const fieldErrors = {};
+  errors.forEach(issue => {
+    const key = issue.path.replace(/^\$\./, '');
+    if (!fieldErrors[key]) fieldErrors[key] = issue.message;
+  });
+
+  return { valid: errors.length === 0, errors, fieldErrors };
+};
@@ -0,0 +1,376 @@
+/**
+ * Data import
+ * Map parsed attribute records (see importParsers) onto the node/edge schema, plan the
+ * merge with the current data, resolve duplicate ids and place nodes that have no position.
+ * The merged collections go through the validation engine before they are applied.
+ */
+
+import { NODE_STATUSES, EDGE_TYPES } from './dataValidation';
+import { DEFAULT_NODE_SIZE, slugify, createNodeId } from './dataEditing';
+import { categoricalColor } from './colorScale';
+
+/**
+ * Schema fields an import can fill, with the attribute names they are guessed from
+ */
+export const NODE_IMPORT_FIELDS = [
+  { key: 'id', label: 'Id', aliases: ['id', 'key', 'nodeid', 'node'] },
+  { key: 'label', label: 'Label', aliases: ['label', 'name', 'title'] },
+  { key: 'cluster', label: 'Cluster', aliases: ['cluster', 'group', 'category', 'modularityclass', 'community', 'class'] },
+  { key: 'year', label: 'Year', aliases: ['year', 'date', 'start', 'timeset', 'founded'] },
+  { key: 'status', label: 'Status', aliases: ['status', 'stage'] },
+  { key: 'maturity', label: 'Maturity', aliases: ['maturity'] },
+  { key: 'description', label: 'Description', aliases: ['description', 'desc', 'summary', 'notes'] },
+  { key: 'contributors', label: 'Contributors', aliases: ['contributors', 'contributor', 'authors', 'inventors', 'people'] },
+  { key: 'technologies', label: 'Technologies', aliases: ['technologies', 'technology', 'tech', 'tags'] },
+  { key: 'wikiUrl', label: 'Wiki URL', aliases: ['wikiurl', 'url', 'wiki', 'wikipedia', 'link'] },
+  { key: 'x', label: 'X', aliases: ['x'] },
+  { key: 'y', label: 'Y', aliases: ['y'] },
+  { key: 'size', label: 'Size', aliases: ['size', 'radius'] },
+];
+
+export const EDGE_IMPORT_FIELDS = [
+  { key: 'source', label: 'Source', aliases: ['source', 'from', 'src'] },
+  { key: 'target', label: 'Target', aliases: ['target', 'to', 'dst'] },
+  { key: 'type', label: 'Type', aliases: ['type', 'kind', 'relationship', 'relation', 'edgetype'] },
+  { key: 'weight', label: 'Weight', aliases: ['weight', 'value', 'strength'] },
+];
+
+/**
+ * How an incoming node whose id already exists is handled
+ */
+export const CONFLICT_RESOLUTIONS = {
+  keep: 'Keep existing',
+  replace: 'Replace',
+  merge: 'Merge fields',
+  rename: 'Import as copy',
+};
+
+// Spacing of generated positions around a cluster's centre
+const PLACEMENT_SPACING = 40;
+const GOLDEN_ANGLE = Math.PI * (3 - Math.sqrt(5));
+
+const normalizeName = (name) => String(name).toLowerCase().replace(/[^a-z0-9]/g, '');
+
+const guessFields = (fields, sourceFields) => {
+  const byName = new Map(sourceFields.map(name => [normalizeName(name), name]));
+  return Object.fromEntries(fields.map(({ key, aliases }) => [
+    key,
+    aliases.map(alias => byName.get(alias)).find(Boolean) || '',
+  ]));
+};
+
+/**
+ * Guess which source attribute feeds each schema field
+ * @param {import('./importParsers').RawGraph} raw
+ * @returns {{nodes: Object<string, string>, edges: Object<string, string>}} Schema field -> attribute name ('' for none)
+ */
+export const suggestMapping = (raw) => ({
+  nodes: guessFields(NODE_IMPORT_FIELDS, raw.nodeFields),
+  edges: guessFields(EDGE_IMPORT_FIELDS, raw.edgeFields),
+});
+
+const isBlank = (value) => value === undefined || value === null || String(value).trim() === '';
+
+const toNumber = (value) => {
+  if (isBlank(value)) return undefined;
+  const number = typeof value === 'number' ? value : Number(String(value).trim());
+  return Number.isFinite(number) ? number : undefined;
+};
+
+// Years may arrive as dates ("1769-01-05") or with era text ("-3000 BCE")
+const toYear = (value) => {
+  if (isBlank(value)) return undefined;
+  if (typeof value === 'number') return Number.isFinite(value) ? Math.round(value) : undefined;
+  const match = String(value).trim().match(/^-?\d+/);
+  return match ? Number(match[0]) : undefined;
+};
+
+const toList = (value) => {
+  if (isBlank(value)) return undefined;
+  const items = Array.isArray(value) ? value : String(value).split(/[;|,]/);
+  return items.map(item => String(item).trim()).filter(Boolean);
+};
+
+const matchOption = (value, options) => options.find(option => option.toLowerCase() === String(value).trim().toLowerCase());
+
+/**
+ * Turn raw records into nodes and edges. Fields without a value are left out, so merges
+ * only overwrite what the source actually provides; defaults are added in applyMerge.
+ * @param {import('./importParsers').RawGraph} raw
+ * @param {{nodes: Object, edges: Object}} mapping - See suggestMapping
+ * @param {Object} options
+ * @param {Object} options.clusters - Current clusters.json map
+ * @param {string} options.defaultCluster - Cluster for nodes without one
+ * @param {boolean} [options.createClusters=true] - Add clusters for unknown values instead of using the default
+ * @returns {{nodes: Array, edges: Array, clusters: Object, warnings: string[]}} `clusters` holds only new clusters
+ */
+export const mapImport = (raw, mapping, { clusters, defaultCluster, createClusters = true }) => {
+  const warnings = [];
+  const newClusters = {};
+  const clusterByLabel = new Map(Object.entries(clusters).map(([key, cluster]) => [cluster.label?.toLowerCase(), key]));
+  const read = (record, fields, key) => (fields[key] ? record[fields[key]] : undefined);
+
+  const resolveCluster = (value) => {
+    if (isBlank(value)) return defaultCluster;
+    const text = String(value).trim();
+    if (clusters[text]) return text;
+    const byLabel = clusterByLabel.get(text.toLowerCase());
+    if (byLabel) return byLabel;
+    if (!createClusters) return defaultCluster;
+
+    const key = slugify(text) || 'imported';
+    if (!clusters[key] && !newClusters[key]) {
+      const index = Object.keys(clusters).length + Object.keys(newClusters).length;
+      newClusters[key] = { label: text, color: categoricalColor(index) };
+    }
+    return key;
+  };
+
+  const ids = new Set();
+  const nodes = [];
+  raw.nodes.forEach((record, row) => {
+    const get = (key) => read(record, mapping.nodes, key);
+    const label = isBlank(get('label')) ? undefined : String(get('label')).trim();
+    const rawId = isBlank(get('id')) ? null : String(get('id')).trim();
+    if (!rawId && !label) {
+      warnings.push(`Node row ${row + 1} has neither an id nor a label and was skipped`);
+      return;
+    }
+    const id = rawId || createNodeId(label, ids);
+    if (ids.has(id)) {
+      warnings.push(`Node "${id}" appears more than once; only the first is imported`);
+      return;
+    }
+    ids.add(id);
+
+    const node = { id, label: label || id, cluster: resolveCluster(get('cluster')) };
+    const optional = {
+      year: toYear(get('year')),
+      status: isBlank(get('status')) ? undefined : matchOption(get('status'), NODE_STATUSES) || 'Unknown',
+      maturity: toNumber(get('maturity')),
+      description: isBlank(get('description')) ? undefined : String(get('description')).trim(),
+      contributors: toList(get('contributors')),
+      technologies: toList(get('technologies')),
+      wikiUrl: isBlank(get('wikiUrl')) ? undefined : String(get('wikiUrl')).trim(),
+      x: toNumber(get('x')),
+      y: toNumber(get('y')),
+      size: toNumber(get('size')),
+    };
+    Object.entries(optional).forEach(([key, value]) => {
+      if (value !== undefined) node[key] = value;
+    });
+    nodes.push(node);
+  });
+
+  const edges = [];
+  raw.edges.forEach((record, row) => {
+    const get = (key) => read(record, mapping.edges, key);
+    if (isBlank(get('source')) || isBlank(get('target'))) {
+      warnings.push(`Edge row ${row + 1} is missing its source or target and was skipped`);
+      return;
+    }
+    const edge = {
+      source: String(get('source')).trim(),
+      target: String(get('target')).trim(),
+      type: matchOption(get('type') ?? '', EDGE_TYPES) || 'forward',
+    };
+    const weight = toNumber(get('weight'));
+    if (weight !== undefined) edge.weight = weight;
+    edges.push(edge);
+  });
+
+  return { nodes, edges, clusters: newClusters, warnings };
+};
+
+const COMPARED_FIELDS = ['label', 'cluster', 'year', 'status', 'maturity', 'description', 'contributors', 'technologies', 'wikiUrl', 'x', 'y', 'size'];
+
+/**
+ * Fields the incoming node would change on the existing one
+ * @param {Object} existing
+ * @param {Object} incoming
+ * @returns {string[]}
+ */
+export const changedFields = (existing, incoming) => COMPARED_FIELDS.filter(field => (
+  incoming[field] !== undefined && JSON.stringify(incoming[field]) !== JSON.stringify(existing[field])
+));
+
+/**
+ * Compare imported nodes with the current ones
+ * @param {Object} data - Current dataset
+ * @param {{nodes: Array}} imported - Result of mapImport
+ * @returns {{added: Array, conflicts: Array<{id: string, existing: Object, incoming: Object, fields: string[]}>, unchanged: string[]}}
+ */
+export const planMerge = (data, imported) => {
+  const existingById = new Map(data.nodes.map(node => [node.id, node]));
+  const plan = { added: [], conflicts: [], unchanged: [] };
+
+  imported.nodes.forEach(incoming => {
+    const existing = existingById.get(incoming.id);
+    if (!existing) {
+      plan.added.push(incoming);
+      return;
+    }
+    const fields = changedFields(existing, incoming);
+    if (fields.length === 0) plan.unchanged.push(incoming.id);
+    else plan.conflicts.push({ id: incoming.id, existing, incoming, fields });
+  });
+
+  return plan;
+};
+
+const withDefaults = (node) => ({
+  year: null,
+  status: 'Unknown',
+  contributors: [],
+  technologies: [],
+  size: DEFAULT_NODE_SIZE,
+  ...node,
+});
+
+/**
+ * Give nodes without coordinates a position near the rest of their cluster.
+ * Nodes are laid out on a sunflower spiral around the cluster's centre; clusters with
+ * no placed members start on a ring outside the current graph.
+ * @param {Array} nodes - All nodes; those with finite x/y are left alone
+ * @returns {{nodes: Array, positioned: number}}
+ */
+export const placeMissingPositions = (nodes) => {
+  const hasPosition = (n) => Number.isFinite(n.x) && Number.isFinite(n.y);
+  const placed = nodes.filter(hasPosition);
+  const missing = nodes.filter(n => !hasPosition(n));
+  if (missing.length === 0) return { nodes, positioned: 0 };
+
+  const centre = placed.length
+    ? { x: placed.reduce((s, n) => s + n.x, 0) / placed.length, y: placed.reduce((s, n) => s + n.y, 0) / placed.length }
+    : { x: 0, y: 0 };
+  const extent = placed.reduce((max, n) => Math.max(max, Math.hypot(n.x - centre.x, n.y - centre.y)), 0);
+
+  const anchors = new Map();
+  placed.forEach(n => {
+    const anchor = anchors.get(n.cluster) || { x: 0, y: 0, count: 0 };
+    anchor.x += n.x;
+    anchor.y += n.y;
+    anchor.count += 1;
+    anchors.set(n.cluster, anchor);
+  });
+  anchors.forEach(anchor => {
+    anchor.x /= anchor.count;
+    anchor.y /= anchor.count;
+    anchor.next = anchor.count; // continue the spiral past the existing members
+  });
+
+  const newClusters = [...new Set(missing.map(n => n.cluster))].filter(c => !anchors.has(c));
+  newClusters.forEach((cluster, i) => {
+    const angle = (i / newClusters.length) * Math.PI * 2;
+    const ring = extent + PLACEMENT_SPACING * 8;
+    anchors.set(cluster, { x: centre.x + Math.cos(angle) * ring, y: centre.y + Math.sin(angle) * ring, next: 0 });
+  });
+
+  const positions = new Map();
+  missing.forEach(node => {
+    const anchor = anchors.get(node.cluster);
+    const k = anchor.next++;
+    const radius = PLACEMENT_SPACING * Math.sqrt(k + 1);
+    positions.set(node, {
+      x: Math.round(anchor.x + Math.cos(k * GOLDEN_ANGLE) * radius),
+      y: Math.round(anchor.y + Math.sin(k * GOLDEN_ANGLE) * radius),
+    });
+  });
+
+  return {
+    nodes: nodes.map(n => (positions.has(n) ? { ...n, ...positions.get(n) } : n)),
+    positioned: missing.length,
+  };
+};
+
+/**
+ * Merge imported nodes, edges and clusters into the current data
+ * @param {Object} data - Current dataset
+ * @param {{nodes: Array, edges: Array, clusters: Object}} imported - Result of mapImport
+ * @param {Object} [options]
+ * @param {string} [options.resolution='keep'] - Default for id conflicts, key of CONFLICT_RESOLUTIONS
+ * @param {Object<string, string>} [options.resolutions] - Per-id overrides
+ * @returns {{changes: Object, summary: Object}} `changes` is ready for onDataUpdate
+ */
+export const applyMerge = (data, imported, { resolution = 'keep', resolutions = {} } = {}) => {
+  const existingIndex = new Map(data.nodes.map((node, i) => [node.id, i]));
+  const taken = new Set([...existingIndex.keys(), ...imported.nodes.map(n => n.id)]);
+  const nodes = [...data.nodes];
+  const idMap = new Map();
+  const summary = {
+    added: 0, replaced: 0, merged: 0, renamed: 0, kept: 0, unchanged: 0,
+    positioned: 0, edgesAdded: 0, edgesSkipped: 0, edgesDuplicate: 0, clustersAdded: 0,
+  };
+
+  imported.nodes.forEach(incoming => {
+    const index = existingIndex.get(incoming.id);
+    if (index === undefined) {
+      nodes.push(withDefaults(incoming));
+      idMap.set(incoming.id, incoming.id);
+      summary.added++;
+      return;
+    }
+
+    const existing = data.nodes[index];
+    idMap.set(incoming.id, incoming.id);
+    if (changedFields(existing, incoming).length === 0) {
+      summary.unchanged++;
+      return;
+    }
+
+    switch (resolutions[incoming.id] || resolution) {
+      case 'replace':
+        nodes[index] = withDefaults({ ...incoming, x: incoming.x ?? existing.x, y: incoming.y ?? existing.y });
+        summary.replaced++;
+        break;
+      case 'merge':
+        nodes[index] = { ...existing, ...incoming };
+        summary.merged++;
+        break;
+      case 'rename': {
+        const id = createNodeId(incoming.label || incoming.id, taken);
+        taken.add(id);
+        idMap.set(incoming.id, id);
+        nodes.push(withDefaults({ ...incoming, id }));
+        summary.renamed++;
+        break;
+      }
+      default:
+        summary.kept++;
+    }
+  });
+
+  const placement = placeMissingPositions(nodes);
+  summary.positioned = placement.positioned;
+
+  // Imported edges may point at imported nodes (possibly renamed) or at nodes already in the data
+  const nodeIds = new Set(placement.nodes.map(n => n.id));
+  const edgeKey = (e) => `${e.source}\u0000${e.target}\u0000${e.type}`;
+  const seen = new Set(data.edges.map(edgeKey));
+  const edges = [...data.edges];
+  imported.edges.forEach(edge => {
+    const mapped = { ...edge, source: idMap.get(edge.source) || edge.source, target: idMap.get(edge.target) || edge.target };
+    if (!nodeIds.has(mapped.source) || !nodeIds.has(mapped.target) || mapped.source === mapped.target) {
+      summary.edgesSkipped++;
+      return;
+    }
+    if (seen.has(edgeKey(mapped))) {
+      summary.edgesDuplicate++;
+      return;
+    }
+    seen.add(edgeKey(mapped));
+    edges.push(mapped);
+    summary.edgesAdded++;
+  });
+
+  const changes = { nodes: placement.nodes, edges };
+  // New clusters are only added when a merged node ends up in them
+  const usedClusters = new Set(placement.nodes.map(n => n.cluster));
+  const addedClusters = Object.entries(imported.clusters || {}).filter(([key]) => usedClusters.has(key) && !data.clusters[key]);
+  if (addedClusters.length > 0) {
+    changes.clusters = { ...data.clusters, ...Object.fromEntries(addedClusters) };
+    summary.clustersAdded = addedClusters.length;
+  }
+
+  return { changes, summary };
+};
@@ -0,0 +1,365 @@
+/**
+ * Data validation engine
+ * Checks the four data collections (nodes, edges, clusters, descriptions) field by field
+ * and across collections. Every issue carries a JSON path such as `$.nodes[3].year`
+ * so editors can point at the offending value.
+ */
+
+import { MAX_LENGTHS, isSafeUrl, sanitizeHTMLWithReport, describeRemoved } from '../config/security';
+
+export const NODE_STATUSES = ['Foundational', 'Mature', 'Emerging', 'Unknown'];
+export const EDGE_TYPES = ['forward', 'backlink', 'accelerates', 'inhibits'];
+export const YEAR_RANGE = { min: -5000000, max: 2100 };
+export const MATURITY_RANGE = { min: 0, max: 100 };
+export const WEIGHT_RANGE = { min: 0, max: 10 };
+
+// Canvas code appends two alpha hex digits, so cluster colours must be #rrggbb
+const HEX_COLOR = /^#[0-9a-fA-F]{6}$/;
+
+/**
+ * @typedef {Object} ValidationIssue
+ * @property {string} path - JSON path of the offending value, e.g. `$.edges[4].target`
+ * @property {string} code - Stable machine-readable identifier
+ * @property {string} message
+ * @property {'error' | 'warning'} severity - Errors block applying changes, warnings do not
+ */
+
+const issue = (path, code, message, severity = 'error') => ({ path, code, message, severity });
+
+const isPlainObject = (value) => typeof value === 'object' && value !== null && !Array.isArray(value);
+const isNonEmptyString = (value) => typeof value === 'string' && value.trim().length > 0;
+const isFiniteNumber = (value) => typeof value === 'number' && Number.isFinite(value);
+
+/**
+ * Append an array index or object key to a JSON path.
+ * Keys are quoted when they are not plain identifiers.
+ * @param {string} path
+ * @param {string|number} key
+ * @returns {string}
+ */
+export const appendJsonPath = (path, key) => (
+  typeof key === 'number'
+    ? `${path}[${key}]`
+    : /^[A-Za-z_$][\w$]*$/.test(key) ? `${path}.${key}` : `${path}[${JSON.stringify(key)}]`
+);
+
+/**
+ * Check that a string is an absolute http(s) URL
+ * @param {string} value
+ * @returns {boolean}
+ */
+export const isValidHttpUrl = (value) => {
+  if (typeof value !== 'string') return false;
+  try {
+    const url = new URL(value);
+    return url.protocol === 'https:' || url.protocol === 'http:';
+  } catch {
+    return false;
+  }
+};
+
+const checkString = (issues, path, value, { required = true, maxLength } = {}) => {
+  if (value === undefined || value === null) {
+    if (required) issues.push(issue(path, 'required', 'is required'));
+    return;
+  }
+  if (!isNonEmptyString(value)) {
+    issues.push(issue(path, 'type', 'must be a non-empty string'));
+    return;
+  }
+  if (maxLength && value.length > maxLength) {
+    issues.push(issue(path, 'too-long', `must be at most ${maxLength} characters`));
+  }
+};
+
+const checkRange = (issues, path, value, { min, max }, { integer = false } = {}) => {
+  if (!isFiniteNumber(value)) {
+    issues.push(issue(path, 'type', 'must be a number'));
+    return;
+  }
+  if (integer && !Number.isInteger(value)) {
+    issues.push(issue(path, 'type', 'must be a whole number'));
+  }
+  if (value < min || value > max) {
+    issues.push(issue(path, 'range', `must be between ${min} and ${max}`));
+  }
+};
+
+// Markup that SafeHTML strips is reported so editors know it will not show
+const checkHtml = (issues, path, value) => {
+  if (typeof value !== 'string' || !value.includes('<')) return;
+  const { removed } = sanitizeHTMLWithReport(value);
+  if (removed.length > 0) {
+    issues.push(issue(path, 'unsafe-html', `removed when shown: ${removed.map(describeRemoved).join(', ')}`, 'warning'));
+  }
+};
+
+const checkBoolean = (issues, path, value) => {
+  if (value !== undefined && typeof value !== 'boolean') {
+    issues.push(issue(path, 'type', 'must be true or false'));
+  }
+};
+
+const checkStringArray = (issues, path, value) => {
+  if (value === undefined) return;
+  if (!Array.isArray(value)) {
+    issues.push(issue(path, 'type', 'must be an array of strings'));
+    return;
+  }
+  value.forEach((item, i) => {
+    if (!isNonEmptyString(item)) issues.push(issue(appendJsonPath(path, i), 'type', 'must be a non-empty string'));
+  });
+};
+
+/**
+ * Field checks for one node
+ */
+const validateNode = (node, path, issues) => {
+  if (!isPlainObject(node)) {
+    issues.push(issue(path, 'type', 'node must be an object'));
+    return;
+  }
+
+  checkString(issues, appendJsonPath(path, 'id'), node.id, { maxLength: MAX_LENGTHS.nodeId });
+  checkString(issues, appendJsonPath(path, 'label'), node.label, { maxLength: MAX_LENGTHS.nodeLabel });
+  checkString(issues, appendJsonPath(path, 'cluster'), node.cluster);
+
+  ['x', 'y'].forEach(axis => {
+    if (!isFiniteNumber(node[axis])) issues.push(issue(appendJsonPath(path, axis), 'type', 'must be a number'));
+  });
+  if (!isFiniteNumber(node.size) || node.size <= 0) {
+    issues.push(issue(appendJsonPath(path, 'size'), 'type', 'must be a positive number'));
+  }
+
+  // Undated nodes use null (or leave the field out)
+  if (node.year !== undefined && node.year !== null) {
+    checkRange(issues, appendJsonPath(path, 'year'), node.year, YEAR_RANGE, { integer: true });
+  }
+  if (node.maturity !== undefined) {
+    checkRange(issues, appendJsonPath(path, 'maturity'), node.maturity, MATURITY_RANGE);
+  }
+  if (node.status !== undefined && !NODE_STATUSES.includes(node.status)) {
+    issues.push(issue(appendJsonPath(path, 'status'), 'enum', `must be one of ${NODE_STATUSES.join(', ')}`));
+  }
+  if (node.description !== undefined) {
+    checkString(issues, appendJsonPath(path, 'description'), node.description, { maxLength: MAX_LENGTHS.descriptionBody });
+    checkHtml(issues, appendJsonPath(path, 'description'), node.description);
+  }
+  if (node.wikiUrl !== undefined) {
+    if (!isValidHttpUrl(node.wikiUrl)) {
+      issues.push(issue(appendJsonPath(path, 'wikiUrl'), 'url', 'must be an absolute http(s) URL'));
+    } else if (!isSafeUrl(node.wikiUrl)) {
+      issues.push(issue(appendJsonPath(path, 'wikiUrl'), 'insecure-url', 'only https links are opened', 'warning'));
+    }
+  }
+  // Pinned nodes stay at their stored x/y instead of being moved by the layout
+  checkBoolean(issues, appendJsonPath(path, 'pinned'), node.pinned);
+  checkStringArray(issues, appendJsonPath(path, 'contributors'), node.contributors);
+  checkStringArray(issues, appendJsonPath(path, 'technologies'), node.technologies);
+};
+
+/**
+ * Field checks for one edge
+ */
+const validateEdge = (edge, path, issues) => {
+  if (!isPlainObject(edge)) {
+    issues.push(issue(path, 'type', 'edge must be an object'));
+    return;
+  }
+
+  checkString(issues, appendJsonPath(path, 'source'), edge.source);
+  checkString(issues, appendJsonPath(path, 'target'), edge.target);
+  if (!EDGE_TYPES.includes(edge.type)) {
+    issues.push(issue(appendJsonPath(path, 'type'), 'enum', `must be one of ${EDGE_TYPES.join(', ')}`));
+  }
+  if (edge.weight !== undefined) {
+    checkRange(issues, appendJsonPath(path, 'weight'), edge.weight, WEIGHT_RANGE);
+  }
+};
+
+const validateCluster = (cluster, path, issues) => {
+  if (!isPlainObject(cluster)) {
+    issues.push(issue(path, 'type', 'cluster must be an object'));
+    return;
+  }
+  checkString(issues, appendJsonPath(path, 'label'), cluster.label, { maxLength: MAX_LENGTHS.clusterLabel });
+  if (typeof cluster.color !== 'string' || !HEX_COLOR.test(cluster.color)) {
+    issues.push(issue(appendJsonPath(path, 'color'), 'color', 'must be a hex colour like #ff6b35'));
+  }
+  // Nodes of a locked cluster stay put and are dragged as one group
+  checkBoolean(issues, appendJsonPath(path, 'locked'), cluster.locked);
+};
+
+const validateDescription = (description, path, issues) => {
+  if (!isPlainObject(description)) {
+    issues.push(issue(path, 'type', 'description must be an object'));
+    return;
+  }
+  checkString(issues, appendJsonPath(path, 'title'), description.title, { maxLength: MAX_LENGTHS.descriptionTitle });
+  checkString(issues, appendJsonPath(path, 'body'), description.body, { maxLength: MAX_LENGTHS.descriptionBody });
+  checkHtml(issues, appendJsonPath(path, 'body'), description.body);
+  checkStringArray(issues, appendJsonPath(path, 'links'), description.links);
+  checkStringArray(issues, appendJsonPath(path, 'backlinks'), description.backlinks);
+};
+
+/**
+ * Find cycles among 'forward' edges (iterative DFS, one cycle reported per closing edge)
+ * @param {Array} edges
+ * @returns {Array<{nodes: string[], edgeIndex: number}>} Node ids with the first repeated
+ *   at the end, and the index of the edge that closes the cycle
+ */
+export const findForwardCycles = (edges) => {
+  const outgoing = new Map();
+  edges.forEach((edge, index) => {
+    if (!isPlainObject(edge) || edge.type !== 'forward' || edge.source === edge.target) return;
+    if (!outgoing.has(edge.source)) outgoing.set(edge.source, []);
+    outgoing.get(edge.source).push({ target: edge.target, index });
+  });
+
+  const state = new Map(); // missing = unvisited, 1 = on the DFS stack, 2 = done
+  const cycles = [];
+
+  outgoing.forEach((_, start) => {
+    if (state.has(start)) return;
+    const stack = [{ id: start, next: 0 }];
+    const trail = [start];
+    state.set(start, 1);
+
+    while (stack.length) {
+      const frame = stack[stack.length - 1];
+      const links = outgoing.get(frame.id) || [];
+      if (frame.next >= links.length) {
+        state.set(frame.id, 2);
+        stack.pop();
+        trail.pop();
+        continue;
+      }
+      const { target, index } = links[frame.next++];
+      if (state.get(target) === 1) {
+        cycles.push({ nodes: [...trail.slice(trail.indexOf(target)), target], edgeIndex: index });
+      } else if (!state.has(target)) {
+        state.set(target, 1);
+        stack.push({ id: target, next: 0 });
+        trail.push(target);
+      }
+    }
+  });
+
+  return cycles;
+};
+
+/**
+ * Validate a whole dataset, including references between collections.
+ * Collections that are missing from `data` are skipped.
+ * @param {{nodes?: Array, edges?: Array, clusters?: Object, descriptions?: Object}} data
+ * @returns {{valid: boolean, errors: ValidationIssue[], warnings: ValidationIssue[], issues: ValidationIssue[]}}
+ */
+export const validateDataset = (data) => {
+  const issues = [];
+  const { nodes, edges, clusters, descriptions } = data;
+
+  if (clusters !== undefined) {
+    if (!isPlainObject(clusters)) {
+      issues.push(issue('$.clusters', 'type', 'clusters must be an object keyed by cluster id'));
+    } else {
+      Object.entries(clusters).forEach(([key, cluster]) => validateCluster(cluster, appendJsonPath('$.clusters', key), issues));
+    }
+  }
+
+  const nodeIds = new Set();
+  if (nodes !== undefined) {
+    if (!Array.isArray(nodes)) {
+      issues.push(issue('$.nodes', 'type', 'nodes must be an array'));
+    } else {
+      nodes.forEach((node, i) => {
+        const path = appendJsonPath('$.nodes', i);
+        validateNode(node, path, issues);
+        if (!isPlainObject(node) || !isNonEmptyString(node.id)) return;
+
+        if (nodeIds.has(node.id)) {
+          issues.push(issue(appendJsonPath(path, 'id'), 'duplicate-id', `duplicate node id "${node.id}"`));
+        }
+        nodeIds.add(node.id);
+
+        if (isPlainObject(clusters) && isNonEmptyString(node.cluster) && !clusters[node.cluster]) {
+          issues.push(issue(appendJsonPath(path, 'cluster'), 'unknown-cluster', `unknown cluster "${node.cluster}"`));
+        }
+      });
+    }
+  }
+
+  if (edges !== undefined) {
+    if (!Array.isArray(edges)) {
+      issues.push(issue('$.edges', 'type', 'edges must be an array'));
+    } else {
+      const seen = new Map();
+      const checkRefs = Array.isArray(nodes);
+
+      edges.forEach((edge, i) => {
+        const path = appendJsonPath('$.edges', i);
+        validateEdge(edge, path, issues);
+        if (!isPlainObject(edge)) return;
+
+        if (checkRefs) {
+          ['source', 'target'].forEach(end => {
+            if (isNonEmptyString(edge[end]) && !nodeIds.has(edge[end])) {
+              issues.push(issue(appendJsonPath(path, end), 'missing-node', `no node with id "${edge[end]}"`));
+            }
+          });
+        }
+        if (isNonEmptyString(edge.source) && edge.source === edge.target) {
+          issues.push(issue(path, 'self-loop', `"${edge.source}" links to itself`));
+        }
+
+        const key = `${edge.source}\u0000${edge.target}\u0000${edge.type}`;
+        if (seen.has(key)) {
+          issues.push(issue(path, 'duplicate-edge', `duplicates ${appendJsonPath('$.edges', seen.get(key))}`));
+        } else {
+          seen.set(key, i);
+        }
+      });
+
+      // Feedback loops exist in the source data, so cycles are reported without blocking
+      findForwardCycles(edges).forEach(cycle => {
+        issues.push(issue(
+          appendJsonPath('$.edges', cycle.edgeIndex),
+          'forward-cycle',
+          `closes a forward cycle: ${cycle.nodes.join(' → ')}`,
+          'warning'
+        ));
+      });
+    }
+  }
+
+  if (descriptions !== undefined) {
+    if (!isPlainObject(descriptions)) {
+      issues.push(issue('$.descriptions', 'type', 'descriptions must be an object keyed by cluster id'));
+    } else {
+      Object.entries(descriptions).forEach(([key, description]) => {
+        const path = appendJsonPath('$.descriptions', key);
+        validateDescription(description, path, issues);
+        if (isPlainObject(clusters) && !clusters[key]) {
+          issues.push(issue(path, 'unknown-cluster', `no cluster with id "${key}"`, 'warning'));
+        }
+      });
+    }
+  }
+
+  const errors = issues.filter(i => i.severity === 'error');
+  return {
+    valid: errors.length === 0,
+    errors,
+    warnings: issues.filter(i => i.severity === 'warning'),
+    issues,
+  };
+};
+
+/**
+ * Validate one edited collection in the context of the rest of the dataset.
+ * Cross-collection problems caused by the edit (e.g. edges left pointing at a
+ * removed node) are reported too.
+ * @param {Object} data - Current dataset
+ * @param {'nodes' | 'edges' | 'clusters' | 'descriptions'} key
+ * @param {*} value - Proposed new value for `data[key]`
+ */
+export const validateCollection = (data, key, value) => validateDataset({ ...data, [key]: value });
@@ -0,0 +1,89 @@
+/**
+ * Edge picking
+ * Hit-tests edges against the same quadratic curve the renderers draw
+ * (see edgeControlPoint), so a hover follows the visible line as it wavers.
+ */
+
+import { edgeControlPoint, EDGE_CURVE_OFFSET } from './graphStyle';
+
+// Straight pieces the curve is split into when measuring distance
+const CURVE_SEGMENTS = 16;
+
+/**
+ * Point on a quadratic bezier
+ * @param {{x: number, y: number}} from
+ * @param {{x: number, y: number}} control
+ * @param {{x: number, y: number}} to
+ * @param {number} t - 0 at `from`, 1 at `to`
+ * @returns {{x: number, y: number}}
+ */
+export const quadraticPoint = (from, control, to, t) => {
+  const it = 1 - t;
+  return {
+    x: it * it * from.x + 2 * it * t * control.x + t * t * to.x,
+    y: it * it * from.y + 2 * it * t * control.y + t * t * to.y,
+  };
+};
+
+/**
+ * Distance from a point to a quadratic bezier, measured on a fine polyline
+ * @param {{x: number, y: number}} point
+ * @param {{x: number, y: number}} from
+ * @param {{x: number, y: number}} control
+ * @param {{x: number, y: number}} to
+ * @returns {{distance: number, t: number}} Closest distance and where along the curve it is
+ */
+export const curveDistance = (point, from, control, to) => {
+  let best = { distance: Infinity, t: 0 };
+  let prev = from;
+  for (let i = 1; i <= CURVE_SEGMENTS; i++) {
+    const next = quadraticPoint(from, control, to, i / CURVE_SEGMENTS);
+    const dx = next.x - prev.x;
+    const dy = next.y - prev.y;
+    const lengthSq = dx * dx + dy * dy;
+    const along = lengthSq === 0
+      ? 0
+      : Math.max(0, Math.min(1, ((point.x - prev.x) * dx + (point.y - prev.y) * dy) / lengthSq));
+    const distance = Math.hypot(point.x - (prev.x + dx * along), point.y - (prev.y + dy * along));
+    if (distance < best.distance) {
+      best = { distance, t: (i - 1 + along) / CURVE_SEGMENTS };
+    }
+    prev = next;
+  }
+  return best;
+};
+
+/**
+ * Closest edge within `tolerance` of a world point
+ * @param {{x: number, y: number}} point - World coordinates
+ * @param {Array<{source: string, target: string}>} edges - Candidate edges
+ * @param {Map<string, {x: number, y: number}>} nodeMap - Nodes by id, at their drawn positions
+ * @param {Object} [options]
+ * @param {number} [options.time] - Animation time, for the curve's waver
+ * @param {number} [options.tolerance] - Maximum distance in world units
+ * @returns {{edge: Object, distance: number, t: number}|null}
+ */
+export const pickEdge = (point, edges, nodeMap, { time = 0, tolerance = 5 } = {}) => {
+  const pad = tolerance + EDGE_CURVE_OFFSET;
+  let best = null;
+
+  edges.forEach(edge => {
+    const source = nodeMap.get(edge.source);
+    const target = nodeMap.get(edge.target);
+    if (!source || !target) return;
+
+    // The curve stays inside its endpoints' box widened by the waver
+    if (point.x < Math.min(source.x, target.x) - pad || point.x > Math.max(source.x, target.x) + pad ||
+        point.y < Math.min(source.y, target.y) - pad || point.y > Math.max(source.y, target.y) + pad) {
+      return;
+    }
+
+    const control = edgeControlPoint(source, target, source.x, time);
+    const { distance, t } = curveDistance(point, source, control, target);
+    if (distance <= tolerance && (!best || distance < best.distance)) {
+      best = { edge, distance, t };
+    }
+  });
+
+  return best;
+};
@@ -1,110 +1,450 @@
+import { serializeViewState, parseViewState } from './urlState';
+import { existsInYear } from './timeScale';
+import { buildVectorLayout, renderSVG, escapeXml } from './vectorExport';
+import { renderPosterPDF } from './pdfExport';
+import { ANIMATION_FORMATS, captureImage, canvasToBlob, recordAnimation } from './canvasCapture';
+
 /**
- * Export canvas to PNG image
+ * Save content as a file through a temporary link
+ * @param {string|Blob|Uint8Array} content
+ * @param {string} filename
+ * @param {string} type - MIME type
  */
-export const exportToPNG = (canvasRef, filename = 'neuro-chain.png') => {
-  if (!canvasRef.current) return;
-  
+export const downloadFile = (content, filename, type) => {
+  const blob = new Blob([content], { type });
+  const url = URL.createObjectURL(blob);
   const link = document.createElement('a');
   link.download = filename;
-  link.href = canvasRef.current.toDataURL('image/png');
+  link.href = url;
   link.click();
+  URL.revokeObjectURL(url);
+};
+
+/**
+ * Export the view as a PNG, rendered offscreen at any scale
+ * @param {Object} renderer - CanvasNetwork scene handle
+ * @param {Object} [options] - See captureImage (size, transparent, watermark)
+ * @param {string} [filename]
+ * @returns {Promise<void>}
+ */
+export const exportToPNG = async (renderer, options = {}, filename = 'neuro-chain.png') => {
+  const blob = await canvasToBlob(captureImage(renderer, options));
+  downloadFile(blob, filename, 'image/png');
+};
+
+/**
+ * Record and save an animated clip of the view
+ * @param {Object} renderer - CanvasNetwork scene handle
+ * @param {Object} [options] - See recordAnimation (source, format, duration, size...)
+ * @param {string} [basename] - File name without extension
+ * @returns {Promise<void>}
+ */
+export const exportAnimation = async (renderer, options = {}, basename = 'neuro-chain') => {
+  const format = ANIMATION_FORMATS[options.format || 'webm'];
+  const blob = await recordAnimation(renderer, options);
+  downloadFile(blob, `${basename}.${format.extension}`, format.mimeType);
+};
+
+/**
+ * Export what the canvas shows as an SVG
+ * @param {Object} scene - Result of CanvasNetwork's captureScene
+ * @param {Object} [options] - See buildVectorLayout (region, title, subtitle, legend)
+ * @param {string} [filename]
+ */
+export const exportToSVG = (scene, options = {}, filename = 'neuro-chain.svg') => {
+  downloadFile(renderSVG(buildVectorLayout(scene, options)), filename, 'image/svg+xml');
+};
+
+/**
+ * Export what the canvas shows as a PDF, optionally tiled across pages as a poster
+ * @param {Object} scene - Result of CanvasNetwork's captureScene
+ * @param {Object} [options] - Layout options (see buildVectorLayout) plus paper, columns, rows, orientation
+ * @param {string} [filename]
+ */
+export const exportToPDF = (scene, options = {}, filename = 'neuro-chain.pdf') => {
+  downloadFile(renderPosterPDF(buildVectorLayout(scene, options), options), filename, 'application/pdf');
+};
+
+/**
+ * Generate shareable link with camera position and, optionally, the rest of the view state
+ * @param {{x: number, y: number}} camera
+ * @param {number} zoom
+ * @param {string|null} [selectedNodeId]
+ * @param {Object} [viewState] - Other fields of URL_STATE_DEFAULTS (hidden clusters, search, theme...)
+ */
+export const generateShareLink = (camera, zoom, selectedNodeId = null, viewState = {}) => {
+  const params = serializeViewState({ ...viewState, camera, zoom, nodeId: selectedNodeId });
+  return `${window.location.origin}${window.location.pathname}?${params.toString()}`;
+};
+
+/**
+ * Parse the view state from the current URL
+ * @returns {Object} camera, zoom, nodeId and the other fields of URL_STATE_DEFAULTS
+ */
+export const parseShareLink = () => parseViewState(window.location.search);
+
+// --- Graph formats ---
+
+/**
+ * @typedef {Object} ExportGraph
+ * @property {Array} nodes
+ * @property {Array} edges
+ * @property {Object} clusters - clusters.json map
+ */
+
+/**
+ * Reduce the dataset to what the canvas currently shows: nodes that exist at the
+ * timeline year, outside hidden clusters and matching the filter builder, plus the
+ * edges between them. Dim filters count as filtering here too.
+ * @param {Object} data - Full dataset
+ * @param {Object} [view]
+ * @param {Set<string>} [view.hiddenClusters]
+ * @param {number} [view.maxYear]
+ * @param {{nodeIds: Set, edges: Set}|null} [view.nodeFilter] - Result of applyGraphFilter
+ * @returns {ExportGraph}
+ */
+export const selectSubgraph = (data, { hiddenClusters = new Set(), maxYear = Infinity, nodeFilter = null } = {}) => {
+  const nodes = data.nodes.filter(n => (
+    !hiddenClusters.has(n.cluster) && existsInYear(n, maxYear) && (!nodeFilter || nodeFilter.nodeIds.has(n.id))
+  ));
+  const ids = new Set(nodes.map(n => n.id));
+  const edges = data.edges.filter(e => (
+    ids.has(e.source) && ids.has(e.target) && (!nodeFilter || nodeFilter.edges.has(e))
+  ));
+  const clusters = Object.fromEntries(
+    Object.entries(data.clusters).filter(([key]) => nodes.some(n => n.cluster === key))
+  );
+  return { nodes, edges, clusters };
+};
+
+/**
+ * Write settled layout positions back into the nodes, in nodes.json format.
+ * Coordinates are rounded like dragged positions; nodes without a position
+ * (hidden or filtered out of the canvas) keep their stored one.
+ * @param {Array<Object>} nodes - data.nodes
+ * @param {Map<string, {x: number, y: number}>} positions - By node id
+ * @returns {Array<Object>}
+ */
+export const bakeNodePositions = (nodes, positions) => nodes.map(node => {
+  const position = positions.get(node.id);
+  if (!position || !Number.isFinite(position.x) || !Number.isFinite(position.y)) return node;
+  return { ...node, x: Math.round(position.x), y: Math.round(position.y) };
+});
+
+const isEmpty = (value) => value === undefined || value === null || value === '' || (Array.isArray(value) && value.length === 0);
+
+// Lists are written as "a; b" so they survive formats without list types and re-import cleanly
+const formatValue = (value) => {
+  if (Array.isArray(value)) return value.join('; ');
+  if (value && typeof value === 'object') return JSON.stringify(value);
+  return String(value);
+};
+
+const NUMERIC_TYPES = ['integer', 'double'];
+
+/**
+ * Every attribute used by at least one record, in first-seen order, with a value type
+ * @param {Array<Object>} records
+ * @param {string[]} skip - Keys written structurally (ids, endpoints)
+ * @returns {Array<{name: string, type: 'integer'|'double'|'boolean'|'string'}>}
+ */
+const collectAttributes = (records, skip) => {
+  const types = new Map();
+  records.forEach(record => Object.entries(record).forEach(([name, value]) => {
+    if (skip.includes(name) || isEmpty(value)) return;
+    const type = typeof value === 'number'
+      ? (Number.isInteger(value) ? 'integer' : 'double')
+      : typeof value === 'boolean' ? 'boolean' : 'string';
+    const seen = types.get(name);
+    if (!seen || seen === type) types.set(name, type);
+    else if (NUMERIC_TYPES.includes(seen) && NUMERIC_TYPES.includes(type)) types.set(name, 'double');
+    else types.set(name, 'string');
+  }));
+  return [...types].map(([name, type]) => ({ name, type }));
+};
+
+const GRAPHML_TYPES = { integer: 'int', double: 'double', boolean: 'boolean', string: 'string' };
+
+/**
+ * GraphML with one key per node/edge attribute, readable by Gephi, yEd and Cytoscape
+ * @param {ExportGraph} graph
+ * @returns {string}
+ */
+export const toGraphML = ({ nodes, edges }) => {
+  const nodeAttributes = collectAttributes(nodes, ['id']);
+  const edgeAttributes = collectAttributes(edges, ['source', 'target']);
+  const keyId = (scope, i) => `${scope === 'node' ? 'n' : 'e'}${i}`;
+
+  const keys = [
+    ...nodeAttributes.map((attr, i) => ({ ...attr, id: keyId('node', i), scope: 'node' })),
+    ...edgeAttributes.map((attr, i) => ({ ...attr, id: keyId('edge', i), scope: 'edge' })),
+  ].map(key => `  <key id="${key.id}" for="${key.scope}" attr.name="${escapeXml(key.name)}" attr.type="${GRAPHML_TYPES[key.type]}"/>`);
+
+  const dataLines = (record, attributes, scope) => attributes
+    .map((attr, i) => (isEmpty(record[attr.name])
+      ? null
+      : `      <data key="${keyId(scope, i)}">${escapeXml(formatValue(record[attr.name]))}</data>`))
+    .filter(Boolean);
+
+  const element = (open, lines, close) => (lines.length ? [`${open}>`, ...lines, close].join('\n') : `${open}/>`);
+
+  return [
+    '<?xml version="1.0" encoding="UTF-8"?>',
+    '<graphml xmlns="http://graphml.graphdrawing.org/xmlns">',
+    ...keys,
+    '  <graph id="neuro-chain" edgedefault="directed">',
+    ...nodes.map(node => element(`    <node id="${escapeXml(node.id)}"`, dataLines(node, nodeAttributes, 'node'), '    </node>')),
+    ...edges.map((edge, i) => element(
+      `    <edge id="e${i}" source="${escapeXml(edge.source)}" target="${escapeXml(edge.target)}"`,
+      dataLines(edge, edgeAttributes, 'edge'),
+      '    </edge>'
+    )),
+    '  </graph>',
+    '</graphml>',
+    '',
+  ].join('\n');
+};
+
+const GEXF_TYPES = { integer: 'integer', double: 'double', boolean: 'boolean', string: 'string' };
+
+const hexToRgb = (hex) => {
+  const match = /^#?([0-9a-f]{6})$/i.exec(hex || '');
+  if (!match) return null;
+  const value = parseInt(match[1], 16);
+  return { r: (value >> 16) & 255, g: (value >> 8) & 255, b: value & 255 };
+};
+
+/**
+ * GEXF 1.3 for Gephi: attributes plus viz position, size and cluster colour.
+ * Position, size and weight are written natively and not repeated as attributes.
+ * @param {ExportGraph} graph
+ * @returns {string}
+ */
+export const toGEXF = ({ nodes, edges, clusters }) => {
+  const nodeAttributes = collectAttributes(nodes, ['id', 'label', 'x', 'y', 'size']);
+  const edgeAttributes = collectAttributes(edges, ['source', 'target', 'weight']);
+
+  const declare = (scope, attributes) => [
+    `    <attributes class="${scope}">`,
+    ...attributes.map((attr, i) => `      <attribute id="${i}" title="${escapeXml(attr.name)}" type="${GEXF_TYPES[attr.type]}"/>`),
+    '    </attributes>',
+  ];
+
+  const attvalues = (record, attributes) => {
+    const values = attributes
+      .map((attr, i) => (isEmpty(record[attr.name])
+        ? null
+        : `          <attvalue for="${i}" value="${escapeXml(formatValue(record[attr.name]))}"/>`))
+      .filter(Boolean);
+    return values.length ? ['        <attvalues>', ...values, '        </attvalues>'] : [];
+  };
+
+  const nodeLines = nodes.flatMap(node => {
+    const color = hexToRgb(clusters[node.cluster]?.color);
+    return [
+      `      <node id="${escapeXml(node.id)}" label="${escapeXml(node.label ?? node.id)}">`,
+      ...attvalues(node, nodeAttributes),
+      ...(Number.isFinite(node.x) && Number.isFinite(node.y) ? [`        <viz:position x="${node.x}" y="${node.y}" z="0"/>`] : []),
+      ...(Number.isFinite(node.size) ? [`        <viz:size value="${node.size}"/>`] : []),
+      ...(color ? [`        <viz:color r="${color.r}" g="${color.g}" b="${color.b}"/>`] : []),
+      '      </node>',
+    ];
+  });
+
+  const edgeLines = edges.flatMap((edge, i) => {
+    const open = `      <edge id="${i}" source="${escapeXml(edge.source)}" target="${escapeXml(edge.target)}"${
+      Number.isFinite(edge.weight) ? ` weight="${edge.weight}"` : ''}`;
+    const values = attvalues(edge, edgeAttributes);
+    return values.length ? [`${open}>`, ...values, '      </edge>'] : [`${open}/>`];
+  });
+
+  return [
+    '<?xml version="1.0" encoding="UTF-8"?>',
+    '<gexf xmlns="http://gexf.net/1.3" xmlns:viz="http://gexf.net/1.3/viz" version="1.3">',
+    '  <meta>',
+    '    <creator>Neuro-Chain</creator>',
+    '  </meta>',
+    '  <graph mode="static" defaultedgetype="directed">',
+    ...declare('node', nodeAttributes),
+    ...declare('edge', edgeAttributes),
+    '    <nodes>',
+    ...nodeLines,
+    '    </nodes>',
+    '    <edges>',
+    ...edgeLines,
+    '    </edges>',
+    '  </graph>',
+    '</gexf>',
+    '',
+  ].join('\n');
+};
+
+// Text cells that a spreadsheet would evaluate as a formula are prefixed with an apostrophe
+const FORMULA_PREFIX = /^[=+\-@\t\r]/;
+
+const csvCell = (value) => {
+  if (isEmpty(value)) return '';
+  let text = formatValue(value);
+  if (typeof value === 'string' && FORMULA_PREFIX.test(text) && !Number.isFinite(Number(text))) text = `'${text}`;
+  return /[",\n\r]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+};
+
+const csvTable = (records, columns) => [
+  columns.map(csvCell).join(','),
+  ...records.map(record => columns.map(column => csvCell(record[column])).join(',')),
+].join('\r\n') + '\r\n';
+
+/**
+ * CSV node and edge tables with one column per attribute
+ * @param {ExportGraph} graph
+ * @returns {{nodes: string, edges: string}}
+ */
+export const toCSV = ({ nodes, edges }) => ({
+  nodes: csvTable(nodes, ['id', ...collectAttributes(nodes, ['id']).map(a => a.name)]),
+  edges: csvTable(edges, ['source', 'target', ...collectAttributes(edges, ['source', 'target']).map(a => a.name)]),
+});
+
+const dotString = (value) => `"${String(value).replace(/\\/g, '\\\\').replace(/"/g, '\\"').replace(/\n/g, '\\n')}"`;
+
+const DOT_EDGE_STYLES = {
+  forward: '',
+  backlink: ' style=dashed',
+  accelerates: ' penwidth=2',
+  inhibits: ' arrowhead=tee',
 };
 
 /**
- * Export graph data to SVG
+ * Graphviz DOT with one subgraph per cluster. Positions are kept as pinned `pos`
+ * attributes (y flipped) for neato/fdp; dot ignores them and lays the graph out itself.
+ * @param {ExportGraph} graph
+ * @returns {string}
  */
-export const exportToSVG = (nodes, edges, clusters, filename = 'neuro-chain.svg') => {
-  // Calculate bounds
-  let minX = Infinity, maxX = -Infinity;
-  let minY = Infinity, maxY = -Infinity;
-  
+export const toDOT = ({ nodes, edges, clusters }) => {
+  const byCluster = new Map();
   nodes.forEach(node => {
-    minX = Math.min(minX, node.x - node.size);
-    maxX = Math.max(maxX, node.x + node.size);
-    minY = Math.min(minY, node.y - node.size);
-    maxY = Math.max(maxY, node.y + node.size);
+    if (!byCluster.has(node.cluster)) byCluster.set(node.cluster, []);
+    byCluster.get(node.cluster).push(node);
   });
+  const colorOf = (node) => clusters[node.cluster]?.color || '#666666';
 
-  const padding = 100;
-  const width = maxX - minX + padding * 2;
-  const height = maxY - minY + padding * 2;
-  const offsetX = -minX + padding;
-  const offsetY = -minY + padding;
-
-  // Build SVG
-  let svg = `<?xml version="1.0" encoding="UTF-8"?>
-<svg width="${width}" height="${height}" xmlns="http://www.w3.org/2000/svg">
-  <defs>
-    <style>
-      .node { stroke-width: 2; }
-      .edge { stroke-width: 1; fill: none; }
-      .label { font-family: 'JetBrains Mono', monospace; font-size: 10px; fill: #e8e6e3; text-anchor: middle; }
-    </style>
-  </defs>
-  <rect width="100%" height="100%" fill="#0a0a0f"/>
-`;
-
-  // Draw edges
+  const nodeLine = (node) => {
+    const pos = Number.isFinite(node.x) && Number.isFinite(node.y) ? ` pos="${node.x},${-node.y}!"` : '';
+    return `    ${dotString(node.id)} [label=${dotString(node.label ?? node.id)} fillcolor="${colorOf(node)}"${pos}];`;
+  };
+
+  const lines = [
+    'digraph "neuro-chain" {',
+    '  graph [rankdir=LR bgcolor="#0a0a0f" fontcolor="#e8e6e3" fontname="JetBrains Mono"];',
+    '  node [shape=ellipse style=filled fontcolor="#0a0a0f" fontname="JetBrains Mono"];',
+    '  edge [color="#888888"];',
+  ];
+  [...byCluster].forEach(([key, members], i) => {
+    lines.push(
+      `  subgraph cluster_${i} {`,
+      `    label=${dotString(clusters[key]?.label || key)};`,
+      `    color="${clusters[key]?.color || '#666666'}";`,
+      ...members.map(nodeLine),
+      '  }'
+    );
+  });
   edges.forEach(edge => {
-    const source = nodes.find(n => n.id === edge.source);
-    const target = nodes.find(n => n.id === edge.target);
-    if (!source || !target) return;
-
-    const sColor = clusters[source.cluster]?.color || '#666666';
-    const tColor = clusters[target.cluster]?.color || '#666666';
-    
-    svg += `  <line x1="${source.x + offsetX}" y1="${source.y + offsetY}" 
-                 x2="${target.x + offsetX}" y2="${target.y + offsetY}" 
-                 class="edge" stroke="${sColor}" opacity="0.4" 
-                 stroke-dasharray="${edge.type === 'backlink' ? '4,4' : '0'}"/>\n`;
+    lines.push(`  ${dotString(edge.source)} -> ${dotString(edge.target)} [type=${dotString(edge.type)}${DOT_EDGE_STYLES[edge.type] || ''}];`);
   });
+  lines.push('}', '');
+  return lines.join('\n');
+};
+
+const MERMAID_ARROWS = {
+  forward: '-->',
+  backlink: '-.->',
+  accelerates: '==>',
+  inhibits: '--x',
+};
+
+// Mermaid ids must be plain words; labels use entity codes for quotes
+const mermaidLabel = (value) => `"${String(value).replace(/"/g, '#quot;').replace(/\n/g, ' ')}"`;
 
-  // Draw nodes
+/**
+ * Mermaid flowchart with cluster subgraphs and cluster colours as classes
+ * @param {ExportGraph} graph
+ * @returns {string}
+ */
+export const toMermaid = ({ nodes, edges, clusters }) => {
+  const ids = new Map();
+  const used = new Set();
   nodes.forEach(node => {
-    const color = clusters[node.cluster]?.color || '#666';
-    svg += `  <circle cx="${node.x + offsetX}" cy="${node.y + offsetY}" 
-                    r="${node.size}" class="node" fill="${color}" stroke="${color}" opacity="0.8"/>\n`;
-    if (node.size > 12) {
-      svg += `  <text x="${node.x + offsetX}" y="${node.y + offsetY + node.size + 12}" class="label">${node.label}</text>\n`;
-    }
+    const base = `n_${String(node.id).replace(/[^A-Za-z0-9_]/g, '_')}`;
+    let id = base;
+    for (let i = 2; used.has(id); i++) id = `${base}_${i}`;
+    used.add(id);
+    ids.set(node.id, id);
   });
 
-  svg += '</svg>';
+  const clusterKeys = [...new Set(nodes.map(n => n.cluster))];
+  const classOf = (key) => `c${clusterKeys.indexOf(key)}`;
 
-  // Download
-  const blob = new Blob([svg], { type: 'image/svg+xml' });
-  const url = URL.createObjectURL(blob);
-  const link = document.createElement('a');
-  link.download = filename;
-  link.href = url;
-  link.click();
-  URL.revokeObjectURL(url);
+  const lines = ['flowchart LR'];
+  clusterKeys.forEach((key, i) => {
+    lines.push(`  subgraph s${i}[${mermaidLabel(clusters[key]?.label || key)}]`);
+    nodes.filter(n => n.cluster === key).forEach(node => {
+      lines.push(`    ${ids.get(node.id)}[${mermaidLabel(node.label ?? node.id)}]`);
+    });
+    lines.push('  end');
+  });
+  edges.forEach(edge => {
+    if (!ids.has(edge.source) || !ids.has(edge.target)) return;
+    lines.push(`  ${ids.get(edge.source)} ${MERMAID_ARROWS[edge.type] || '-->'} ${ids.get(edge.target)}`);
+  });
+  clusterKeys.forEach(key => {
+    const color = clusters[key]?.color;
+    if (!color) return;
+    const members = nodes.filter(n => n.cluster === key).map(n => ids.get(n.id));
+    lines.push(`  classDef ${classOf(key)} fill:${color},stroke:${color},color:#0a0a0f`);
+    lines.push(`  class ${members.join(',')} ${classOf(key)}`);
+  });
+  lines.push('');
+  return lines.join('\n');
 };
 
+const exporters = new Map();
+
 /**
- * Generate shareable link with camera position
+ * Add a graph export format. `serialize` returns the file content, or an object of
+ * contents keyed by a filename suffix when the format spans several files.
+ * @param {string} id
+ * @param {{label: string, extension: string, mimeType: string, serialize: (graph: ExportGraph) => string|Object<string, string>}} exporter
  */
-export const generateShareLink = (camera, zoom, selectedNodeId = null) => {
-  const params = new URLSearchParams();
-  params.set('x', Math.round(camera.x));
-  params.set('y', Math.round(camera.y));
-  params.set('z', zoom.toFixed(2));
-  if (selectedNodeId) params.set('node', selectedNodeId);
-  
-  return `${window.location.origin}${window.location.pathname}?${params.toString()}`;
+export const registerExporter = (id, exporter) => {
+  exporters.set(id, { id, ...exporter });
 };
 
 /**
- * Parse URL parameters for camera position
+ * Registered export formats in registration order
+ * @returns {Array<{id: string, label: string, extension: string, mimeType: string, serialize: Function}>}
  */
-export const parseShareLink = () => {
-  const params = new URLSearchParams(window.location.search);
-  return {
-    camera: {
-      x: parseFloat(params.get('x')) || 0,
-      y: parseFloat(params.get('y')) || 0
-    },
-    zoom: parseFloat(params.get('z')) || 1,
-    nodeId: params.get('node') || null
-  };
+export const getExporters = () => [...exporters.values()];
+
+registerExporter('graphml', { label: 'GraphML', extension: 'graphml', mimeType: 'application/graphml+xml', serialize: toGraphML });
+registerExporter('gexf', { label: 'GEXF (Gephi)', extension: 'gexf', mimeType: 'application/xml', serialize: toGEXF });
+registerExporter('csv', { label: 'CSV tables', extension: 'csv', mimeType: 'text/csv', serialize: toCSV });
+registerExporter('dot', { label: 'Graphviz DOT', extension: 'dot', mimeType: 'text/vnd.graphviz', serialize: toDOT });
+registerExporter('mermaid', { label: 'Mermaid', extension: 'mmd', mimeType: 'text/plain', serialize: toMermaid });
+
+/**
+ * Serialize a graph with a registered exporter and download the result
+ * @param {string} id - Exporter id
+ * @param {ExportGraph} graph - Full dataset or the result of selectSubgraph
+ * @param {string} [basename='neuro-chain']
+ * @returns {string[]} Downloaded file names
+ */
+export const exportGraph = (id, graph, basename = 'neuro-chain') => {
+  const exporter = exporters.get(id);
+  if (!exporter) throw new Error(`Unknown export format "${id}"`);
+
+  const output = exporter.serialize(graph);
+  const files = typeof output === 'string'
+    ? [[`${basename}.${exporter.extension}`, output]]
+    : Object.entries(output).map(([suffix, content]) => [`${basename}-${suffix}.${exporter.extension}`, content]);
+  files.forEach(([filename, content]) => downloadFile(content, filename, exporter.mimeType));
+  return files.map(([filename]) => filename);
 };
@@ -0,0 +1,219 @@
+/**
+ * GIF encoder
+ * Minimal animated GIF89a writer for canvas recordings: each frame gets its own
+ * 256-colour palette and is LZW-compressed as the format requires.
+ */
+
+const MAX_CODE = 4096;
+const SUB_BLOCK_SIZE = 255;
+
+// Colours are bucketed at 4 bits per channel before picking the palette
+const BUCKET_BITS = 4;
+const BUCKET_COUNT = 1 << (BUCKET_BITS * 3);
+const TRANSPARENT_BUCKET = 0xffff;
+
+// Pixels below this alpha become transparent when the frame has a transparent background
+const ALPHA_THRESHOLD = 128;
+
+/**
+ * Reduce an RGBA frame to at most 256 colours. The most common colour buckets form the
+ * palette (averaged within each bucket); every other bucket maps to its nearest entry.
+ * @param {Uint8ClampedArray|Uint8Array} rgba - Pixel data as returned by getImageData
+ * @param {{transparent?: boolean}} [options] - Reserve the last palette entry for transparent pixels
+ * @returns {{palette: Uint8Array, indices: Uint8Array, transparentIndex: number}} 768-byte palette,
+ *   one palette index per pixel, and the transparent index (-1 if none)
+ */
+export const quantizeFrame = (rgba, { transparent = false } = {}) => {
+  const pixelCount = rgba.length / 4;
+  const shift = 8 - BUCKET_BITS;
+  const buckets = new Uint16Array(pixelCount);
+  const counts = new Uint32Array(BUCKET_COUNT);
+  const sums = new Float64Array(BUCKET_COUNT * 3);
+
+  for (let i = 0; i < pixelCount; i++) {
+    const o = i * 4;
+    if (transparent && rgba[o + 3] < ALPHA_THRESHOLD) {
+      buckets[i] = TRANSPARENT_BUCKET;
+      continue;
+    }
+    const r = rgba[o];
+    const g = rgba[o + 1];
+    const b = rgba[o + 2];
+    const bucket = ((r >> shift) << (BUCKET_BITS * 2)) | ((g >> shift) << BUCKET_BITS) | (b >> shift);
+    buckets[i] = bucket;
+    counts[bucket]++;
+    sums[bucket * 3] += r;
+    sums[bucket * 3 + 1] += g;
+    sums[bucket * 3 + 2] += b;
+  }
+
+  const paletteSize = transparent ? 255 : 256;
+  const used = [];
+  for (let bucket = 0; bucket < BUCKET_COUNT; bucket++) {
+    if (counts[bucket]) used.push(bucket);
+  }
+  used.sort((a, b) => counts[b] - counts[a]);
+  const chosen = used.slice(0, paletteSize);
+
+  const palette = new Uint8Array(256 * 3);
+  chosen.forEach((bucket, index) => {
+    for (let c = 0; c < 3; c++) {
+      palette[index * 3 + c] = Math.round(sums[bucket * 3 + c] / counts[bucket]);
+    }
+  });
+
+  // Bucket -> palette index, with leftover buckets matched to the nearest chosen colour
+  const lookup = new Uint8Array(BUCKET_COUNT);
+  chosen.forEach((bucket, index) => { lookup[bucket] = index; });
+  used.slice(paletteSize).forEach(bucket => {
+    const r = sums[bucket * 3] / counts[bucket];
+    const g = sums[bucket * 3 + 1] / counts[bucket];
+    const b = sums[bucket * 3 + 2] / counts[bucket];
+    let best = 0;
+    let bestDistance = Infinity;
+    for (let index = 0; index < chosen.length; index++) {
+      const dr = palette[index * 3] - r;
+      const dg = palette[index * 3 + 1] - g;
+      const db = palette[index * 3 + 2] - b;
+      const distance = dr * dr + dg * dg + db * db;
+      if (distance < bestDistance) {
+        bestDistance = distance;
+        best = index;
+      }
+    }
+    lookup[bucket] = best;
+  });
+
+  const transparentIndex = transparent ? 255 : -1;
+  const indices = new Uint8Array(pixelCount);
+  for (let i = 0; i < pixelCount; i++) {
+    indices[i] = buckets[i] === TRANSPARENT_BUCKET ? transparentIndex : lookup[buckets[i]];
+  }
+
+  return { palette, indices, transparentIndex };
+};
+
+/**
+ * GIF-flavoured LZW compression (variable code width, clear code on a full table)
+ * @param {Uint8Array} indices - Palette indices
+ * @param {number} [minCodeSize] - Bits per index (8 for a 256-colour table)
+ * @returns {Uint8Array} Packed code stream, not yet split into sub-blocks
+ */
+export const lzwEncode = (indices, minCodeSize = 8) => {
+  const clearCode = 1 << minCodeSize;
+  const endCode = clearCode + 1;
+  const out = [];
+  let buffer = 0;
+  let bufferBits = 0;
+  let codeSize = minCodeSize + 1;
+  let nextCode = endCode + 1;
+  let table = new Map();
+
+  const emit = (code) => {
+    buffer |= code << bufferBits;
+    bufferBits += codeSize;
+    while (bufferBits >= 8) {
+      out.push(buffer & 0xff);
+      buffer >>>= 8;
+      bufferBits -= 8;
+    }
+  };
+
+  emit(clearCode);
+  if (indices.length === 0) {
+    emit(endCode);
+    if (bufferBits > 0) out.push(buffer & 0xff);
+    return Uint8Array.from(out);
+  }
+
+  let prefix = indices[0];
+  for (let i = 1; i < indices.length; i++) {
+    const index = indices[i];
+    const key = (prefix << 8) | index;
+    const code = table.get(key);
+    if (code !== undefined) {
+      prefix = code;
+      continue;
+    }
+    emit(prefix);
+    if (nextCode === MAX_CODE) {
+      emit(clearCode);
+      table = new Map();
+      codeSize = minCodeSize + 1;
+      nextCode = endCode + 1;
+    } else {
+      if (nextCode >= 1 << codeSize) codeSize++;
+      table.set(key, nextCode++);
+    }
+    prefix = index;
+  }
+  emit(prefix);
+  emit(endCode);
+  if (bufferBits > 0) out.push(buffer & 0xff);
+  return Uint8Array.from(out);
+};
+
+/**
+ * Start an animated GIF
+ * @param {number} width
+ * @param {number} height
+ * @param {Object} [options]
+ * @param {number} [options.delay] - Frame duration in hundredths of a second
+ * @param {boolean} [options.transparent] - Keep transparent pixels (frames are cleared between draws)
+ * @param {number} [options.loop] - Repeat count, 0 for forever
+ * @returns {{addFrame: function(Uint8ClampedArray): void, finish: function(): Uint8Array, frameCount: function(): number}}
+ */
+export const createGifEncoder = (width, height, { delay = 7, transparent = false, loop = 0 } = {}) => {
+  const chunks = [];
+  let frames = 0;
+
+  const bytes = (...values) => chunks.push(Uint8Array.from(values));
+  const word = (value) => [value & 0xff, (value >> 8) & 0xff];
+  const ascii = (text) => bytes(...[...text].map(char => char.charCodeAt(0)));
+
+  // Header and logical screen (no global colour table, every frame brings its own)
+  ascii('GIF89a');
+  bytes(...word(width), ...word(height), 0x00, 0x00, 0x00);
+  // Netscape extension: loop count
+  bytes(0x21, 0xff, 0x0b);
+  ascii('NETSCAPE2.0');
+  bytes(0x03, 0x01, ...word(loop), 0x00);
+
+  return {
+    addFrame: (rgba) => {
+      const { palette, indices, transparentIndex } = quantizeFrame(rgba, { transparent });
+
+      // Graphic control: delay, disposal (restore to background when transparent) and transparency
+      const disposal = transparent ? 2 : 1;
+      bytes(0x21, 0xf9, 0x04, (disposal << 2) | (transparent ? 1 : 0), ...word(delay), Math.max(0, transparentIndex), 0x00);
+
+      // Image descriptor with a 256-entry local colour table
+      bytes(0x2c, ...word(0), ...word(0), ...word(width), ...word(height), 0x87);
+      chunks.push(palette);
+
+      bytes(8);
+      const data = lzwEncode(indices, 8);
+      for (let offset = 0; offset < data.length; offset += SUB_BLOCK_SIZE) {
+        const block = data.subarray(offset, offset + SUB_BLOCK_SIZE);
+        bytes(block.length);
+        chunks.push(block);
+      }
+      bytes(0x00);
+      frames++;
+    },
+
+    finish: () => {
+      bytes(0x3b);
+      const length = chunks.reduce((sum, chunk) => sum + chunk.length, 0);
+      const gif = new Uint8Array(length);
+      let offset = 0;
+      chunks.forEach(chunk => {
+        gif.set(chunk, offset);
+        offset += chunk.length;
+      });
+      return gif;
+    },
+
+    frameCount: () => frames,
+  };
+};
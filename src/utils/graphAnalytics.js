@@ -0,0 +1,495 @@
+/**
+ * Graph analytics
+ * Pure functions over the { nodes, edges } data shape. Every result is a plain
+ * object keyed by node id so it can be used directly from components.
+ * Edges pointing at unknown nodes and self-loops are ignored.
+ */
+
+export const EDGE_TYPES = ['forward', 'backlink', 'accelerates'];
+
+/**
+ * Metrics that can drive node size or colour on the canvas
+ */
+export const ANALYTIC_METRICS = {
+  pagerank: { label: 'PageRank' },
+  betweenness: { label: 'Betweenness' },
+  degree: { label: 'Degree' },
+  depth: { label: 'Chain Depth' },
+};
+
+// Index nodes and keep only edges between known nodes
+const indexGraph = (nodes, edges) => {
+  const indexById = new Map(nodes.map((node, i) => [node.id, i]));
+  const links = [];
+  edges.forEach(edge => {
+    const source = indexById.get(edge.source);
+    const target = indexById.get(edge.target);
+    if (source === undefined || target === undefined || source === target) return;
+    links.push({ source, target, type: edge.type, weight: edge.weight ?? 1 });
+  });
+  return { ids: nodes.map(n => n.id), indexById, links };
+};
+
+const toIdObject = (ids, values) => {
+  const result = {};
+  ids.forEach((id, i) => { result[id] = values[i]; });
+  return result;
+};
+
+/**
+ * In/out degree per node, split by edge type
+ * @param {Array} nodes
+ * @param {Array} edges
+ * @returns {Object<string, {in: Object<string, number>, out: Object<string, number>, total: number}>}
+ */
+export const computeDegrees = (nodes, edges) => {
+  const { ids, links } = indexGraph(nodes, edges);
+  const empty = () => ({ total: 0, ...Object.fromEntries(EDGE_TYPES.map(t => [t, 0])) });
+  const degrees = ids.map(() => ({ in: empty(), out: empty(), total: 0 }));
+
+  links.forEach(({ source, target, type }) => {
+    const key = type || 'forward';
+    degrees[source].out[key] = (degrees[source].out[key] || 0) + 1;
+    degrees[source].out.total++;
+    degrees[source].total++;
+    degrees[target].in[key] = (degrees[target].in[key] || 0) + 1;
+    degrees[target].in.total++;
+    degrees[target].total++;
+  });
+
+  return toIdObject(ids, degrees);
+};
+
+/**
+ * Weighted PageRank by power iteration.
+ * Rank flows along edge direction (prerequisite → successor), so inventions
+ * that many chains lead into score highest. Pass `reverse` to rank enablers instead.
+ * @param {Array} nodes
+ * @param {Array} edges
+ * @param {Object} [options]
+ * @param {number} [options.damping=0.85]
+ * @param {number} [options.maxIterations=100]
+ * @param {number} [options.tolerance=1e-8]
+ * @param {boolean} [options.reverse=false]
+ * @returns {Object<string, number>} Scores summing to 1
+ */
+export const computePageRank = (nodes, edges, { damping = 0.85, maxIterations = 100, tolerance = 1e-8, reverse = false } = {}) => {
+  const { ids, links } = indexGraph(nodes, edges);
+  const count = ids.length;
+  if (count === 0) return {};
+
+  const outWeight = new Float64Array(count);
+  links.forEach(link => {
+    outWeight[reverse ? link.target : link.source] += link.weight;
+  });
+
+  let rank = new Float64Array(count).fill(1 / count);
+  for (let iteration = 0; iteration < maxIterations; iteration++) {
+    const next = new Float64Array(count);
+
+    // Rank held by dangling nodes is spread evenly so the total stays at 1
+    let dangling = 0;
+    for (let i = 0; i < count; i++) {
+      if (outWeight[i] === 0) dangling += rank[i];
+    }
+    const base = (1 - damping) / count + (damping * dangling) / count;
+    next.fill(base);
+
+    links.forEach(link => {
+      const from = reverse ? link.target : link.source;
+      const to = reverse ? link.source : link.target;
+      next[to] += damping * rank[from] * (link.weight / outWeight[from]);
+    });
+
+    let delta = 0;
+    for (let i = 0; i < count; i++) delta += Math.abs(next[i] - rank[i]);
+    rank = next;
+    if (delta < tolerance) break;
+  }
+
+  return toIdObject(ids, Array.from(rank));
+};
+
+/**
+ * Betweenness centrality (Brandes) over unweighted shortest paths.
+ * High scores mark "bridge" inventions that sit between otherwise distant parts of the tree.
+ * @param {Array} nodes
+ * @param {Array} edges
+ * @param {Object} [options]
+ * @param {boolean} [options.directed=false] - Follow edge direction when walking paths
+ * @param {boolean} [options.normalized=true] - Scale into [0, 1] by the number of node pairs
+ * @returns {Object<string, number>}
+ */
+export const computeBetweenness = (nodes, edges, { directed = false, normalized = true } = {}) => {
+  const { ids, links } = indexGraph(nodes, edges);
+  const count = ids.length;
+  const adjacency = Array.from({ length: count }, () => []);
+  links.forEach(({ source, target }) => {
+    adjacency[source].push(target);
+    if (!directed) adjacency[target].push(source);
+  });
+
+  const centrality = new Float64Array(count);
+  const sigma = new Float64Array(count);
+  const distance = new Int32Array(count);
+  const delta = new Float64Array(count);
+  const predecessors = Array.from({ length: count }, () => []);
+  const queue = new Int32Array(count);
+
+  for (let s = 0; s < count; s++) {
+    sigma.fill(0);
+    distance.fill(-1);
+    delta.fill(0);
+    predecessors.forEach(list => { list.length = 0; });
+
+    sigma[s] = 1;
+    distance[s] = 0;
+    let head = 0;
+    let tail = 0;
+    queue[tail++] = s;
+
+    // BFS; the queue doubles as the stack of nodes in non-decreasing distance
+    while (head < tail) {
+      const v = queue[head++];
+      adjacency[v].forEach(w => {
+        if (distance[w] < 0) {
+          distance[w] = distance[v] + 1;
+          queue[tail++] = w;
+        }
+        if (distance[w] === distance[v] + 1) {
+          sigma[w] += sigma[v];
+          predecessors[w].push(v);
+        }
+      });
+    }
+
+    for (let k = tail - 1; k > 0; k--) {
+      const w = queue[k];
+      predecessors[w].forEach(v => {
+        delta[v] += (sigma[v] / sigma[w]) * (1 + delta[w]);
+      });
+      centrality[w] += delta[w];
+    }
+  }
+
+  // Undirected paths were counted from both ends
+  const pairScale = directed ? 1 : 0.5;
+  const pairs = directed ? (count - 1) * (count - 2) : ((count - 1) * (count - 2)) / 2;
+  const scale = normalized && pairs > 0 ? pairScale / pairs : pairScale;
+
+  return toIdObject(ids, Array.from(centrality, value => value * scale));
+};
+
+/**
+ * Longest chain of 'forward' dependencies starting at a root invention.
+ * Nodes caught in a dependency cycle are left out rather than looping forever.
+ * @param {Array} nodes
+ * @param {Array} edges
+ * @param {string} [rootId='fire']
+ * @returns {{depths: Object<string, number>, maxDepth: number, chain: string[]}}
+ */
+export const computeChainDepths = (nodes, edges, rootId = 'fire') => {
+  const { ids, indexById, links } = indexGraph(nodes, edges);
+  const root = indexById.get(rootId);
+  if (root === undefined) return { depths: {}, maxDepth: 0, chain: [] };
+
+  const outgoing = Array.from({ length: ids.length }, () => []);
+  links.forEach(({ source, target, type }) => {
+    if (type === 'forward') outgoing[source].push(target);
+  });
+
+  // Restrict to what the root can reach, then relax in topological order
+  const reachable = new Uint8Array(ids.length);
+  const stack = [root];
+  reachable[root] = 1;
+  while (stack.length) {
+    outgoing[stack.pop()].forEach(next => {
+      if (!reachable[next]) {
+        reachable[next] = 1;
+        stack.push(next);
+      }
+    });
+  }
+
+  const indegree = new Int32Array(ids.length);
+  outgoing.forEach((targets, source) => {
+    if (reachable[source]) targets.forEach(t => { indegree[t]++; });
+  });
+
+  const depth = new Int32Array(ids.length).fill(-1);
+  const parent = new Int32Array(ids.length).fill(-1);
+  depth[root] = 0;
+  const queue = indegree[root] === 0 ? [root] : [];
+  for (let head = 0; head < queue.length; head++) {
+    const current = queue[head];
+    outgoing[current].forEach(next => {
+      if (depth[current] + 1 > depth[next]) {
+        depth[next] = depth[current] + 1;
+        parent[next] = current;
+      }
+      indegree[next]--;
+      if (indegree[next] === 0) queue.push(next);
+    });
+  }
+
+  const depths = {};
+  let deepest = root;
+  queue.forEach(i => {
+    depths[ids[i]] = depth[i];
+    if (depth[i] > depth[deepest]) deepest = i;
+  });
+
+  const chain = [];
+  for (let i = deepest; i !== -1; i = parent[i]) chain.unshift(ids[i]);
+
+  return { depths, maxDepth: depth[deepest], chain };
+};
+
+/**
+ * Trace the transitive prerequisites (ancestors) or descendants of one node.
+ * Generations are breadth-first, so each node is reported at its nearest distance.
+ * @param {Array} nodes
+ * @param {Array} edges
+ * @param {string} rootId
+ * @param {Object} [options]
+ * @param {'ancestors' | 'descendants'} [options.direction='ancestors']
+ * @param {string[]} [options.types=['forward']] - Edge types to follow
+ * @returns {{depths: Object<string, number>, generations: string[][], edges: Array}}
+ *   Generation 0 is the root; `edges` are the followed edges inside the traced subgraph
+ */
+export const traceLineage = (nodes, edges, rootId, { direction = 'ancestors', types = ['forward'] } = {}) => {
+  const { ids, indexById, links } = indexGraph(nodes, edges);
+  const root = indexById.get(rootId);
+  if (root === undefined) return { depths: {}, generations: [], edges: [] };
+
+  const upstream = direction === 'ancestors';
+  const next = Array.from({ length: ids.length }, () => []);
+  links.forEach(link => {
+    if (!types.includes(link.type || 'forward')) return;
+    if (upstream) next[link.target].push(link.source);
+    else next[link.source].push(link.target);
+  });
+
+  const depth = new Int32Array(ids.length).fill(-1);
+  depth[root] = 0;
+  const queue = [root];
+  for (let head = 0; head < queue.length; head++) {
+    const current = queue[head];
+    next[current].forEach(other => {
+      if (depth[other] === -1) {
+        depth[other] = depth[current] + 1;
+        queue.push(other);
+      }
+    });
+  }
+
+  const depths = {};
+  const generations = [];
+  queue.forEach(i => {
+    depths[ids[i]] = depth[i];
+    if (!generations[depth[i]]) generations[depth[i]] = [];
+    generations[depth[i]].push(ids[i]);
+  });
+
+  const traced = edges.filter(edge =>
+    types.includes(edge.type || 'forward') &&
+    edge.source !== edge.target &&
+    depths[edge.source] !== undefined &&
+    depths[edge.target] !== undefined
+  );
+
+  return { depths, generations, edges: traced };
+};
+
+/**
+ * Louvain community detection on the undirected, weighted graph.
+ * Node order is fixed, so the result is deterministic for the same data.
+ * @param {Array} nodes
+ * @param {Array} edges
+ * @param {Object} [options]
+ * @param {number} [options.resolution=1] - Higher values favour smaller communities
+ * @returns {{membership: Object<string, number>, communities: string[][], modularity: number}}
+ */
+export const detectCommunities = (nodes, edges, { resolution = 1 } = {}) => {
+  const { ids, links } = indexGraph(nodes, edges);
+  const count = ids.length;
+  if (count === 0) return { membership: {}, communities: [], modularity: 0 };
+
+  // Level graph: adjacency maps (self-loops hold weight internal to a merged node)
+  let adjacency = Array.from({ length: count }, () => new Map());
+  links.forEach(({ source, target, weight }) => {
+    adjacency[source].set(target, (adjacency[source].get(target) || 0) + weight);
+    adjacency[target].set(source, (adjacency[target].get(source) || 0) + weight);
+  });
+
+  const strengthOf = (adj) => adj.map((neighbours, i) => {
+    let k = 0;
+    neighbours.forEach((w, j) => { k += j === i ? 2 * w : w; });
+    return k;
+  });
+
+  const totalWeight = strengthOf(adjacency).reduce((a, b) => a + b, 0); // 2m
+  let membership = Array.from({ length: count }, (_, i) => i);
+  if (totalWeight === 0) {
+    return { membership: toIdObject(ids, membership), communities: ids.map(id => [id]), modularity: 0 };
+  }
+
+  for (;;) {
+    const size = adjacency.length;
+    const strength = strengthOf(adjacency);
+    const community = Array.from({ length: size }, (_, i) => i);
+    const totals = strength.slice();
+    let moved = false;
+
+    // Phase 1: move single nodes to the neighbouring community with the best modularity gain
+    let improved = true;
+    while (improved) {
+      improved = false;
+      for (let i = 0; i < size; i++) {
+        const current = community[i];
+        const linksTo = new Map();
+        adjacency[i].forEach((w, j) => {
+          if (j !== i) linksTo.set(community[j], (linksTo.get(community[j]) || 0) + w);
+        });
+
+        totals[current] -= strength[i];
+        let best = current;
+        let bestGain = (linksTo.get(current) || 0) - (resolution * totals[current] * strength[i]) / totalWeight;
+        linksTo.forEach((w, c) => {
+          const gain = w - (resolution * totals[c] * strength[i]) / totalWeight;
+          if (gain > bestGain + 1e-12) {
+            bestGain = gain;
+            best = c;
+          }
+        });
+        totals[best] += strength[i];
+
+        if (best !== current) {
+          community[i] = best;
+          improved = true;
+          moved = true;
+        }
+      }
+    }
+
+    if (!moved) break;
+
+    // Phase 2: collapse communities into single nodes and repeat
+    const renumber = new Map();
+    community.forEach(c => { if (!renumber.has(c)) renumber.set(c, renumber.size); });
+    if (renumber.size === size) break;
+    const next = Array.from({ length: renumber.size }, () => new Map());
+    adjacency.forEach((neighbours, i) => {
+      const a = renumber.get(community[i]);
+      neighbours.forEach((w, j) => {
+        const b = renumber.get(community[j]);
+        // Each undirected link is visited from both ends; halve internal links so loops hold the weight once
+        const share = a === b && i !== j ? w / 2 : w;
+        next[a].set(b, (next[a].get(b) || 0) + share);
+      });
+    });
+
+    membership = membership.map(c => renumber.get(community[c]));
+    adjacency = next;
+  }
+
+  // Largest communities first
+  const groups = new Map();
+  membership.forEach((c, i) => {
+    if (!groups.has(c)) groups.set(c, []);
+    groups.get(c).push(ids[i]);
+  });
+  const communities = [...groups.values()].sort((a, b) => b.length - a.length);
+  const ordered = {};
+  communities.forEach((members, c) => members.forEach(id => { ordered[id] = c; }));
+
+  return {
+    membership: ordered,
+    communities,
+    modularity: computeModularity(nodes, edges, ordered, resolution),
+  };
+};
+
+/**
+ * Modularity of a partition on the undirected, weighted graph
+ * @param {Array} nodes
+ * @param {Array} edges
+ * @param {Object<string, number>} membership - Community per node id
+ * @param {number} [resolution=1]
+ * @returns {number}
+ */
+export const computeModularity = (nodes, edges, membership, resolution = 1) => {
+  const { ids, links } = indexGraph(nodes, edges);
+  const strength = new Map();
+  const internal = new Map();
+  let totalWeight = 0;
+
+  links.forEach(({ source, target, weight }) => {
+    const a = membership[ids[source]];
+    const b = membership[ids[target]];
+    strength.set(a, (strength.get(a) || 0) + weight);
+    strength.set(b, (strength.get(b) || 0) + weight);
+    if (a === b) internal.set(a, (internal.get(a) || 0) + 2 * weight);
+    totalWeight += 2 * weight;
+  });
+
+  if (totalWeight === 0) return 0;
+  let q = 0;
+  strength.forEach((total, c) => {
+    q += (internal.get(c) || 0) / totalWeight - resolution * (total / totalWeight) ** 2;
+  });
+  return q;
+};
+
+/**
+ * Run every analysis in one go
+ * @param {Array} nodes
+ * @param {Array} edges
+ * @param {Object} [options]
+ * @param {string} [options.rootId='fire'] - Root for chain depth
+ */
+export const analyzeGraph = (nodes, edges, { rootId = 'fire' } = {}) => ({
+  pagerank: computePageRank(nodes, edges),
+  betweenness: computeBetweenness(nodes, edges),
+  degrees: computeDegrees(nodes, edges),
+  chains: computeChainDepths(nodes, edges, rootId),
+  communities: detectCommunities(nodes, edges),
+});
+
+/**
+ * Raw values of one metric from an analyzeGraph() result
+ * @param {ReturnType<typeof analyzeGraph>} analytics
+ * @param {string} metric - Key of ANALYTIC_METRICS
+ * @returns {Object<string, number>}
+ */
+export const getMetricValues = (analytics, metric) => {
+  switch (metric) {
+    case 'pagerank': return analytics.pagerank;
+    case 'betweenness': return analytics.betweenness;
+    case 'depth': return analytics.chains.depths;
+    case 'degree': {
+      const values = {};
+      Object.entries(analytics.degrees).forEach(([id, d]) => { values[id] = d.total; });
+      return values;
+    }
+    default: return {};
+  }
+};
+
+/**
+ * Rescale metric values into [0, 1]
+ * @param {Object<string, number>} values
+ * @returns {Object<string, number>}
+ */
+export const normalizeMetric = (values) => {
+  const numbers = Object.values(values);
+  if (numbers.length === 0) return {};
+  const min = Math.min(...numbers);
+  const range = Math.max(...numbers) - min;
+
+  const result = {};
+  Object.entries(values).forEach(([id, value]) => {
+    result[id] = range > 0 ? (value - min) / range : 0;
+  });
+  return result;
+};
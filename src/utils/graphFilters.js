@@ -0,0 +1,212 @@
+/**
+ * Graph filters
+ * A filter is a list of node rules combined with AND or OR, plus an optional set of edge
+ * types to keep. Filters are plain JSON so they can be saved as named presets.
+ */
+
+import { EDGE_TYPES, computeDegrees } from './graphAnalytics';
+
+/**
+ * Rule fields and the operators each one supports
+ */
+export const FILTER_FIELDS = {
+  cluster: { label: 'Cluster', ops: ['is', 'isNot'] },
+  status: { label: 'Status', ops: ['is', 'isNot'] },
+  maturity: { label: 'Maturity', ops: ['between'] },
+  year: { label: 'Year', ops: ['between'] },
+  degree: { label: 'Connections', ops: ['>', '>=', '<', '<=', '='] },
+  contributors: { label: 'Contributor', ops: ['contains', 'notContains'] },
+  technologies: { label: 'Technology', ops: ['contains', 'notContains'] },
+};
+
+export const OPERATOR_LABELS = {
+  is: 'is',
+  isNot: 'is not',
+  between: 'between',
+  contains: 'contains',
+  notContains: 'does not contain',
+  '>': '>',
+  '>=': '≥',
+  '<': '<',
+  '<=': '≤',
+  '=': '=',
+};
+
+/**
+ * Degree directions. Edges point from prerequisite to successor, so a node's
+ * dependencies are its incoming edges.
+ */
+export const DEGREE_DIRECTIONS = {
+  in: 'dependencies',
+  out: 'dependents',
+  total: 'connections',
+};
+
+export const FILTER_MODES = ['dim', 'hide'];
+
+/**
+ * @returns {Object} A filter that matches everything
+ */
+export const createFilter = () => ({
+  combinator: 'and',
+  rules: [],
+  edgeTypes: [],
+  mode: 'dim',
+});
+
+/**
+ * Default rule for a field
+ * @param {string} field - Key of FILTER_FIELDS
+ * @returns {Object}
+ */
+export const createRule = (field) => {
+  switch (field) {
+    case 'maturity':
+      return { field, op: 'between', min: 0, max: 100 };
+    case 'year':
+      return { field, op: 'between', min: -10000, max: 2025 };
+    case 'degree':
+      return { field, op: '>', value: 5, direction: 'in', edgeType: 'any' };
+    case 'contributors':
+    case 'technologies':
+      return { field, op: 'contains', value: '' };
+    default:
+      return { field, op: 'is', value: '' };
+  }
+};
+
+// Rules left half-filled in the builder (e.g. an empty "contains") do not constrain anything yet
+const isRuleComplete = (rule) => {
+  if (rule.op === 'between') return Number.isFinite(rule.min) || Number.isFinite(rule.max);
+  if (rule.field === 'degree') return Number.isFinite(rule.value);
+  return String(rule.value ?? '').trim() !== '';
+};
+
+/**
+ * @param {Object|null} filter
+ * @returns {boolean} True when the filter would exclude anything
+ */
+export const isFilterActive = (filter) => (
+  !!filter && (filter.rules.some(isRuleComplete) || filter.edgeTypes.length > 0)
+);
+
+const countDegree = (degree, rule) => {
+  if (!degree) return 0;
+  const pick = (side) => (rule.edgeType && rule.edgeType !== 'any' ? side[rule.edgeType] || 0 : side.total);
+  if (rule.direction === 'out') return pick(degree.out);
+  if (rule.direction === 'total') return pick(degree.in) + pick(degree.out);
+  return pick(degree.in);
+};
+
+const compare = (actual, op, value) => {
+  switch (op) {
+    case '>': return actual > value;
+    case '>=': return actual >= value;
+    case '<': return actual < value;
+    case '<=': return actual <= value;
+    default: return actual === value;
+  }
+};
+
+const inRange = (value, { min, max }) => (
+  value !== null && value !== undefined
+  && (!Number.isFinite(min) || value >= min)
+  && (!Number.isFinite(max) || value <= max)
+);
+
+/**
+ * Test one node against one rule
+ * @param {Object} node
+ * @param {Object} rule
+ * @param {Object} degrees - Result of computeDegrees
+ * @returns {boolean}
+ */
+export const matchesRule = (node, rule, degrees) => {
+  switch (rule.field) {
+    case 'cluster':
+    case 'status': {
+      const equal = String(node[rule.field] || '').toLowerCase() === String(rule.value).toLowerCase();
+      return rule.op === 'isNot' ? !equal : equal;
+    }
+    case 'maturity':
+    case 'year':
+      return inRange(node[rule.field], rule);
+    case 'degree':
+      return compare(countDegree(degrees[node.id], rule), rule.op, rule.value);
+    case 'contributors':
+    case 'technologies': {
+      const needle = String(rule.value).toLowerCase().trim();
+      const found = (node[rule.field] || []).some(entry => entry.toLowerCase().includes(needle));
+      return rule.op === 'notContains' ? !found : found;
+    }
+    default:
+      return true;
+  }
+};
+
+/**
+ * Evaluate a filter against the graph
+ * @param {Array} nodes
+ * @param {Array} edges
+ * @param {Object} filter - See createFilter
+ * @returns {{nodeIds: Set<string>, edges: Set<Object>}} Nodes and edge objects that pass
+ */
+export const applyGraphFilter = (nodes, edges, filter) => {
+  const rules = filter.rules.filter(isRuleComplete);
+  // Degrees count only the edge types the filter keeps
+  const countedEdges = filter.edgeTypes.length > 0
+    ? edges.filter(e => filter.edgeTypes.includes(e.type || 'forward'))
+    : edges;
+  const degrees = rules.some(rule => rule.field === 'degree') ? computeDegrees(nodes, countedEdges) : {};
+
+  const nodeIds = new Set();
+  nodes.forEach(node => {
+    const passes = rules.length === 0 || (filter.combinator === 'or'
+      ? rules.some(rule => matchesRule(node, rule, degrees))
+      : rules.every(rule => matchesRule(node, rule, degrees)));
+    if (passes) nodeIds.add(node.id);
+  });
+
+  const keptEdges = new Set(
+    countedEdges.filter(e => nodeIds.has(e.source) && nodeIds.has(e.target))
+  );
+  return { nodeIds, edges: keptEdges };
+};
+
+/**
+ * One-line summary of a rule, e.g. "dependencies > 5"
+ * @param {Object} rule
+ * @param {Object} [clusters] - clusters.json map, for cluster names
+ * @returns {string}
+ */
+export const describeRule = (rule, clusters = {}) => {
+  const op = OPERATOR_LABELS[rule.op] || rule.op;
+  switch (rule.field) {
+    case 'cluster':
+      return `cluster ${op} ${clusters[rule.value]?.label || rule.value}`;
+    case 'maturity':
+    case 'year':
+      return `${rule.field} ${rule.min ?? '…'}–${rule.max ?? '…'}`;
+    case 'degree': {
+      const type = rule.edgeType && rule.edgeType !== 'any' ? ` ${rule.edgeType}` : '';
+      return `${DEGREE_DIRECTIONS[rule.direction] || DEGREE_DIRECTIONS.in}${type} ${op} ${rule.value}`;
+    }
+    default:
+      return `${FILTER_FIELDS[rule.field]?.label.toLowerCase() || rule.field} ${op} ${rule.value}`;
+  }
+};
+
+/**
+ * One-line summary of a whole filter
+ * @param {Object} filter
+ * @param {Object} [clusters]
+ * @returns {string}
+ */
+export const describeFilter = (filter, clusters) => {
+  const parts = [filter.rules.filter(isRuleComplete).map(rule => describeRule(rule, clusters))
+    .join(filter.combinator === 'or' ? ' OR ' : ' AND ')];
+  if (filter.edgeTypes.length > 0 && filter.edgeTypes.length < EDGE_TYPES.length) {
+    parts.push(`${filter.edgeTypes.join('/')} edges`);
+  }
+  return parts.filter(Boolean).join(' · ') || 'Everything';
+};
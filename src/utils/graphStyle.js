@@ -0,0 +1,101 @@
+/**
+ * Graph drawing style
+ * Colour, dash and curve rules shared by the canvas renderer and the vector exporter,
+ * so exported SVG/PDF files match what the canvas shows.
+ */
+
+import { THEMES } from '../config/themes';
+
+/**
+ * Line dash pattern per edge type, in world units
+ */
+export const EDGE_DASHES = {
+  forward: [],
+  backlink: [4, 4],
+  accelerates: [2, 6], // sparse dots
+  inhibits: [10, 2],
+};
+
+/**
+ * What each edge type means, for tooltips and the edge inspector
+ */
+export const EDGE_TYPE_INFO = {
+  forward: { label: 'Leads to', description: 'The source made the target possible' },
+  backlink: { label: 'Feeds back', description: 'A later invention that reshaped an earlier one' },
+  accelerates: { label: 'Accelerates', description: 'The source sped up the development of the target' },
+  inhibits: { label: 'Inhibits', description: 'The source held back the target' },
+};
+
+// Themes that draw every edge in their edgeBase colour instead of cluster colours
+const MONO_EDGE_THEMES = ['void', 'minimal', 'matrix'];
+
+// Themes that draw every node in their nodeBase colour
+const MONO_NODE_THEMES = ['void', 'minimal', 'blueprint'];
+
+// Themes with flat node fills instead of radial gradients
+const FLAT_NODE_THEMES = ['paper', 'minimal'];
+
+// Amplitude of the edge curve's sideways waver
+export const EDGE_CURVE_OFFSET = 12;
+
+/**
+ * @param {string} themeKey
+ * @returns {Object} Entry of THEMES, falling back to the default theme
+ */
+export const getTheme = (themeKey) => THEMES[themeKey] || THEMES.default;
+
+/**
+ * Two-digit hex alpha suffix for '#rrggbb' colours
+ * @param {number} alpha - 0..1
+ * @returns {string}
+ */
+export const alphaHex = (alpha) => Math.floor(255 * Math.max(0, Math.min(1, alpha))).toString(16).padStart(2, '0');
+
+/**
+ * Fill colour of a node under a theme
+ * @param {Object} node
+ * @param {Object} clusters
+ * @param {string} themeKey
+ * @param {string} [metricColor] - Analytics colour, which wins over theme and cluster colours
+ * @returns {string}
+ */
+export const nodeColor = (node, clusters, themeKey, metricColor) => {
+  if (metricColor) return metricColor;
+  const theme = getTheme(themeKey);
+  if (themeKey === 'blueprint') return '#ffffff';
+  if (MONO_NODE_THEMES.includes(themeKey)) return theme.nodeBase;
+  return clusters[node.cluster]?.color || theme.nodeBase;
+};
+
+/**
+ * Gradient end colours of an edge under a theme
+ * @returns {[string, string]} Source and target colour
+ */
+export const edgeColors = (source, target, clusters, themeKey) => {
+  const theme = getTheme(themeKey);
+  if (MONO_EDGE_THEMES.includes(themeKey)) return [theme.edgeBase, theme.edgeBase];
+  return [
+    clusters[source.cluster]?.color || theme.edgeBase,
+    clusters[target.cluster]?.color || theme.edgeBase,
+  ];
+};
+
+/**
+ * @param {string} themeKey
+ * @returns {boolean} Whether nodes are filled flat rather than with a radial gradient
+ */
+export const isFlatNodeTheme = (themeKey) => FLAT_NODE_THEMES.includes(themeKey);
+
+/**
+ * Quadratic control point of a curved edge. The curve wavers over animation time;
+ * its phase comes from the edge's source node so pulses can follow the same curve.
+ * @param {{x: number, y: number}} from
+ * @param {{x: number, y: number}} to
+ * @param {number} phaseX - x of the edge's source node
+ * @param {number} time - Animation time
+ * @returns {{x: number, y: number}}
+ */
+export const edgeControlPoint = (from, to, phaseX, time) => {
+  const offset = Math.sin(time * 2 + phaseX * 0.05) * EDGE_CURVE_OFFSET;
+  return { x: (from.x + to.x) / 2 + offset, y: (from.y + to.y) / 2 + offset };
+};
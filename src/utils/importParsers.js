@@ -0,0 +1,270 @@
+/**
+ * Import parsers
+ * Read CSV tables, GraphML, GEXF and Cytoscape.js JSON into one intermediate shape:
+ * flat attribute records for nodes and edges plus the attribute names seen in each.
+ * Mapping those attributes onto the node/edge schema happens in dataImport.
+ */
+
+import { parseInertDocument } from '../config/security';
+
+export const IMPORT_FORMATS = {
+  csv: { label: 'CSV tables', extensions: ['.csv', '.tsv', '.txt'] },
+  graphml: { label: 'GraphML', extensions: ['.graphml', '.xml'] },
+  gexf: { label: 'GEXF (Gephi)', extensions: ['.gexf'] },
+  cytoscape: { label: 'Cytoscape.js JSON', extensions: ['.json', '.cyjs'] },
+};
+
+/**
+ * @typedef {Object} RawGraph
+ * @property {string} format - Key of IMPORT_FORMATS
+ * @property {Array<Object>} nodes - One flat record per node
+ * @property {Array<Object>} edges - One flat record per edge
+ * @property {string[]} nodeFields - Attribute names found on nodes, in first-seen order
+ * @property {string[]} edgeFields - Attribute names found on edges
+ */
+
+const collectFields = (records) => {
+  const fields = new Set();
+  records.forEach(record => Object.keys(record).forEach(key => fields.add(key)));
+  return [...fields];
+};
+
+const rawGraph = (format, nodes, edges) => ({
+  format,
+  nodes,
+  edges,
+  nodeFields: collectFields(nodes),
+  edgeFields: collectFields(edges),
+});
+
+/**
+ * Guess the format from a file name, falling back to sniffing the content
+ * @param {string} text
+ * @param {string} [fileName]
+ * @returns {string} Key of IMPORT_FORMATS
+ */
+export const detectFormat = (text, fileName = '') => {
+  const name = fileName.toLowerCase();
+  const byExtension = Object.entries(IMPORT_FORMATS)
+    .find(([, { extensions }]) => extensions.some(ext => name.endsWith(ext)));
+  // .xml may hold either XML format, so it is sniffed like unnamed input
+  if (byExtension && !name.endsWith('.xml')) return byExtension[0];
+
+  const head = String(text).trimStart().slice(0, 2000);
+  if (head.startsWith('<')) return /<gexf[\s>]/.test(head) ? 'gexf' : 'graphml';
+  if (head.startsWith('{') || head.startsWith('[')) return 'cytoscape';
+  return 'csv';
+};
+
+// --- CSV ---
+
+const detectDelimiter = (firstLine) => {
+  const counts = [',', ';', '\t'].map(d => [d, firstLine.split(d).length]);
+  return counts.sort((a, b) => b[1] - a[1])[0][0];
+};
+
+/**
+ * Parse delimited text with a header row. Handles quoted fields, escaped quotes,
+ * embedded newlines and comma, semicolon or tab delimiters.
+ * @param {string} text
+ * @returns {{fields: string[], rows: Array<Object<string, string>>}}
+ */
+export const parseCSV = (text) => {
+  const source = String(text || '').replace(/^\uFEFF/, '');
+  const delimiter = detectDelimiter(source.split(/\r?\n/, 1)[0]);
+  const rows = [];
+  let row = [];
+  let field = '';
+  let quoted = false;
+
+  for (let i = 0; i < source.length; i++) {
+    const char = source[i];
+    if (quoted) {
+      if (char === '"' && source[i + 1] === '"') {
+        field += '"';
+        i++;
+      } else if (char === '"') {
+        quoted = false;
+      } else {
+        field += char;
+      }
+    } else if (char === '"' && field === '') {
+      quoted = true;
+    } else if (char === delimiter) {
+      row.push(field);
+      field = '';
+    } else if (char === '\n' || char === '\r') {
+      if (char === '\r' && source[i + 1] === '\n') i++;
+      row.push(field);
+      rows.push(row);
+      row = [];
+      field = '';
+    } else {
+      field += char;
+    }
+  }
+  if (field !== '' || row.length > 0) {
+    row.push(field);
+    rows.push(row);
+  }
+
+  const [header = [], ...body] = rows.filter(r => r.some(cell => cell.trim() !== ''));
+  const fields = header.map(name => name.trim());
+  return {
+    fields,
+    rows: body.map(cells => Object.fromEntries(fields.map((name, i) => [name, (cells[i] ?? '').trim()]))),
+  };
+};
+
+/**
+ * Read a node table and an optional edge table
+ * @param {string} nodeText
+ * @param {string} [edgeText]
+ * @returns {RawGraph}
+ */
+export const parseCsvTables = (nodeText, edgeText = '') => {
+  const nodes = parseCSV(nodeText);
+  const edges = edgeText.trim() ? parseCSV(edgeText) : { fields: [], rows: [] };
+  return { format: 'csv', nodes: nodes.rows, edges: edges.rows, nodeFields: nodes.fields, edgeFields: edges.fields };
+};
+
+// --- XML formats ---
+
+const parseXml = (text) => {
+  const doc = parseInertDocument(text, 'application/xml');
+  const error = doc.getElementsByTagName('parsererror')[0];
+  if (error) throw new Error(`Invalid XML: ${error.textContent.trim().split('\n')[0]}`);
+  return doc;
+};
+
+const byTag = (parent, name) => [...parent.getElementsByTagNameNS('*', name)];
+
+const attributesOf = (element, skip = []) => Object.fromEntries(
+  [...element.attributes]
+    .filter(attr => !skip.includes(attr.name) && !attr.name.startsWith('xmlns'))
+    .map(attr => [attr.name, attr.value])
+);
+
+/**
+ * Read GraphML, including yEd's node geometry and labels
+ * @param {string} text
+ * @returns {RawGraph}
+ */
+export const parseGraphML = (text) => {
+  const doc = parseXml(text);
+  if (!byTag(doc, 'graphml').length) throw new Error('Not a GraphML document');
+
+  const keys = new Map(byTag(doc, 'key').map(key => [
+    key.getAttribute('id'),
+    key.getAttribute('attr.name') || key.getAttribute('id'),
+  ]));
+
+  const readData = (element, record) => {
+    [...element.children].filter(child => child.localName === 'data').forEach(data => {
+      const name = keys.get(data.getAttribute('key')) || data.getAttribute('key');
+      const geometry = byTag(data, 'Geometry')[0];
+      if (geometry) {
+        record.x = geometry.getAttribute('x');
+        record.y = geometry.getAttribute('y');
+        const label = byTag(data, 'NodeLabel')[0];
+        if (label && record.label === undefined) record.label = label.textContent.trim();
+        return;
+      }
+      if (data.children.length === 0) record[name] = data.textContent.trim();
+    });
+    return record;
+  };
+
+  const nodes = byTag(doc, 'node').map(node => readData(node, { id: node.getAttribute('id') }));
+  const edges = byTag(doc, 'edge').map(edge => readData(edge, attributesOf(edge, ['directed'])));
+  return rawGraph('graphml', nodes, edges);
+};
+
+/**
+ * Read GEXF as written by Gephi: attribute values by title plus viz position and size
+ * @param {string} text
+ * @returns {RawGraph}
+ */
+export const parseGEXF = (text) => {
+  const doc = parseXml(text);
+  if (!byTag(doc, 'gexf').length) throw new Error('Not a GEXF document');
+
+  const titles = { node: new Map(), edge: new Map() };
+  byTag(doc, 'attributes').forEach(group => {
+    const kind = group.getAttribute('class') === 'edge' ? 'edge' : 'node';
+    byTag(group, 'attribute').forEach(attribute => {
+      titles[kind].set(attribute.getAttribute('id'), attribute.getAttribute('title') || attribute.getAttribute('id'));
+    });
+  });
+
+  const readRecord = (element, kind) => {
+    const record = attributesOf(element);
+    byTag(element, 'attvalue').forEach(value => {
+      const key = value.getAttribute('for') || value.getAttribute('id');
+      record[titles[kind].get(key) || key] = value.getAttribute('value');
+    });
+    const position = byTag(element, 'position')[0];
+    if (position) {
+      record.x = position.getAttribute('x');
+      record.y = position.getAttribute('y');
+    }
+    const size = byTag(element, 'size')[0];
+    if (size) record.size = size.getAttribute('value');
+    return record;
+  };
+
+  const nodes = byTag(doc, 'node').map(node => readRecord(node, 'node'));
+  const edges = byTag(doc, 'edge').map(edge => readRecord(edge, 'edge'));
+  return rawGraph('gexf', nodes, edges);
+};
+
+// --- Cytoscape.js ---
+
+/**
+ * Read Cytoscape.js JSON: `{ elements: { nodes, edges } }`, `{ elements: [...] }` or a bare element array
+ * @param {string|Object} input
+ * @returns {RawGraph}
+ */
+export const parseCytoscape = (input) => {
+  const json = typeof input === 'string' ? JSON.parse(input) : input;
+  const elements = Array.isArray(json) ? json : json?.elements;
+  if (!elements) throw new Error('No Cytoscape "elements" found');
+
+  // Hand-edited exports can contain null or stray values; skip anything that is not an element object
+  const isElement = el => el !== null && typeof el === 'object' && !Array.isArray(el);
+  const list = Array.isArray(elements)
+    ? elements.filter(isElement)
+    : [
+        ...(elements.nodes || []).filter(isElement).map(el => ({ group: 'nodes', ...el })),
+        ...(elements.edges || []).filter(isElement).map(el => ({ group: 'edges', ...el })),
+      ];
+
+  const nodes = [];
+  const edges = [];
+  list.forEach(element => {
+    const data = element.data || {};
+    const isEdge = element.group === 'edges' || (element.group !== 'nodes' && data.source !== undefined && data.target !== undefined);
+    if (isEdge) {
+      edges.push({ ...data });
+    } else {
+      nodes.push({ ...data, ...(element.position ? { x: element.position.x, y: element.position.y } : {}) });
+    }
+  });
+  return rawGraph('cytoscape', nodes, edges);
+};
+
+/**
+ * Parse one file in any supported single-file format
+ * @param {string} text
+ * @param {string} format - 'graphml', 'gexf' or 'cytoscape'; CSV goes through parseCsvTables
+ * @returns {RawGraph}
+ */
+export const parseGraphFile = (text, format) => {
+  switch (format) {
+    case 'graphml': return parseGraphML(text);
+    case 'gexf': return parseGEXF(text);
+    case 'cytoscape': return parseCytoscape(text);
+    case 'csv': return parseCsvTables(text);
+    default: throw new Error(`Unsupported import format "${format}"`);
+  }
+};
@@ -0,0 +1,99 @@
+/**
+ * JSON source locator
+ * Maps JSON paths (as produced by the validation engine) to line numbers in the
+ * original text, so issues can be shown next to the text that caused them.
+ */
+
+import { appendJsonPath } from './dataValidation';
+
+/**
+ * Scan well-formed JSON text and record the line each value starts on
+ * @param {string} text - Text that JSON.parse accepts
+ * @param {string} [rootPath='$'] - Path of the top-level value
+ * @returns {Map<string, number>} JSON path → 1-based line number
+ */
+export const locateJsonPaths = (text, rootPath = '$') => {
+  const lines = new Map();
+  let pos = 0;
+  let line = 1;
+
+  const advance = () => {
+    if (text[pos] === '\n') line++;
+    pos++;
+  };
+  const skipWhitespace = () => {
+    while (pos < text.length && /\s/.test(text[pos])) advance();
+  };
+  const readString = () => {
+    const start = pos;
+    advance(); // opening quote
+    while (pos < text.length && text[pos] !== '"') {
+      if (text[pos] === '\\') advance();
+      advance();
+    }
+    advance(); // closing quote
+    return JSON.parse(text.slice(start, pos));
+  };
+
+  const readValue = (path) => {
+    skipWhitespace();
+    // Object members are recorded at their key, which may sit on an earlier line
+    if (!lines.has(path)) lines.set(path, line);
+    const char = text[pos];
+
+    if (char === '{' || char === '[') {
+      const isObject = char === '{';
+      const close = isObject ? '}' : ']';
+      advance();
+      skipWhitespace();
+      let index = 0;
+      while (pos < text.length && text[pos] !== close) {
+        if (isObject) {
+          const keyLine = line;
+          const key = readString();
+          const memberPath = appendJsonPath(path, key);
+          lines.set(memberPath, keyLine);
+          skipWhitespace();
+          advance(); // colon
+          readValue(memberPath);
+        } else {
+          readValue(appendJsonPath(path, index++));
+        }
+        skipWhitespace();
+        if (text[pos] === ',') advance();
+        skipWhitespace();
+      }
+      advance(); // closing bracket
+      return;
+    }
+
+    if (char === '"') {
+      readString();
+      return;
+    }
+
+    // Numbers, true, false, null
+    while (pos < text.length && !/[\s,\]}]/.test(text[pos])) advance();
+  };
+
+  readValue(rootPath);
+  return lines;
+};
+
+/**
+ * Find the line for a path, falling back to its closest located ancestor
+ * (e.g. a missing `$.nodes[3].year` points at `$.nodes[3]`)
+ * @param {Map<string, number>} lines - Result of locateJsonPaths
+ * @param {string} path
+ * @returns {number|null}
+ */
+export const lineForPath = (lines, path) => {
+  let current = path;
+  while (current) {
+    if (lines.has(current)) return lines.get(current);
+    const cut = Math.max(current.lastIndexOf('.'), current.lastIndexOf('['));
+    if (cut <= 0) break;
+    current = current.slice(0, cut);
+  }
+  return null;
+};
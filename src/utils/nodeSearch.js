@@ -0,0 +1,49 @@
+/**
+ * Quick label matching for node pickers; the search bar uses the full-text index in src/search
+ */
+
+/**
+ * Calculate fuzzy match score (higher = better match)
+ * @param {string} text
+ * @param {string} term
+ * @returns {number}
+ */
+export const calculateMatchScore = (text, term) => {
+  const t = text.toLowerCase();
+  const s = term.toLowerCase();
+
+  // Exact match = highest score
+  if (t === s) return 100;
+  // Starts with = high score
+  if (t.startsWith(s)) return 80;
+  // Contains = medium score
+  if (t.includes(s)) return 50;
+
+  return 0;
+};
+
+/**
+ * Rank nodes against a search term by label, id and cluster name
+ * @param {Array} nodes
+ * @param {string} searchTerm
+ * @param {Object} clusters - clusters.json map
+ * @param {number} [limit=10]
+ * @returns {Array} Matching nodes with a `score`, best first
+ */
+export const searchNodes = (nodes, searchTerm, clusters, limit = 10) => {
+  if (!searchTerm.trim()) return [];
+
+  const term = searchTerm.toLowerCase();
+
+  return nodes
+    .map(node => {
+      const labelScore = calculateMatchScore(node.label, term);
+      const idScore = calculateMatchScore(node.id, term) * 0.8;
+      const clusterScore = calculateMatchScore(clusters[node.cluster]?.label || '', term) * 0.5;
+      const score = Math.max(labelScore, idScore, clusterScore);
+      return { ...node, score };
+    })
+    .filter(node => node.score > 0)
+    .sort((a, b) => b.score - a.score)
+    .slice(0, limit);
+};
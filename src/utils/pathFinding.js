@@ -0,0 +1,291 @@
+/**
+ * Path finding
+ * Routes between two innovations over the weighted edge list:
+ * - shortest: fewest hops, heavier edges break ties
+ * - k-shortest: Yen's algorithm over the same cost
+ * - strongest: weight-maximising, every hop costs (maxWeight + 1 - weight)
+ *   so strong dependencies are preferred even when the route gets longer
+ */
+
+/**
+ * @typedef {Object} GraphPath
+ * @property {string[]} nodes - Node ids from start to goal
+ * @property {Array} edges - Original edge objects, one per hop
+ * @property {number} hops
+ * @property {number} totalWeight - Sum of edge weights along the path
+ * @property {number} cost - Cost under the strategy that found the path
+ */
+
+/**
+ * Default edge types followed when walking towards later inventions.
+ * 'backlink' edges point back in time and are left out.
+ */
+export const PATH_EDGE_TYPES = ['forward', 'accelerates'];
+
+// Minimal binary heap keyed by cost
+class MinHeap {
+  constructor() {
+    this.items = [];
+  }
+
+  get size() {
+    return this.items.length;
+  }
+
+  push(cost, value) {
+    const items = this.items;
+    items.push({ cost, value });
+    let i = items.length - 1;
+    while (i > 0) {
+      const parent = (i - 1) >> 1;
+      if (items[parent].cost <= items[i].cost) break;
+      [items[parent], items[i]] = [items[i], items[parent]];
+      i = parent;
+    }
+  }
+
+  pop() {
+    const items = this.items;
+    const top = items[0];
+    const last = items.pop();
+    if (items.length > 0) {
+      items[0] = last;
+      let i = 0;
+      for (;;) {
+        const left = i * 2 + 1;
+        const right = left + 1;
+        let smallest = i;
+        if (left < items.length && items[left].cost < items[smallest].cost) smallest = left;
+        if (right < items.length && items[right].cost < items[smallest].cost) smallest = right;
+        if (smallest === i) break;
+        [items[smallest], items[i]] = [items[i], items[smallest]];
+        i = smallest;
+      }
+    }
+    return top;
+  }
+}
+
+/**
+ * Build an index-based adjacency list for routing
+ * @param {Array} nodes
+ * @param {Array} edges
+ * @param {Object} options
+ * @param {boolean} options.directed
+ * @param {string[]} options.types
+ */
+const buildRoutingGraph = (nodes, edges, { directed, types }) => {
+  const indexById = new Map(nodes.map((node, i) => [node.id, i]));
+  const adjacency = Array.from({ length: nodes.length }, () => []);
+  let maxWeight = 1;
+
+  edges.forEach(edge => {
+    if (!types.includes(edge.type || 'forward')) return;
+    const from = indexById.get(edge.source);
+    const to = indexById.get(edge.target);
+    if (from === undefined || to === undefined || from === to) return;
+
+    const weight = edge.weight ?? 1;
+    maxWeight = Math.max(maxWeight, weight);
+    adjacency[from].push({ to, edge, weight });
+    if (!directed) adjacency[to].push({ to: from, edge, weight });
+  });
+
+  return { ids: nodes.map(n => n.id), indexById, adjacency, maxWeight };
+};
+
+// Edge cost functions per strategy
+const hopCost = (graph) => {
+  // Tie-breaker stays below one hop in total for any simple path
+  const scale = 1 / (graph.maxWeight * (graph.ids.length + 1));
+  return (weight) => 1 + (graph.maxWeight - weight) * scale;
+};
+
+const strengthCost = (graph) => (weight) => graph.maxWeight + 1 - weight;
+
+/**
+ * Dijkstra between two node indices, skipping banned nodes/edges (used by Yen's algorithm)
+ */
+const dijkstra = (graph, costOf, start, goal, bannedNodes = new Set(), bannedEdges = new Set()) => {
+  const count = graph.ids.length;
+  const distance = new Float64Array(count).fill(Infinity);
+  const previous = new Array(count).fill(null);
+  const heap = new MinHeap();
+
+  distance[start] = 0;
+  heap.push(0, start);
+
+  while (heap.size > 0) {
+    const { cost, value: current } = heap.pop();
+    if (cost > distance[current]) continue;
+    if (current === goal) break;
+
+    graph.adjacency[current].forEach(step => {
+      if (bannedNodes.has(step.to) || bannedEdges.has(step.edge)) return;
+      const next = cost + costOf(step.weight);
+      if (next < distance[step.to]) {
+        distance[step.to] = next;
+        previous[step.to] = { from: current, step };
+        heap.push(next, step.to);
+      }
+    });
+  }
+
+  if (distance[goal] === Infinity) return null;
+
+  const indices = [goal];
+  const steps = [];
+  for (let i = goal; previous[i]; i = previous[i].from) {
+    steps.unshift(previous[i].step);
+    indices.unshift(previous[i].from);
+  }
+  return { indices, steps, cost: distance[goal] };
+};
+
+const toPath = (graph, route) => ({
+  nodes: route.indices.map(i => graph.ids[i]),
+  edges: route.steps.map(step => step.edge),
+  hops: route.steps.length,
+  totalWeight: route.steps.reduce((sum, step) => sum + step.weight, 0),
+  cost: route.cost,
+});
+
+const resolveEndpoints = (graph, fromId, toId) => {
+  const start = graph.indexById.get(fromId);
+  const goal = graph.indexById.get(toId);
+  if (start === undefined || goal === undefined) return null;
+  return { start, goal };
+};
+
+/**
+ * Fewest-hop path; among equally short paths the one with heavier edges wins
+ * @param {Array} nodes
+ * @param {Array} edges
+ * @param {string} fromId
+ * @param {string} toId
+ * @param {Object} [options]
+ * @param {boolean} [options.directed=true] - Follow edges from source to target only
+ * @param {string[]} [options.types=PATH_EDGE_TYPES]
+ * @returns {GraphPath|null}
+ */
+export const findShortestPath = (nodes, edges, fromId, toId, { directed = true, types = PATH_EDGE_TYPES } = {}) => {
+  const graph = buildRoutingGraph(nodes, edges, { directed, types });
+  const endpoints = resolveEndpoints(graph, fromId, toId);
+  if (!endpoints) return null;
+  const route = dijkstra(graph, hopCost(graph), endpoints.start, endpoints.goal);
+  return route ? toPath(graph, route) : null;
+};
+
+/**
+ * Weight-maximising path: prefers strong dependencies over short routes
+ * @param {Array} nodes
+ * @param {Array} edges
+ * @param {string} fromId
+ * @param {string} toId
+ * @param {Object} [options] - Same as findShortestPath
+ * @returns {GraphPath|null}
+ */
+export const findStrongestPath = (nodes, edges, fromId, toId, { directed = true, types = PATH_EDGE_TYPES } = {}) => {
+  const graph = buildRoutingGraph(nodes, edges, { directed, types });
+  const endpoints = resolveEndpoints(graph, fromId, toId);
+  if (!endpoints) return null;
+  const route = dijkstra(graph, strengthCost(graph), endpoints.start, endpoints.goal);
+  return route ? toPath(graph, route) : null;
+};
+
+/**
+ * Up to k loopless paths in order of increasing hop cost (Yen's algorithm)
+ * @param {Array} nodes
+ * @param {Array} edges
+ * @param {string} fromId
+ * @param {string} toId
+ * @param {number} [k=3]
+ * @param {Object} [options] - Same as findShortestPath
+ * @returns {GraphPath[]}
+ */
+export const findKShortestPaths = (nodes, edges, fromId, toId, k = 3, { directed = true, types = PATH_EDGE_TYPES } = {}) => {
+  const graph = buildRoutingGraph(nodes, edges, { directed, types });
+  const endpoints = resolveEndpoints(graph, fromId, toId);
+  if (!endpoints || k < 1) return [];
+
+  const costOf = hopCost(graph);
+  const first = dijkstra(graph, costOf, endpoints.start, endpoints.goal);
+  if (!first) return [];
+
+  const accepted = [first];
+  const candidates = [];
+  const keyOf = (route) => route.steps.map(s => `${s.edge.source}>${s.edge.target}:${s.edge.type}`).join('|');
+  const seen = new Set([keyOf(first)]);
+
+  while (accepted.length < k) {
+    const last = accepted[accepted.length - 1];
+
+    for (let i = 0; i < last.indices.length - 1; i++) {
+      const spur = last.indices[i];
+      const rootIndices = last.indices.slice(0, i + 1);
+      const rootSteps = last.steps.slice(0, i);
+
+      // Block the next hop of every accepted path sharing this root
+      const bannedEdges = new Set();
+      accepted.forEach(route => {
+        const sharesRoot = rootIndices.every((index, j) => route.indices[j] === index);
+        if (sharesRoot && route.steps[i]) bannedEdges.add(route.steps[i].edge);
+      });
+      const bannedNodes = new Set(rootIndices.slice(0, -1));
+
+      const spurRoute = dijkstra(graph, costOf, spur, endpoints.goal, bannedNodes, bannedEdges);
+      if (!spurRoute) continue;
+
+      const steps = [...rootSteps, ...spurRoute.steps];
+      const candidate = {
+        indices: [...rootIndices.slice(0, -1), ...spurRoute.indices],
+        steps,
+        cost: steps.reduce((sum, step) => sum + costOf(step.weight), 0),
+      };
+      const key = keyOf(candidate);
+      if (!seen.has(key)) {
+        seen.add(key);
+        candidates.push(candidate);
+      }
+    }
+
+    if (candidates.length === 0) break;
+    candidates.sort((a, b) => a.cost - b.cost);
+    accepted.push(candidates.shift());
+  }
+
+  return accepted.map(route => toPath(graph, route));
+};
+
+/**
+ * Rebuild a path from its node ids, e.g. one restored from a link.
+ * Each hop uses the heaviest edge between the two nodes, in either direction.
+ * @param {Array} nodes
+ * @param {Array} edges
+ * @param {string[]} nodeIds
+ * @param {Object} [options]
+ * @param {string[]} [options.types=PATH_EDGE_TYPES]
+ * @returns {GraphPath|null} null when a node is missing or two neighbours are not connected
+ */
+export const pathFromNodeIds = (nodes, edges, nodeIds, { types = PATH_EDGE_TYPES } = {}) => {
+  if (!nodeIds || nodeIds.length < 2) return null;
+  const graph = buildRoutingGraph(nodes, edges, { directed: false, types });
+  if (nodeIds.some(id => !graph.indexById.has(id))) return null;
+
+  const steps = [];
+  for (let i = 1; i < nodeIds.length; i++) {
+    const from = graph.indexById.get(nodeIds[i - 1]);
+    const to = graph.indexById.get(nodeIds[i]);
+    const best = graph.adjacency[from]
+      .filter(step => step.to === to)
+      .reduce((heaviest, step) => (!heaviest || step.weight > heaviest.weight ? step : heaviest), null);
+    if (!best) return null;
+    steps.push(best);
+  }
+
+  return toPath(graph, {
+    indices: nodeIds.map(id => graph.indexById.get(id)),
+    steps,
+    cost: steps.length,
+  });
+};
@@ -0,0 +1,241 @@
+/**
+ * PDF poster export
+ * Draw a vector layout (see vectorExport) into a PDF, tiled across one or more pages
+ * for printing as a poster. The file is written by hand with the standard Helvetica
+ * fonts, so no PDF library is needed. PDF strokes take a single colour, so edges use
+ * the midpoint of their gradient and glows are drawn as fading rings.
+ */
+
+// Page sizes in PostScript points (1/72 inch), portrait
+export const PAPER_SIZES = {
+  a4: { label: 'A4', width: 595.28, height: 841.89 },
+  a3: { label: 'A3', width: 841.89, height: 1190.55 },
+  letter: { label: 'Letter', width: 612, height: 792 },
+  tabloid: { label: 'Tabloid', width: 792, height: 1224 },
+};
+
+const PAGE_MARGIN = 28;
+const MARK_LENGTH = 10;
+const GLOW_RINGS = 3;
+
+// Bezier circle approximation constant
+const KAPPA = 0.5523;
+
+const fmt = (value) => String(Math.round(value * 100) / 100);
+
+const hexToRgb = (hex) => {
+  const match = /^#?([0-9a-f]{6})/i.exec(hex || '');
+  const value = match ? parseInt(match[1], 16) : 0x888888;
+  return [(value >> 16) & 255, (value >> 8) & 255, value & 255].map(c => c / 255);
+};
+
+const rgb = (color) => hexToRgb(color).map(fmt).join(' ');
+
+const mixColors = (a, b) => {
+  const [ra, ga, ba] = hexToRgb(a);
+  const [rb, gb, bb] = hexToRgb(b);
+  return [(ra + rb) / 2, (ga + gb) / 2, (ba + bb) / 2].map(fmt).join(' ');
+};
+
+/**
+ * PDF string literal in WinAnsi encoding; characters outside Latin-1 become '?'
+ * @param {string} text
+ * @returns {string}
+ */
+export const pdfString = (text) => {
+  let out = '(';
+  for (const char of String(text)) {
+    const code = char.codePointAt(0);
+    if (char === '(' || char === ')' || char === '\\') out += `\\${char}`;
+    else if (code >= 32 && code < 127) out += char;
+    else if (code >= 160 && code <= 255) out += `\\${code.toString(8).padStart(3, '0')}`;
+    else out += '?';
+  }
+  return `${out})`;
+};
+
+const circlePath = (x, y, r) => {
+  const k = r * KAPPA;
+  return [
+    `${fmt(x + r)} ${fmt(y)} m`,
+    `${fmt(x + r)} ${fmt(y + k)} ${fmt(x + k)} ${fmt(y + r)} ${fmt(x)} ${fmt(y + r)} c`,
+    `${fmt(x - k)} ${fmt(y + r)} ${fmt(x - r)} ${fmt(y + k)} ${fmt(x - r)} ${fmt(y)} c`,
+    `${fmt(x - r)} ${fmt(y - k)} ${fmt(x - k)} ${fmt(y - r)} ${fmt(x)} ${fmt(y - r)} c`,
+    `${fmt(x + k)} ${fmt(y - r)} ${fmt(x + r)} ${fmt(y - k)} ${fmt(x + r)} ${fmt(y)} c`,
+  ].join(' ');
+};
+
+// Helvetica averages about half an em per character
+const textWidth = (text, size) => String(text).length * size * 0.5;
+
+/**
+ * Drawing operators for the whole layout, in layout coordinates (y down).
+ * Text is flipped back upright with its own text matrix.
+ * @param {import('./vectorExport').VectorLayout} layout
+ * @param {Function} alpha - Registers an opacity, returns its ExtGState name
+ * @returns {string[]}
+ */
+const drawLayout = (layout, alpha) => {
+  const ops = [];
+  const text = (x, y, size, value, { bold = false, anchor = 'start', mode = 0 } = {}) => {
+    const dx = anchor === 'middle' ? -textWidth(value, size) / 2 : 0;
+    ops.push(`BT /${bold ? 'F2' : 'F1'} ${fmt(size)} Tf ${mode} Tr 1 0 0 -1 ${fmt(x + dx)} ${fmt(y)} Tm ${pdfString(value)} Tj ET`);
+  };
+
+  ops.push(`${rgb(layout.background)} rg 0 0 ${fmt(layout.width)} ${fmt(layout.height)} re f`);
+
+  ops.push('1 J 1 j');
+  layout.edges.forEach(edge => {
+    // Quadratic curve as the equivalent cubic
+    const c1x = edge.x0 + (2 / 3) * (edge.cx - edge.x0);
+    const c1y = edge.y0 + (2 / 3) * (edge.cy - edge.y0);
+    const c2x = edge.x1 + (2 / 3) * (edge.cx - edge.x1);
+    const c2y = edge.y1 + (2 / 3) * (edge.cy - edge.y1);
+    ops.push(
+      `/${alpha(edge.opacity)} gs ${mixColors(...edge.colors)} RG ${fmt(edge.width)} w [${edge.dash.map(fmt).join(' ')}] 0 d ` +
+      `${fmt(edge.x0)} ${fmt(edge.y0)} m ${fmt(c1x)} ${fmt(c1y)} ${fmt(c2x)} ${fmt(c2y)} ${fmt(edge.x1)} ${fmt(edge.y1)} c S`
+    );
+  });
+  ops.push('[] 0 d');
+
+  layout.glows.forEach(glow => {
+    for (let i = GLOW_RINGS; i >= 1; i--) {
+      ops.push(`/${alpha(glow.opacity / GLOW_RINGS)} gs ${rgb(glow.color)} rg ${circlePath(glow.x, glow.y, (glow.r * i) / GLOW_RINGS)} f`);
+    }
+  });
+
+  layout.nodes.forEach(node => {
+    const fillOpacity = node.flat ? node.opacity : node.opacity * (217 / 255); // gradient average
+    ops.push(`/${alpha(fillOpacity)} gs ${rgb(node.color)} rg ${circlePath(node.x, node.y, node.r)} f`);
+    ops.push(`/${alpha(node.opacity)} gs ${rgb(node.color)} RG 1 w ${circlePath(node.x, node.y, node.r)} S`);
+  });
+
+  if (layout.labels.length > 0) {
+    // Background-coloured outlines first (text render mode 1), then the fills on top
+    ops.push(`/${alpha(1)} gs ${rgb(layout.background)} RG`);
+    layout.labels.forEach(label => {
+      ops.push(`${fmt(label.halo)} w`);
+      text(label.x, label.y, label.size, label.text, { anchor: 'middle', mode: 1 });
+    });
+    ops.push(`${rgb(layout.textColor)} rg`);
+    layout.labels.forEach(label => text(label.x, label.y, label.size, label.text, { anchor: 'middle' }));
+  }
+
+  if (layout.legend) {
+    const { x, y, width, height, rows, columnWidth, items, background, color } = layout.legend;
+    ops.push(`/${alpha(0.85)} gs ${rgb(background)} rg ${fmt(x)} ${fmt(y)} ${fmt(width)} ${fmt(height)} re f`);
+    ops.push(`/${alpha(0.2)} gs ${rgb(color)} RG 0.5 w ${fmt(x)} ${fmt(y)} ${fmt(width)} ${fmt(height)} re S`);
+    ops.push(`/${alpha(1)} gs`);
+    items.forEach((item, i) => {
+      const ix = x + 10 + Math.floor(i / rows) * columnWidth;
+      const iy = y + 10 + (i % rows) * 16 + 8;
+      ops.push(`${rgb(item.color)} rg ${circlePath(ix + 4, iy, 4)} f`);
+      ops.push(`${rgb(color)} rg`);
+      text(ix + 14, iy + 3.5, 10, item.label);
+    });
+  }
+
+  if (layout.title) {
+    const { x, y, title, subtitle, colors } = layout.title;
+    ops.push(`/${alpha(1)} gs ${rgb(colors[1])} rg`);
+    text(x, y + 24, 26, title, { bold: true });
+    if (subtitle) {
+      ops.push(`/${alpha(0.7)} gs ${rgb(layout.title.color)} rg`);
+      text(x, y + 42, 9, subtitle.toUpperCase());
+    }
+  }
+
+  return ops;
+};
+
+/**
+ * Write the layout as a PDF poster of `columns` x `rows` pages. The layout is scaled
+ * to fill the printable area; each page carries corner marks for trimming and its
+ * position in the grid for assembly.
+ * @param {import('./vectorExport').VectorLayout} layout
+ * @param {Object} [options]
+ * @param {string} [options.paper='a4'] - Key of PAPER_SIZES
+ * @param {number} [options.columns=1]
+ * @param {number} [options.rows=1]
+ * @param {'auto'|'portrait'|'landscape'} [options.orientation='auto'] - 'auto' follows the layout's aspect ratio
+ * @returns {string} PDF file content (ASCII only)
+ */
+export const renderPosterPDF = (layout, { paper = 'a4', columns = 1, rows = 1, orientation = 'auto' } = {}) => {
+  const size = PAPER_SIZES[paper] || PAPER_SIZES.a4;
+  const posterLandscape = layout.width * rows > layout.height * columns;
+  const landscape = orientation === 'auto' ? posterLandscape : orientation === 'landscape';
+  const pageWidth = landscape ? size.height : size.width;
+  const pageHeight = landscape ? size.width : size.height;
+
+  const tileWidth = pageWidth - PAGE_MARGIN * 2;
+  const tileHeight = pageHeight - PAGE_MARGIN * 2;
+  const scale = Math.min((tileWidth * columns) / layout.width, (tileHeight * rows) / layout.height);
+  // Centre the poster on the page grid
+  const shiftX = (tileWidth * columns - layout.width * scale) / 2;
+  const shiftY = (tileHeight * rows - layout.height * scale) / 2;
+
+  const alphas = new Map();
+  const alpha = (value) => {
+    const key = fmt(Math.max(0, Math.min(1, value)));
+    if (!alphas.has(key)) alphas.set(key, `A${alphas.size}`);
+    return alphas.get(key);
+  };
+  const drawing = drawLayout(layout, alpha).join('\n');
+
+  const pages = [];
+  for (let row = 0; row < rows; row++) {
+    for (let column = 0; column < columns; column++) {
+      const m = PAGE_MARGIN;
+      const left = m, bottom = m, right = pageWidth - m, top = pageHeight - m;
+      const marks = [
+        [left, top, -1, 1], [right, top, 1, 1], [left, bottom, -1, -1], [right, bottom, 1, -1],
+      ].map(([x, y, dx, dy]) => (
+        `${fmt(x + dx * 2)} ${fmt(y)} m ${fmt(x + dx * (2 + MARK_LENGTH))} ${fmt(y)} l ` +
+        `${fmt(x)} ${fmt(y + dy * 2)} m ${fmt(x)} ${fmt(y + dy * (2 + MARK_LENGTH))} l S`
+      ));
+      const pageLabel = `${String.fromCharCode(65 + row)}${column + 1}`;
+      pages.push([
+        'q',
+        `${fmt(left)} ${fmt(bottom)} ${fmt(tileWidth)} ${fmt(tileHeight)} re W n`,
+        // Layout y runs downwards: flip it and move this page's tile into the printable area
+        `${fmt(scale)} 0 0 ${fmt(-scale)} ${fmt(left + shiftX - column * tileWidth)} ${fmt(top - shiftY + row * tileHeight)} cm`,
+        drawing,
+        'Q',
+        '0.6 0.6 0.6 RG 0.5 w',
+        ...marks,
+        `BT /F1 7 Tf 0.5 0.5 0.5 rg ${fmt(left)} ${fmt(m / 2)} Td ${pdfString(
+          `Page ${pageLabel} - row ${row + 1} of ${rows}, column ${column + 1} of ${columns}`
+        )} Tj ET`,
+      ].join('\n'));
+    }
+  }
+
+  // Objects: 1 catalog, 2 page tree, 3-4 fonts, 5 graphics states, then a page and its content per tile
+  const objects = [];
+  const pageIds = pages.map((_, i) => 6 + i * 2);
+  objects[1] = '<< /Type /Catalog /Pages 2 0 R >>';
+  objects[2] = `<< /Type /Pages /Kids [${pageIds.map(id => `${id} 0 R`).join(' ')}] /Count ${pages.length} >>`;
+  objects[3] = '<< /Type /Font /Subtype /Type1 /BaseFont /Helvetica /Encoding /WinAnsiEncoding >>';
+  objects[4] = '<< /Type /Font /Subtype /Type1 /BaseFont /Helvetica-Bold /Encoding /WinAnsiEncoding >>';
+  objects[5] = `<< ${[...alphas].map(([value, name]) => `/${name} << /Type /ExtGState /CA ${value} /ca ${value} >>`).join(' ')} >>`;
+  pages.forEach((content, i) => {
+    const id = pageIds[i];
+    objects[id] = `<< /Type /Page /Parent 2 0 R /MediaBox [0 0 ${fmt(pageWidth)} ${fmt(pageHeight)}] ` +
+      `/Resources << /Font << /F1 3 0 R /F2 4 0 R >> /ExtGState 5 0 R >> /Contents ${id + 1} 0 R >>`;
+    objects[id + 1] = `<< /Length ${content.length} >>\nstream\n${content}\nendstream`;
+  });
+
+  let pdf = '%PDF-1.4\n';
+  const offsets = [];
+  for (let id = 1; id < objects.length; id++) {
+    offsets[id] = pdf.length;
+    pdf += `${id} 0 obj\n${objects[id]}\nendobj\n`;
+  }
+  const xref = pdf.length;
+  pdf += `xref\n0 ${objects.length}\n0000000000 65535 f \n`;
+  for (let id = 1; id < objects.length; id++) {
+    pdf += `${String(offsets[id]).padStart(10, '0')} 00000 n \n`;
+  }
+  pdf += `trailer\n<< /Size ${objects.length} /Root 1 0 R >>\nstartxref\n${xref}\n%%EOF\n`;
+  return pdf;
+};
@@ -0,0 +1,292 @@
+/**
+ * Quadtree spatial index
+ * Adaptive point index for picking, viewport culling and Barnes–Hut force
+ * approximation. Unlike SpatialHash it needs no cell size tuned to the data:
+ * dense areas split deeper, sparse ones stay shallow, and the bounds grow as
+ * points are inserted outside them.
+ */
+
+// Points per leaf before it splits
+const LEAF_CAPACITY = 8;
+
+// Coincident points cannot be separated by splitting; stop here and keep them in one leaf
+const MAX_DEPTH = 24;
+
+/**
+ * @typedef {Object} QuadtreeCell
+ * @property {number} x0 - Left edge (inclusive)
+ * @property {number} y0 - Top edge (inclusive)
+ * @property {number} x1 - Right edge (exclusive)
+ * @property {number} y1 - Bottom edge (exclusive)
+ * @property {Array<{x: number, y: number}>} items - Points of a leaf; empty for inner cells
+ * @property {QuadtreeCell[]|null} children - NW, NE, SW, SE, or null for a leaf
+ * @property {number} mass - Point count below this cell (after accumulate())
+ * @property {number} cx - Centre of mass x (after accumulate())
+ * @property {number} cy - Centre of mass y (after accumulate())
+ */
+
+const createCell = (x0, y0, x1, y1) => ({ x0, y0, x1, y1, items: [], children: null, mass: 0, cx: 0, cy: 0 });
+
+const isFinitePoint = (item) => Number.isFinite(item?.x) && Number.isFinite(item?.y);
+
+const contains = (cell, x, y) => x >= cell.x0 && x < cell.x1 && y >= cell.y0 && y < cell.y1;
+
+const childIndex = (cell, x, y) => {
+  const midX = (cell.x0 + cell.x1) / 2;
+  const midY = (cell.y0 + cell.y1) / 2;
+  return (x >= midX ? 1 : 0) + (y >= midY ? 2 : 0);
+};
+
+const split = (cell) => {
+  const midX = (cell.x0 + cell.x1) / 2;
+  const midY = (cell.y0 + cell.y1) / 2;
+  cell.children = [
+    createCell(cell.x0, cell.y0, midX, midY),
+    createCell(midX, cell.y0, cell.x1, midY),
+    createCell(cell.x0, midY, midX, cell.y1),
+    createCell(midX, midY, cell.x1, cell.y1),
+  ];
+  const items = cell.items;
+  cell.items = [];
+  items.forEach(item => cell.children[childIndex(cell, item.x, item.y)].items.push(item));
+};
+
+const insertInto = (cell, item, depth) => {
+  while (cell.children) {
+    cell = cell.children[childIndex(cell, item.x, item.y)];
+    depth++;
+  }
+  cell.items.push(item);
+  if (cell.items.length > LEAF_CAPACITY && depth < MAX_DEPTH) {
+    split(cell);
+  }
+};
+
+/**
+ * Squared distance from a point to the nearest point of a cell (0 inside it)
+ * @param {QuadtreeCell} cell
+ * @param {number} x
+ * @param {number} y
+ * @returns {number}
+ */
+export const cellDistanceSq = (cell, x, y) => {
+  const dx = x < cell.x0 ? cell.x0 - x : (x > cell.x1 ? x - cell.x1 : 0);
+  const dy = y < cell.y0 ? cell.y0 - y : (y > cell.y1 ? y - cell.y1 : 0);
+  return dx * dx + dy * dy;
+};
+
+export class Quadtree {
+  constructor() {
+    /** @type {QuadtreeCell|null} */
+    this.root = null;
+    this.size = 0;
+  }
+
+  clear() {
+    this.root = null;
+    this.size = 0;
+  }
+
+  /**
+   * Replace the contents with `items`, sizing the root to fit them
+   * @param {Array<{x: number, y: number}>} items
+   * @returns {Quadtree} this
+   */
+  build(items) {
+    this.clear();
+    let minX = Infinity;
+    let minY = Infinity;
+    let maxX = -Infinity;
+    let maxY = -Infinity;
+    items.forEach(item => {
+      if (!isFinitePoint(item)) return;
+      if (item.x < minX) minX = item.x;
+      if (item.y < minY) minY = item.y;
+      if (item.x > maxX) maxX = item.x;
+      if (item.y > maxY) maxY = item.y;
+    });
+    if (minX === Infinity) return this;
+
+    // Square cells keep the Barnes–Hut size test meaningful; +1 so the max edge is inside
+    const side = Math.max(maxX - minX, maxY - minY) + 1;
+    this.root = createCell(minX, minY, minX + side, minY + side);
+    items.forEach(item => this.insert(item));
+    return this;
+  }
+
+  /**
+   * Add a point, growing the bounds if it lies outside them
+   * @param {{x: number, y: number}} item
+   * @returns {boolean} False for points without finite coordinates
+   */
+  insert(item) {
+    if (!isFinitePoint(item)) return false;
+    if (!this.root) {
+      this.root = createCell(item.x, item.y, item.x + 1, item.y + 1);
+    }
+    while (!contains(this.root, item.x, item.y)) {
+      this.grow(item.x, item.y);
+    }
+    insertInto(this.root, item, 0);
+    this.size++;
+    return true;
+  }
+
+  /**
+   * Double the root towards (x, y); the old root becomes one of the new quadrants
+   */
+  grow(x, y) {
+    const old = this.root;
+    const side = old.x1 - old.x0;
+    const west = x < old.x0;
+    const north = y < old.y0;
+    const x0 = west ? old.x0 - side : old.x0;
+    const y0 = north ? old.y0 - side : old.y0;
+    const root = createCell(x0, y0, x0 + side * 2, y0 + side * 2);
+    split(root);
+    root.children[(west ? 1 : 0) + (north ? 2 : 0)] = old;
+    this.root = root;
+  }
+
+  /**
+   * Remove a point that is still at the position it was inserted at
+   * @param {{x: number, y: number}} item
+   * @returns {boolean} Whether it was found
+   */
+  remove(item) {
+    if (!this.root || !isFinitePoint(item) || !contains(this.root, item.x, item.y)) return false;
+    let cell = this.root;
+    while (cell.children) {
+      cell = cell.children[childIndex(cell, item.x, item.y)];
+    }
+    const index = cell.items.indexOf(item);
+    if (index === -1) return false;
+    cell.items.splice(index, 1);
+    this.size--;
+    return true;
+  }
+
+  /**
+   * Walk the cells depth first. Return true from the callback to skip a cell's children.
+   * @param {function(QuadtreeCell): boolean|void} callback
+   */
+  visit(callback) {
+    if (!this.root) return;
+    const stack = [this.root];
+    while (stack.length) {
+      const cell = stack.pop();
+      if (callback(cell) || !cell.children) continue;
+      for (let i = 3; i >= 0; i--) stack.push(cell.children[i]);
+    }
+  }
+
+  /**
+   * Points inside a rectangle (edges inclusive)
+   * @returns {Array<{x: number, y: number}>}
+   */
+  queryRect(minX, minY, maxX, maxY) {
+    const results = [];
+    this.visit(cell => {
+      if (cell.x0 > maxX || cell.x1 < minX || cell.y0 > maxY || cell.y1 < minY) return true;
+      cell.items.forEach(item => {
+        if (item.x >= minX && item.x <= maxX && item.y >= minY && item.y <= maxY) results.push(item);
+      });
+      return false;
+    });
+    return results;
+  }
+
+  /**
+   * Points within `radius` of (x, y)
+   * @returns {Array<{x: number, y: number}>}
+   */
+  queryRadius(x, y, radius) {
+    const radiusSq = radius * radius;
+    const results = [];
+    this.visit(cell => {
+      if (cellDistanceSq(cell, x, y) > radiusSq) return true;
+      cell.items.forEach(item => {
+        const dx = item.x - x;
+        const dy = item.y - y;
+        if (dx * dx + dy * dy <= radiusSq) results.push(item);
+      });
+      return false;
+    });
+    return results;
+  }
+
+  /**
+   * The k points closest to (x, y), nearest first
+   * @param {number} x
+   * @param {number} y
+   * @param {Object} [options]
+   * @param {number} [options.k] - How many points to return
+   * @param {number} [options.maxDistance] - Ignore points further away than this
+   * @param {function(Object): boolean} [options.filter] - Only consider points passing this test
+   * @returns {Array<{x: number, y: number}>}
+   */
+  nearest(x, y, { k = 1, maxDistance = Infinity, filter = null } = {}) {
+    if (!this.root || k <= 0) return [];
+    const best = []; // { item, distanceSq }, sorted ascending
+    let limitSq = maxDistance * maxDistance;
+
+    const search = (cell) => {
+      if (cellDistanceSq(cell, x, y) > limitSq) return;
+      if (cell.children) {
+        // Quadrant holding the point first, its neighbours next, the diagonal last,
+        // so the limit shrinks early
+        const first = childIndex(cell, x, y);
+        search(cell.children[first]);
+        search(cell.children[first ^ 1]);
+        search(cell.children[first ^ 2]);
+        search(cell.children[first ^ 3]);
+        return;
+      }
+      cell.items.forEach(item => {
+        const dx = item.x - x;
+        const dy = item.y - y;
+        const distanceSq = dx * dx + dy * dy;
+        if (distanceSq > limitSq || (filter && !filter(item))) return;
+        let at = best.length;
+        while (at > 0 && best[at - 1].distanceSq > distanceSq) at--;
+        best.splice(at, 0, { item, distanceSq });
+        if (best.length > k) best.pop();
+        if (best.length === k) limitSq = best[k - 1].distanceSq;
+      });
+    };
+
+    search(this.root);
+    return best.map(entry => entry.item);
+  }
+
+  /**
+   * Store the point count and centre of mass of every cell, for Barnes–Hut approximation
+   * @returns {Quadtree} this
+   */
+  accumulate() {
+    const total = (cell) => {
+      let mass = 0;
+      let sx = 0;
+      let sy = 0;
+      if (cell.children) {
+        cell.children.forEach(child => {
+          total(child);
+          mass += child.mass;
+          sx += child.cx * child.mass;
+          sy += child.cy * child.mass;
+        });
+      } else {
+        cell.items.forEach(item => {
+          mass++;
+          sx += item.x;
+          sy += item.y;
+        });
+      }
+      cell.mass = mass;
+      cell.cx = mass ? sx / mass : 0;
+      cell.cy = mass ? sy / mass : 0;
+    };
+    if (this.root) total(this.root);
+    return this;
+  }
+}
@@ -0,0 +1,36 @@
+/**
+ * Seeded pseudo-random numbers
+ * Small, fast generators for anything that has to come out the same on every
+ * machine for the same seed, such as layout starting positions. Not for security.
+ */
+
+/**
+ * Turn any seed into a 32-bit integer (FNV-1a over its string form)
+ * @param {string|number} value
+ * @returns {number}
+ */
+export const hashSeed = (value) => {
+  const text = String(value);
+  let hash = 0x811c9dc5;
+  for (let i = 0; i < text.length; i++) {
+    hash ^= text.charCodeAt(i);
+    hash = Math.imul(hash, 0x01000193);
+  }
+  return hash >>> 0;
+};
+
+/**
+ * Mulberry32 generator
+ * @param {string|number} seed - Numbers are used as they are, strings are hashed
+ * @returns {() => number} Returns values in [0, 1)
+ */
+export const createRandom = (seed) => {
+  let state = (typeof seed === 'number' ? seed : hashSeed(seed)) >>> 0;
+  return () => {
+    state = (state + 0x6d2b79f5) >>> 0;
+    let t = state;
+    t = Math.imul(t ^ (t >>> 15), t | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+};
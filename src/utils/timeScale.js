@@ -0,0 +1,143 @@
+/**
+ * Time scale helpers
+ * The dataset spans millions of years, so year values are mapped onto a
+ * log axis of "years before the end of the range" to keep recent history readable.
+ */
+
+/**
+ * Check whether a node carries a usable year
+ * @param {Object} node
+ * @returns {boolean}
+ */
+export const isDated = (node) => typeof node?.year === 'number' && Number.isFinite(node.year);
+
+/**
+ * Check whether a node exists at the given point in history.
+ * Undated nodes are treated as always present.
+ * @param {Object} node
+ * @param {number} year
+ * @returns {boolean}
+ */
+export const existsInYear = (node, year) => !isDated(node) || node.year <= year;
+
+/**
+ * Get the earliest and latest year across dated nodes
+ * @param {Array} nodes
+ * @returns {{min: number, max: number}}
+ */
+export const getYearBounds = (nodes) => {
+  let min = Infinity;
+  let max = -Infinity;
+
+  nodes.forEach(node => {
+    if (!isDated(node)) return;
+    min = Math.min(min, node.year);
+    max = Math.max(max, node.year);
+  });
+
+  if (!isFinite(min)) return { min: 0, max: 0 };
+  return { min, max };
+};
+
+/**
+ * Create a log scale mapping years in [minYear, maxYear] to [0, 1]
+ * @param {number} minYear
+ * @param {number} maxYear
+ * @returns {{toUnit: (year: number) => number, fromUnit: (t: number) => number}}
+ */
+export const createLogYearScale = (minYear, maxYear) => {
+  const span = Math.log(Math.max(maxYear - minYear, 0) + 1) || 1;
+
+  return {
+    toUnit: (year) => {
+      const clamped = Math.max(minYear, Math.min(maxYear, year));
+      return 1 - Math.log(maxYear - clamped + 1) / span;
+    },
+    fromUnit: (t) => {
+      const clamped = Math.max(0, Math.min(1, t));
+      return maxYear + 1 - Math.exp((1 - clamped) * span);
+    }
+  };
+};
+
+/**
+ * Format a year for display (BCE/CE)
+ * @param {number} year
+ * @returns {string}
+ */
+export const formatYear = (year) => {
+  const rounded = Math.round(year);
+  if (rounded < 0) return `${Math.abs(rounded).toLocaleString()} BCE`;
+  return `${rounded} CE`;
+};
+
+// Tick granularities from coarse to fine (years)
+const TICK_STEPS = [1000000, 100000, 10000, 1000, 100, 10, 1];
+
+/**
+ * Format a ruler tick label for the granularity it was generated at
+ * @param {number} year
+ * @param {number} step - Tick granularity in years
+ * @returns {string}
+ */
+export const formatTickLabel = (year, step) => {
+  const era = year < 0 ? 'BCE' : 'CE';
+  const absYear = Math.abs(year);
+
+  if (absYear >= 1000000) return `${absYear / 1000000}M ${era}`;
+  if (absYear >= 10000) return `${absYear / 1000}k ${era}`;
+  if (step === 10 && year > 0) return `${year}s`;
+  return formatYear(year);
+};
+
+/**
+ * Generate ruler ticks for a (log) year axis.
+ * Coarse ticks (millions of years, millennia) are placed first, then finer ones
+ * (centuries, decades, years) wherever the zoom leaves enough room for a label.
+ *
+ * @param {Object} options
+ * @param {(year: number) => number} options.yearToPixel - Screen position of a year
+ * @param {number} options.fromYear - First visible year
+ * @param {number} options.toYear - Last visible year
+ * @param {number} [options.minGap=80] - Minimum pixels between tick labels
+ * @returns {Array<{year: number, step: number, label: string, x: number}>} Sorted by year
+ */
+export const generateYearTicks = ({ yearToPixel, fromYear, toYear, minGap = 80 }) => {
+  const ticks = [];
+  if (!(toYear > fromYear)) return ticks;
+
+  const fits = (x) => {
+    // ticks stays sorted by x, so only the neighbours need checking
+    let lo = 0;
+    let hi = ticks.length;
+    while (lo < hi) {
+      const mid = (lo + hi) >> 1;
+      if (ticks[mid].x < x) lo = mid + 1; else hi = mid;
+    }
+    const before = ticks[lo - 1];
+    const after = ticks[lo];
+    return (!before || x - before.x >= minGap) && (!after || after.x - x >= minGap);
+  };
+
+  TICK_STEPS.forEach(step => {
+    // Skip the part of the range where this granularity is too dense to label:
+    // walk backwards from the end and stop once consecutive ticks crowd together
+    let year = Math.floor(toYear / step) * step;
+    let checked = 0;
+    while (year >= fromYear && checked < 2000) {
+      const x = yearToPixel(year);
+      const prevX = yearToPixel(year - step);
+      if (x - prevX < minGap / 2) break;
+
+      if (!ticks.some(t => t.year === year) && fits(x)) {
+        const tick = { year, step, label: formatTickLabel(year, step), x };
+        const index = ticks.findIndex(t => t.x > x);
+        ticks.splice(index === -1 ? ticks.length : index, 0, tick);
+      }
+      year -= step;
+      checked++;
+    }
+  });
+
+  return ticks;
+};
@@ -0,0 +1,93 @@
+/**
+ * View state <-> URL query string
+ * Keeps the short `x`/`y`/`z`/`node` parameters of the original share links, so old links
+ * still open where they pointed. Values at their defaults are left out of the URL.
+ */
+
+import { LAYOUT_STARTS, DEFAULT_LAYOUT_SEED } from '../layout/layouts.js';
+
+export const URL_STATE_DEFAULTS = {
+  camera: { x: 0, y: 0 },
+  zoom: 1,
+  nodeId: null,
+  hiddenClusters: [],
+  search: '',
+  theme: 'default',
+  layout: 'theme',
+  year: 2025,
+  path: null,
+  lineage: null,
+  start: 'stored',
+  seed: DEFAULT_LAYOUT_SEED,
+};
+
+const LINEAGE_DIRECTIONS = ['ancestors', 'descendants'];
+
+// Node ids are slugs, so `~` never appears inside one
+const LIST_SEPARATOR = '~';
+
+const parseNumber = (value, fallback) => {
+  if (value === null || value.trim() === '') return fallback;
+  const number = Number(value);
+  return Number.isFinite(number) ? number : fallback;
+};
+
+const parseList = (value) => (value ? value.split(LIST_SEPARATOR).filter(Boolean) : []);
+
+/**
+ * Serialise view state into query parameters
+ * @param {Object} state - Any subset of URL_STATE_DEFAULTS' fields
+ * @returns {URLSearchParams}
+ */
+export const serializeViewState = (state) => {
+  const s = { ...URL_STATE_DEFAULTS, ...state };
+  const params = new URLSearchParams();
+
+  params.set('x', Math.round(s.camera.x));
+  params.set('y', Math.round(s.camera.y));
+  params.set('z', s.zoom.toFixed(2));
+  if (s.nodeId) params.set('node', s.nodeId);
+  if (s.lineage && s.nodeId && LINEAGE_DIRECTIONS.includes(s.lineage)) params.set('trace', s.lineage);
+  if (s.hiddenClusters.length > 0) params.set('hide', [...s.hiddenClusters].sort().join(LIST_SEPARATOR));
+  if (s.search) params.set('q', s.search);
+  if (s.theme !== URL_STATE_DEFAULTS.theme) params.set('theme', s.theme);
+  if (s.layout !== URL_STATE_DEFAULTS.layout) params.set('layout', s.layout);
+  if (s.year !== URL_STATE_DEFAULTS.year) params.set('year', Math.round(s.year));
+  if (s.path?.length > 1) params.set('path', s.path.join(LIST_SEPARATOR));
+  if (s.start !== URL_STATE_DEFAULTS.start) params.set('start', s.start);
+  // The seed only shapes a seeded start
+  if (s.start === 'seeded' && s.seed !== URL_STATE_DEFAULTS.seed) params.set('seed', s.seed);
+
+  return params;
+};
+
+/**
+ * Parse query parameters back into view state; missing or malformed values fall back to defaults
+ * @param {string|URLSearchParams} search - e.g. `window.location.search`
+ * @returns {Object} Full view state
+ */
+export const parseViewState = (search) => {
+  const params = typeof search === 'string' ? new URLSearchParams(search) : search;
+  const nodeId = params.get('node') || null;
+  const trace = params.get('trace');
+  const path = parseList(params.get('path'));
+  const start = params.get('start');
+
+  return {
+    camera: {
+      x: parseNumber(params.get('x'), 0),
+      y: parseNumber(params.get('y'), 0),
+    },
+    zoom: parseNumber(params.get('z'), 0) || URL_STATE_DEFAULTS.zoom,
+    nodeId,
+    hiddenClusters: parseList(params.get('hide')),
+    search: params.get('q') || '',
+    theme: params.get('theme') || URL_STATE_DEFAULTS.theme,
+    layout: params.get('layout') || URL_STATE_DEFAULTS.layout,
+    year: parseNumber(params.get('year'), URL_STATE_DEFAULTS.year),
+    path: path.length > 1 ? path : null,
+    lineage: nodeId && LINEAGE_DIRECTIONS.includes(trace) ? trace : null,
+    start: Object.hasOwn(LAYOUT_STARTS, start) ? start : URL_STATE_DEFAULTS.start,
+    seed: parseNumber(params.get('seed'), URL_STATE_DEFAULTS.seed),
+  };
+};
@@ -0,0 +1,320 @@
+/**
+ * Vector export
+ * Lay out a scene captured from the canvas (CanvasNetwork's captureScene) as drawing
+ * primitives in output coordinates, and write them as SVG. The PDF poster writer
+ * (pdfExport) draws the same layout, so both formats frame the graph identically.
+ */
+
+import { getLODSettings } from './viewportCulling';
+import { EDGE_DASHES, getTheme, edgeColors, isFlatNodeTheme, edgeControlPoint } from './graphStyle';
+
+export const VECTOR_REGIONS = {
+  viewport: 'Current view',
+  graph: 'Whole graph',
+};
+
+export const DEFAULT_TITLE = 'Neuro-Chain';
+export const DEFAULT_SUBTITLE = 'Innovation Network';
+
+// Colours of the app's title gradient
+export const TITLE_COLORS = ['#0ea5e9', '#3b82f6', '#6366f1'];
+
+// Whole-graph framing, in world units
+const GRAPH_PADDING = 60;
+const TITLE_HEIGHT = 70;
+
+// Label placement, size and background halo, in world units (matching the canvas)
+const LABEL_OFFSET = 14;
+const LABEL_SIZE = 9;
+const LABEL_HALO = 3;
+
+const GLOW_FACTOR = 2.5;
+const GLOW_ALPHA = 0x25 / 255;
+
+const LEGEND_ROW = 16;
+const LEGEND_PADDING = 10;
+const LEGEND_MAX_ROWS = 14;
+const LEGEND_CHAR_WIDTH = 6;
+
+/**
+ * Escape text for XML content and attribute values
+ * @param {*} value
+ * @returns {string}
+ */
+export const escapeXml = (value) => String(value)
+  .replace(/&/g, '&amp;')
+  .replace(/</g, '&lt;')
+  .replace(/>/g, '&gt;')
+  .replace(/"/g, '&quot;')
+  .replace(/'/g, '&apos;');
+
+const round = (value) => Math.round(value * 100) / 100;
+
+const layoutLegend = (scene, theme) => {
+  const used = new Set(scene.nodes.map(n => n.cluster));
+  const items = Object.entries(scene.clusters)
+    .filter(([key]) => used.has(key))
+    .map(([, cluster]) => ({ color: cluster.color, label: cluster.label }));
+  if (items.length === 0) return null;
+
+  const columns = Math.ceil(items.length / LEGEND_MAX_ROWS);
+  const rows = Math.min(items.length, LEGEND_MAX_ROWS);
+  const columnWidth = 24 + Math.max(...items.map(item => item.label.length)) * LEGEND_CHAR_WIDTH;
+  return {
+    items,
+    rows,
+    columnWidth,
+    width: columns * columnWidth + LEGEND_PADDING * 2,
+    height: rows * LEGEND_ROW + LEGEND_PADDING * 2,
+    background: theme.background,
+    color: theme.text,
+  };
+};
+
+/**
+ * @typedef {Object} VectorLayout
+ * @property {number} width
+ * @property {number} height
+ * @property {string} background
+ * @property {string} font - CSS font family list
+ * @property {string} textColor
+ * @property {Array} edges - {x0, y0, cx, cy, x1, y1, colors, opacity, width, dash}
+ * @property {Array} glows - {x, y, r, color, opacity}
+ * @property {Array} nodes - {x, y, r, color, opacity, flat}
+ * @property {Array} labels - {x, y, text, size, halo}
+ * @property {Object|null} legend
+ * @property {Object|null} title
+ */
+
+/**
+ * Place the scene's edges, nodes, labels, legend and title block in output coordinates,
+ * following the canvas's drawing rules.
+ * 'viewport' reproduces the visible canvas at its size, zoom and level of detail;
+ * 'graph' frames every node at zoom 1 with the title above and the legend below.
+ * @param {Object} scene - Result of CanvasNetwork's captureScene
+ * @param {Object} [options]
+ * @param {'viewport'|'graph'} [options.region='viewport']
+ * @param {string|null} [options.title] - Title block heading; no title block when empty
+ * @param {string} [options.subtitle]
+ * @param {boolean} [options.legend=true]
+ * @returns {VectorLayout}
+ */
+export const buildVectorLayout = (scene, { region = 'viewport', title = null, subtitle = DEFAULT_SUBTITLE, legend = true } = {}) => {
+  const theme = getTheme(scene.theme);
+  const isViewport = region === 'viewport';
+  const legendBox = legend ? layoutLegend(scene, theme) : null;
+
+  let scale, offsetX, offsetY, width, height;
+  if (isViewport) {
+    scale = scene.zoom;
+    width = scene.width;
+    height = scene.height;
+    offsetX = width / 2 + scene.camera.x;
+    offsetY = height / 2 + scene.camera.y;
+  } else {
+    let minX = Infinity, minY = Infinity, maxX = -Infinity, maxY = -Infinity;
+    scene.nodes.forEach(node => {
+      const reach = node.size * GLOW_FACTOR;
+      minX = Math.min(minX, node.x - reach);
+      maxX = Math.max(maxX, node.x + reach);
+      minY = Math.min(minY, node.y - reach);
+      maxY = Math.max(maxY, node.y + Math.max(reach, node.size + LABEL_OFFSET + 4));
+    });
+    if (!Number.isFinite(minX)) {
+      minX = minY = 0;
+      maxX = maxY = 0;
+    }
+    const header = title ? TITLE_HEIGHT : 0;
+    const footer = legendBox ? legendBox.height + GRAPH_PADDING / 2 : 0;
+    scale = 1;
+    width = Math.max(maxX - minX, legendBox?.width || 0) + GRAPH_PADDING * 2;
+    height = maxY - minY + GRAPH_PADDING * 2 + header + footer;
+    offsetX = GRAPH_PADDING - minX;
+    offsetY = GRAPH_PADDING + header - minY;
+  }
+
+  const toX = (x) => round(x * scale + offsetX);
+  const toY = (y) => round(y * scale + offsetY);
+  const inView = (xs, ys, margin) => !isViewport || (
+    Math.max(...xs) >= -margin && Math.min(...xs) <= width + margin &&
+    Math.max(...ys) >= -margin && Math.min(...ys) <= height + margin
+  );
+
+  // Level of detail: the viewport keeps the canvas's edge culling, the whole graph draws everything
+  const lod = getLODSettings(isViewport ? scene.zoom : 1);
+  const nodeById = new Map(scene.nodes.map(n => [n.id, n]));
+  let sceneEdges = [];
+  if (!isViewport) {
+    sceneEdges = scene.edges;
+  } else if (lod.renderEdges) {
+    sceneEdges = lod.maxEdges && scene.edges.length > lod.maxEdges ? scene.edges.slice(0, lod.maxEdges) : scene.edges;
+    if (scene.zoom < 0.8) sceneEdges = sceneEdges.filter(e => e.type !== 'backlink' && e.type !== 'accelerates');
+  }
+
+  const edges = [];
+  sceneEdges.forEach(edge => {
+    const source = nodeById.get(edge.source);
+    const target = nodeById.get(edge.target);
+    if (!source || !target) return;
+    const control = edgeControlPoint(source, target, source.x, scene.time || 0);
+    const xs = [source.x, control.x, target.x].map(toX);
+    const ys = [source.y, control.y, target.y].map(toY);
+    if (!inView(xs, ys, 0)) return;
+    edges.push({
+      x0: xs[0], y0: ys[0], cx: xs[1], cy: ys[1], x1: xs[2], y1: ys[2],
+      colors: edgeColors(source, target, scene.clusters, scene.theme),
+      opacity: edge.opacity ?? 0.4,
+      width: round((edge.type === 'backlink' ? 1.5 : 1) * lod.edgeWidth * scale),
+      dash: (EDGE_DASHES[edge.type] || EDGE_DASHES.forward).map(d => round(d * scale)),
+    });
+  });
+
+  const glows = [];
+  const nodes = [];
+  const labels = [];
+  const glowOn = scene.renderGlow && theme.glow;
+  const flat = isFlatNodeTheme(scene.theme);
+  scene.nodes.forEach(node => {
+    const x = toX(node.x);
+    const y = toY(node.y);
+    const r = round(node.size * scale);
+    const opacity = node.opacity ?? 1;
+    if (!inView([x], [y], r * GLOW_FACTOR + LABEL_OFFSET * scale)) return;
+
+    if (glowOn && opacity > 0.5) glows.push({ x, y, r: round(r * GLOW_FACTOR), color: node.color, opacity: GLOW_ALPHA });
+    nodes.push({ x, y, r, color: node.color, opacity, flat });
+
+    const showLabel = scene.highlightActive ? opacity === 1 : scene.renderLabels;
+    if (showLabel && node.label) {
+      labels.push({
+        x,
+        y: round(y + r + LABEL_OFFSET * scale),
+        text: node.label,
+        size: round(LABEL_SIZE * scale),
+        halo: round(LABEL_HALO * scale),
+      });
+    }
+  });
+
+  const margin = isViewport ? 16 : GRAPH_PADDING;
+  return {
+    width: round(width),
+    height: round(height),
+    background: theme.background,
+    font: `${theme.font}, monospace`,
+    textColor: theme.text,
+    edges,
+    glows,
+    nodes,
+    labels,
+    legend: legendBox && { ...legendBox, x: margin, y: round(height - margin - legendBox.height) },
+    title: title ? { x: margin, y: margin, title, subtitle, colors: TITLE_COLORS, color: theme.text } : null,
+  };
+};
+
+/**
+ * Write a vector layout as a standalone SVG document
+ * @param {VectorLayout} layout
+ * @returns {string}
+ */
+export const renderSVG = (layout) => {
+  const defs = [];
+  const gradientIds = new Map();
+  const gradient = (key, markup) => {
+    if (!gradientIds.has(key)) {
+      const id = `g${gradientIds.size}`;
+      gradientIds.set(key, id);
+      defs.push(markup(id));
+    }
+    return gradientIds.get(key);
+  };
+
+  const edgeLines = layout.edges.map(edge => {
+    const [from, to] = edge.colors;
+    let stroke = from;
+    if (from !== to) {
+      // Gradients along an edge depend on its geometry, so each gets its own
+      const id = `e${defs.length}`;
+      defs.push(
+        `<linearGradient id="${id}" gradientUnits="userSpaceOnUse" x1="${edge.x0}" y1="${edge.y0}" x2="${edge.x1}" y2="${edge.y1}">` +
+        `<stop offset="0" stop-color="${from}"/><stop offset="1" stop-color="${to}"/></linearGradient>`
+      );
+      stroke = `url(#${id})`;
+    }
+    const dash = edge.dash.length ? ` stroke-dasharray="${edge.dash.join(' ')}"` : '';
+    return `<path d="M${edge.x0} ${edge.y0}Q${edge.cx} ${edge.cy} ${edge.x1} ${edge.y1}" stroke="${stroke}" stroke-opacity="${round(edge.opacity)}" stroke-width="${edge.width}"${dash}/>`;
+  });
+
+  const glowCircles = layout.glows.map(glow => {
+    const id = gradient(`glow ${glow.color}`, gid => (
+      `<radialGradient id="${gid}"><stop offset="0" stop-color="${glow.color}" stop-opacity="${round(glow.opacity)}"/>` +
+      `<stop offset="1" stop-color="${glow.color}" stop-opacity="0"/></radialGradient>`
+    ));
+    return `<circle cx="${glow.x}" cy="${glow.y}" r="${glow.r}" fill="url(#${id})"/>`;
+  });
+
+  const nodeCircles = layout.nodes.map(node => {
+    // Same light spot as the canvas: focus offset by 30% of the radius towards the top left
+    const fill = node.flat ? node.color : `url(#${gradient(`node ${node.color} ${node.opacity}`, gid => (
+      `<radialGradient id="${gid}" fx="0.35" fy="0.35"><stop offset="0" stop-color="${node.color}" stop-opacity="${round(node.opacity)}"/>` +
+      `<stop offset="1" stop-color="${node.color}" stop-opacity="${round(node.opacity * 180 / 255)}"/></radialGradient>`
+    ))})`;
+    const fillOpacity = node.flat ? ` fill-opacity="${round(node.opacity)}"` : '';
+    return `<circle cx="${node.x}" cy="${node.y}" r="${node.r}" fill="${fill}"${fillOpacity} stroke="${node.color}" stroke-opacity="${round(node.opacity)}"/>`;
+  });
+
+  const labelTexts = layout.labels.map(label => (
+    `<text x="${label.x}" y="${label.y}" font-size="${label.size}" stroke-width="${label.halo}">${escapeXml(label.text)}</text>`
+  ));
+
+  const parts = [
+    '<?xml version="1.0" encoding="UTF-8"?>',
+    `<svg xmlns="http://www.w3.org/2000/svg" width="${layout.width}" height="${layout.height}" viewBox="0 0 ${layout.width} ${layout.height}">`,
+  ];
+  if (layout.title) {
+    parts.push(`<title>${escapeXml(layout.title.title)}</title>`);
+    defs.push(
+      '<linearGradient id="title-gradient" x1="0" y1="0" x2="1" y2="1">' +
+      layout.title.colors.map((color, i) => `<stop offset="${round(i / (layout.title.colors.length - 1))}" stop-color="${color}"/>`).join('') +
+      '</linearGradient>'
+    );
+  }
+  parts.push(
+    `<defs>${defs.join('')}</defs>`,
+    `<rect width="100%" height="100%" fill="${layout.background}"/>`,
+    `<g fill="none" class="edges">${edgeLines.join('')}</g>`,
+    `<g class="glows">${glowCircles.join('')}</g>`,
+    `<g class="nodes">${nodeCircles.join('')}</g>`,
+    `<g class="labels" font-family="${escapeXml(layout.font)}" fill="${layout.textColor}" text-anchor="middle" ` +
+      `stroke="${layout.background}" stroke-linejoin="round" paint-order="stroke">${labelTexts.join('')}</g>`
+  );
+
+  if (layout.legend) {
+    const { x, y, width, height, rows, columnWidth, items, background, color } = layout.legend;
+    parts.push(
+      `<g class="legend" font-family="${escapeXml(layout.font)}" font-size="10" fill="${color}">`,
+      `<rect x="${x}" y="${y}" width="${width}" height="${height}" rx="4" fill="${background}" fill-opacity="0.85" stroke="${color}" stroke-opacity="0.2"/>`,
+      ...items.map((item, i) => {
+        const ix = x + LEGEND_PADDING + Math.floor(i / rows) * columnWidth;
+        const iy = y + LEGEND_PADDING + (i % rows) * LEGEND_ROW + LEGEND_ROW / 2;
+        return `<circle cx="${ix + 4}" cy="${iy}" r="4" fill="${item.color}"/><text x="${ix + 14}" y="${iy + 3.5}">${escapeXml(item.label)}</text>`;
+      }),
+      '</g>'
+    );
+  }
+
+  if (layout.title) {
+    const { x, y, title, subtitle } = layout.title;
+    parts.push(
+      '<g class="title">',
+      `<text x="${x}" y="${y + 24}" font-family="'Playfair Display', serif" font-size="26" font-weight="700" fill="url(#title-gradient)">${escapeXml(title)}</text>`,
+      subtitle
+        ? `<text x="${x}" y="${y + 42}" font-family="${escapeXml(layout.font)}" font-size="9" letter-spacing="1.5" fill="${layout.title.color}" fill-opacity="0.7">${escapeXml(subtitle.toUpperCase())}</text>`
+        : '',
+      '</g>'
+    );
+  }
+
+  parts.push('</svg>', '');
+  return parts.join('\n');
+};
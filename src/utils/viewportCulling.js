@@ -27,6 +27,33 @@ export const getVisibleEdges = (edges, visibleNodeIds) => {
   });
 };
 
+/**
+ * World-space rectangle shown by the centred camera used by CanvasNetwork
+ * (screen = world * zoom + camera + size / 2)
+ * @param {{x: number, y: number}} camera
+ * @param {number} zoom
+ * @param {number} width - Viewport width in CSS pixels
+ * @param {number} height - Viewport height in CSS pixels
+ * @param {number} [margin] - Extra screen pixels on every side
+ * @returns {{minX: number, minY: number, maxX: number, maxY: number}}
+ */
+export const getViewportBounds = (camera, zoom, width, height, margin = 0) => ({
+  minX: (-width / 2 - camera.x - margin) / zoom,
+  minY: (-height / 2 - camera.y - margin) / zoom,
+  maxX: (width / 2 - camera.x + margin) / zoom,
+  maxY: (height / 2 - camera.y + margin) / zoom,
+});
+
+/**
+ * Whether the bounding box of a segment, padded for edge curvature, overlaps the bounds
+ */
+export const segmentInBounds = (bounds, a, b, pad = 0) => (
+  Math.min(a.x, b.x) - pad <= bounds.maxX &&
+  Math.max(a.x, b.x) + pad >= bounds.minX &&
+  Math.min(a.y, b.y) - pad <= bounds.maxY &&
+  Math.max(a.y, b.y) + pad >= bounds.minY
+);
+
 /**
  * Level of Detail (LOD) - adjust rendering quality based on zoom level
  * OPTIMIZED for large datasets (715+ nodes, 1500+ edges)
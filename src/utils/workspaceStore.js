@@ -0,0 +1,167 @@
+/**
+ * Named workspaces: saved copies of the clusters/nodes/edges/descriptions bundle
+ * Stored in IndexedDB, with an in-memory fallback where IndexedDB is unavailable
+ * (private browsing, tests) so callers never need to special-case it.
+ */
+
+const DB_NAME = 'neuro-chain';
+const DB_VERSION = 1;
+const WORKSPACES = 'workspaces';
+const META = 'meta';
+const LAST_WORKSPACE_KEY = 'lastWorkspaceId';
+
+const promisify = (request) => new Promise((resolve, reject) => {
+  request.onsuccess = () => resolve(request.result);
+  request.onerror = () => reject(request.error);
+});
+
+/**
+ * Key-value backend over IndexedDB
+ * @param {IDBFactory} factory
+ */
+const createIndexedDBBackend = (factory) => {
+  const open = factory.open(DB_NAME, DB_VERSION);
+  open.onupgradeneeded = () => {
+    const db = open.result;
+    if (!db.objectStoreNames.contains(WORKSPACES)) db.createObjectStore(WORKSPACES);
+    if (!db.objectStoreNames.contains(META)) db.createObjectStore(META);
+  };
+  const dbPromise = promisify(open);
+
+  const run = async (storeName, mode, operation) => {
+    const db = await dbPromise;
+    const store = db.transaction(storeName, mode).objectStore(storeName);
+    return promisify(operation(store));
+  };
+
+  return {
+    get: (storeName, key) => run(storeName, 'readonly', store => store.get(key)),
+    getAll: (storeName) => run(storeName, 'readonly', store => store.getAll()),
+    put: (storeName, key, value) => run(storeName, 'readwrite', store => store.put(value, key)),
+    delete: (storeName, key) => run(storeName, 'readwrite', store => store.delete(key)),
+  };
+};
+
+/**
+ * Key-value backend kept in memory for the lifetime of the page
+ */
+export const createMemoryBackend = () => {
+  const stores = { [WORKSPACES]: new Map(), [META]: new Map() };
+  // Copy on the way in and out, like IndexedDB's structured clone
+  const clone = (value) => (value === undefined ? undefined : structuredClone(value));
+
+  return {
+    get: async (storeName, key) => clone(stores[storeName].get(key)),
+    getAll: async (storeName) => [...stores[storeName].values()].map(clone),
+    put: async (storeName, key, value) => { stores[storeName].set(key, clone(value)); },
+    delete: async (storeName, key) => { stores[storeName].delete(key); },
+  };
+};
+
+const createId = () => (
+  globalThis.crypto?.randomUUID?.() || `ws-${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 8)}`
+);
+
+/**
+ * Summary shown in workspace lists without loading every dataset
+ */
+const toSummary = ({ id, name, createdAt, updatedAt, data }) => ({
+  id,
+  name,
+  createdAt,
+  updatedAt,
+  nodeCount: data?.nodes?.length || 0,
+  edgeCount: data?.edges?.length || 0,
+});
+
+/**
+ * @typedef {Object} Workspace
+ * @property {string} id
+ * @property {string} name
+ * @property {number} createdAt
+ * @property {number} updatedAt
+ * @property {Object} data - { clusters, nodes, edges, descriptions }
+ */
+
+/**
+ * Create a workspace store
+ * @param {Object} [options]
+ * @param {Object} [options.backend] - Storage backend; defaults to IndexedDB, or memory when unavailable
+ * @returns {Object} Store API
+ */
+export const createWorkspaceStore = ({ backend } = {}) => {
+  const storage = backend || (globalThis.indexedDB ? createIndexedDBBackend(globalThis.indexedDB) : createMemoryBackend());
+
+  const store = {
+    /**
+     * All workspaces, most recently updated first
+     * @returns {Promise<Array>}
+     */
+    list: async () => {
+      const workspaces = await storage.getAll(WORKSPACES);
+      return workspaces.map(toSummary).sort((a, b) => b.updatedAt - a.updatedAt);
+    },
+
+    /**
+     * @param {string} id
+     * @returns {Promise<Workspace|null>}
+     */
+    load: async (id) => (await storage.get(WORKSPACES, id)) || null,
+
+    /**
+     * Create a workspace, or overwrite it when `id` is given
+     * @param {{id?: string, name: string, data: Object}} workspace
+     * @returns {Promise<Workspace>}
+     */
+    save: async ({ id, name, data }) => {
+      const existing = id ? await storage.get(WORKSPACES, id) : null;
+      const now = Date.now();
+      const workspace = {
+        id: id || createId(),
+        name: name || existing?.name || 'Untitled workspace',
+        createdAt: existing?.createdAt || now,
+        updatedAt: now,
+        data,
+      };
+      await storage.put(WORKSPACES, workspace.id, workspace);
+      return workspace;
+    },
+
+    /**
+     * @param {string} id
+     * @param {string} [name] - Defaults to "<name> copy"
+     * @returns {Promise<Workspace>}
+     */
+    duplicate: async (id, name) => {
+      const source = await storage.get(WORKSPACES, id);
+      if (!source) throw new Error(`Workspace "${id}" not found`);
+      return store.save({ name: name || `${source.name} copy`, data: source.data });
+    },
+
+    /**
+     * Delete a workspace; forgets it as the last workspace too
+     * @param {string} id
+     */
+    remove: async (id) => {
+      await storage.delete(WORKSPACES, id);
+      if ((await storage.get(META, LAST_WORKSPACE_KEY)) === id) {
+        await storage.delete(META, LAST_WORKSPACE_KEY);
+      }
+    },
+
+    /**
+     * @returns {Promise<string|null>} Id of the workspace to restore on startup
+     */
+    getLastWorkspaceId: async () => (await storage.get(META, LAST_WORKSPACE_KEY)) || null,
+
+    /**
+     * @param {string|null} id - null when working on the bundled data
+     */
+    setLastWorkspaceId: async (id) => {
+      if (id) await storage.put(META, LAST_WORKSPACE_KEY, id);
+      else await storage.delete(META, LAST_WORKSPACE_KEY);
+    },
+  };
+
+  return store;
+};
@@ -0,0 +1,107 @@
+import { vi } from 'vitest';
+import { render, act } from '@testing-library/react';
+import React from 'react';
+import CanvasNetwork from '../src/components/CanvasNetwork';
+
+describe('CanvasNetwork render loop', () => {
+  const data = {
+    clusters: { energy: { label: 'Energy', color: '#ff6b35' } },
+    nodes: [
+      { id: 'fire', label: 'Fire', cluster: 'energy', x: 0, y: 0, size: 10, year: -400000 },
+      { id: 'steam', label: 'Steam', cluster: 'energy', x: 120, y: 40, size: 8, year: 1712 },
+      { id: 'engine', label: 'Engine', cluster: 'energy', x: -80, y: 90, size: 8, year: 1876 },
+    ],
+    edges: [
+      { source: 'fire', target: 'steam', type: 'forward' },
+      { source: 'steam', target: 'engine', type: 'forward' },
+    ],
+    descriptions: {},
+  };
+
+  // Canvas 2D context that accepts any drawing call
+  const fakeContext = () => new Proxy({}, {
+    get: (target, key) => {
+      if (!(key in target)) {
+        target[key] = key === 'measureText' ? () => ({ width: 10 }) : () => ({ addColorStop: () => {} });
+      }
+      return target[key];
+    },
+  });
+
+  // requestAnimationFrame callbacks wait here until the test runs them
+  let queued;
+  let nextHandle;
+
+  beforeEach(() => {
+    queued = new Map();
+    nextHandle = 1;
+    vi.spyOn(HTMLCanvasElement.prototype, 'getContext').mockImplementation(fakeContext);
+    vi.stubGlobal('requestAnimationFrame', (callback) => {
+      queued.set(nextHandle, callback);
+      return nextHandle++;
+    });
+    vi.stubGlobal('cancelAnimationFrame', (handle) => queued.delete(handle));
+  });
+
+  afterEach(() => {
+    vi.unstubAllGlobals();
+    vi.restoreAllMocks();
+  });
+
+  // Run queued frames until none is scheduled; returns how many ran
+  const runFrames = (limit = 1000) => {
+    let count = 0;
+    while (queued.size > 0 && count < limit) {
+      const [handle, callback] = queued.entries().next().value;
+      queued.delete(handle);
+      act(() => callback(performance.now()));
+      count++;
+    }
+    return count;
+  };
+
+  const renderNetwork = (props = {}) => {
+    const element = (extra) => (
+      <CanvasNetwork
+        data={data}
+        hoveredNode={null}
+        setHoveredNode={vi.fn()}
+        setHoveredEdge={vi.fn()}
+        setMousePos={vi.fn()}
+        animating
+        cameraTarget={{ x: 0, y: 0 }}
+        {...props}
+        {...extra}
+      />
+    );
+    const { rerender } = render(element());
+    return (extra) => rerender(element(extra));
+  };
+
+  test('stops scheduling frames once the layout has settled', () => {
+    const onLayoutStatus = vi.fn();
+    renderNetwork({ onLayoutStatus });
+
+    const ran = runFrames();
+    expect(ran).toBeGreaterThan(1);
+    expect(ran).toBeLessThan(1000);
+    expect(queued.size).toBe(0);
+    expect(onLayoutStatus).toHaveBeenLastCalledWith(expect.objectContaining({ settled: true }));
+  });
+
+  test('wakes up again when the layout is reheated', () => {
+    const update = renderNetwork();
+    runFrames();
+    expect(queued.size).toBe(0);
+
+    update({ reheatKey: 1 });
+    expect(queued.size).toBe(1);
+    expect(runFrames()).toBeGreaterThan(1);
+    expect(queued.size).toBe(0);
+  });
+
+  test('does not schedule frames while paused', () => {
+    renderNetwork({ animating: false });
+    expect(runFrames()).toBe(0);
+  });
+});
@@ -1,4 +1,5 @@
-import { render, screen } from '@testing-library/react';
+import { vi } from 'vitest';
+import { render, screen, fireEvent, act } from '@testing-library/react';
 import React from 'react';
 import DataEditor from '../src/components/DataEditor';
 
@@ -20,3 +21,76 @@ describe('DataEditor', () => {
     expect(textarea.value).toContain('"name": "Cluster A"');
   });
 });
+
+describe('DataEditor validation', () => {
+  const data = {
+    clusters: { fire: { label: 'Fire', color: '#ff6b35' } },
+    nodes: [{ id: 'fire', label: 'Fire', cluster: 'fire', x: 0, y: 0, size: 10 }],
+    edges: [],
+    descriptions: {}
+  };
+
+  afterEach(() => {
+    vi.useRealTimers();
+  });
+
+  test('shows issues with JSON paths and blocks applying invalid data', () => {
+    vi.useFakeTimers();
+    const onDataUpdate = vi.fn();
+    render(<DataEditor data={data} onDataUpdate={onDataUpdate} />);
+
+    const textarea = screen.getByRole('textbox');
+    fireEvent.change(textarea, {
+      target: { value: JSON.stringify({ fire: { label: 'Fire', color: 'orange' } }, null, 2) }
+    });
+    act(() => vi.advanceTimersByTime(250));
+
+    expect(screen.getByText('$.clusters.fire.color')).toBeInTheDocument();
+    expect(screen.getByText('Ln 4')).toBeInTheDocument();
+
+    const apply = screen.getByRole('button', { name: 'Apply Changes' });
+    expect(apply).toBeDisabled();
+    fireEvent.click(apply);
+    expect(onDataUpdate).not.toHaveBeenCalled();
+  });
+
+  test('applies valid changes', () => {
+    const onDataUpdate = vi.fn();
+    render(<DataEditor data={data} onDataUpdate={onDataUpdate} />);
+
+    const clusters = { fire: { label: 'Fire!', color: '#ff0000' } };
+    fireEvent.change(screen.getByRole('textbox'), { target: { value: JSON.stringify(clusters) } });
+    fireEvent.click(screen.getByRole('button', { name: 'Apply Changes' }));
+
+    expect(onDataUpdate).toHaveBeenCalledWith('clusters', clusters, 'Apply clusters.json');
+  });
+
+  test('waits for a pause in typing before the full check, but flags broken JSON at once', () => {
+    vi.useFakeTimers();
+    const onDataUpdate = vi.fn();
+    render(<DataEditor data={data} onDataUpdate={onDataUpdate} />);
+    act(() => vi.advanceTimersByTime(250));
+
+    const textarea = screen.getByRole('textbox');
+    fireEvent.change(textarea, { target: { value: '{ "fire": ' } });
+    expect(screen.getByText('Invalid JSON')).toBeInTheDocument();
+
+    fireEvent.change(textarea, { target: { value: JSON.stringify({ fire: { label: 'Fire', color: 'orange' } }) } });
+    act(() => vi.advanceTimersByTime(200));
+    expect(screen.queryByText('$.clusters.fire.color')).not.toBeInTheDocument();
+
+    act(() => vi.advanceTimersByTime(50));
+    expect(screen.getByText('$.clusters.fire.color')).toBeInTheDocument();
+  });
+
+  test('checks pending text before applying it', () => {
+    const onDataUpdate = vi.fn();
+    render(<DataEditor data={data} onDataUpdate={onDataUpdate} />);
+
+    fireEvent.change(screen.getByRole('textbox'), { target: { value: JSON.stringify({ fire: { label: 'Fire', color: 'orange' } }) } });
+    fireEvent.click(screen.getByRole('button', { name: 'Apply Changes' }));
+
+    expect(onDataUpdate).not.toHaveBeenCalled();
+    expect(screen.getByText('$.clusters.fire.color')).toBeInTheDocument();
+  });
+});
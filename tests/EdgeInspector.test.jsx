@@ -0,0 +1,63 @@
+import { vi } from 'vitest';
+import { render, screen, fireEvent } from '@testing-library/react';
+import React from 'react';
+import EdgeInspector from '../src/components/EdgeInspector';
+
+describe('EdgeInspector', () => {
+  const data = {
+    clusters: { fire: { label: 'Fire', color: '#ff6b35' } },
+    nodes: [
+      { id: 'fire', label: 'Fire', cluster: 'fire', x: 0, y: 0, size: 10, year: -400000 },
+      { id: 'cooking', label: 'Cooking', cluster: 'fire', x: 100, y: 0, size: 8 },
+    ],
+    edges: [{ source: 'fire', target: 'cooking', type: 'forward', weight: 8 }],
+    descriptions: {}
+  };
+  const edge = data.edges[0];
+
+  test('summarises both endpoints and focuses one on click', () => {
+    const onNodeSelect = vi.fn();
+    render(<EdgeInspector edge={edge} data={data} onDataUpdate={vi.fn()} onNodeSelect={onNodeSelect} onClose={vi.fn()} />);
+
+    expect(screen.getByRole('heading', { name: 'Fire → Cooking' })).toBeInTheDocument();
+    expect(screen.getByText('400,000 BCE · Concept · 1 connections')).toBeInTheDocument();
+
+    fireEvent.click(screen.getByRole('button', { name: 'Cooking' }));
+    expect(onNodeSelect).toHaveBeenCalledWith(data.nodes[1]);
+  });
+
+  test('saves a new type and weight', () => {
+    const onDataUpdate = vi.fn();
+    const onEdgeChange = vi.fn();
+    render(<EdgeInspector edge={edge} data={data} onDataUpdate={onDataUpdate} onEdgeChange={onEdgeChange} onClose={vi.fn()} />);
+
+    fireEvent.change(screen.getByLabelText('Type'), { target: { value: 'accelerates' } });
+    fireEvent.change(screen.getByLabelText('Weight'), { target: { value: '3' } });
+    fireEvent.click(screen.getByRole('button', { name: 'Save' }));
+
+    const updated = { source: 'fire', target: 'cooking', type: 'accelerates', weight: 3 };
+    expect(onDataUpdate).toHaveBeenCalledWith('edges', [updated], 'Edit connection Fire → Cooking');
+    expect(onEdgeChange).toHaveBeenCalledWith(updated);
+  });
+
+  test('shows validation errors instead of saving', () => {
+    const onDataUpdate = vi.fn();
+    render(<EdgeInspector edge={edge} data={data} onDataUpdate={onDataUpdate} onClose={vi.fn()} />);
+
+    fireEvent.change(screen.getByLabelText('Weight'), { target: { value: '42' } });
+    fireEvent.click(screen.getByRole('button', { name: 'Save' }));
+
+    expect(onDataUpdate).not.toHaveBeenCalled();
+    expect(screen.getByRole('list')).toHaveTextContent('edges[0].weight');
+  });
+
+  test('deletes the edge and closes', () => {
+    const onDataUpdate = vi.fn();
+    const onClose = vi.fn();
+    render(<EdgeInspector edge={edge} data={data} onDataUpdate={onDataUpdate} onClose={onClose} />);
+
+    fireEvent.click(screen.getByRole('button', { name: 'Delete' }));
+    expect(onDataUpdate).toHaveBeenCalledWith('edges', [], 'Delete connection Fire → Cooking');
+    expect(onClose).toHaveBeenCalled();
+  });
+});
@@ -0,0 +1,50 @@
+import { vi } from 'vitest';
+import { render, screen, fireEvent } from '@testing-library/react';
+import React from 'react';
+import ImportWizard from '../src/components/ImportWizard';
+
+describe('ImportWizard', () => {
+  const data = {
+    clusters: { fire: { label: 'Fire', color: '#ff6b35' } },
+    nodes: [{ id: 'fire', label: 'Fire', cluster: 'fire', x: 0, y: 0, size: 20, year: -400000 }],
+    edges: [],
+    descriptions: {}
+  };
+
+  const upload = (label, name, text) => {
+    fireEvent.change(screen.getByLabelText(label), { target: { files: [new File([text], name)] } });
+  };
+
+  test('previews a Cytoscape file and applies the merge', async () => {
+    const onDataUpdate = vi.fn();
+    render(<ImportWizard data={data} onDataUpdate={onDataUpdate} />);
+
+    upload('Graph file', 'graph.cyjs', JSON.stringify({
+      elements: [
+        { data: { id: 'fire', name: 'Fire', year: -500000 } },
+        { data: { id: 'charcoal', name: 'Charcoal' } },
+        { data: { source: 'fire', target: 'charcoal' } },
+      ],
+    }));
+
+    expect(await screen.findByText('Cytoscape.js JSON · 2 nodes · 1 edges')).toBeInTheDocument();
+    expect(screen.getByText('1 new nodes (1 placed automatically)')).toBeInTheDocument();
+    fireEvent.change(screen.getByLabelText('Resolve fire'), { target: { value: 'merge' } });
+    fireEvent.click(screen.getByText('Import'));
+
+    expect(onDataUpdate).toHaveBeenCalledTimes(1);
+    const [changes, , label] = onDataUpdate.mock.calls[0];
+    expect(label).toBe('Import graph.cyjs');
+    expect(changes.nodes.map(n => n.id)).toEqual(['fire', 'charcoal']);
+    expect(changes.nodes[0].year).toBe(-500000);
+    expect(changes.edges).toEqual([{ source: 'fire', target: 'charcoal', type: 'forward' }]);
+  });
+
+  test('reports parse errors and keeps import disabled', async () => {
+    render(<ImportWizard data={data} onDataUpdate={vi.fn()} />);
+    upload('Graph file', 'broken.json', '{ not json');
+
+    expect(await screen.findByText(/JSON/)).toBeInTheDocument();
+    expect(screen.getByText('Import')).toBeDisabled();
+  });
+});
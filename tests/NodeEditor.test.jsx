@@ -0,0 +1,53 @@
+import { vi } from 'vitest';
+import { render, screen, fireEvent } from '@testing-library/react';
+import React from 'react';
+import NodeEditor from '../src/components/NodeEditor';
+
+describe('NodeEditor', () => {
+  const data = {
+    clusters: { fire: { label: 'Fire', color: '#ff6b35' } },
+    nodes: [{ id: 'fire', label: 'Fire', cluster: 'fire', x: 0, y: 0, size: 20, year: -400000 }],
+    edges: [],
+    descriptions: {}
+  };
+
+  test('adds a node at the requested position', () => {
+    const onDataUpdate = vi.fn();
+    render(<NodeEditor data={data} onDataUpdate={onDataUpdate} request={{ kind: 'new', x: 120.4, y: -30 }} />);
+
+    expect(screen.getByText('New node at (120, -30)')).toBeInTheDocument();
+    fireEvent.change(screen.getByLabelText('Label'), { target: { value: 'Charcoal' } });
+    fireEvent.change(screen.getByLabelText('Year'), { target: { value: '-30000' } });
+    fireEvent.click(screen.getByText('Add Node'));
+
+    expect(onDataUpdate).toHaveBeenCalledTimes(1);
+    const [key, nodes] = onDataUpdate.mock.calls[0];
+    expect(key).toBe('nodes');
+    expect(nodes[1]).toMatchObject({ id: 'charcoal', label: 'Charcoal', cluster: 'fire', x: 120, y: -30, year: -30000 });
+  });
+
+  test('shows field errors instead of saving invalid values', () => {
+    const onDataUpdate = vi.fn();
+    render(<NodeEditor data={data} onDataUpdate={onDataUpdate} request={{ kind: 'edit', nodeId: 'fire' }} />);
+
+    fireEvent.change(screen.getByLabelText('Wiki URL'), { target: { value: 'javascript:alert(1)' } });
+    fireEvent.click(screen.getByText('Save'));
+
+    expect(onDataUpdate).not.toHaveBeenCalled();
+    expect(screen.getByText('must be an absolute http(s) URL')).toBeInTheDocument();
+  });
+
+  test('saves a node opened from a filtered list without its search score', () => {
+    const onDataUpdate = vi.fn();
+    render(<NodeEditor data={data} onDataUpdate={onDataUpdate} />);
+
+    fireEvent.change(screen.getByLabelText('Search nodes'), { target: { value: 'fire' } });
+    fireEvent.click(screen.getByRole('button', { name: /Fire/ }));
+    fireEvent.change(screen.getByLabelText('Year'), { target: { value: '-500000' } });
+    fireEvent.click(screen.getByText('Save'));
+
+    const [, nodes] = onDataUpdate.mock.calls[0];
+    expect(nodes[0]).toEqual({ id: 'fire', label: 'Fire', cluster: 'fire', x: 0, y: 0, size: 20, year: -500000, status: 'Unknown', contributors: [], technologies: [] });
+    expect(nodes[0]).not.toHaveProperty('score');
+  });
+});
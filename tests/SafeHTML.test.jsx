@@ -0,0 +1,26 @@
+import { render, screen } from '@testing-library/react';
+import React from 'react';
+import SafeHTML from '../src/components/SafeHTML';
+
+describe('SafeHTML', () => {
+  test('renders sanitised HTML from a string or a descriptions.json entry', () => {
+    const { container } = render(
+      <>
+        <SafeHTML html={'<strong>Fire</strong><script>alert(1)</script>'} />
+        <SafeHTML html={{ title: 'Fire', body: '<em>Warmth</em>' }} />
+      </>
+    );
+    expect(container.querySelector('strong')).toHaveTextContent('Fire');
+    expect(container.querySelector('em')).toHaveTextContent('Warmth');
+    expect(container.querySelector('script')).toBeNull();
+  });
+
+  test('lists stripped content only when asked', () => {
+    const html = '<a href="javascript:alert(1)">Link</a>';
+    const { rerender } = render(<SafeHTML html={html} />);
+    expect(screen.queryByRole('note')).toBeNull();
+
+    rerender(<SafeHTML html={html} showRemoved />);
+    expect(screen.getByRole('note')).toHaveTextContent('href="javascript:alert(1)" on <a>');
+  });
+});
@@ -0,0 +1,79 @@
+import { vi } from 'vitest';
+import { render, screen, fireEvent } from '@testing-library/react';
+import React from 'react';
+import SearchBar from '../src/components/SearchBar';
+import { SearchEngine } from '../src/search/SearchEngine.js';
+
+describe('SearchBar', () => {
+  const clusters = { energy: { label: 'Energy', color: '#ff6b35' } };
+  const nodes = Array.from({ length: 12 }, (_, i) => ({
+    id: `engine-${i}`,
+    label: `Engine ${i}`,
+    cluster: 'energy',
+    year: 1800 + i,
+    description: i === 0 ? 'Burns coal to make steam.' : '',
+  }));
+
+  const renderSearchBar = async (props = {}) => {
+    const engine = new SearchEngine({ useWorker: false });
+    await engine.build({ nodes, clusters });
+    const searchIndex = { search: vi.fn((query, options) => engine.search(query, options)), version: 1 };
+    const inputRef = React.createRef();
+    const element = (extra) => (
+      <SearchBar nodes={nodes} clusters={clusters} searchIndex={searchIndex} inputRef={inputRef} onNodeSelect={vi.fn()} {...props} {...extra} />
+    );
+    const { rerender } = render(element());
+    return {
+      input: screen.getByPlaceholderText(/Search innovations/),
+      searchIndex,
+      setNodes: (visible) => rerender(element({ nodes: visible })),
+    };
+  };
+
+  test('reports every match and pages through the results', async () => {
+    const onSearchChange = vi.fn();
+    const { input } = await renderSearchBar({ onSearchChange });
+
+    fireEvent.focus(input);
+    fireEvent.change(input, { target: { value: 'engine' } });
+
+    expect(await screen.findByText('1–8 of 12')).toBeInTheDocument();
+    expect(onSearchChange).toHaveBeenLastCalledWith({ term: 'engine', matchedIds: expect.arrayContaining(['engine-11']) });
+    expect(onSearchChange.mock.lastCall[0].matchedIds).toHaveLength(12);
+
+    fireEvent.keyDown(input, { key: 'PageDown' });
+    expect(await screen.findByText('9–12 of 12')).toBeInTheDocument();
+    expect(screen.getByLabelText('Next results')).toBeDisabled();
+  });
+
+  test('shows a description snippet for body matches', async () => {
+    const onNodeSelect = vi.fn();
+    const { input } = await renderSearchBar({ onNodeSelect });
+
+    fireEvent.focus(input);
+    fireEvent.change(input, { target: { value: 'coal' } });
+
+    expect(await screen.findByText('coal')).toHaveClass(/highlight/);
+    fireEvent.keyDown(input, { key: 'Enter' });
+    expect(onNodeSelect).toHaveBeenCalledWith(nodes[0]);
+  });
+
+  test('filters cached matches as nodes appear without querying again', async () => {
+    const onSearchChange = vi.fn();
+    const { input, searchIndex, setNodes } = await renderSearchBar({ onSearchChange });
+
+    fireEvent.focus(input);
+    fireEvent.change(input, { target: { value: 'engine' } });
+    expect(await screen.findByText('1–8 of 12')).toBeInTheDocument();
+    expect(searchIndex.search).toHaveBeenCalledTimes(1);
+
+    // Timeline playback hands over a new visible subset every frame
+    setNodes(nodes.slice(0, 3));
+    expect(screen.getAllByText('Engine')).toHaveLength(3);
+    expect(onSearchChange.mock.lastCall[0].matchedIds).toEqual(['engine-0', 'engine-1', 'engine-2']);
+
+    setNodes(nodes.slice(0, 10));
+    expect(screen.getByText('1–8 of 10')).toBeInTheDocument();
+    expect(searchIndex.search).toHaveBeenCalledTimes(1);
+  });
+});
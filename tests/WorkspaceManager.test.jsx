@@ -0,0 +1,70 @@
+import { vi } from 'vitest';
+import { render, screen, fireEvent, waitFor } from '@testing-library/react';
+import React from 'react';
+import WorkspaceManager from '../src/components/WorkspaceManager';
+
+describe('WorkspaceManager', () => {
+  const workspace = { id: 'ws-1', name: 'Draft', nodeCount: 3, edgeCount: 2, updatedAt: 0 };
+  const createWorkspaces = (overrides) => ({
+    workspaces: [workspace],
+    active: null,
+    isSaved: true,
+    isRestoring: false,
+    load: vi.fn().mockResolvedValue(),
+    saveAs: vi.fn().mockResolvedValue(),
+    duplicate: vi.fn().mockResolvedValue(),
+    remove: vi.fn().mockResolvedValue(),
+    resetToBundled: vi.fn().mockResolvedValue(),
+    ...overrides
+  });
+
+  test('saves under the typed name and clears the field', async () => {
+    const workspaces = createWorkspaces();
+    render(<WorkspaceManager workspaces={workspaces} onClose={vi.fn()} />);
+
+    const input = screen.getByLabelText('New workspace name');
+    fireEvent.change(input, { target: { value: ' Second draft ' } });
+    fireEvent.click(screen.getByRole('button', { name: 'Save as' }));
+
+    expect(workspaces.saveAs).toHaveBeenCalledWith('Second draft');
+    await waitFor(() => expect(input).toHaveValue(''));
+    expect(screen.queryByRole('alert')).not.toBeInTheDocument();
+  });
+
+  test('shows storage failures instead of rejecting silently', async () => {
+    const workspaces = createWorkspaces({ saveAs: vi.fn().mockRejectedValue(new Error('Quota exceeded')) });
+    render(<WorkspaceManager workspaces={workspaces} onClose={vi.fn()} />);
+
+    const input = screen.getByLabelText('New workspace name');
+    fireEvent.change(input, { target: { value: 'Big' } });
+    fireEvent.click(screen.getByRole('button', { name: 'Save as' }));
+
+    expect(await screen.findByRole('alert')).toHaveTextContent('Could not save workspace: Quota exceeded');
+    expect(input).toHaveValue('Big');
+  });
+
+  test('reports a failed open and clears the message on the next success', async () => {
+    const workspaces = createWorkspaces({ load: vi.fn().mockRejectedValue(new Error('Not found')) });
+    render(<WorkspaceManager workspaces={workspaces} onClose={vi.fn()} />);
+
+    fireEvent.click(screen.getByRole('button', { name: 'Open' }));
+    expect(await screen.findByRole('alert')).toHaveTextContent('Could not open "Draft": Not found');
+
+    fireEvent.click(screen.getByTitle('Duplicate'));
+    await waitFor(() => expect(screen.queryByRole('alert')).not.toBeInTheDocument());
+    expect(workspaces.duplicate).toHaveBeenCalledWith('ws-1');
+  });
+
+  test('deletes only after confirmation', async () => {
+    const workspaces = createWorkspaces({ remove: vi.fn().mockRejectedValue(new Error('Blocked')) });
+    const confirm = vi.spyOn(window, 'confirm').mockReturnValueOnce(false).mockReturnValueOnce(true);
+    render(<WorkspaceManager workspaces={workspaces} onClose={vi.fn()} />);
+
+    fireEvent.click(screen.getByTitle('Delete'));
+    expect(workspaces.remove).not.toHaveBeenCalled();
+
+    fireEvent.click(screen.getByTitle('Delete'));
+    expect(await screen.findByRole('alert')).toHaveTextContent('Could not delete "Draft": Blocked');
+    confirm.mockRestore();
+  });
+});
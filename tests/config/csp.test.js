@@ -0,0 +1,53 @@
+import { describe, it, expect } from 'vitest';
+import { CSP_POLICY, buildCSPPolicy, generateCSPString } from '../../src/config/csp';
+import { inlineScriptHashes, renderHeadersFile } from '../../plugins/vite-plugin-csp';
+
+describe('buildCSPPolicy', () => {
+  it('adds inline script hashes without touching the base policy', () => {
+    const policy = buildCSPPolicy({ scriptHashes: ['sha256-abc'] });
+    expect(policy['script-src']).toContain("'sha256-abc'");
+    expect(CSP_POLICY['script-src']).not.toContain("'sha256-abc'");
+  });
+
+  it('never allows eval or inline scripts in production', () => {
+    const scripts = buildCSPPolicy()['script-src'];
+    expect(scripts).not.toContain("'unsafe-eval'");
+    expect(scripts).not.toContain("'unsafe-inline'");
+    expect(scripts).toContain("'wasm-unsafe-eval'");
+  });
+
+  it('opens the HMR socket and adds a report URI in development', () => {
+    const policy = buildCSPPolicy({ dev: true, reportUri: '/__csp-report' });
+    expect(policy['connect-src']).toEqual(expect.arrayContaining(['ws:', 'wss:']));
+    expect(policy['report-uri']).toEqual(['/__csp-report']);
+  });
+});
+
+describe('generateCSPString', () => {
+  it('leaves header-only directives out of the meta variant', () => {
+    const policy = buildCSPPolicy({ reportUri: '/report' });
+    expect(generateCSPString(policy)).toContain("frame-ancestors 'none'");
+    expect(generateCSPString(policy, { meta: true })).not.toMatch(/frame-ancestors|report-uri/);
+    expect(generateCSPString(policy, { meta: true })).toContain("require-trusted-types-for 'script'");
+  });
+});
+
+describe('inlineScriptHashes', () => {
+  it('hashes executable inline scripts only', () => {
+    const html = `
+      <script type="application/ld+json">{"@type": "Organization"}</script>
+      <script async src="https://www.googletagmanager.com/gtag/js"></script>
+      <script>window.dataLayer = [];</script>
+      <script type="module">import './x.js';</script>`;
+    const hashes = inlineScriptHashes(html);
+    expect(hashes).toHaveLength(2);
+    // echo -n "window.dataLayer = [];" | openssl dgst -sha256 -binary | base64
+    expect(hashes[0]).toBe('sha256-j6v0BzYZurpWMxjVPHiuKp0IjNIXNFY7atgz6fnpsjE=');
+  });
+});
+
+describe('renderHeadersFile', () => {
+  it('applies every header to all paths', () => {
+    expect(renderHeadersFile({ 'X-Content-Type-Options': 'nosniff' })).toBe('/*\n  X-Content-Type-Options: nosniff\n');
+  });
+});
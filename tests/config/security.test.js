@@ -0,0 +1,79 @@
+import { describe, it, expect } from 'vitest';
+import {
+  sanitizeHTML,
+  sanitizeHTMLWithReport,
+  isSafeUrl,
+  safeUrl,
+  describeRemoved,
+  installTrustedTypes,
+  parseInertDocument,
+} from '../../src/config/security';
+
+describe('sanitizeHTMLWithReport', () => {
+  it('keeps allowed markup untouched and reports nothing', () => {
+    const { html, removed } = sanitizeHTMLWithReport('<p><strong>Fire</strong> made <em>cooking</em> possible</p>');
+    expect(html).toBe('<p><strong>Fire</strong> made <em>cooking</em> possible</p>');
+    expect(removed).toEqual([]);
+  });
+
+  it('strips scripts and event handlers and lists them', () => {
+    const { html, removed } = sanitizeHTMLWithReport('<p onclick="steal()">Hi<script>steal()</script><img src=x onerror=steal()></p>');
+    expect(html).toBe('<p>Hi</p>');
+    expect(removed.map(describeRemoved)).toEqual(['onclick on <p>', '<script>', '<img>']);
+  });
+
+  it('only allows https links and adds rel="noopener"', () => {
+    const { html, removed } = sanitizeHTMLWithReport(
+      '<a href="javascript:alert(1)">bad</a><a href="http://example.org">plain</a><a href="https://example.org" target="_blank">good</a>'
+    );
+    expect(html).toContain('<a>bad</a><a>plain</a>');
+    expect(html).toContain('href="https://example.org"');
+    expect(html).toContain('rel="noopener noreferrer"');
+    expect(removed.map(describeRemoved)).toEqual([
+      'href="javascript:alert(1)" on <a>',
+      'href="http://example.org" on <a>',
+    ]);
+  });
+
+  it('returns an empty result for non-strings', () => {
+    expect(sanitizeHTMLWithReport(null)).toEqual({ html: '', removed: [] });
+    expect(sanitizeHTML(42)).toBe('');
+  });
+});
+
+describe('isSafeUrl', () => {
+  it('accepts https URLs only', () => {
+    expect(isSafeUrl('https://en.wikipedia.org/wiki/Fire')).toBe(true);
+    expect(isSafeUrl('http://en.wikipedia.org/wiki/Fire')).toBe(false);
+    expect(isSafeUrl('javascript:alert(1)')).toBe(false);
+    expect(isSafeUrl('/relative')).toBe(false);
+    expect(safeUrl('data:text/html,hi')).toBeNull();
+  });
+});
+
+describe('installTrustedTypes', () => {
+  it('routes HTML sinks through the sanitiser and restricts script URLs', () => {
+    const policies = {};
+    window.trustedTypes = { createPolicy: (name, rules) => (policies[name] = rules) };
+    try {
+      expect(installTrustedTypes()).toBe(true);
+      const { createHTML, createScriptURL, createScript } = policies.default;
+
+      expect(createHTML('<b>ok</b><img src=x onerror=alert(1)>')).toBe('ok');
+      expect(createHTML('<em>ok</em>')).toBe('<em>ok</em>');
+      expect(createScriptURL(`${window.location.origin}/assets/GestureWorker.js`)).not.toBeNull();
+      expect(createScriptURL('https://cdn.jsdelivr.net/npm/@mediapipe/hands@0.4.1675469240/hands_solution_simd_wasm_bin.js')).not.toBeNull();
+      expect(createScriptURL('https://evil.example/x.js')).toBeNull();
+      expect(createScript('alert(1)')).toBeNull();
+    } finally {
+      delete window.trustedTypes;
+    }
+  });
+});
+
+describe('parseInertDocument', () => {
+  it('parses XML without sanitising it', () => {
+    const doc = parseInertDocument('<graphml><node id="fire"/></graphml>', 'application/xml');
+    expect(doc.getElementsByTagName('node')[0].getAttribute('id')).toBe('fire');
+  });
+});
@@ -0,0 +1,42 @@
+import { describe, it, expect } from 'vitest';
+import { renderHook, act } from '@testing-library/react';
+import { useEditHistory } from '../../src/hooks/useEditHistory';
+
+const initial = {
+  clusters: {},
+  nodes: [{ id: 'fire', label: 'Fire' }],
+  edges: [],
+  descriptions: {},
+};
+
+describe('useEditHistory', () => {
+  it('should undo and redo multi-collection edits as one step', () => {
+    const { result } = renderHook(() => useEditHistory(initial));
+    const edges = [{ source: 'fire', target: 'wheel', type: 'forward' }];
+    const nodes = [...initial.nodes, { id: 'wheel', label: 'Wheel' }];
+
+    act(() => result.current.commit({ nodes, edges }, 'Add wheel'));
+    expect(result.current.data.nodes).toBe(nodes);
+    expect(result.current.past.map(e => e.label)).toEqual(['Add wheel']);
+
+    act(() => result.current.undo());
+    expect(result.current.data).toEqual(initial);
+    expect(result.current.future).toHaveLength(1);
+
+    act(() => result.current.redo());
+    expect(result.current.data.edges).toBe(edges);
+    expect(result.current.baseline).toBe(initial);
+  });
+
+  it('should drop the redo stack on a new edit and ignore no-op commits', () => {
+    const { result } = renderHook(() => useEditHistory(initial));
+
+    act(() => result.current.commit({ nodes: [] }));
+    act(() => result.current.undo());
+    act(() => result.current.commit({ edges: [] }, 'Clear edges'));
+    act(() => result.current.commit({ nodes: result.current.data.nodes }));
+
+    expect(result.current.future).toEqual([]);
+    expect(result.current.past.map(e => e.label)).toEqual(['Clear edges']);
+  });
+});
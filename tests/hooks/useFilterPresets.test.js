@@ -0,0 +1,29 @@
+import { describe, it, expect, beforeEach } from 'vitest';
+import { renderHook, act } from '@testing-library/react';
+import { useFilterPresets, PRESETS_STORAGE_KEY } from '../../src/hooks/useFilterPresets';
+import { createFilter } from '../../src/utils/graphFilters';
+
+describe('useFilterPresets', () => {
+  beforeEach(() => localStorage.clear());
+
+  it('should save, replace and delete presets in localStorage', () => {
+    const { result } = renderHook(() => useFilterPresets());
+    const emerging = { ...createFilter(), rules: [{ field: 'status', op: 'is', value: 'Emerging' }] };
+
+    act(() => result.current.savePreset('Emerging', emerging));
+    act(() => result.current.savePreset('Bio', createFilter()));
+    expect(result.current.presets.map(p => p.name)).toEqual(['Bio', 'Emerging']);
+
+    act(() => result.current.savePreset('Emerging', { ...emerging, mode: 'hide' }));
+    expect(result.current.presets).toHaveLength(2);
+    expect(JSON.parse(localStorage.getItem(PRESETS_STORAGE_KEY))[1].filter.mode).toBe('hide');
+
+    act(() => result.current.deletePreset('Bio'));
+    expect(renderHook(() => useFilterPresets()).result.current.presets.map(p => p.name)).toEqual(['Emerging']);
+  });
+
+  it('should ignore unreadable storage', () => {
+    localStorage.setItem(PRESETS_STORAGE_KEY, '{broken');
+    expect(renderHook(() => useFilterPresets()).result.current.presets).toEqual([]);
+  });
+});
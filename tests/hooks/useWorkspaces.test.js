@@ -0,0 +1,53 @@
+import { describe, it, expect } from 'vitest';
+import { renderHook, act, waitFor } from '@testing-library/react';
+import { useEditHistory } from '../../src/hooks/useEditHistory';
+import { useWorkspaces, AUTOSAVE_DELAY } from '../../src/hooks/useWorkspaces';
+import { createWorkspaceStore, createMemoryBackend } from '../../src/utils/workspaceStore';
+
+const bundled = {
+  clusters: {},
+  nodes: [{ id: 'fire', label: 'Fire' }],
+  edges: [],
+  descriptions: {},
+};
+
+const renderWorkspaces = (store) => renderHook(() => {
+  const history = useEditHistory(bundled);
+  return { history, workspaces: useWorkspaces(history, bundled, { store }) };
+});
+
+describe('useWorkspaces', () => {
+  it('should auto-save the first edit and restore it on the next start', async () => {
+    const store = createWorkspaceStore({ backend: createMemoryBackend() });
+    const first = renderWorkspaces(store);
+    await waitFor(() => expect(first.result.current.workspaces.isRestoring).toBe(false));
+    expect(first.result.current.workspaces.active).toBeNull();
+
+    const nodes = [...bundled.nodes, { id: 'wheel', label: 'Wheel' }];
+    act(() => first.result.current.history.commit({ nodes }, 'Add wheel'));
+    expect(first.result.current.workspaces.isSaved).toBe(false);
+
+    await waitFor(() => expect(first.result.current.workspaces.isSaved).toBe(true), { timeout: AUTOSAVE_DELAY * 3 });
+    expect(first.result.current.workspaces.active).not.toBeNull();
+    first.unmount();
+
+    const second = renderWorkspaces(store);
+    await waitFor(() => expect(second.result.current.history.data.nodes).toHaveLength(2));
+    expect(second.result.current.workspaces.active.name).toBe('Untitled workspace');
+  });
+
+  it('should switch back to the bundled data without deleting workspaces', async () => {
+    const store = createWorkspaceStore({ backend: createMemoryBackend() });
+    const { result } = renderWorkspaces(store);
+    await waitFor(() => expect(result.current.workspaces.isRestoring).toBe(false));
+
+    await act(() => result.current.workspaces.saveAs('Regional'));
+    expect(result.current.workspaces.active.name).toBe('Regional');
+
+    await act(() => result.current.workspaces.resetToBundled());
+    expect(result.current.workspaces.active).toBeNull();
+    expect(result.current.history.data).toEqual(bundled);
+    expect(result.current.workspaces.workspaces.map(w => w.name)).toEqual(['Regional']);
+    expect(await store.getLastWorkspaceId()).toBeNull();
+  });
+});
@@ -0,0 +1,312 @@
+/**
+ * LayoutSimulation Unit Tests
+ */
+
+import { describe, it, expect, beforeEach } from 'vitest';
+import { LayoutSimulation, DEFAULT_PHYSICS, resolvePhysics } from '../../src/layout/LayoutSimulation.js';
+import { LAYOUTS, computeDependencyDepths, getTimelineGeometry } from '../../src/layout/layouts.js';
+import { LayoutEngine } from '../../src/layout/LayoutEngine.js';
+
+const nodes = [
+  { id: 'fire', cluster: 'fire', year: -400000, size: 20, x: 0, y: 0 },
+  { id: 'cooking', cluster: 'fire', year: -250000, size: 10, x: 10, y: 0 },
+  { id: 'writing', cluster: 'info', year: -3200, size: 10, x: 0, y: 10 },
+  { id: 'printing', cluster: 'info', year: 1440, size: 10, x: 10, y: 10 },
+  { id: 'myth', cluster: 'social', year: null, size: 10, x: 5, y: 5 },
+];
+
+const edges = [
+  { source: 'fire', target: 'cooking', type: 'forward' },
+  { source: 'cooking', target: 'writing', type: 'forward' },
+  { source: 'writing', target: 'printing', type: 'forward' },
+  { source: 'printing', target: 'fire', type: 'backlink' },
+];
+
+const clusterKeys = ['fire', 'info', 'social'];
+
+describe('LayoutSimulation', () => {
+  let simulation;
+
+  beforeEach(() => {
+    simulation = new LayoutSimulation();
+    simulation.setGraph({ nodes, edges, clusterKeys });
+  });
+
+  it('should copy starting positions into the position buffer', () => {
+    expect(simulation.positions.length).toBe(nodes.length * 2);
+    expect(simulation.positions[2]).toBe(10);
+    expect(simulation.positions[5]).toBe(10);
+  });
+
+  it('should push overlapping nodes apart in force mode', () => {
+    const before = Math.hypot(simulation.positions[2] - simulation.positions[0], simulation.positions[3] - simulation.positions[1]);
+    simulation.tick();
+    const after = Math.hypot(simulation.positions[2] - simulation.positions[0], simulation.positions[3] - simulation.positions[1]);
+    expect(after).toBeGreaterThan(before);
+  });
+
+  it('should not move pinned or inactive nodes', () => {
+    simulation.setPinned(0, true);
+    simulation.setActive(new Uint8Array([1, 0, 1, 1, 1]));
+    for (let i = 0; i < 10; i++) simulation.tick();
+
+    expect(simulation.positions[0]).toBe(0);
+    expect(simulation.positions[1]).toBe(0);
+    expect(simulation.positions[2]).toBe(10);
+    expect(simulation.positions[3]).toBe(0);
+  });
+
+  it('should approximate exact repulsion with Barnes–Hut on large graphs', () => {
+    const grid = Array.from({ length: 400 }, (_, i) => ({
+      id: `n${i}`, cluster: 'fire', year: 0, size: 10, x: (i % 20) * 15 + (i % 7), y: Math.floor(i / 20) * 15,
+    }));
+    const big = new LayoutSimulation();
+    big.setGraph({ nodes: grid, edges: [], clusterKeys });
+    big.applyRepulsion();
+
+    // Brute force with the same cutoff, for a corner node where distant cells are approximated
+    const exact = [0, 0];
+    grid.slice(1).forEach(b => {
+      const dx = grid[0].x - b.x;
+      const dy = grid[0].y - b.y;
+      const distSq = dx * dx + dy * dy + 0.1;
+      if (distSq >= 400 * 400) return;
+      const dist = Math.sqrt(distSq);
+      exact[0] += (dx / dist) * 1000 / distSq;
+      exact[1] += (dy / dist) * 1000 / distSq;
+    });
+
+    const error = Math.hypot(big.velocities[0] - exact[0], big.velocities[1] - exact[1]);
+    expect(error / Math.hypot(exact[0], exact[1])).toBeLessThan(0.05);
+  });
+
+  it('should converge towards targets in target layouts', () => {
+    simulation.setLayout('grid');
+    for (let i = 0; i < 300; i++) simulation.tick();
+
+    const targets = LAYOUTS.grid.computeTargets({ nodes, edges: simulation.edges, clusterKeys });
+    // Nodes come to rest once their velocity drops below the rest threshold
+    expect(Math.abs(simulation.positions[0] - targets[0])).toBeLessThan(5);
+    expect(Math.abs(simulation.positions[1] - targets[1])).toBeLessThan(5);
+  });
+
+  it('should cool to rest and stop moving', () => {
+    let ticks = 0;
+    while (simulation.tick()) ticks++;
+
+    expect(simulation.settled).toBe(true);
+    expect(simulation.alpha).toBeLessThan(DEFAULT_PHYSICS.alphaMin);
+    expect(ticks).toBeGreaterThan(250);
+    expect(ticks).toBeLessThan(350);
+
+    const resting = simulation.positions.slice();
+    expect(simulation.tick()).toBe(false);
+    expect(simulation.positions).toEqual(resting);
+  });
+
+  it('should resume after a reheat and hold alpha at the target while dragging', () => {
+    while (simulation.tick());
+    simulation.reheat(0.5);
+    expect(simulation.settled).toBe(false);
+    expect(simulation.tick()).toBe(true);
+
+    simulation.setAlphaTarget(0.3);
+    for (let i = 0; i < 500; i++) simulation.tick();
+    expect(simulation.alpha).toBeCloseTo(0.3, 2);
+
+    simulation.setAlphaTarget(0);
+    while (simulation.tick());
+    expect(simulation.settled).toBe(true);
+  });
+
+  it('should warm up slightly only when a parameter actually changes', () => {
+    while (simulation.tick());
+    simulation.setParams({ repulsion: DEFAULT_PHYSICS.repulsion });
+    expect(simulation.settled).toBe(true);
+
+    simulation.setParams({ repulsion: 4000 });
+    expect(simulation.settled).toBe(false);
+    expect(simulation.alpha).toBeCloseTo(0.3);
+  });
+
+  it('should not move while frozen and carry on once unfrozen', () => {
+    const alpha = simulation.alpha;
+    const before = simulation.positions.slice();
+    simulation.setFrozen(true);
+
+    expect(simulation.tick()).toBe(false);
+    expect(simulation.positions).toEqual(before);
+    expect(simulation.alpha).toBe(alpha);
+
+    simulation.setFrozen(false);
+    expect(simulation.tick()).toBe(true);
+  });
+});
+
+describe('seeded starts', () => {
+  const settled = (options) => {
+    const simulation = new LayoutSimulation();
+    simulation.setGraph({ nodes, edges, clusterKeys, ...options });
+    simulation.settle();
+    return simulation.positions;
+  };
+
+  it('should settle into identical positions for the same seed and data', () => {
+    expect(settled({ seed: 42, scatter: true })).toEqual(settled({ seed: 42, scatter: true }));
+  });
+
+  it('should scatter differently for another seed and ignore stored positions', () => {
+    const a = new LayoutSimulation();
+    const b = new LayoutSimulation();
+    a.setGraph({ nodes, edges, clusterKeys, seed: 1, scatter: true });
+    b.setGraph({ nodes, edges, clusterKeys, seed: 2, scatter: true });
+
+    expect(a.positions).not.toEqual(b.positions);
+    expect(a.positions[2]).not.toBe(10);
+  });
+
+  it('should keep a node\'s start when other nodes are added', () => {
+    const a = new LayoutSimulation();
+    const b = new LayoutSimulation();
+    a.setGraph({ nodes, edges, clusterKeys, seed: 3, scatter: true });
+    b.setGraph({ nodes: [{ id: 'wheel', cluster: 'fire', year: -3500, size: 10 }, ...nodes], edges, clusterKeys, seed: 3, scatter: true });
+
+    // The scatter radius grows with the node count, the direction from the centre stays
+    expect(Math.atan2(b.positions[3], b.positions[2])).toBeCloseTo(Math.atan2(a.positions[1], a.positions[0]), 5);
+  });
+
+  it('should hold pinned nodes at their stored position, even in a seeded scatter', () => {
+    const pinnedNodes = nodes.map(n => (n.id === 'printing' ? { ...n, x: 300, y: -200, pinned: true } : n));
+    const simulation = new LayoutSimulation();
+    simulation.setGraph({ nodes: pinnedNodes, edges, clusterKeys, seed: 5, scatter: true });
+    simulation.settle();
+
+    expect([simulation.positions[6], simulation.positions[7]]).toEqual([300, -200]);
+    expect(simulation.pinned[3]).toBe(1);
+    expect(simulation.pinned[0]).toBe(0);
+  });
+
+  it('should place nodes without coordinates and separate stacked ones deterministically', () => {
+    const stacked = [
+      { id: 'a', cluster: 'fire', size: 10, x: 50, y: 50 },
+      { id: 'b', cluster: 'fire', size: 10, x: 50, y: 50 },
+      { id: 'c', cluster: 'fire', size: 10 },
+    ];
+    const simulation = new LayoutSimulation();
+    simulation.setGraph({ nodes: stacked, edges: [], clusterKeys });
+
+    expect([simulation.positions[0], simulation.positions[1]]).toEqual([50, 50]);
+    expect(Math.hypot(simulation.positions[2] - 50, simulation.positions[3] - 50)).toBeGreaterThan(0);
+    expect(Math.hypot(simulation.positions[2] - 50, simulation.positions[3] - 50)).toBeLessThanOrEqual(1);
+    expect(Number.isFinite(simulation.positions[4])).toBe(true);
+
+    const again = new LayoutSimulation();
+    again.setGraph({ nodes: stacked, edges: [], clusterKeys });
+    expect(again.positions).toEqual(simulation.positions);
+  });
+});
+
+describe('resolvePhysics', () => {
+  it('should layer overrides over theme physics over the defaults', () => {
+    const physics = resolvePhysics({ repulsion: 8000, spring: 0.004 }, { spring: 0.02, damping: 0.7 });
+    expect(physics).toEqual({
+      repulsion: 8000,
+      spring: 0.02,
+      springLength: DEFAULT_PHYSICS.springLength,
+      centerGravity: DEFAULT_PHYSICS.centerGravity,
+      damping: 0.7,
+    });
+  });
+
+  it('should keep zero overrides', () => {
+    expect(resolvePhysics({ centerGravity: 0.01 }, { centerGravity: 0 }).centerGravity).toBe(0);
+  });
+});
+
+describe('layouts', () => {
+  const graph = () => {
+    const simulation = new LayoutSimulation();
+    simulation.setGraph({ nodes, edges, clusterKeys });
+    return { nodes: simulation.nodes, edges: simulation.edges, clusterKeys };
+  };
+
+  it('should produce a target for every node in every target layout', () => {
+    Object.values(LAYOUTS)
+      .filter(layout => layout.kind === 'target')
+      .forEach(layout => {
+        const targets = layout.computeTargets(graph());
+        expect(targets.length).toBe(nodes.length * 2);
+        expect(Array.from(targets).every(Number.isFinite)).toBe(true);
+      });
+  });
+
+  it('should order timeline targets chronologically', () => {
+    const targets = LAYOUTS.timeline.computeTargets(graph());
+    expect(targets[0]).toBeLessThan(targets[2]);
+    expect(targets[4]).toBeLessThan(targets[6]);
+  });
+
+  it('should park undated nodes in the gutter left of the time axis', () => {
+    const geometry = getTimelineGeometry(nodes, clusterKeys);
+    const targets = LAYOUTS.timeline.computeTargets(graph());
+    expect(targets[8]).toBeLessThan(geometry.left);
+    expect(targets[8]).toBeGreaterThan(geometry.gutterLeft);
+    // Same swim-lane for nodes of the same cluster
+    expect(Math.abs(targets[1] - targets[3])).toBeLessThan(geometry.bottom - geometry.top);
+  });
+
+  it('should layer hierarchical nodes by forward dependency depth', () => {
+    const depths = computeDependencyDepths(graph());
+    expect(Array.from(depths)).toEqual([0, 1, 2, 3, 0]);
+  });
+});
+
+describe('LayoutEngine', () => {
+  it('should fall back to the main thread and report positions on step', () => {
+    const engine = new LayoutEngine({ useWorker: false });
+    const received = [];
+    engine.onPositions = (positions) => received.push(positions.length);
+
+    engine.setGraph(nodes, edges, clusterKeys);
+    engine.step(); // Not running yet
+    engine.start();
+    engine.step();
+
+    expect(engine.isWorker).toBe(false);
+    expect(received).toEqual([nodes.length * 2]);
+    engine.destroy();
+  });
+
+  it('should report when the main-thread simulation settles or freezes', () => {
+    const engine = new LayoutEngine({ useWorker: false });
+    const statuses = [];
+    engine.onStatus = (status) => statuses.push(status);
+
+    engine.setGraph(nodes, edges, clusterKeys);
+    engine.start();
+    for (let i = 0; i < 400; i++) engine.step();
+    expect(statuses.at(-1).settled).toBe(true);
+
+    const count = statuses.length;
+    engine.step();
+    expect(statuses.length).toBe(count);
+
+    engine.setFrozen(true);
+    expect(statuses.at(-1)).toMatchObject({ frozen: true, settled: true });
+    engine.destroy();
+  });
+
+  it('should report a warm-up before the next step, so a sleeping render loop resumes', () => {
+    const engine = new LayoutEngine({ useWorker: false });
+    engine.setGraph(nodes, edges, clusterKeys);
+    engine.start();
+    for (let i = 0; i < 400; i++) engine.step();
+    expect(engine.status.settled).toBe(true);
+
+    const statuses = [];
+    engine.onStatus = (status) => statuses.push(status);
+    engine.reheat(1);
+    expect(statuses).toEqual([expect.objectContaining({ alpha: 1, settled: false })]);
+    engine.destroy();
+  });
+});
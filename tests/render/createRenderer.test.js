@@ -0,0 +1,143 @@
+import { describe, it, expect, vi, afterEach } from 'vitest';
+import { createRenderer } from '../../src/render/createRenderer';
+import { Canvas2DRenderer, drawScene2D } from '../../src/render/Canvas2DRenderer';
+import { WebGLRenderer } from '../../src/render/WebGLRenderer';
+import { Renderer } from '../../src/render/Renderer';
+import { RENDERERS } from '../../src/render/types';
+import { THEMES } from '../../src/config/themes';
+
+const fakeContext = () => ({
+  setTransform: vi.fn(),
+  clearRect: vi.fn(),
+  fillRect: vi.fn(),
+  save: vi.fn(),
+  restore: vi.fn(),
+  translate: vi.fn(),
+  scale: vi.fn(),
+  beginPath: vi.fn(),
+  moveTo: vi.fn(),
+  lineTo: vi.fn(),
+  quadraticCurveTo: vi.fn(),
+  arc: vi.fn(),
+  fill: vi.fn(),
+  stroke: vi.fn(),
+  setLineDash: vi.fn(),
+  strokeText: vi.fn(),
+  fillText: vi.fn(),
+  createLinearGradient: vi.fn(() => ({ addColorStop: vi.fn() })),
+  createRadialGradient: vi.fn(() => ({ addColorStop: vi.fn() })),
+});
+
+const nodes = [
+  { id: 'a', label: 'A', cluster: 'c', x: 0, y: 0, reveal: 1 },
+  { id: 'b', label: 'B', cluster: 'c', x: 50, y: 0, reveal: 1 },
+  { id: 'c', label: 'C', cluster: 'c', x: 0, y: 50, reveal: 1 },
+];
+
+const makeFrame = (overrides = {}) => ({
+  width: 400,
+  height: 300,
+  pixelRatio: 2,
+  camera: { x: 0, y: 0 },
+  zoom: 1,
+  lod: new Canvas2DRenderer(document.createElement('canvas')).getLOD(1),
+  time: 0,
+  now: 0,
+  theme: THEMES.default,
+  themeKey: 'default',
+  clusters: { c: { color: '#3366ff' } },
+  nodes,
+  edges: [
+    { source: 'a', target: 'b', type: 'forward' },
+    { source: 'b', target: 'c', type: 'backlink' },
+  ],
+  nodeMap: new Map(nodes.map(n => [n.id, n])),
+  hoveredId: null,
+  highlightActive: false,
+  show: { labels: true, glow: false, pulses: false },
+  animating: false,
+  nodeSize: () => 6,
+  nodeOpacity: () => 1,
+  edgeOpacity: () => 1,
+  nodeColor: () => '#3366ff',
+  pulses: [],
+  ripples: [],
+  timeline: null,
+  ...overrides,
+});
+
+afterEach(() => {
+  vi.restoreAllMocks();
+});
+
+describe('Renderer', () => {
+  it('should not be instantiable directly', () => {
+    expect(() => new Renderer(null)).toThrow('abstract');
+  });
+
+  it('should only resize the canvas when the size changes', () => {
+    const canvas = document.createElement('canvas');
+    const renderer = new Canvas2DRenderer(canvas);
+    expect(renderer.resize(200, 100, 2)).toBe(true);
+    expect(canvas.width).toBe(400);
+    expect(canvas.style.height).toBe('100px');
+    expect(renderer.resize(200, 100, 2)).toBe(false);
+  });
+
+  it('should simplify the level of detail during gestures', () => {
+    const renderer = new Canvas2DRenderer(document.createElement('canvas'));
+    expect(renderer.getLOD(1, true).renderGlow).toBe(false);
+    expect(renderer.getLOD(1, true).maxEdges).toBe(200);
+  });
+});
+
+describe('createRenderer', () => {
+  const canvases = () => ({ surface: document.createElement('canvas'), canvas: document.createElement('canvas') });
+
+  it('should use Canvas 2D when asked to', () => {
+    const probe = vi.spyOn(WebGLRenderer, 'isSupported');
+    expect(createRenderer(RENDERERS.CANVAS2D, canvases())).toBeInstanceOf(Canvas2DRenderer);
+    expect(probe).not.toHaveBeenCalled();
+  });
+
+  it('should fall back to Canvas 2D without WebGL2', () => {
+    // The jsdom canvas mock has no shader API
+    expect(WebGLRenderer.isSupported()).toBe(false);
+    const renderer = createRenderer(RENDERERS.AUTO, canvases());
+    expect(renderer).toBeInstanceOf(Canvas2DRenderer);
+    expect(renderer.kind).toBe(RENDERERS.CANVAS2D);
+    expect(createRenderer(RENDERERS.WEBGL, canvases())).toBeInstanceOf(Canvas2DRenderer);
+  });
+
+  it('should fall back to Canvas 2D when the WebGL renderer fails to start', () => {
+    vi.spyOn(WebGLRenderer, 'isSupported').mockReturnValue(true);
+    const { surface, canvas } = canvases();
+    surface.getContext = () => null;
+    const renderer = createRenderer(RENDERERS.AUTO, { surface, canvas });
+    expect(renderer).toBeInstanceOf(Canvas2DRenderer);
+    expect(renderer.canvas).toBe(canvas);
+  });
+});
+
+describe('drawScene2D', () => {
+  it('should paint the background, edges, nodes and labels', () => {
+    const ctx = fakeContext();
+    drawScene2D(ctx, makeFrame());
+
+    expect(ctx.setTransform).toHaveBeenCalledWith(2, 0, 0, 2, 0, 0);
+    expect(ctx.fillRect).toHaveBeenCalledWith(0, 0, 400, 300);
+    expect(ctx.quadraticCurveTo).toHaveBeenCalledTimes(2);
+    expect(ctx.arc).toHaveBeenCalledTimes(3);
+    expect(ctx.fillText).toHaveBeenCalledTimes(3);
+  });
+
+  it('should follow the Canvas 2D level of detail and leave transparent frames unpainted', () => {
+    const ctx = fakeContext();
+    drawScene2D(ctx, makeFrame({ zoom: 0.5, lod: { ...makeFrame().lod, maxEdges: 1 }, transparent: true }));
+
+    expect(ctx.fillRect).not.toHaveBeenCalled();
+    expect(ctx.clearRect).toHaveBeenCalledWith(0, 0, 400, 300);
+    // Capped to one edge, and backlinks are skipped when zoomed out
+    expect(ctx.quadraticCurveTo).toHaveBeenCalledTimes(1);
+  });
+});
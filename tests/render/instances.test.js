@@ -0,0 +1,162 @@
+import { describe, it, expect } from 'vitest';
+import {
+  EDGE_STRIDE,
+  CIRCLE_STRIDE,
+  CIRCLE_KINDS,
+  parseColor,
+  InstanceBuffer,
+  createSceneInstances,
+  buildSceneInstances,
+} from '../../src/render/instances';
+import { Renderer } from '../../src/render/Renderer';
+import { WebGLRenderer } from '../../src/render/WebGLRenderer';
+import { THEMES } from '../../src/config/themes';
+
+class TestRenderer extends Renderer {
+  render() {}
+}
+
+const clusters = { a: { color: '#ff0000' }, b: { color: '#00ff00' } };
+
+const makeFrame = (nodeCount, overrides = {}) => {
+  const nodes = Array.from({ length: nodeCount }, (_, i) => ({
+    id: `n${i}`,
+    label: `Node ${i}`,
+    cluster: i % 2 ? 'a' : 'b',
+    x: (i % 50) * 20,
+    y: Math.floor(i / 50) * 20,
+    reveal: 1,
+  }));
+  const edges = nodes.slice(1).map((node, i) => ({
+    source: nodes[i].id,
+    target: node.id,
+    type: ['forward', 'backlink', 'accelerates'][i % 3],
+  }));
+  return {
+    width: 800,
+    height: 600,
+    pixelRatio: 1,
+    camera: { x: 0, y: 0 },
+    zoom: 1,
+    lod: new TestRenderer(null).getLOD(1),
+    time: 0.4,
+    now: 1000,
+    theme: THEMES.default,
+    themeKey: 'default',
+    clusters,
+    nodes,
+    edges,
+    nodeMap: new Map(nodes.map(n => [n.id, n])),
+    hoveredId: null,
+    highlightActive: false,
+    show: { labels: true, glow: true, pulses: false },
+    animating: false,
+    nodeSize: () => 8,
+    nodeOpacity: () => 1,
+    edgeOpacity: () => 0.6,
+    nodeColor: (node) => clusters[node.cluster].color,
+    pulses: [],
+    ripples: [],
+    timeline: null,
+    ...overrides,
+  };
+};
+
+describe('parseColor', () => {
+  it('should parse short, long and alpha hex colours', () => {
+    expect(parseColor('#fff')).toEqual([1, 1, 1, 1]);
+    expect(parseColor('#ff0000')).toEqual([1, 0, 0, 1]);
+    expect(parseColor('#00000080')[3]).toBeCloseTo(128 / 255);
+  });
+
+  it('should treat unknown colours as transparent', () => {
+    expect(parseColor('transparent')).toEqual([0, 0, 0, 0]);
+    expect(parseColor(undefined)).toEqual([0, 0, 0, 0]);
+  });
+});
+
+describe('InstanceBuffer', () => {
+  it('should grow while keeping earlier instances', () => {
+    const buffer = new InstanceBuffer(3, 2);
+    for (let i = 0; i < 5; i++) {
+      const o = buffer.next();
+      buffer.data.set([i, i, i], o);
+    }
+    expect(buffer.count).toBe(5);
+    expect(buffer.data.length).toBeGreaterThanOrEqual(15);
+    expect(Array.from(buffer.view())).toEqual([0, 0, 0, 1, 1, 1, 2, 2, 2, 3, 3, 3, 4, 4, 4]);
+
+    buffer.reset();
+    expect(buffer.view().length).toBe(0);
+  });
+});
+
+describe('buildSceneInstances', () => {
+  it('should pack one instance per edge with its curve, colours and dash', () => {
+    const frame = makeFrame(3);
+    const scene = buildSceneInstances(frame, createSceneInstances());
+    expect(scene.edges.count).toBe(2);
+
+    const first = scene.edges.view().subarray(0, EDGE_STRIDE);
+    expect(Array.from(first.subarray(0, 2))).toEqual([0, 0]);   // from n0
+    expect(Array.from(first.subarray(4, 6))).toEqual([20, 0]);  // to n1
+    expect(Array.from(first.subarray(6, 10))).toEqual([0, 1, 0, expect.closeTo(0.6)]); // cluster b
+    expect(Array.from(first.subarray(10, 14))).toEqual([1, 0, 0, expect.closeTo(0.6)]); // cluster a
+    expect(first[14]).toBeCloseTo(frame.lod.edgeWidth);
+    expect(first[17]).toBeGreaterThanOrEqual(20); // at least the chord length
+  });
+
+  it('should keep every edge at any zoom with the WebGL level of detail', () => {
+    [0.25, 0.5, 1, 3].forEach(zoom => {
+      const lod = WebGLRenderer.prototype.getLOD(zoom);
+      expect(lod.renderEdges).toBe(true);
+      expect(lod.edgeWidth).toBeGreaterThan(0);
+
+      const scene = buildSceneInstances(makeFrame(2000, { zoom, lod }), createSceneInstances());
+      expect(scene.edges.count).toBe(1999);
+    });
+
+    // The Canvas 2D baseline drops them when zoomed out
+    expect(new TestRenderer(null).getLOD(0.25).renderEdges).toBe(false);
+    expect(new TestRenderer(null).getLOD(0.5).maxEdges).toBeLessThan(1999);
+  });
+
+  it('should write a glow before each node and report looks for the text layer', () => {
+    const frame = makeFrame(2, { hoveredId: 'n1' });
+    const scene = buildSceneInstances(frame, createSceneInstances());
+    const kinds = [];
+    const view = scene.nodes.view();
+    for (let o = 0; o < view.length; o += CIRCLE_STRIDE) kinds.push(view[o + 10]);
+    expect(kinds).toEqual([CIRCLE_KINDS.GLOW, CIRCLE_KINDS.NODE, CIRCLE_KINDS.GLOW, CIRCLE_KINDS.NODE]);
+
+    expect(scene.looks).toHaveLength(2);
+    expect(scene.looks[1].hovered).toBe(true);
+    expect(scene.looks[1].size).toBe(12);
+  });
+
+  it('should add flow dots, pulses, rings and ripples when enabled', () => {
+    const frame = makeFrame(2, {
+      animating: true,
+      show: { labels: false, glow: false, pulses: true },
+      nodes: [],
+      ripples: [{ x: 0, y: 0, startTime: 500 }],
+    });
+    frame.nodes = [{ id: 'fire', x: 0, y: 0, reveal: 1, cluster: 'a' }];
+    frame.pulses = [{ source: frame.nodeMap.get('n0'), target: frame.nodeMap.get('n1'), edgeSource: frame.nodeMap.get('n0'), startTime: 0.3, color: '#00ffff' }];
+    const scene = buildSceneInstances(frame, createSceneInstances());
+
+    expect(scene.dots.count).toBe(1);
+    expect(scene.trails.count).toBe(1);
+    expect(scene.sparks.count).toBe(2);
+    // Node, three rings for the fire node, then two ripple rings
+    expect(scene.nodes.count).toBe(6);
+  });
+
+  it('should reuse buffers between frames', () => {
+    const scene = createSceneInstances();
+    buildSceneInstances(makeFrame(10), scene);
+    buildSceneInstances(makeFrame(3), scene);
+    expect(scene.edges.count).toBe(2);
+    expect(scene.nodes.count).toBe(6);
+  });
+});
@@ -0,0 +1,160 @@
+/**
+ * SearchIndex Unit Tests
+ */
+
+import { describe, it, expect, beforeEach } from 'vitest';
+import { SearchIndex, editDistance } from '../../src/search/SearchIndex.js';
+import { SearchEngine } from '../../src/search/SearchEngine.js';
+import { tokenize, stem } from '../../src/search/tokenize.js';
+
+const clusters = {
+  energy: { label: 'Energy', color: '#f00' },
+  bio: { label: 'Biology', color: '#0f0' },
+  info: { label: 'Information', color: '#00f' },
+};
+
+const descriptions = {
+  bio: { title: 'Biology Cluster', body: '<strong>Living systems</strong> and <em>domestication</em>.' },
+};
+
+const nodes = [
+  { id: 'steam-engine', label: 'Steam Engine', cluster: 'energy', year: 1712, status: 'Mature', maturity: 100, description: 'A heat engine that performs mechanical work using steam.', contributors: ['James Watt'], technologies: ['Boiler', 'Piston'] },
+  { id: 'steam-turbine', label: 'Steam Turbine', cluster: 'energy', year: 1884, status: 'Mature', maturity: 95, description: 'Extracts thermal energy from pressurized steam.', contributors: ['Charles Parsons'], technologies: ['Turbine'] },
+  { id: 'railway', label: 'Railway', cluster: 'energy', year: 1825, status: 'Mature', maturity: 90, description: 'Trains hauled by steam locomotives running on rails.', contributors: [], technologies: [] },
+  { id: 'agriculture', label: 'Agriculture', cluster: 'bio', year: -10000, status: 'Foundational', maturity: 100, description: 'Cultivation of plants and breeding of animals.', contributors: [], technologies: ['Plough'] },
+  { id: 'vaccines', label: 'Vaccines', cluster: 'bio', year: 1796, status: 'Mature', maturity: 90, description: 'Biological preparations that provide immunity.', contributors: ['Edward Jenner'], technologies: [] },
+  { id: 'gene-editing', label: 'Gene Editing', cluster: 'bio', year: 2012, status: 'Emerging', maturity: 40, description: 'Precise changes to DNA using CRISPR.', contributors: [], technologies: ['CRISPR'] },
+  { id: 'printing', label: 'Printing Press', cluster: 'info', year: 1440, status: 'Mature', maturity: 100, description: 'Mechanical printing with movable type.', contributors: ['Johannes Gutenberg'], technologies: ['Movable Type'] },
+];
+
+describe('tokenize', () => {
+  it('should lowercase, drop stop words and stem', () => {
+    expect(tokenize('The Engines of Printing')).toEqual(['engin', 'print']);
+  });
+
+  it('should give singular and plural forms the same stem', () => {
+    expect(stem('vaccines')).toBe(stem('vaccine'));
+    expect(stem('technologies')).toBe(stem('technology'));
+  });
+
+  it('should fold accents', () => {
+    expect(tokenize('Café Décor')).toEqual(['cafe', 'decor']);
+  });
+});
+
+describe('editDistance', () => {
+  it('should count insertions, deletions and substitutions', () => {
+    expect(editDistance('steam', 'steam')).toBe(0);
+    expect(editDistance('steam', 'stem')).toBe(1);
+    expect(editDistance('kitten', 'sitting')).toBe(3);
+  });
+
+  it('should count an adjacent transposition as one edit', () => {
+    expect(editDistance('engnie', 'engine')).toBe(1);
+  });
+
+  it('should stop early past the bound', () => {
+    expect(editDistance('agriculture', 'vaccines', 2)).toBe(3);
+  });
+});
+
+describe('SearchIndex', () => {
+  let index;
+
+  beforeEach(() => {
+    index = new SearchIndex();
+    index.build({ nodes, clusters, descriptions });
+  });
+
+  it('should index every node', () => {
+    expect(index.stats.documents).toBe(nodes.length);
+    expect(index.stats.terms).toBeGreaterThan(20);
+  });
+
+  it('should rank label matches above description mentions', () => {
+    const { ids } = index.search('steam');
+    expect(ids.slice(0, 2).sort()).toEqual(['steam-engine', 'steam-turbine']);
+    expect(ids[2]).toBe('railway');
+  });
+
+  it('should require every query term to match', () => {
+    expect(index.search('steam engine').ids).toEqual(['steam-engine']);
+  });
+
+  it('should match stemmed forms', () => {
+    expect(index.search('printed').ids).toContain('printing');
+    expect(index.search('vaccine').ids).toEqual(['vaccines']);
+  });
+
+  it('should search contributors and technologies', () => {
+    expect(index.search('gutenberg').ids).toEqual(['printing']);
+    expect(index.search('crispr').ids).toEqual(['gene-editing']);
+  });
+
+  it('should tolerate typos', () => {
+    expect(index.search('agricultrue ').ids).toEqual(['agriculture']);
+    expect(index.search('vacines ').ids).toEqual(['vaccines']);
+  });
+
+  it('should complete the last word while typing', () => {
+    expect(index.search('turb').ids).toEqual(['steam-turbine']);
+    expect(index.search('turb ').ids).toEqual([]);
+  });
+
+  it('should fall back to cluster descriptions when no node matches', () => {
+    expect(index.search('domestication').ids.sort()).toEqual(['agriculture', 'gene-editing', 'vaccines']);
+  });
+
+  it('should apply field filters', () => {
+    expect(index.search('cluster:bio year:<1800').ids).toEqual(['agriculture', 'vaccines']);
+    expect(index.search('cluster:bio status:Emerging').ids).toEqual(['gene-editing']);
+    expect(index.search('cluster:biology year:1700..1800').ids).toEqual(['vaccines']);
+    expect(index.search('steam -cluster:energy').ids).toEqual([]);
+    expect(index.search('tech:turbine').ids).toEqual(['steam-turbine']);
+    expect(index.search('by:watt').ids).toEqual(['steam-engine']);
+  });
+
+  it('should combine text and filters', () => {
+    expect(index.search('steam year:>1800').ids).toEqual(['steam-turbine', 'railway']);
+  });
+
+  it('should restrict results to the given ids', () => {
+    expect(index.search('steam', { within: ['railway', 'printing'] }).ids).toEqual(['railway']);
+  });
+
+  it('should paginate results', () => {
+    const first = index.search('year:>0', { pageSize: 2 });
+    expect(first.total).toBe(6);
+    expect(first.pageCount).toBe(3);
+    expect(first.hits.map(h => h.id)).toEqual(['printing', 'steam-engine']);
+
+    const last = index.search('year:>0', { page: 9, pageSize: 2 });
+    expect(last.page).toBe(3);
+    expect(last.hits.map(h => h.id)).toEqual(['steam-turbine', 'gene-editing']);
+  });
+
+  it('should report matched fields, terms and a snippet', () => {
+    const hit = index.search('locomotives').hits[0];
+    expect(hit.id).toBe('railway');
+    expect(hit.fields).toEqual(['description']);
+    expect(hit.terms).toEqual(['locomotiv']);
+    expect(hit.snippet).toContain('steam locomotives');
+  });
+
+  it('should return nothing for an empty query', () => {
+    expect(index.search('   ').total).toBe(0);
+  });
+});
+
+describe('SearchEngine', () => {
+  it('should build and query on the main thread without workers', async () => {
+    const engine = new SearchEngine({ useWorker: false });
+    expect(engine.isWorker).toBe(false);
+
+    await expect(engine.build({ nodes, clusters, descriptions })).resolves.toEqual(expect.objectContaining({ documents: nodes.length }));
+    const result = await engine.search('gutenberg');
+    expect(result.ids).toEqual(['printing']);
+    expect((await engine.search('')).total).toBe(0);
+    engine.destroy();
+  });
+});
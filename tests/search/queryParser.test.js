@@ -0,0 +1,52 @@
+/**
+ * Search query parser Unit Tests
+ */
+
+import { describe, it, expect } from 'vitest';
+import { parseQuery, compareNumber } from '../../src/search/queryParser.js';
+
+describe('parseQuery', () => {
+  it('should separate free text from filters', () => {
+    const parsed = parseQuery('steam engines cluster:energy year:<1800 status:Mature');
+    expect(parsed.terms).toEqual(['steam', 'engin']);
+    expect(parsed.filters).toEqual([
+      { field: 'cluster', op: 'match', value: 'energy', negate: false },
+      { field: 'year', op: '<', value: 1800, negate: false },
+      { field: 'status', op: 'match', value: 'mature', negate: false },
+    ]);
+  });
+
+  it('should parse ranges, negative years and negation', () => {
+    expect(parseQuery('year:1500..-200').filters[0]).toEqual({ field: 'year', op: 'range', value: -200, max: 1500, negate: false });
+    expect(parseQuery('year:>=-3000').filters[0]).toMatchObject({ op: '>=', value: -3000 });
+    expect(parseQuery('-cluster:bio').filters[0]).toMatchObject({ field: 'cluster', negate: true });
+  });
+
+  it('should accept quoted values and aliases', () => {
+    expect(parseQuery('by:"James Watt" tech:boiler').filters).toEqual([
+      { field: 'contributors', op: 'match', value: 'james watt', negate: false },
+      { field: 'technologies', op: 'match', value: 'boiler', negate: false },
+    ]);
+  });
+
+  it('should treat unknown fields and malformed numbers as text', () => {
+    expect(parseQuery('foo:bar').terms).toEqual(['foo', 'bar']);
+    expect(parseQuery('year:soon').filters).toEqual([]);
+  });
+
+  it('should flag an unfinished last word', () => {
+    expect(parseQuery('steam eng').partial).toBe(true);
+    expect(parseQuery('steam eng ').partial).toBe(false);
+    expect(parseQuery('"steam engine"').partial).toBe(false);
+  });
+});
+
+describe('compareNumber', () => {
+  it('should apply each operator', () => {
+    expect(compareNumber(1700, { op: '<', value: 1800 })).toBe(true);
+    expect(compareNumber(1800, { op: '<=', value: 1800 })).toBe(true);
+    expect(compareNumber(1800, { op: '>', value: 1800 })).toBe(false);
+    expect(compareNumber(1800, { op: 'range', value: 1700, max: 1900 })).toBe(true);
+    expect(compareNumber(null, { op: '<', value: 1800 })).toBe(false);
+  });
+});
@@ -0,0 +1,142 @@
+import { describe, it, expect, vi, afterEach } from 'vitest';
+import {
+  resolveCaptureScale,
+  createCaptureCanvas,
+  animationFrameAt,
+  recordAnimation,
+  captureImage,
+} from '../../src/utils/canvasCapture';
+
+const viewport = { width: 960, height: 540, camera: { x: 10, y: 20 }, zoom: 1.2, year: 2000 };
+
+const fakeContext = () => ({
+  setTransform: vi.fn(),
+  save: vi.fn(),
+  restore: vi.fn(),
+  fillRect: vi.fn(),
+  fillText: vi.fn(),
+  measureText: () => ({ width: 50 }),
+  getImageData: (x, y, w, h) => ({ data: new Uint8ClampedArray(w * h * 4) }),
+});
+
+const fakeRenderer = () => ({
+  getViewport: () => viewport,
+  setCapturing: vi.fn(),
+  stepFrame: vi.fn(),
+  renderFrame: vi.fn(),
+});
+
+afterEach(() => {
+  vi.restoreAllMocks();
+});
+
+describe('resolveCaptureScale', () => {
+  it('should turn size presets into pixel ratios', () => {
+    expect(resolveCaptureScale('screen', 960)).toBe(1);
+    expect(resolveCaptureScale('double', 960)).toBe(2);
+    expect(resolveCaptureScale('4k', 960)).toBe(4);
+    expect(resolveCaptureScale('8k', 1920)).toBe(4);
+    expect(resolveCaptureScale('unknown', 960)).toBe(1);
+  });
+});
+
+describe('createCaptureCanvas', () => {
+  it('should size the canvas in device pixels', () => {
+    const canvas = createCaptureCanvas(960, 540, 4);
+    expect([canvas.width, canvas.height]).toEqual([3840, 2160]);
+  });
+
+  it('should refuse sizes browsers cannot allocate', () => {
+    expect(() => createCaptureCanvas(20000, 20000, 1)).toThrow(/canvas limits/);
+    expect(() => createCaptureCanvas(0, 540, 1)).toThrow(/no size/);
+  });
+});
+
+describe('animationFrameAt', () => {
+  it('should hold the view still for pulses', () => {
+    expect(animationFrameAt('pulses', viewport, 0.5)).toEqual({ camera: viewport.camera, zoom: 1.2, year: 2000 });
+  });
+
+  it('should sweep the timeline up to the current year', () => {
+    const years = [0, 0.5, 1].map(p => animationFrameAt('timeline', viewport, p, { startYear: -10000 }).year);
+    expect(years[0]).toBe(-10000);
+    expect(years[1]).toBeGreaterThan(-10000);
+    expect(years[1]).toBeLessThan(2000);
+    expect(years[2]).toBe(2000);
+  });
+
+  it('should fly through the tour stops', () => {
+    const stops = [
+      { target: { x: 0, y: 0, zoom: 1 } },
+      { target: { x: 100, y: -50, zoom: 2 } },
+      { target: { x: 200, y: 0, zoom: 1 } },
+    ];
+    expect(animationFrameAt('tour', viewport, 0, { stops })).toMatchObject({ camera: { x: 0, y: 0 }, zoom: 1 });
+    expect(animationFrameAt('tour', viewport, 0.5, { stops })).toMatchObject({ camera: { x: 100, y: -50 }, zoom: 2 });
+    expect(animationFrameAt('tour', viewport, 0.25, { stops })).toMatchObject({ camera: { x: 50, y: -25 }, zoom: 1.5 });
+    expect(animationFrameAt('tour', viewport, 1, { stops })).toMatchObject({ camera: { x: 200, y: 0 }, zoom: 1 });
+  });
+});
+
+describe('captureImage', () => {
+  it('should render offscreen at the chosen scale with a watermark', () => {
+    const ctx = fakeContext();
+    vi.spyOn(HTMLCanvasElement.prototype, 'getContext').mockReturnValue(ctx);
+    const renderer = fakeRenderer();
+
+    const canvas = captureImage(renderer, { size: 'double', transparent: true, watermark: 'Made with Neuro-Chain' });
+    expect(canvas.width).toBe(1920);
+    expect(renderer.renderFrame).toHaveBeenCalledWith(ctx, { pixelRatio: 2, transparent: true });
+    expect(ctx.fillText).toHaveBeenCalledWith('Made with Neuro-Chain', expect.any(Number), expect.any(Number));
+  });
+});
+
+describe('recordAnimation', () => {
+  it('should step and render every frame of a GIF, pausing the live view', async () => {
+    vi.spyOn(HTMLCanvasElement.prototype, 'getContext').mockReturnValue(fakeContext());
+    const renderer = fakeRenderer();
+    const onProgress = vi.fn();
+
+    const blob = await recordAnimation(renderer, {
+      source: 'timeline', format: 'gif', duration: 0.2, fps: 10, startYear: 1000, onProgress,
+    });
+
+    expect(blob.type).toBe('image/gif');
+    expect(renderer.setCapturing.mock.calls).toEqual([[true], [false]]);
+    // One settling step, then one step per frame at 60/10 live frames each
+    expect(renderer.stepFrame.mock.calls[0][0]).toEqual({ frames: 0, year: 1000, settle: true });
+    expect(renderer.stepFrame.mock.calls.slice(1).map(([step]) => step)).toEqual([
+      { frames: 6, year: 1000 },
+      { frames: 6, year: 2000 },
+    ]);
+    expect(renderer.renderFrame).toHaveBeenCalledTimes(2);
+    expect(onProgress.mock.calls.map(([p]) => p)).toEqual([0.5, 1]);
+  });
+
+  it('should force pulses on only when recording pulses', async () => {
+    vi.spyOn(HTMLCanvasElement.prototype, 'getContext').mockReturnValue(fakeContext());
+    const renderer = fakeRenderer();
+
+    await recordAnimation(renderer, { source: 'pulses', format: 'gif', duration: 0.1, fps: 10 });
+    await recordAnimation(renderer, { source: 'tour', format: 'gif', duration: 0.1, fps: 10 });
+
+    expect(renderer.renderFrame.mock.calls.map(([, view]) => view.forcePulses)).toEqual([true, false]);
+  });
+
+  it('should stop and release the live view when cancelled', async () => {
+    vi.spyOn(HTMLCanvasElement.prototype, 'getContext').mockReturnValue(fakeContext());
+    const renderer = fakeRenderer();
+    const controller = new AbortController();
+    controller.abort();
+
+    await expect(recordAnimation(renderer, { format: 'gif', signal: controller.signal }))
+      .rejects.toMatchObject({ name: 'AbortError' });
+    expect(renderer.renderFrame).not.toHaveBeenCalled();
+    expect(renderer.setCapturing).toHaveBeenLastCalledWith(false);
+  });
+
+  it('should report browsers without WebM recording', async () => {
+    vi.spyOn(HTMLCanvasElement.prototype, 'getContext').mockReturnValue(fakeContext());
+    await expect(recordAnimation(fakeRenderer(), { format: 'webm' })).rejects.toThrow(/not supported/);
+  });
+});
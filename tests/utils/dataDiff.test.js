@@ -0,0 +1,59 @@
+import { describe, it, expect } from 'vitest';
+import { keyRecords, diffCollection, diffDatasets, createPatch, applyPatch } from '../../src/utils/dataDiff';
+
+const baseline = {
+  clusters: { fire: { label: 'Fire', color: '#ff6b35' } },
+  nodes: [
+    { id: 'fire', label: 'Fire', x: 0, y: 0 },
+    { id: 'cooking', label: 'Cooking', x: 10, y: 0, year: -250000 },
+  ],
+  edges: [{ source: 'fire', target: 'cooking', type: 'forward', weight: 5 }],
+  descriptions: {},
+};
+
+describe('diffCollection', () => {
+  it('should match nodes by id and report changed fields', () => {
+    const after = [
+      { id: 'fire', label: 'Fire', x: 5, y: 0 },
+      { id: 'wheel', label: 'Wheel', x: 0, y: 0 },
+    ];
+    const diff = diffCollection('nodes', baseline.nodes, after);
+    expect(diff.added.map(r => r.key)).toEqual(['wheel']);
+    expect(diff.removed.map(r => r.key)).toEqual(['cooking']);
+    expect(diff.changed).toEqual([{ key: 'fire', fields: [{ field: 'x', before: 0, after: 5 }] }]);
+  });
+
+  it('should key parallel edges apart', () => {
+    const keys = [...keyRecords('edges', [
+      { source: 'a', target: 'b', type: 'forward' },
+      { source: 'a', target: 'b', type: 'accelerates' },
+    ]).keys()];
+    expect(keys).toEqual(['a->b', 'a->b#2']);
+  });
+
+  it('should skip untouched collections', () => {
+    const after = { ...baseline, edges: [...baseline.edges, { source: 'cooking', target: 'fire', type: 'backlink' }] };
+    expect(Object.keys(diffDatasets(baseline, after))).toEqual(['edges']);
+  });
+});
+
+describe('patches', () => {
+  it('should reproduce the edited dataset from the baseline', () => {
+    const current = {
+      ...baseline,
+      clusters: { ...baseline.clusters, info: { label: 'Info', color: '#00ffff' } },
+      nodes: [{ id: 'fire', label: 'Fire!', x: 0, y: 0 }, { id: 'cooking', label: 'Cooking', x: 10, y: 0 }],
+      edges: [],
+    };
+    const patch = createPatch(baseline, current, { changes: [] });
+
+    expect(patch.operations.map(op => op.op).sort()).toEqual(['add', 'remove', 'update', 'update']);
+    expect(applyPatch(baseline, JSON.parse(JSON.stringify(patch)))).toEqual(current);
+  });
+
+  it('should reject patches that do not fit the data', () => {
+    const patch = createPatch(baseline, { ...baseline, nodes: baseline.nodes.slice(1) });
+    expect(() => applyPatch({ ...baseline, nodes: [] }, patch)).toThrow('no record "fire"');
+    expect(() => applyPatch(baseline, { format: 'other' })).toThrow('Unsupported patch format');
+  });
+});
@@ -0,0 +1,84 @@
+import { describe, it, expect } from 'vitest';
+import {
+  slugify,
+  createNodeId,
+  parseListInput,
+  nodeToForm,
+  formToNode,
+  validateEdit,
+} from '../../src/utils/dataEditing';
+
+const data = {
+  clusters: { fire: { label: 'Fire', color: '#ff6b35' } },
+  nodes: [
+    { id: 'fire', label: 'Fire', cluster: 'fire', x: 0, y: 0, size: 20, year: -400000 },
+    { id: 'cooking', label: 'Cooking', cluster: 'fire', x: 10, y: 0, size: 10, year: null },
+  ],
+  edges: [{ source: 'fire', target: 'cooking', type: 'forward', weight: 5 }],
+  descriptions: {},
+};
+
+describe('createNodeId', () => {
+  it('should slugify labels', () => {
+    expect(slugify('Steam Engine (Watt)')).toBe('steam-engine-watt');
+    expect(slugify('Élan Vital')).toBe('elan-vital');
+  });
+
+  it('should avoid existing ids', () => {
+    expect(createNodeId('Fire', ['fire', 'fire-2'])).toBe('fire-3');
+    expect(createNodeId('???', [])).toBe('node');
+  });
+});
+
+describe('node forms', () => {
+  it('should split comma-separated lists', () => {
+    expect(parseListInput(' Fire, ,Thermal ')).toEqual(['Fire', 'Thermal']);
+  });
+
+  it('should round-trip a node through the form', () => {
+    const node = {
+      ...data.nodes[0],
+      status: 'Foundational',
+      maturity: 100,
+      contributors: ['Homo erectus'],
+      technologies: ['Fire', 'Thermal'],
+      description: 'Controlled use of fire.',
+      wikiUrl: 'https://en.wikipedia.org/wiki/Fire',
+    };
+    expect(formToNode(nodeToForm(node), node)).toEqual(node);
+  });
+
+  it('should drop keys outside the node schema', () => {
+    const node = { ...data.nodes[0], pinned: true };
+    const saved = formToNode(nodeToForm(node), { ...node, score: 80, reveal: 1 });
+    expect(saved).not.toHaveProperty('score');
+    expect(saved).not.toHaveProperty('reveal');
+    expect(saved.pinned).toBe(true);
+  });
+
+  it('should store blank years as undated and leave out blank optional fields', () => {
+    const form = { ...nodeToForm({ label: 'Wheel', cluster: 'fire' }), year: ' ' };
+    const node = formToNode(form, { id: 'wheel', x: 5, y: 6 });
+    expect(node.year).toBeNull();
+    expect(node.size).toBeGreaterThan(0);
+    expect(node).not.toHaveProperty('description');
+    expect(node).not.toHaveProperty('wikiUrl');
+    expect(node).not.toHaveProperty('maturity');
+  });
+});
+
+describe('validateEdit', () => {
+  it('should key new errors by field path', () => {
+    const nodes = data.nodes.map((n, i) => (i === 1 ? { ...n, year: 99999 } : n));
+    const result = validateEdit(data, { nodes });
+    expect(result.valid).toBe(false);
+    expect(result.fieldErrors['nodes[1].year']).toBeDefined();
+  });
+
+  it('should not block on errors the data already had', () => {
+    const broken = { ...data, edges: [...data.edges, { source: 'fire', target: 'ghost', type: 'forward' }] };
+    const nodes = broken.nodes.map((n, i) => (i === 1 ? { ...n, label: 'Cooking food' } : n));
+    expect(validateEdit(broken, { nodes }).valid).toBe(true);
+    expect(validateEdit(broken, { edges: [...broken.edges, { source: 'fire', target: 'fire', type: 'forward' }] }).valid).toBe(false);
+  });
+});
@@ -0,0 +1,151 @@
+import { describe, it, expect } from 'vitest';
+import {
+  suggestMapping,
+  mapImport,
+  planMerge,
+  placeMissingPositions,
+  applyMerge,
+} from '../../src/utils/dataImport';
+import { parseCsvTables } from '../../src/utils/importParsers';
+import { validateEdit } from '../../src/utils/dataEditing';
+
+const baseNode = { status: 'Mature', year: 1712, contributors: [], technologies: [], size: 12 };
+
+const data = {
+  clusters: {
+    energy: { label: 'Energy', color: '#ff6b35' },
+    transport: { label: 'Transport', color: '#00ffff' },
+  },
+  nodes: [
+    { ...baseNode, id: 'steam', label: 'Steam Engine', cluster: 'energy', x: 0, y: 0 },
+    { ...baseNode, id: 'rail', label: 'Railway', cluster: 'transport', x: 200, y: 0, year: 1825 },
+  ],
+  edges: [{ source: 'steam', target: 'rail', type: 'forward' }],
+  descriptions: {},
+};
+
+const importCsv = (nodeText, edgeText, options = {}) => {
+  const raw = parseCsvTables(nodeText, edgeText);
+  return mapImport(raw, suggestMapping(raw), { clusters: data.clusters, defaultCluster: 'energy', ...options });
+};
+
+describe('suggestMapping', () => {
+  it('should match attributes by alias regardless of case and punctuation', () => {
+    const mapping = suggestMapping({
+      nodeFields: ['Node ID', 'Name', 'Modularity Class', 'Tags'],
+      edgeFields: ['From', 'To', 'Relationship'],
+    });
+    expect(mapping.nodes).toMatchObject({ id: 'Node ID', label: 'Name', cluster: 'Modularity Class', technologies: 'Tags', year: '' });
+    expect(mapping.edges).toEqual({ source: 'From', target: 'To', type: 'Relationship', weight: '' });
+  });
+});
+
+describe('mapImport', () => {
+  it('should convert values and leave blank fields out', () => {
+    const { nodes } = importCsv('id,label,year,status,contributors,x\nlaser,Laser,1960-05-16,mature,Maiman; Townes,\n');
+    expect(nodes).toEqual([{
+      id: 'laser',
+      label: 'Laser',
+      cluster: 'energy',
+      year: 1960,
+      status: 'Mature',
+      contributors: ['Maiman', 'Townes'],
+    }]);
+  });
+
+  it('should resolve clusters by key or label and create the rest', () => {
+    const { nodes, clusters } = importCsv('id,cluster\na,transport\nb,energy\nc,Space Flight\nd,\n');
+    expect(nodes.map(n => n.cluster)).toEqual(['transport', 'energy', 'space-flight', 'energy']);
+    expect(Object.keys(clusters)).toEqual(['space-flight']);
+    expect(clusters['space-flight'].label).toBe('Space Flight');
+
+    const fallback = importCsv('id,cluster\nc,Space Flight\n', '', { createClusters: false });
+    expect(fallback.nodes[0].cluster).toBe('energy');
+    expect(fallback.clusters).toEqual({});
+  });
+
+  it('should derive missing ids from labels and warn about skipped rows', () => {
+    const { nodes, edges, warnings } = importCsv(
+      'id,label,year\n,Jet Engine,\na,A,\na,Again,\n,,1900\n',
+      'source,target,type\na,jet-engine,INHIBITS\na,,forward\n'
+    );
+    expect(nodes.map(n => n.id)).toEqual(['jet-engine', 'a']);
+    expect(edges).toEqual([{ source: 'a', target: 'jet-engine', type: 'inhibits' }]);
+    expect(warnings).toHaveLength(3);
+  });
+});
+
+describe('planMerge', () => {
+  it('should split imported nodes into added, conflicting and unchanged', () => {
+    const plan = planMerge(data, {
+      nodes: [
+        { id: 'laser', label: 'Laser', cluster: 'energy' },
+        { id: 'steam', label: 'Steam Engine', year: 1769 },
+        { id: 'rail', label: 'Railway' },
+      ],
+    });
+    expect(plan.added.map(n => n.id)).toEqual(['laser']);
+    expect(plan.conflicts).toEqual([expect.objectContaining({ id: 'steam', fields: ['year'] })]);
+    expect(plan.unchanged).toEqual(['rail']);
+  });
+});
+
+describe('placeMissingPositions', () => {
+  it('should place nodes near their cluster and new clusters outside the graph', () => {
+    const { nodes, positioned } = placeMissingPositions([
+      ...data.nodes,
+      { id: 'boiler', cluster: 'energy' },
+      { id: 'rocket', cluster: 'space' },
+    ]);
+    expect(positioned).toBe(2);
+    const boiler = nodes.find(n => n.id === 'boiler');
+    const rocket = nodes.find(n => n.id === 'rocket');
+    expect(Math.hypot(boiler.x, boiler.y)).toBeLessThan(100);
+    expect(Math.hypot(rocket.x - 100, rocket.y)).toBeGreaterThan(200);
+    expect(nodes.slice(0, 2)).toEqual(data.nodes);
+  });
+});
+
+describe('applyMerge', () => {
+  const imported = {
+    nodes: [
+      { id: 'steam', label: 'Steam Engine', cluster: 'energy', year: 1769, description: 'Watt' },
+      { id: 'laser', label: 'Laser', cluster: 'optics' },
+    ],
+    edges: [
+      { source: 'steam', target: 'laser', type: 'forward' },
+      { source: 'steam', target: 'rail', type: 'forward' },
+      { source: 'laser', target: 'ghost', type: 'forward' },
+    ],
+    clusters: { optics: { label: 'Optics', color: '#123456' }, unused: { label: 'Unused', color: '#654321' } },
+  };
+
+  it('should keep existing nodes by default and add the rest with defaults and positions', () => {
+    const { changes, summary } = applyMerge(data, imported);
+    expect(changes.nodes[0]).toBe(data.nodes[0]);
+    const laser = changes.nodes.find(n => n.id === 'laser');
+    expect(laser).toMatchObject({ status: 'Unknown', year: null, size: 12 });
+    expect(Number.isFinite(laser.x)).toBe(true);
+    expect(Object.keys(changes.clusters)).toEqual(['energy', 'transport', 'optics']);
+    expect(summary).toMatchObject({
+      added: 1, kept: 1, positioned: 1, edgesAdded: 1, edgesDuplicate: 1, edgesSkipped: 1, clustersAdded: 1,
+    });
+    expect(validateEdit(data, changes).valid).toBe(true);
+  });
+
+  it('should merge or replace conflicting nodes, keeping their position', () => {
+    const merged = applyMerge(data, imported, { resolution: 'merge' }).changes.nodes[0];
+    expect(merged).toMatchObject({ id: 'steam', year: 1769, description: 'Watt', status: 'Mature', x: 0 });
+
+    const replaced = applyMerge(data, imported, { resolution: 'replace' }).changes.nodes[0];
+    expect(replaced).toMatchObject({ year: 1769, status: 'Unknown', x: 0, y: 0 });
+  });
+
+  it('should import renamed copies and point their edges at the new id', () => {
+    const { changes, summary } = applyMerge(data, imported, { resolutions: { steam: 'rename' } });
+    expect(summary.renamed).toBe(1);
+    expect(changes.nodes.map(n => n.id)).toContain('steam-engine');
+    expect(changes.edges).toContainEqual({ source: 'steam-engine', target: 'laser', type: 'forward' });
+    expect(changes.edges).toContainEqual({ source: 'steam-engine', target: 'rail', type: 'forward' });
+  });
+});
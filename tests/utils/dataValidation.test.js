@@ -0,0 +1,164 @@
+import { describe, it, expect } from 'vitest';
+import {
+  validateDataset,
+  validateCollection,
+  findForwardCycles,
+  isValidHttpUrl,
+  appendJsonPath,
+} from '../../src/utils/dataValidation';
+import { locateJsonPaths, lineForPath } from '../../src/utils/jsonLocator';
+
+const clusters = {
+  fire: { label: 'Fire', color: '#ff6b35' },
+  tools: { label: 'Tools', color: '#f4a261' },
+};
+
+const node = (id, extra = {}) => ({ id, label: id, cluster: 'fire', x: 0, y: 0, size: 10, ...extra });
+
+const validData = () => ({
+  clusters,
+  nodes: [node('fire', { year: -400000, status: 'Foundational', maturity: 100 }), node('cooking', { year: null })],
+  edges: [{ source: 'fire', target: 'cooking', type: 'forward', weight: 8 }],
+  descriptions: { fire: { title: 'Fire', body: '<strong>Fire</strong>' } },
+});
+
+const paths = (result) => result.errors.map(e => e.path);
+
+describe('validateDataset', () => {
+  it('should accept well-formed data', () => {
+    const result = validateDataset(validData());
+    expect(result.valid).toBe(true);
+    expect(result.issues).toEqual([]);
+  });
+
+  it('should check node field types and ranges with JSON paths', () => {
+    const data = validData();
+    data.nodes[0] = node('fire', { year: 1e9, maturity: 120, status: 'Legendary', wikiUrl: 'javascript:alert(1)', size: -1 });
+    data.nodes[1] = { ...node('cooking'), label: 42, x: '10', pinned: 1 };
+
+    const result = validateDataset(data);
+    expect(result.valid).toBe(false);
+    expect(paths(result)).toEqual(expect.arrayContaining([
+      '$.nodes[0].year',
+      '$.nodes[0].maturity',
+      '$.nodes[0].status',
+      '$.nodes[0].wikiUrl',
+      '$.nodes[0].size',
+      '$.nodes[1].label',
+      '$.nodes[1].x',
+      '$.nodes[1].pinned',
+    ]));
+  });
+
+  it('should check referential integrity', () => {
+    const data = validData();
+    data.nodes.push(node('fire'), node('kiln', { cluster: 'ceramics' }));
+    data.edges.push(
+      { source: 'fire', target: 'pottery', type: 'forward' },
+      { source: 'fire', target: 'fire', type: 'forward' },
+      { source: 'fire', target: 'cooking', type: 'forward', weight: 8 },
+      { source: 'fire', target: 'cooking', type: 'melts' },
+    );
+
+    const codes = validateDataset(data).errors.map(e => `${e.code} ${e.path}`);
+    expect(codes).toEqual(expect.arrayContaining([
+      'duplicate-id $.nodes[2].id',
+      'unknown-cluster $.nodes[3].cluster',
+      'missing-node $.edges[1].target',
+      'self-loop $.edges[2]',
+      'duplicate-edge $.edges[3]',
+      'enum $.edges[4].type',
+    ]));
+  });
+
+  it('should report forward cycles as warnings only', () => {
+    const data = validData();
+    data.edges.push({ source: 'cooking', target: 'fire', type: 'forward' });
+    const result = validateDataset(data);
+    expect(result.valid).toBe(true);
+    expect(result.warnings).toEqual([
+      expect.objectContaining({ code: 'forward-cycle', path: '$.edges[1]' }),
+    ]);
+  });
+
+  it('should check cluster colours and descriptions', () => {
+    const data = validData();
+    data.clusters = { ...clusters, 'bad key': { label: '', color: 'red', locked: 'yes' } };
+    data.descriptions.unknown = { title: 'Orphan', body: 'Text' };
+    const result = validateDataset(data);
+    expect(paths(result)).toEqual(expect.arrayContaining([
+      '$.clusters["bad key"].label',
+      '$.clusters["bad key"].color',
+      '$.clusters["bad key"].locked',
+    ]));
+    expect(result.warnings[0].path).toBe('$.descriptions.unknown');
+  });
+
+  it('should warn about markup and links that are stripped when shown', () => {
+    const data = validData();
+    data.nodes[0] = node('fire', { description: 'Warmth<script>alert(1)</script>', wikiUrl: 'http://example.org' });
+    data.descriptions.fire = { title: 'Fire', body: '<a href="javascript:void(0)">more</a>' };
+    const result = validateDataset(data);
+    expect(result.valid).toBe(true);
+    expect(result.warnings.map(w => [w.path, w.code])).toEqual([
+      ['$.nodes[0].description', 'unsafe-html'],
+      ['$.nodes[0].wikiUrl', 'insecure-url'],
+      ['$.descriptions.fire.body', 'unsafe-html'],
+    ]);
+    expect(result.warnings[0].message).toBe('removed when shown: <script>');
+  });
+
+  it('should reject collections of the wrong shape', () => {
+    expect(paths(validateDataset({ nodes: {}, edges: 'x', clusters: [] }))).toEqual(['$.clusters', '$.nodes', '$.edges']);
+  });
+});
+
+describe('validateCollection', () => {
+  it('should catch edges left dangling by a node edit', () => {
+    const result = validateCollection(validData(), 'nodes', [node('fire')]);
+    expect(result.errors).toEqual([expect.objectContaining({ code: 'missing-node', path: '$.edges[0].target' })]);
+  });
+});
+
+describe('helpers', () => {
+  it('should find each cycle once', () => {
+    const cycles = findForwardCycles([
+      { source: 'a', target: 'b', type: 'forward' },
+      { source: 'b', target: 'c', type: 'forward' },
+      { source: 'c', target: 'a', type: 'forward' },
+      { source: 'c', target: 'a', type: 'backlink' },
+    ]);
+    expect(cycles).toEqual([{ nodes: ['a', 'b', 'c', 'a'], edgeIndex: 2 }]);
+  });
+
+  it('should only accept absolute http(s) URLs', () => {
+    expect(isValidHttpUrl('https://en.wikipedia.org/wiki/Fire')).toBe(true);
+    expect(isValidHttpUrl('/wiki/Fire')).toBe(false);
+    expect(isValidHttpUrl('javascript:alert(1)')).toBe(false);
+  });
+
+  it('should format JSON paths', () => {
+    expect(appendJsonPath('$', 'nodes')).toBe('$.nodes');
+    expect(appendJsonPath('$.nodes', 3)).toBe('$.nodes[3]');
+    expect(appendJsonPath('$.clusters', 'a-b')).toBe('$.clusters["a-b"]');
+  });
+});
+
+describe('locateJsonPaths', () => {
+  const text = JSON.stringify({ fire: { label: 'Fire', tags: ['a', 'b'] }, 'a-b': 1 }, null, 2);
+
+  it('should map paths to the line they start on', () => {
+    const lines = locateJsonPaths(text);
+    expect(lines.get('$')).toBe(1);
+    expect(lines.get('$.fire')).toBe(2);
+    expect(lines.get('$.fire.label')).toBe(3);
+    expect(lines.get('$.fire.tags[1]')).toBe(6);
+    expect(lines.get('$["a-b"]')).toBe(9);
+  });
+
+  it('should fall back to the closest located ancestor', () => {
+    const lines = locateJsonPaths(text, '$.clusters');
+    expect(lineForPath(lines, '$.clusters.fire.color')).toBe(2);
+    expect(lineForPath(lines, '$.edges[0]')).toBeNull();
+  });
+});
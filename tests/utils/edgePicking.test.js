@@ -0,0 +1,70 @@
+import { describe, it, expect } from 'vitest';
+import { quadraticPoint, curveDistance, pickEdge } from '../../src/utils/edgePicking';
+import { edgeControlPoint } from '../../src/utils/graphStyle';
+
+// sin(2 * time) = 1 for a source at x = 0, so the curve bows by the full offset
+const BOWED = Math.PI / 4;
+
+describe('curveDistance', () => {
+  const from = { x: 0, y: 0 };
+  const to = { x: 200, y: 0 };
+  const control = { x: 100, y: 100 };
+
+  it('is zero on the curve and reports where along it', () => {
+    const mid = quadraticPoint(from, control, to, 0.5);
+    const { distance, t } = curveDistance(mid, from, control, to);
+    expect(distance).toBeLessThan(0.5);
+    expect(t).toBeCloseTo(0.5, 1);
+  });
+
+  it('measures to the curve, not the straight chord', () => {
+    const { distance } = curveDistance({ x: 100, y: 0 }, from, control, to);
+    expect(distance).toBeGreaterThan(45);
+  });
+
+  it('clamps to the endpoints', () => {
+    const { distance, t } = curveDistance({ x: -30, y: 0 }, from, control, to);
+    expect(distance).toBeCloseTo(30, 0);
+    expect(t).toBe(0);
+  });
+});
+
+describe('pickEdge', () => {
+  const nodeMap = new Map([
+    ['a', { id: 'a', x: 0, y: 0 }],
+    ['b', { id: 'b', x: 200, y: 0 }],
+    ['c', { id: 'c', x: 0, y: 40 }],
+    ['d', { id: 'd', x: 200, y: 40 }],
+  ]);
+  const ab = { source: 'a', target: 'b', type: 'forward' };
+  const cd = { source: 'c', target: 'd', type: 'backlink' };
+
+  it('picks the edge under the drawn curve', () => {
+    const control = edgeControlPoint(nodeMap.get('a'), nodeMap.get('b'), 0, BOWED);
+    const onCurve = quadraticPoint(nodeMap.get('a'), control, nodeMap.get('b'), 0.5);
+    expect(onCurve.y).toBeGreaterThan(5);
+
+    const hit = pickEdge(onCurve, [ab], nodeMap, { time: BOWED, tolerance: 2 });
+    expect(hit?.edge).toBe(ab);
+    expect(hit.t).toBeCloseTo(0.5, 1);
+  });
+
+  it('misses the chord when the curve bows away from it', () => {
+    expect(pickEdge({ x: 106, y: 0 }, [ab], nodeMap, { time: BOWED, tolerance: 2 })).toBeNull();
+  });
+
+  it('respects the tolerance', () => {
+    expect(pickEdge({ x: 100, y: -10 }, [ab], nodeMap, { time: 0, tolerance: 5 })).toBeNull();
+    expect(pickEdge({ x: 100, y: -10 }, [ab], nodeMap, { time: 0, tolerance: 15 })?.edge).toBe(ab);
+  });
+
+  it('prefers the nearest of overlapping candidates', () => {
+    const hit = pickEdge({ x: 100, y: 28 }, [ab, cd], nodeMap, { time: 0, tolerance: 30 });
+    expect(hit.edge).toBe(cd);
+  });
+
+  it('skips edges with missing endpoints', () => {
+    const dangling = { source: 'a', target: 'missing', type: 'forward' };
+    expect(pickEdge({ x: 0, y: 0 }, [dangling], nodeMap)).toBeNull();
+  });
+});
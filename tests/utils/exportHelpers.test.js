@@ -2,7 +2,18 @@ import { describe, it, expect, vi } from 'vitest';
 import {
   generateShareLink,
   parseShareLink,
+  selectSubgraph,
+  bakeNodePositions,
+  toGraphML,
+  toGEXF,
+  toCSV,
+  toDOT,
+  toMermaid,
+  getExporters,
+  registerExporter,
+  exportGraph,
 } from '../../src/utils/exportHelpers';
+import { parseGraphML, parseGEXF, parseCSV } from '../../src/utils/importParsers';
 
 describe('generateShareLink', () => {
   beforeEach(() => {
@@ -70,3 +81,117 @@ describe('parseShareLink', () => {
     expect(result.nodeId).toBeNull();
   });
 });
+
+const graph = {
+  clusters: {
+    fire: { label: 'Fire Cluster', color: '#ff6b35' },
+    bio: { label: 'Biology', color: '#00ff88' },
+  },
+  nodes: [
+    { id: 'fire', label: 'Fire & "Heat"', cluster: 'fire', x: 0, y: 10, size: 20, year: -400000, contributors: [], technologies: ['Flint', 'Tinder'] },
+    { id: 'crispr', label: 'CRISPR', cluster: 'bio', x: 100.5, y: -20, size: 12, year: 2012, maturity: 40, description: '=cmd, "quoted"' },
+    { id: 'dna', label: 'DNA', cluster: 'bio', x: 50, y: 50, size: 12, year: 1953 },
+  ],
+  edges: [
+    { source: 'fire', target: 'crispr', type: 'backlink', weight: 0.5 },
+    { source: 'dna', target: 'crispr', type: 'inhibits' },
+  ],
+};
+
+describe('selectSubgraph', () => {
+  it('should keep nodes visible at the year, outside hidden clusters and matching the filter', () => {
+    expect(selectSubgraph(graph, { maxYear: 2000 }).nodes.map(n => n.id)).toEqual(['fire', 'dna']);
+
+    const hidden = selectSubgraph(graph, { hiddenClusters: new Set(['fire']) });
+    expect(hidden.nodes.map(n => n.id)).toEqual(['crispr', 'dna']);
+    expect(hidden.edges).toEqual([graph.edges[1]]);
+    expect(Object.keys(hidden.clusters)).toEqual(['bio']);
+
+    const filtered = selectSubgraph(graph, {
+      nodeFilter: { nodeIds: new Set(['fire', 'crispr', 'dna']), edges: new Set([graph.edges[0]]) },
+    });
+    expect(filtered.edges).toEqual([graph.edges[0]]);
+  });
+});
+
+describe('bakeNodePositions', () => {
+  it('should round settled positions into the nodes and keep the rest as stored', () => {
+    const positions = new Map([['fire', { x: 12.6, y: -3.2 }], ['dna', { x: NaN, y: 0 }]]);
+    const baked = bakeNodePositions(graph.nodes, positions);
+
+    expect(baked[0]).toEqual({ ...graph.nodes[0], x: 13, y: -3 });
+    expect(baked.slice(1)).toEqual(graph.nodes.slice(1));
+    expect(baked[1]).toBe(graph.nodes[1]);
+  });
+});
+
+describe('graph exporters', () => {
+  it('should write GraphML that reads back with every attribute', () => {
+    const xml = toGraphML(graph);
+    expect(xml).toContain('attr.name="maturity" attr.type="int"');
+    expect(xml).toContain('attr.name="x" attr.type="double"');
+    expect(xml).toContain('Fire &amp; &quot;Heat&quot;');
+
+    const raw = parseGraphML(xml);
+    expect(raw.nodes[0]).toMatchObject({ id: 'fire', label: 'Fire & "Heat"', technologies: 'Flint; Tinder', year: '-400000' });
+    expect(raw.nodes[0]).not.toHaveProperty('contributors');
+    expect(raw.edges[0]).toMatchObject({ source: 'fire', target: 'crispr', type: 'backlink', weight: '0.5' });
+  });
+
+  it('should write GEXF with viz position, size and cluster colour', () => {
+    const xml = toGEXF(graph);
+    expect(xml).toContain('<viz:color r="255" g="107" b="53"/>');
+    expect(xml).toContain('weight="0.5"');
+
+    const raw = parseGEXF(xml);
+    expect(raw.nodes[1]).toMatchObject({ id: 'crispr', label: 'CRISPR', cluster: 'bio', x: '100.5', y: '-20', size: '12', maturity: '40' });
+    expect(raw.edges[1]).toMatchObject({ source: 'dna', target: 'crispr', type: 'inhibits' });
+  });
+
+  it('should write CSV tables that guard against spreadsheet formulas', () => {
+    const { nodes, edges } = toCSV(graph);
+    const rows = parseCSV(nodes).rows;
+    expect(parseCSV(nodes).fields.slice(0, 4)).toEqual(['id', 'label', 'cluster', 'x']);
+    expect(rows[0]).toMatchObject({ label: 'Fire & "Heat"', year: '-400000', technologies: 'Flint; Tinder' });
+    expect(rows[1].description).toBe(`'=cmd, "quoted"`);
+    expect(parseCSV(edges).rows[1]).toEqual({ source: 'dna', target: 'crispr', type: 'inhibits', weight: '' });
+  });
+
+  it('should write DOT with cluster subgraphs and edge styles', () => {
+    const dot = toDOT(graph);
+    expect(dot).toMatch(/^digraph "neuro-chain" \{/);
+    expect(dot).toContain('label="Biology";');
+    expect(dot).toContain('"fire" [label="Fire & \\"Heat\\"" fillcolor="#ff6b35" pos="0,-10!"];');
+    expect(dot).toContain('"fire" -> "crispr" [type="backlink" style=dashed];');
+    expect(dot).toContain('arrowhead=tee');
+  });
+
+  it('should write a Mermaid flowchart with safe ids and cluster classes', () => {
+    const mermaid = toMermaid(graph);
+    expect(mermaid.split('\n')[0]).toBe('flowchart LR');
+    expect(mermaid).toContain('n_fire["Fire & #quot;Heat#quot;"]');
+    expect(mermaid).toContain('n_fire -.-> n_crispr');
+    expect(mermaid).toContain('n_dna --x n_crispr');
+    expect(mermaid).toContain('class n_crispr,n_dna c1');
+  });
+});
+
+describe('exporter registry', () => {
+  it('should list the built-in formats and accept new ones', () => {
+    expect(getExporters().map(e => e.id)).toEqual(expect.arrayContaining(['graphml', 'gexf', 'csv', 'dot', 'mermaid']));
+    registerExporter('ids', { label: 'Id list', extension: 'txt', mimeType: 'text/plain', serialize: g => g.nodes.map(n => n.id).join('\n') });
+    expect(getExporters().at(-1)).toMatchObject({ id: 'ids', label: 'Id list' });
+  });
+
+  it('should download one file per output and reject unknown formats', () => {
+    URL.createObjectURL = vi.fn(() => 'blob:test');
+    URL.revokeObjectURL = vi.fn();
+    const click = vi.spyOn(HTMLAnchorElement.prototype, 'click').mockImplementation(() => {});
+
+    expect(exportGraph('csv', graph, 'out')).toEqual(['out-nodes.csv', 'out-edges.csv']);
+    expect(exportGraph('dot', graph)).toEqual(['neuro-chain.dot']);
+    expect(click).toHaveBeenCalledTimes(3);
+    expect(() => exportGraph('pdf', graph)).toThrow(/Unknown export format/);
+    click.mockRestore();
+  });
+});
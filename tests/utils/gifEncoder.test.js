@@ -0,0 +1,116 @@
+import { describe, it, expect } from 'vitest';
+import { quantizeFrame, lzwEncode, createGifEncoder } from '../../src/utils/gifEncoder';
+
+// Reference GIF LZW decoder
+const lzwDecode = (bytes, minCodeSize, pixelCount) => {
+  const clearCode = 1 << minCodeSize;
+  const endCode = clearCode + 1;
+  let codeSize = minCodeSize + 1;
+  let table = [];
+  const reset = () => {
+    table = Array.from({ length: clearCode + 2 }, (_, i) => [i]);
+    codeSize = minCodeSize + 1;
+  };
+  reset();
+  const out = [];
+  let bit = 0;
+  let previous = null;
+  while (out.length <= pixelCount) {
+    let code = 0;
+    for (let i = 0; i < codeSize; i++, bit++) {
+      code |= ((bytes[bit >> 3] >> (bit & 7)) & 1) << i;
+    }
+    if (code === clearCode) {
+      reset();
+      previous = null;
+      continue;
+    }
+    if (code === endCode) break;
+    let entry;
+    if (code < table.length) entry = table[code];
+    else entry = [...previous, previous[0]];
+    out.push(...entry);
+    if (previous) table.push([...previous, entry[0]]);
+    previous = entry;
+    if (table.length === 1 << codeSize && codeSize < 12) codeSize++;
+  }
+  return out;
+};
+
+const solidFrame = (pixels, [r, g, b, a = 255]) => {
+  const rgba = new Uint8ClampedArray(pixels * 4);
+  for (let i = 0; i < pixels; i++) rgba.set([r, g, b, a], i * 4);
+  return rgba;
+};
+
+describe('lzwEncode', () => {
+  it('should round-trip short and repetitive input', () => {
+    const input = Uint8Array.from([1, 1, 1, 1, 2, 2, 1, 1, 1, 1, 2, 2, 3]);
+    expect(lzwDecode(lzwEncode(input, 8), 8, input.length)).toEqual([...input]);
+  });
+
+  it('should reset the code table once it fills up', () => {
+    // Pseudo-random input forces more than 4096 codes
+    let seed = 7;
+    const input = Uint8Array.from({ length: 20000 }, () => {
+      seed = (seed * 1103515245 + 12345) & 0x7fffffff;
+      return seed % 256;
+    });
+    expect(lzwDecode(lzwEncode(input, 8), 8, input.length)).toEqual([...input]);
+  });
+});
+
+describe('quantizeFrame', () => {
+  it('should keep up to 256 distinct colours exactly', () => {
+    const rgba = new Uint8ClampedArray([255, 0, 0, 255, 0, 0, 255, 255, 255, 0, 0, 255]);
+    const { palette, indices, transparentIndex } = quantizeFrame(rgba);
+    expect(transparentIndex).toBe(-1);
+    expect(indices[0]).toBe(indices[2]);
+    expect([...palette.slice(indices[0] * 3, indices[0] * 3 + 3)]).toEqual([255, 0, 0]);
+    expect([...palette.slice(indices[1] * 3, indices[1] * 3 + 3)]).toEqual([0, 0, 255]);
+  });
+
+  it('should map see-through pixels to the transparent index', () => {
+    const rgba = new Uint8ClampedArray([10, 20, 30, 0, 10, 20, 30, 255]);
+    const { indices, transparentIndex } = quantizeFrame(rgba, { transparent: true });
+    expect(transparentIndex).toBe(255);
+    expect(indices[0]).toBe(255);
+    expect(indices[1]).not.toBe(255);
+  });
+
+  it('should match rare colours to the nearest palette entry', () => {
+    // 256 common colours (red equals green) plus one rare pure red pixel
+    const rgba = [];
+    for (let i = 0; i < 256; i++) {
+      const grey = (i % 16) * 16;
+      const blue = Math.floor(i / 16) * 16;
+      for (let n = 0; n < 2; n++) rgba.push(grey, grey, blue, 255);
+    }
+    rgba.push(250, 0, 0, 255);
+    const { palette, indices } = quantizeFrame(Uint8ClampedArray.from(rgba));
+    const last = indices[indices.length - 1];
+    expect([...palette.slice(last * 3, last * 3 + 3)]).toEqual([128, 128, 0]);
+  });
+});
+
+describe('createGifEncoder', () => {
+  it('should write a looping GIF89a with one image block per frame', () => {
+    const encoder = createGifEncoder(4, 2, { delay: 5 });
+    encoder.addFrame(solidFrame(8, [255, 0, 0]));
+    encoder.addFrame(solidFrame(8, [0, 255, 0]));
+    const gif = encoder.finish();
+    const text = String.fromCharCode(...gif);
+
+    expect(text.startsWith('GIF89a')).toBe(true);
+    expect([gif[6], gif[7], gif[8], gif[9]]).toEqual([4, 0, 2, 0]);
+    expect(text).toContain('NETSCAPE2.0');
+    expect(gif[gif.length - 1]).toBe(0x3b);
+    expect(encoder.frameCount()).toBe(2);
+    // Graphic control extensions carry the delay
+    const controls = [];
+    for (let i = text.indexOf('\x21\xf9'); i !== -1; i = text.indexOf('\x21\xf9', i + 1)) {
+      controls.push(gif[i + 4]);
+    }
+    expect(controls).toEqual([5, 5]);
+  });
+});
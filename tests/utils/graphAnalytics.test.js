@@ -0,0 +1,195 @@
+import { describe, it, expect } from 'vitest';
+import {
+  computeDegrees,
+  computePageRank,
+  computeBetweenness,
+  computeChainDepths,
+  detectCommunities,
+  traceLineage,
+  computeModularity,
+  getMetricValues,
+  normalizeMetric,
+  analyzeGraph,
+} from '../../src/utils/graphAnalytics';
+
+const node = (id) => ({ id, label: id });
+
+// Two triangles joined through a single bridge node
+const bridgeNodes = ['a1', 'a2', 'a3', 'bridge', 'b1', 'b2', 'b3'].map(node);
+const bridgeEdges = [
+  { source: 'a1', target: 'a2', type: 'forward', weight: 1 },
+  { source: 'a2', target: 'a3', type: 'forward', weight: 1 },
+  { source: 'a3', target: 'a1', type: 'backlink', weight: 1 },
+  { source: 'a3', target: 'bridge', type: 'forward', weight: 1 },
+  { source: 'bridge', target: 'b1', type: 'accelerates', weight: 1 },
+  { source: 'b1', target: 'b2', type: 'forward', weight: 1 },
+  { source: 'b2', target: 'b3', type: 'forward', weight: 1 },
+  { source: 'b3', target: 'b1', type: 'backlink', weight: 1 },
+];
+
+describe('computeDegrees', () => {
+  it('should split in and out degree by edge type', () => {
+    const degrees = computeDegrees(bridgeNodes, bridgeEdges);
+    expect(degrees.a3.out).toMatchObject({ forward: 1, backlink: 1, total: 2 });
+    expect(degrees.a3.in).toMatchObject({ forward: 1, total: 1 });
+    expect(degrees.bridge.out.accelerates).toBe(1);
+    expect(degrees.bridge.total).toBe(2);
+  });
+
+  it('should ignore dangling edges and self-loops', () => {
+    const degrees = computeDegrees([node('x')], [
+      { source: 'x', target: 'x', type: 'forward' },
+      { source: 'x', target: 'missing', type: 'forward' },
+    ]);
+    expect(degrees.x.total).toBe(0);
+  });
+});
+
+describe('computePageRank', () => {
+  it('should sum to one and favour the end of a chain', () => {
+    const nodes = ['fire', 'cooking', 'pottery'].map(node);
+    const edges = [
+      { source: 'fire', target: 'cooking', type: 'forward' },
+      { source: 'cooking', target: 'pottery', type: 'forward' },
+    ];
+    const rank = computePageRank(nodes, edges);
+    const total = Object.values(rank).reduce((a, b) => a + b, 0);
+    expect(total).toBeCloseTo(1, 6);
+    expect(rank.pottery).toBeGreaterThan(rank.fire);
+
+    const reversed = computePageRank(nodes, edges, { reverse: true });
+    expect(reversed.fire).toBeGreaterThan(reversed.pottery);
+  });
+
+  it('should return an empty result for an empty graph', () => {
+    expect(computePageRank([], [])).toEqual({});
+  });
+});
+
+describe('computeBetweenness', () => {
+  it('should rank the bridge node highest', () => {
+    const scores = computeBetweenness(bridgeNodes, bridgeEdges);
+    const top = Object.entries(scores).sort(([, a], [, b]) => b - a)[0][0];
+    expect(top).toBe('bridge');
+    expect(scores.a1).toBe(0);
+  });
+
+  it('should match the known value for a path graph', () => {
+    // In a-b-c, b sits on the only path between a and c
+    const scores = computeBetweenness(['a', 'b', 'c'].map(node), [
+      { source: 'a', target: 'b' },
+      { source: 'b', target: 'c' },
+    ]);
+    expect(scores.b).toBeCloseTo(1);
+    expect(scores.a).toBe(0);
+  });
+});
+
+describe('computeChainDepths', () => {
+  it('should follow the longest forward chain from the root', () => {
+    const nodes = ['fire', 'cooking', 'pottery', 'kiln', 'metallurgy'].map(node);
+    const edges = [
+      { source: 'fire', target: 'cooking', type: 'forward' },
+      { source: 'cooking', target: 'pottery', type: 'forward' },
+      { source: 'pottery', target: 'kiln', type: 'forward' },
+      { source: 'fire', target: 'kiln', type: 'forward' },
+      { source: 'kiln', target: 'metallurgy', type: 'forward' },
+      { source: 'metallurgy', target: 'fire', type: 'backlink' },
+    ];
+    const result = computeChainDepths(nodes, edges, 'fire');
+    expect(result.depths.kiln).toBe(3);
+    expect(result.maxDepth).toBe(4);
+    expect(result.chain).toEqual(['fire', 'cooking', 'pottery', 'kiln', 'metallurgy']);
+  });
+
+  it('should not loop on forward cycles', () => {
+    const nodes = ['fire', 'a', 'b'].map(node);
+    const edges = [
+      { source: 'fire', target: 'a', type: 'forward' },
+      { source: 'a', target: 'b', type: 'forward' },
+      { source: 'b', target: 'a', type: 'forward' },
+    ];
+    const result = computeChainDepths(nodes, edges, 'fire');
+    expect(result.depths.fire).toBe(0);
+    expect(result.depths.a).toBeUndefined();
+  });
+
+  it('should handle a missing root', () => {
+    expect(computeChainDepths(bridgeNodes, bridgeEdges, 'fire')).toEqual({ depths: {}, maxDepth: 0, chain: [] });
+  });
+});
+
+describe('traceLineage', () => {
+  const nodes = ['fire', 'tools', 'cooking', 'pottery', 'kiln', 'myth'].map(node);
+  const edges = [
+    { source: 'fire', target: 'cooking', type: 'forward' },
+    { source: 'tools', target: 'pottery', type: 'forward' },
+    { source: 'cooking', target: 'pottery', type: 'forward' },
+    { source: 'pottery', target: 'kiln', type: 'forward' },
+    { source: 'fire', target: 'kiln', type: 'forward' },
+    { source: 'kiln', target: 'fire', type: 'backlink' },
+    { source: 'myth', target: 'fire', type: 'accelerates' },
+  ];
+
+  it('should collect every upstream prerequisite by generation', () => {
+    const { depths, generations, edges: traced } = traceLineage(nodes, edges, 'kiln');
+    expect(generations[0]).toEqual(['kiln']);
+    expect(generations[1].sort()).toEqual(['fire', 'pottery']);
+    expect(generations[2].sort()).toEqual(['cooking', 'tools']);
+    // Nearest generation wins for nodes reachable at several depths
+    expect(depths.fire).toBe(1);
+    // Only forward edges are followed by default
+    expect(depths.myth).toBeUndefined();
+    expect(traced.every(e => e.type === 'forward')).toBe(true);
+    expect(traced.length).toBe(5);
+  });
+
+  it('should collect descendants when asked', () => {
+    const { generations } = traceLineage(nodes, edges, 'fire', { direction: 'descendants' });
+    expect(generations.flat().sort()).toEqual(['cooking', 'fire', 'kiln', 'pottery']);
+  });
+
+  it('should follow extra edge types on request', () => {
+    const { depths } = traceLineage(nodes, edges, 'kiln', { types: ['forward', 'accelerates'] });
+    expect(depths.myth).toBe(2);
+  });
+
+  it('should return an empty trace for an unknown node', () => {
+    expect(traceLineage(nodes, edges, 'missing')).toEqual({ depths: {}, generations: [], edges: [] });
+  });
+});
+
+describe('detectCommunities', () => {
+  it('should separate loosely joined groups', () => {
+    const { membership, communities, modularity } = detectCommunities(bridgeNodes, bridgeEdges);
+    expect(communities.length).toBe(2);
+    expect(membership.a1).toBe(membership.a3);
+    expect(membership.b1).toBe(membership.b3);
+    expect(membership.a1).not.toBe(membership.b1);
+    expect(modularity).toBeGreaterThan(0.3);
+    expect(modularity).toBeCloseTo(computeModularity(bridgeNodes, bridgeEdges, membership));
+  });
+
+  it('should keep isolated nodes in their own community', () => {
+    const { communities, modularity } = detectCommunities(['a', 'b'].map(node), []);
+    expect(communities).toEqual([['a'], ['b']]);
+    expect(modularity).toBe(0);
+  });
+});
+
+describe('metric helpers', () => {
+  it('should expose every metric and normalize it into [0, 1]', () => {
+    const analytics = analyzeGraph(bridgeNodes, bridgeEdges, { rootId: 'a1' });
+    ['pagerank', 'betweenness', 'degree', 'depth'].forEach(metric => {
+      const normalized = normalizeMetric(getMetricValues(analytics, metric));
+      const values = Object.values(normalized);
+      expect(values.length).toBeGreaterThan(0);
+      expect(Math.min(...values)).toBe(0);
+      expect(Math.max(...values)).toBe(1);
+    });
+  });
+
+  it('should map constant values to zero', () => {
+    expect(normalizeMetric({ a: 3, b: 3 })).toEqual({ a: 0, b: 0 });
+  });
+});
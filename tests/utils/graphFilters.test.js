@@ -0,0 +1,102 @@
+import { describe, it, expect } from 'vitest';
+import {
+  createFilter,
+  createRule,
+  isFilterActive,
+  applyGraphFilter,
+  describeFilter,
+} from '../../src/utils/graphFilters';
+
+const nodes = [
+  { id: 'crispr', cluster: 'bio', status: 'Emerging', maturity: 40, year: 2012, contributors: ['Jennifer Doudna'], technologies: ['Cas9'] },
+  { id: 'mrna', cluster: 'bio', status: 'Emerging', maturity: 60, year: 2020, contributors: [], technologies: ['Lipid Nanoparticles'] },
+  { id: 'vaccines', cluster: 'bio', status: 'Mature', maturity: 90, year: 1796, contributors: ['Edward Jenner'], technologies: [] },
+  { id: 'fire', cluster: 'fire', status: 'Foundational', maturity: 100, year: -400000, contributors: [], technologies: [] },
+  { id: 'pcr', cluster: 'bio', status: 'Mature', maturity: 95, year: 1983, contributors: ['Kary Mullis'], technologies: [] },
+  { id: 'dna', cluster: 'bio', status: 'Mature', maturity: 100, year: 1953, contributors: [], technologies: [] },
+];
+
+const edges = [
+  // crispr depends on five nodes, mrna on two
+  ...['vaccines', 'fire', 'pcr', 'dna', 'mrna'].map(source => ({ source, target: 'crispr', type: 'forward' })),
+  { source: 'vaccines', target: 'mrna', type: 'forward' },
+  { source: 'pcr', target: 'mrna', type: 'accelerates' },
+  { source: 'crispr', target: 'fire', type: 'backlink' },
+];
+
+const filterOf = (rules, options = {}) => ({ ...createFilter(), rules, ...options });
+const ids = (result) => [...result.nodeIds].sort();
+
+describe('isFilterActive', () => {
+  it('should ignore empty filters and unfinished rules', () => {
+    expect(isFilterActive(null)).toBe(false);
+    expect(isFilterActive(createFilter())).toBe(false);
+    expect(isFilterActive(filterOf([createRule('status')]))).toBe(false);
+    expect(isFilterActive(filterOf([{ ...createRule('status'), value: 'Emerging' }]))).toBe(true);
+    expect(isFilterActive(filterOf([], { edgeTypes: ['forward'] }))).toBe(true);
+  });
+});
+
+describe('applyGraphFilter', () => {
+  it('should find emerging bio nodes with more than 4 dependencies', () => {
+    const filter = filterOf([
+      { field: 'cluster', op: 'is', value: 'bio' },
+      { field: 'status', op: 'is', value: 'emerging' },
+      { field: 'degree', op: '>', value: 4, direction: 'in', edgeType: 'any' },
+    ]);
+    expect(ids(applyGraphFilter(nodes, edges, filter))).toEqual(['crispr']);
+  });
+
+  it('should combine rules with OR', () => {
+    const filter = filterOf([
+      { field: 'year', op: 'between', min: 2000, max: null },
+      { field: 'contributors', op: 'contains', value: 'jenner' },
+    ], { combinator: 'or' });
+    expect(ids(applyGraphFilter(nodes, edges, filter))).toEqual(['crispr', 'mrna', 'vaccines']);
+  });
+
+  it('should support negated operators and ranges', () => {
+    const filter = filterOf([
+      { field: 'cluster', op: 'isNot', value: 'fire' },
+      { field: 'maturity', op: 'between', min: 50, max: 95 },
+      { field: 'technologies', op: 'notContains', value: 'lipid' },
+    ]);
+    expect(ids(applyGraphFilter(nodes, edges, filter))).toEqual(['pcr', 'vaccines']);
+  });
+
+  it('should count degrees by direction and edge type', () => {
+    const dependents = filterOf([{ field: 'degree', op: '>=', value: 2, direction: 'out', edgeType: 'any' }]);
+    expect(ids(applyGraphFilter(nodes, edges, dependents))).toEqual(['pcr', 'vaccines']);
+
+    const accelerated = filterOf([{ field: 'degree', op: '=', value: 1, direction: 'in', edgeType: 'accelerates' }]);
+    expect(ids(applyGraphFilter(nodes, edges, accelerated))).toEqual(['mrna']);
+  });
+
+  it('should keep only edges of the chosen types between passing nodes', () => {
+    const filter = filterOf([{ field: 'cluster', op: 'is', value: 'bio' }], { edgeTypes: ['forward'] });
+    const result = applyGraphFilter(nodes, edges, filter);
+    expect(result.nodeIds.has('fire')).toBe(false);
+    expect([...result.edges].map(e => `${e.source}->${e.target}`).sort()).toEqual([
+      'dna->crispr', 'mrna->crispr', 'pcr->crispr', 'vaccines->crispr', 'vaccines->mrna',
+    ]);
+  });
+
+  it('should count degrees only over the kept edge types', () => {
+    const filter = filterOf(
+      [{ field: 'degree', op: '>=', value: 2, direction: 'in', edgeType: 'any' }],
+      { edgeTypes: ['accelerates'] }
+    );
+    expect(ids(applyGraphFilter(nodes, edges, filter))).toEqual([]);
+  });
+});
+
+describe('describeFilter', () => {
+  it('should summarise rules and edge types', () => {
+    const filter = filterOf([
+      { field: 'cluster', op: 'is', value: 'bio' },
+      { field: 'degree', op: '>', value: 5, direction: 'in', edgeType: 'any' },
+    ], { edgeTypes: ['forward'] });
+    expect(describeFilter(filter, { bio: { label: 'Biology' } })).toBe('cluster is Biology AND dependencies > 5 · forward edges');
+    expect(describeFilter(createFilter())).toBe('Everything');
+  });
+});
@@ -0,0 +1,147 @@
+import { describe, it, expect } from 'vitest';
+import {
+  detectFormat,
+  parseCSV,
+  parseCsvTables,
+  parseGraphML,
+  parseGEXF,
+  parseCytoscape,
+  parseGraphFile,
+} from '../../src/utils/importParsers';
+
+describe('detectFormat', () => {
+  it('should use the file extension', () => {
+    expect(detectFormat('', 'nodes.csv')).toBe('csv');
+    expect(detectFormat('', 'graph.GEXF')).toBe('gexf');
+    expect(detectFormat('', 'network.cyjs')).toBe('cytoscape');
+  });
+
+  it('should sniff content for .xml and unnamed input', () => {
+    expect(detectFormat('<?xml version="1.0"?><gexf version="1.3">', 'export.xml')).toBe('gexf');
+    expect(detectFormat('  <graphml>')).toBe('graphml');
+    expect(detectFormat('{"elements": []}')).toBe('cytoscape');
+    expect(detectFormat('id,label\na,A')).toBe('csv');
+  });
+});
+
+describe('parseCSV', () => {
+  it('should read quoted fields with delimiters, escaped quotes and newlines', () => {
+    const { fields, rows } = parseCSV('\uFEFFid,label,description\r\na,"Steam, engine","Said ""hi""\nthen left"\r\n');
+    expect(fields).toEqual(['id', 'label', 'description']);
+    expect(rows).toEqual([{ id: 'a', label: 'Steam, engine', description: 'Said "hi"\nthen left' }]);
+  });
+
+  it('should detect semicolon and tab delimiters', () => {
+    expect(parseCSV('id;year\na;1769').rows).toEqual([{ id: 'a', year: '1769' }]);
+    expect(parseCSV('id\tyear\na\t1769').rows).toEqual([{ id: 'a', year: '1769' }]);
+  });
+
+  it('should skip blank lines and fill missing cells', () => {
+    expect(parseCSV('id,label\n\na\n').rows).toEqual([{ id: 'a', label: '' }]);
+  });
+});
+
+describe('parseCsvTables', () => {
+  it('should combine a node table with an optional edge table', () => {
+    const raw = parseCsvTables('id,label\na,A\nb,B', 'source,target\na,b');
+    expect(raw.nodes).toHaveLength(2);
+    expect(raw.edges).toEqual([{ source: 'a', target: 'b' }]);
+    expect(raw.edgeFields).toEqual(['source', 'target']);
+    expect(parseCsvTables('id\na').edges).toEqual([]);
+  });
+});
+
+describe('parseGraphML', () => {
+  const graphml = `<?xml version="1.0"?>
+    <graphml xmlns="http://graphml.graphdrawing.org/xmlns" xmlns:y="http://www.yworks.com/xml/graphml">
+      <key id="d0" for="node" attr.name="year" attr.type="int"/>
+      <key id="d1" for="node" yfiles.type="nodegraphics"/>
+      <key id="d2" for="edge" attr.name="type"/>
+      <graph edgedefault="directed">
+        <node id="steam"><data key="d0">1712</data>
+          <data key="d1"><y:ShapeNode><y:Geometry x="10" y="20" width="30" height="30"/><y:NodeLabel>Steam</y:NodeLabel></y:ShapeNode></data>
+        </node>
+        <node id="rail"><data key="d0">1825</data></node>
+        <edge id="e0" source="steam" target="rail"><data key="d2">accelerates</data></edge>
+      </graph>
+    </graphml>`;
+
+  it('should name data by key attr.name and read yEd geometry', () => {
+    const raw = parseGraphML(graphml);
+    expect(raw.format).toBe('graphml');
+    expect(raw.nodes).toEqual([
+      { id: 'steam', year: '1712', x: '10', y: '20', label: 'Steam' },
+      { id: 'rail', year: '1825' },
+    ]);
+    expect(raw.edges).toEqual([{ id: 'e0', source: 'steam', target: 'rail', type: 'accelerates' }]);
+    expect(raw.nodeFields).toEqual(['id', 'year', 'x', 'y', 'label']);
+  });
+
+  it('should reject malformed or foreign XML', () => {
+    expect(() => parseGraphML('<graphml><node></graphml>')).toThrow(/Invalid XML/);
+    expect(() => parseGraphML('<gexf/>')).toThrow(/Not a GraphML/);
+  });
+});
+
+describe('parseGEXF', () => {
+  it('should read attvalues by title plus viz position and size', () => {
+    const raw = parseGEXF(`<?xml version="1.0"?>
+      <gexf xmlns="http://gexf.net/1.3" xmlns:viz="http://gexf.net/1.3/viz" version="1.3">
+        <graph defaultedgetype="directed">
+          <attributes class="node"><attribute id="0" title="cluster" type="string"/></attributes>
+          <nodes>
+            <node id="n1" label="Fire">
+              <attvalues><attvalue for="0" value="energy"/></attvalues>
+              <viz:position x="1.5" y="-2" z="0"/><viz:size value="12"/>
+            </node>
+          </nodes>
+          <edges><edge id="0" source="n1" target="n1" weight="2"/></edges>
+        </graph>
+      </gexf>`);
+    expect(raw.nodes).toEqual([{ id: 'n1', label: 'Fire', cluster: 'energy', x: '1.5', y: '-2', size: '12' }]);
+    expect(raw.edges).toEqual([{ id: '0', source: 'n1', target: 'n1', weight: '2' }]);
+  });
+});
+
+describe('parseCytoscape', () => {
+  it('should read grouped elements with positions', () => {
+    const raw = parseCytoscape(JSON.stringify({
+      elements: {
+        nodes: [{ data: { id: 'a', name: 'A' }, position: { x: 5, y: 6 } }],
+        edges: [{ data: { id: 'ab', source: 'a', target: 'b' } }],
+      },
+    }));
+    expect(raw.nodes).toEqual([{ id: 'a', name: 'A', x: 5, y: 6 }]);
+    expect(raw.edges).toEqual([{ id: 'ab', source: 'a', target: 'b' }]);
+  });
+
+  it('should split a flat element array by group or by source/target', () => {
+    const raw = parseCytoscape([
+      { group: 'nodes', data: { id: 'a' } },
+      { data: { id: 'b' } },
+      { data: { source: 'a', target: 'b' } },
+    ]);
+    expect(raw.nodes.map(n => n.id)).toEqual(['a', 'b']);
+    expect(raw.edges).toHaveLength(1);
+  });
+
+  it('should skip elements that are not objects', () => {
+    const flat = parseCytoscape([null, 'a', 7, { data: { id: 'b' } }]);
+    expect(flat.nodes).toEqual([{ id: 'b' }]);
+
+    const grouped = parseCytoscape({ elements: { nodes: [null, { data: { id: 'a' } }], edges: [undefined] } });
+    expect(grouped.nodes).toEqual([{ id: 'a' }]);
+    expect(grouped.edges).toEqual([]);
+  });
+
+  it('should reject JSON without elements', () => {
+    expect(() => parseCytoscape('{}')).toThrow(/elements/);
+  });
+});
+
+describe('parseGraphFile', () => {
+  it('should dispatch by format and reject unknown ones', () => {
+    expect(parseGraphFile('[]', 'cytoscape').format).toBe('cytoscape');
+    expect(() => parseGraphFile('', 'dot')).toThrow(/Unsupported/);
+  });
+});
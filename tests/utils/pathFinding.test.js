@@ -0,0 +1,89 @@
+import { describe, it, expect } from 'vitest';
+import {
+  findShortestPath,
+  findKShortestPaths,
+  findStrongestPath,
+  pathFromNodeIds,
+} from '../../src/utils/pathFinding';
+
+const nodes = ['stone-tools', 'fire', 'metallurgy', 'wheel', 'steam', 'electricity', 'agi'].map(id => ({ id, label: id }));
+
+//   stone-tools → metallurgy → steam → electricity → agi   (strong edges)
+//   stone-tools → wheel → agi                               (weak shortcut)
+//   fire → stone-tools                                      (backlink, not followed)
+const edges = [
+  { source: 'stone-tools', target: 'metallurgy', type: 'forward', weight: 9 },
+  { source: 'metallurgy', target: 'steam', type: 'forward', weight: 9 },
+  { source: 'steam', target: 'electricity', type: 'forward', weight: 9 },
+  { source: 'electricity', target: 'agi', type: 'forward', weight: 9 },
+  { source: 'stone-tools', target: 'wheel', type: 'forward', weight: 2 },
+  { source: 'wheel', target: 'agi', type: 'accelerates', weight: 2 },
+  { source: 'metallurgy', target: 'agi', type: 'forward', weight: 1 },
+  { source: 'stone-tools', target: 'fire', type: 'backlink', weight: 5 },
+];
+
+describe('findShortestPath', () => {
+  it('should prefer fewer hops and break ties by weight', () => {
+    const path = findShortestPath(nodes, edges, 'stone-tools', 'agi');
+    // Both two-hop routes qualify; metallurgy→agi sums to 10, wheel→agi to 4
+    expect(path.nodes).toEqual(['stone-tools', 'metallurgy', 'agi']);
+    expect(path.hops).toBe(2);
+    expect(path.totalWeight).toBe(10);
+    expect(path.edges[0]).toBe(edges[0]);
+  });
+
+  it('should respect edge direction unless told otherwise', () => {
+    expect(findShortestPath(nodes, edges, 'agi', 'stone-tools')).toBeNull();
+    const path = findShortestPath(nodes, edges, 'agi', 'stone-tools', { directed: false });
+    expect(path.hops).toBe(2);
+  });
+
+  it('should skip backlinks by default', () => {
+    expect(findShortestPath(nodes, edges, 'stone-tools', 'fire')).toBeNull();
+    expect(findShortestPath(nodes, edges, 'stone-tools', 'fire', { types: ['backlink'] }).hops).toBe(1);
+  });
+
+  it('should return null for unknown nodes', () => {
+    expect(findShortestPath(nodes, edges, 'stone-tools', 'missing')).toBeNull();
+  });
+});
+
+describe('findStrongestPath', () => {
+  it('should take the longer route over heavy edges', () => {
+    const path = findStrongestPath(nodes, edges, 'stone-tools', 'agi');
+    expect(path.nodes).toEqual(['stone-tools', 'metallurgy', 'steam', 'electricity', 'agi']);
+    expect(path.totalWeight).toBe(36);
+  });
+});
+
+describe('findKShortestPaths', () => {
+  it('should list distinct loopless routes in order of length', () => {
+    const paths = findKShortestPaths(nodes, edges, 'stone-tools', 'agi', 5);
+    expect(paths.map(p => p.nodes.join('>'))).toEqual([
+      'stone-tools>metallurgy>agi',
+      'stone-tools>wheel>agi',
+      'stone-tools>metallurgy>steam>electricity>agi',
+    ]);
+    paths.forEach(path => {
+      expect(new Set(path.nodes).size).toBe(path.nodes.length);
+    });
+  });
+
+  it('should return nothing when the goal is unreachable', () => {
+    expect(findKShortestPaths(nodes, edges, 'agi', 'stone-tools', 3)).toEqual([]);
+  });
+});
+
+describe('pathFromNodeIds', () => {
+  it('should rebuild a route from its node ids', () => {
+    const path = pathFromNodeIds(nodes, edges, ['stone-tools', 'wheel', 'agi']);
+    expect(path.edges).toEqual([edges[4], edges[5]]);
+    expect(path.totalWeight).toBe(4);
+  });
+
+  it('should reject unknown or unconnected nodes', () => {
+    expect(pathFromNodeIds(nodes, edges, ['stone-tools', 'agi'])).toBeNull();
+    expect(pathFromNodeIds(nodes, edges, ['stone-tools', 'nowhere'])).toBeNull();
+    expect(pathFromNodeIds(nodes, edges, ['stone-tools'])).toBeNull();
+  });
+});
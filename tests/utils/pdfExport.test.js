@@ -0,0 +1,62 @@
+import { describe, it, expect } from 'vitest';
+import { renderPosterPDF, pdfString, PAPER_SIZES } from '../../src/utils/pdfExport';
+
+const layout = {
+  width: 1000,
+  height: 500,
+  background: '#040406',
+  font: 'monospace',
+  textColor: '#e8e6e3',
+  edges: [{ x0: 10, y0: 10, cx: 50, cy: 60, x1: 90, y1: 10, colors: ['#ff0000', '#0000ff'], opacity: 0.4, width: 1, dash: [4, 4] }],
+  glows: [{ x: 10, y: 10, r: 25, color: '#ff0000', opacity: 0.15 }],
+  nodes: [{ x: 10, y: 10, r: 10, color: '#ff0000', opacity: 1, flat: false }],
+  labels: [{ x: 10, y: 34, text: 'Café (fire)', size: 9, halo: 3 }],
+  legend: { x: 16, y: 400, width: 120, height: 36, rows: 1, columnWidth: 100, items: [{ color: '#ff0000', label: 'Fire' }], background: '#040406', color: '#e8e6e3' },
+  title: { x: 16, y: 16, title: 'Neuro-Chain', subtitle: 'Innovation Network', colors: ['#0ea5e9', '#3b82f6', '#6366f1'], color: '#e8e6e3' },
+};
+
+const objectOffsets = (pdf) => {
+  const xref = Number(pdf.match(/startxref\n(\d+)/)[1]);
+  return pdf.slice(xref).split('\n').slice(3).filter(line => / n $/.test(line)).map(line => Number(line.slice(0, 10)));
+};
+
+describe('pdfString', () => {
+  it('should escape delimiters and encode Latin-1 as octal', () => {
+    expect(pdfString('a(b)\\c')).toBe('(a\\(b\\)\\\\c)');
+    expect(pdfString('Café')).toBe('(Caf\\351)');
+    expect(pdfString('日本')).toBe('(??)');
+  });
+});
+
+describe('renderPosterPDF', () => {
+  it('should write a single-page PDF with a valid cross-reference table', () => {
+    const pdf = renderPosterPDF(layout);
+    expect(pdf.startsWith('%PDF-1.4')).toBe(true);
+    expect(pdf.trimEnd().endsWith('%%EOF')).toBe(true);
+    expect(pdf).toContain('/Count 1');
+    // Wide layouts turn the page to landscape
+    expect(pdf).toContain(`/MediaBox [0 0 ${PAPER_SIZES.a4.height} ${PAPER_SIZES.a4.width}]`);
+
+    objectOffsets(pdf).forEach((offset, i) => {
+      expect(pdf.slice(offset, offset + 12)).toMatch(new RegExp(`^${i + 1} 0 obj`));
+    });
+    expect([...pdf].every(char => char.charCodeAt(0) < 128)).toBe(true);
+  });
+
+  it('should draw curves, dashes, text and transparency', () => {
+    const pdf = renderPosterPDF(layout);
+    expect(pdf).toMatch(/\[4 4\] 0 d 10 10 m [\d.]+ [\d.]+ [\d.]+ [\d.]+ 90 10 c S/);
+    expect(pdf).toContain('(Caf\\351 \\(fire\\)) Tj');
+    expect(pdf).toContain('/Type /ExtGState /CA 0.4 /ca 0.4');
+    expect(pdf).toContain('/BaseFont /Helvetica-Bold');
+  });
+
+  it('should tile the poster across pages with assembly labels', () => {
+    const pdf = renderPosterPDF(layout, { paper: 'a3', columns: 2, rows: 2, orientation: 'portrait' });
+    expect(pdf).toContain('/Count 4');
+    expect(pdf).toContain(`/MediaBox [0 0 ${PAPER_SIZES.a3.width} ${PAPER_SIZES.a3.height}]`);
+    expect(pdf).toContain('(Page A1 - row 1 of 2, column 1 of 2)');
+    expect(pdf).toContain('(Page B2 - row 2 of 2, column 2 of 2)');
+    expect(pdf.match(/ cm\n/g)).toHaveLength(4);
+  });
+});
@@ -0,0 +1,77 @@
+/**
+ * Quadtree vs SpatialHash benchmarks. Run with `npm run bench`.
+ */
+
+import { describe, bench } from 'vitest';
+import { Quadtree } from '../../src/utils/quadtree';
+import { SpatialHash } from '../../src/utils/viewportCulling';
+
+const scatter = (count, spread, seed) => {
+  const random = () => {
+    seed = (seed * 16807) % 2147483647;
+    return seed / 2147483647;
+  };
+  return Array.from({ length: count }, () => ({ x: (random() - 0.5) * spread, y: (random() - 0.5) * spread }));
+};
+
+// Roughly the shipped dataset, and a graph an order of magnitude past it
+[[715, 3000], [20000, 16000]].forEach(([count, spread]) => {
+  const points = scatter(count, spread, 7);
+  const probes = scatter(200, spread, 99);
+  const tree = new Quadtree().build(points);
+  const hash = new SpatialHash(100);
+  hash.build(points);
+
+  describe(`build (${count} nodes)`, () => {
+    bench('Quadtree', () => {
+      new Quadtree().build(points);
+    });
+    bench('SpatialHash', () => {
+      new SpatialHash(100).build(points);
+    });
+  });
+
+  // Hover picking: the closest node within reach of the pointer
+  describe(`nearest within 40 (${count} nodes)`, () => {
+    bench('Quadtree', () => {
+      probes.forEach(p => tree.nearest(p.x, p.y, { maxDistance: 40 }));
+    });
+    bench('SpatialHash', () => {
+      probes.forEach(p => {
+        let best = null;
+        let bestDistance = 40;
+        hash.query(p.x, p.y, 40).forEach(node => {
+          const distance = Math.hypot(node.x - p.x, node.y - p.y);
+          if (distance <= bestDistance) {
+            best = node;
+            bestDistance = distance;
+          }
+        });
+        return best;
+      });
+    });
+      bench('linear scan', () => {
+      probes.forEach(p => points.find(node => Math.hypot(node.x - p.x, node.y - p.y) < 40));
+    });
+  });
+
+  // Repulsion neighbourhood of the layout simulation
+  describe(`radius 400 (${count} nodes)`, () => {
+    bench('Quadtree', () => {
+      probes.forEach(p => tree.queryRadius(p.x, p.y, 400));
+    });
+    bench('SpatialHash', () => {
+      probes.forEach(p => hash.query(p.x, p.y, 400).filter(node => Math.hypot(node.x - p.x, node.y - p.y) <= 400));
+    });
+  });
+
+  // Viewport culling of a 1280x800 window at zoom 1
+  describe(`viewport rectangle (${count} nodes)`, () => {
+    bench('Quadtree', () => {
+      tree.queryRect(-640, -400, 640, 400);
+    });
+    bench('linear scan', () => {
+      points.filter(node => node.x >= -640 && node.x <= 640 && node.y >= -400 && node.y <= 400);
+    });
+  });
+});
@@ -0,0 +1,104 @@
+import { describe, it, expect } from 'vitest';
+import { Quadtree, cellDistanceSq } from '../../src/utils/quadtree';
+
+// Deterministic scatter so failures reproduce
+const scatter = (count, spread = 1000) => {
+  let seed = 42;
+  const random = () => {
+    seed = (seed * 16807) % 2147483647;
+    return seed / 2147483647;
+  };
+  return Array.from({ length: count }, (_, i) => ({ id: i, x: (random() - 0.5) * spread, y: (random() - 0.5) * spread }));
+};
+
+const ids = (items) => items.map(item => item.id).sort((a, b) => a - b);
+
+describe('Quadtree', () => {
+  const points = scatter(2000);
+  const tree = new Quadtree().build(points);
+
+  it('should index every point', () => {
+    expect(tree.size).toBe(2000);
+    let count = 0;
+    tree.visit(cell => { count += cell.items.length; });
+    expect(count).toBe(2000);
+  });
+
+  it('should match a linear scan for rectangle queries', () => {
+    const found = tree.queryRect(-100, -50, 150, 200);
+    const expected = points.filter(p => p.x >= -100 && p.x <= 150 && p.y >= -50 && p.y <= 200);
+    expect(ids(found)).toEqual(ids(expected));
+    expect(found.length).toBeGreaterThan(0);
+  });
+
+  it('should match a linear scan for radius queries', () => {
+    const found = tree.queryRadius(30, -40, 120);
+    const expected = points.filter(p => Math.hypot(p.x - 30, p.y + 40) <= 120);
+    expect(ids(found)).toEqual(ids(expected));
+  });
+
+  it('should return the k nearest points in order', () => {
+    const found = tree.nearest(12, 34, { k: 5 });
+    const expected = [...points]
+      .sort((a, b) => Math.hypot(a.x - 12, a.y - 34) - Math.hypot(b.x - 12, b.y - 34))
+      .slice(0, 5);
+    expect(found.map(p => p.id)).toEqual(expected.map(p => p.id));
+  });
+
+  it('should respect maxDistance and filters in nearest queries', () => {
+    expect(tree.nearest(5000, 5000, { maxDistance: 100 })).toEqual([]);
+
+    const [even] = tree.nearest(0, 0, { filter: p => p.id % 2 === 0 });
+    const expected = points
+      .filter(p => p.id % 2 === 0)
+      .reduce((best, p) => (Math.hypot(p.x, p.y) < Math.hypot(best.x, best.y) ? p : best));
+    expect(even).toBe(expected);
+  });
+
+  it('should grow its bounds for points inserted outside them', () => {
+    const small = new Quadtree().build([{ x: 0, y: 0 }, { x: 10, y: 10 }]);
+    const far = { x: -5000, y: 8000 };
+    expect(small.insert(far)).toBe(true);
+    expect(small.queryRadius(-5000, 8000, 1)).toEqual([far]);
+    expect(small.queryRect(-1, -1, 11, 11)).toHaveLength(2);
+  });
+
+  it('should keep coincident points without splitting forever', () => {
+    const same = Array.from({ length: 50 }, (_, id) => ({ id, x: 3, y: 3 }));
+    const stacked = new Quadtree().build(same);
+    expect(stacked.queryRadius(3, 3, 0)).toHaveLength(50);
+    expect(stacked.nearest(3, 3, { k: 3 })).toHaveLength(3);
+  });
+
+  it('should remove points and skip ones without coordinates', () => {
+    const local = new Quadtree().build(scatter(100));
+    const [victim] = local.nearest(0, 0);
+    expect(local.remove(victim)).toBe(true);
+    expect(local.remove(victim)).toBe(false);
+    expect(local.size).toBe(99);
+    expect(local.nearest(victim.x, victim.y, { maxDistance: 0 })).toEqual([]);
+
+    expect(local.insert({ x: NaN, y: 0 })).toBe(false);
+    expect(new Quadtree().build([{ x: undefined, y: 1 }]).size).toBe(0);
+  });
+
+  it('should accumulate mass and centre of mass', () => {
+    const local = new Quadtree().build([{ x: 0, y: 0 }, { x: 10, y: 0 }, { x: 0, y: 10 }, { x: 10, y: 10 }]).accumulate();
+    expect(local.root.mass).toBe(4);
+    expect(local.root.cx).toBeCloseTo(5);
+    expect(local.root.cy).toBeCloseTo(5);
+
+    tree.accumulate();
+    tree.visit(cell => {
+      if (!cell.children) return;
+      expect(cell.mass).toBe(cell.children.reduce((sum, child) => sum + child.mass, 0));
+    });
+  });
+
+  it('should measure the distance from a point to a cell', () => {
+    const cell = { x0: 0, y0: 0, x1: 10, y1: 10 };
+    expect(cellDistanceSq(cell, 5, 5)).toBe(0);
+    expect(cellDistanceSq(cell, 13, 14)).toBe(25);
+    expect(cellDistanceSq(cell, -2, 5)).toBe(4);
+  });
+});
@@ -0,0 +1,30 @@
+import { describe, it, expect } from 'vitest';
+import { createRandom, hashSeed } from '../../src/utils/random';
+
+const draw = (random, count) => Array.from({ length: count }, () => random());
+
+describe('random', () => {
+  it('should repeat the same sequence for the same seed', () => {
+    expect(draw(createRandom(42), 20)).toEqual(draw(createRandom(42), 20));
+    expect(draw(createRandom('fire'), 20)).toEqual(draw(createRandom('fire'), 20));
+  });
+
+  it('should give different sequences for different seeds', () => {
+    expect(draw(createRandom(1), 5)).not.toEqual(draw(createRandom(2), 5));
+    expect(hashSeed('1:fire')).not.toBe(hashSeed('1:writing'));
+  });
+
+  it('should stay in [0, 1) and spread evenly', () => {
+    const values = draw(createRandom(7), 10000);
+    expect(Math.min(...values)).toBeGreaterThanOrEqual(0);
+    expect(Math.max(...values)).toBeLessThan(1);
+    const mean = values.reduce((sum, v) => sum + v, 0) / values.length;
+    expect(mean).toBeCloseTo(0.5, 1);
+  });
+
+  it('should hash strings to stable 32-bit integers', () => {
+    expect(hashSeed('')).toBe(0x811c9dc5);
+    expect(hashSeed('a')).toBe(0xe40c292c);
+    expect(hashSeed(12)).toBe(hashSeed('12'));
+  });
+});
@@ -0,0 +1,97 @@
+import { describe, it, expect } from 'vitest';
+import {
+  isDated,
+  existsInYear,
+  getYearBounds,
+  createLogYearScale,
+  formatYear,
+  formatTickLabel,
+  generateYearTicks,
+} from '../../src/utils/timeScale';
+
+describe('existsInYear', () => {
+  it('should include nodes invented on or before the year', () => {
+    expect(existsInYear({ year: -3000 }, 1000)).toBe(true);
+    expect(existsInYear({ year: 1000 }, 1000)).toBe(true);
+    expect(existsInYear({ year: 1001 }, 1000)).toBe(false);
+  });
+
+  it('should treat undated nodes as always present', () => {
+    expect(isDated({ year: null })).toBe(false);
+    expect(existsInYear({ year: null }, -400000)).toBe(true);
+    expect(existsInYear({}, -400000)).toBe(true);
+  });
+});
+
+describe('getYearBounds', () => {
+  it('should ignore undated nodes', () => {
+    const bounds = getYearBounds([{ year: 1900 }, { year: null }, { year: -5000 }, {}]);
+    expect(bounds).toEqual({ min: -5000, max: 1900 });
+  });
+});
+
+describe('createLogYearScale', () => {
+  const scale = createLogYearScale(-400000, 2050);
+
+  it('should map the range ends to 0 and 1', () => {
+    expect(scale.toUnit(-400000)).toBeCloseTo(0);
+    expect(scale.toUnit(2050)).toBeCloseTo(1);
+  });
+
+  it('should give recent history more room than deep prehistory', () => {
+    const lastMillennium = scale.toUnit(2050) - scale.toUnit(1050);
+    const firstMillennium = scale.toUnit(-399000) - scale.toUnit(-400000);
+    expect(lastMillennium).toBeGreaterThan(firstMillennium * 100);
+  });
+
+  it('should round-trip years', () => {
+    [-400000, -10000, 0, 1500, 2000].forEach(year => {
+      expect(scale.fromUnit(scale.toUnit(year))).toBeCloseTo(year, 3);
+    });
+  });
+});
+
+describe('formatYear', () => {
+  it('should format BCE and CE years', () => {
+    expect(formatYear(-10000)).toBe(`${(10000).toLocaleString()} BCE`);
+    expect(formatYear(1969)).toBe('1969 CE');
+  });
+});
+
+describe('formatTickLabel', () => {
+  it('should abbreviate deep time and label decades', () => {
+    expect(formatTickLabel(-3000000, 1000000)).toBe('3M BCE');
+    expect(formatTickLabel(-40000, 10000)).toBe('40k BCE');
+    expect(formatTickLabel(1960, 10)).toBe('1960s');
+    expect(formatTickLabel(1500, 100)).toBe('1500 CE');
+  });
+});
+
+describe('generateYearTicks', () => {
+  const scale = createLogYearScale(-400000, 2050);
+  const ticksAt = (pixelWidth) => generateYearTicks({
+    yearToPixel: (year) => scale.toUnit(year) * pixelWidth,
+    fromYear: -400000,
+    toYear: 2050,
+  });
+
+  it('should keep labels at least minGap pixels apart', () => {
+    const ticks = ticksAt(1200);
+    for (let i = 1; i < ticks.length; i++) {
+      expect(ticks[i].x - ticks[i - 1].x).toBeGreaterThanOrEqual(80);
+    }
+  });
+
+  it('should add finer granularities when zoomed in', () => {
+    const coarse = ticksAt(1200);
+    const fine = ticksAt(20000);
+    expect(fine.length).toBeGreaterThan(coarse.length);
+    // On a log axis decades always fit near the present, but only reach back further when zoomed in
+    expect(fine.some(t => t.step === 10 && t.year < 1900)).toBe(true);
+    expect(coarse.some(t => t.step === 10 && t.year < 1900)).toBe(false);
+  });
+
+  it('should return nothing for an empty range', () => {
+    expect(generateYearTicks({ yearToPixel: (y) => y, fromYear: 10, toYear: 10 })).toEqual([]);
+  });
+});
@@ -0,0 +1,59 @@
+import { describe, it, expect } from 'vitest';
+import { serializeViewState, parseViewState, URL_STATE_DEFAULTS } from '../../src/utils/urlState';
+
+describe('urlState', () => {
+  it('should round-trip the full view state', () => {
+    const state = {
+      camera: { x: -120, y: 45 },
+      zoom: 1.75,
+      nodeId: 'printing-press',
+      hiddenClusters: ['social', 'bio'],
+      search: 'steam engine',
+      theme: 'blueprint',
+      layout: 'timeline',
+      year: -3000,
+      path: ['writing', 'printing-press', 'internet'],
+      lineage: 'descendants',
+      start: 'seeded',
+      seed: 42,
+    };
+    const parsed = parseViewState(`?${serializeViewState(state)}`);
+    expect(parsed).toEqual({ ...state, hiddenClusters: ['bio', 'social'] });
+  });
+
+  it('should leave defaults out of the URL', () => {
+    const query = serializeViewState(URL_STATE_DEFAULTS).toString();
+    expect(query).toBe('x=0&y=0&z=1.00');
+    expect(parseViewState('')).toEqual(URL_STATE_DEFAULTS);
+  });
+
+  it('should still open links in the original share format', () => {
+    const parsed = parseViewState('?x=100&y=-200&z=1.50&node=fire');
+    expect(parsed.camera).toEqual({ x: 100, y: -200 });
+    expect(parsed.zoom).toBe(1.5);
+    expect(parsed.nodeId).toBe('fire');
+    expect(parsed.theme).toBe('default');
+  });
+
+  it('should ignore malformed values', () => {
+    const parsed = parseViewState('?x=abc&z=0&year=soon&trace=sideways&path=fire&start=random&seed=x');
+    expect(parsed.camera.x).toBe(0);
+    expect(parsed.zoom).toBe(1);
+    expect(parsed.year).toBe(URL_STATE_DEFAULTS.year);
+    expect(parsed.lineage).toBeNull();
+    expect(parsed.path).toBeNull();
+    expect(parsed.start).toBe('stored');
+    expect(parsed.seed).toBe(URL_STATE_DEFAULTS.seed);
+  });
+
+  it('should only write the seed for a seeded start', () => {
+    expect(serializeViewState({ seed: 7 }).has('seed')).toBe(false);
+    expect(serializeViewState({ start: 'seeded', seed: 7 }).get('seed')).toBe('7');
+    expect(serializeViewState({ start: 'baked' }).get('start')).toBe('baked');
+  });
+
+  it('should only keep a lineage trace together with its node', () => {
+    expect(serializeViewState({ lineage: 'ancestors' }).has('trace')).toBe(false);
+    expect(parseViewState('?trace=ancestors').lineage).toBeNull();
+  });
+});
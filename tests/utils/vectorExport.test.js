@@ -0,0 +1,110 @@
+import { describe, it, expect } from 'vitest';
+import { buildVectorLayout, renderSVG, escapeXml } from '../../src/utils/vectorExport';
+import { nodeColor, edgeColors, edgeControlPoint } from '../../src/utils/graphStyle';
+
+const clusters = {
+  fire: { label: 'Fire Cluster', color: '#ff6b35' },
+  bio: { label: 'Bio & Life', color: '#00ff88' },
+};
+
+const sceneOf = (overrides = {}) => ({
+  nodes: [
+    { id: 'fire', label: 'Fire', cluster: 'fire', x: 0, y: 0, size: 20, color: '#ff6b35', opacity: 1 },
+    { id: 'dna', label: 'DNA <helix>', cluster: 'bio', x: 200, y: 100, size: 10, color: '#00ff88', opacity: 0.1 },
+    { id: 'far', label: 'Far', cluster: 'bio', x: 5000, y: 0, size: 10, color: '#00ff88', opacity: 1 },
+    { id: 'far2', label: 'Far 2', cluster: 'bio', x: 5000, y: 400, size: 10, color: '#00ff88', opacity: 1 },
+  ],
+  edges: [
+    { source: 'fire', target: 'dna', type: 'backlink', opacity: 0.04 },
+    { source: 'fire', target: 'far', type: 'accelerates', opacity: 0.4 },
+    { source: 'far', target: 'far2', type: 'forward', opacity: 0.4 },
+  ],
+  clusters,
+  theme: 'default',
+  renderLabels: true,
+  renderGlow: true,
+  highlightActive: false,
+  camera: { x: 0, y: 0 },
+  zoom: 1,
+  width: 800,
+  height: 600,
+  time: 0,
+  ...overrides,
+});
+
+describe('graphStyle', () => {
+  it('should apply theme colour overrides', () => {
+    const node = { cluster: 'fire' };
+    expect(nodeColor(node, clusters, 'default')).toBe('#ff6b35');
+    expect(nodeColor(node, clusters, 'blueprint')).toBe('#ffffff');
+    expect(nodeColor(node, clusters, 'void', '#123456')).toBe('#123456');
+    expect(edgeColors({ cluster: 'fire' }, { cluster: 'bio' }, clusters, 'default')).toEqual(['#ff6b35', '#00ff88']);
+    expect(edgeColors({ cluster: 'fire' }, { cluster: 'bio' }, clusters, 'matrix')).toEqual(['#003300', '#003300']);
+  });
+
+  it('should curve edges by the source phase', () => {
+    expect(edgeControlPoint({ x: 0, y: 0 }, { x: 100, y: 0 }, 0, 0)).toEqual({ x: 50, y: 0 });
+    const curved = edgeControlPoint({ x: 0, y: 0 }, { x: 100, y: 0 }, 10, 0);
+    expect(curved.x - 50).toBeCloseTo(Math.sin(0.5) * 12);
+    expect(curved.y).toBeCloseTo(curved.x - 50);
+  });
+});
+
+describe('buildVectorLayout', () => {
+  it('should reproduce the viewport with its camera, zoom and culling', () => {
+    const layout = buildVectorLayout(sceneOf({ camera: { x: 100, y: 0 } }));
+    expect(layout).toMatchObject({ width: 800, height: 600, background: '#040406' });
+    expect(layout.nodes.map(n => [n.x, n.y])).toEqual([[500, 300], [700, 400]]);
+    // Edges crossing the viewport are kept, edges wholly outside it are culled
+    expect(layout.edges).toHaveLength(2);
+    expect(layout.edges[1].dash).toEqual([2, 6]);
+    expect(layout.edges[0]).toMatchObject({ colors: ['#ff6b35', '#00ff88'], dash: [4, 4], opacity: 0.04 });
+    expect(layout.glows).toHaveLength(1);
+  });
+
+  it('should follow the canvas rules for labels and level of detail', () => {
+    const zoomedOut = buildVectorLayout(sceneOf({ zoom: 0.5 }));
+    expect(zoomedOut.edges.every(e => e.dash.length === 0)).toBe(true);
+    expect(zoomedOut.nodes[0].r).toBe(10);
+
+    const searching = buildVectorLayout(sceneOf({ highlightActive: true }));
+    expect(searching.labels.map(l => l.text)).toEqual(['Fire']);
+    expect(buildVectorLayout(sceneOf({ renderLabels: false })).labels).toEqual([]);
+  });
+
+  it('should frame the whole graph with room for the title and legend', () => {
+    const layout = buildVectorLayout(sceneOf(), { region: 'graph', title: 'Poster' });
+    expect(layout.nodes).toHaveLength(4);
+    expect(layout.edges).toHaveLength(3);
+    expect(layout.width).toBeGreaterThan(5000);
+    expect(layout.title).toMatchObject({ title: 'Poster' });
+    expect(layout.legend.items.map(i => i.label)).toEqual(['Fire Cluster', 'Bio & Life']);
+    const top = Math.min(...layout.nodes.map(n => n.y - n.r));
+    expect(top).toBeGreaterThan(layout.title.y + 42);
+    expect(layout.legend.y).toBeGreaterThan(Math.max(...layout.nodes.map(n => n.y + n.r)));
+  });
+});
+
+describe('renderSVG', () => {
+  it('should write gradients, dashes, escaped labels, legend and title', () => {
+    const svg = renderSVG(buildVectorLayout(sceneOf(), { region: 'graph', title: 'A & B' }));
+    expect(svg).toContain('<svg xmlns="http://www.w3.org/2000/svg"');
+    expect(svg).toMatch(/<linearGradient id="e\d+" gradientUnits="userSpaceOnUse"/);
+    expect(svg).toContain('stroke-dasharray="4 4"');
+    expect(svg).toContain('stroke-dasharray="2 6"');
+    expect(svg).toContain('DNA &lt;helix&gt;');
+    expect(svg).toContain('Bio &amp; Life');
+    expect(svg).toContain('<title>A &amp; B</title>');
+    expect(svg).toContain('fill="url(#title-gradient)"');
+  });
+
+  it('should use flat fills on flat themes', () => {
+    const svg = renderSVG(buildVectorLayout(sceneOf({ theme: 'paper' })));
+    expect(svg).toContain('fill="#ff6b35" fill-opacity="1"');
+    expect(svg).not.toContain('<radialGradient');
+  });
+
+  it('should escape XML special characters', () => {
+    expect(escapeXml(`<a href="x">'&'</a>`)).toBe('&lt;a href=&quot;x&quot;&gt;&apos;&amp;&apos;&lt;/a&gt;');
+  });
+});
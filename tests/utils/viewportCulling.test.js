@@ -3,6 +3,8 @@ import {
   getVisibleNodes,
   getVisibleEdges,
   getLODSettings,
+  getViewportBounds,
+  segmentInBounds,
   SpatialHash,
 } from '../../src/utils/viewportCulling';
 
@@ -119,3 +121,28 @@ describe('SpatialHash', () => {
     expect(nearby.length).toBe(0);
   });
 });
+
+describe('getViewportBounds', () => {
+  it('should map the centred camera to world coordinates', () => {
+    expect(getViewportBounds({ x: 100, y: -50 }, 2, 800, 600)).toEqual({ minX: -250, minY: -125, maxX: 150, maxY: 175 });
+  });
+
+  it('should widen the bounds by a screen-space margin', () => {
+    const bounds = getViewportBounds({ x: 0, y: 0 }, 0.5, 800, 600, 100);
+    expect(bounds.minX).toBe(-1000);
+    expect(bounds.maxY).toBe(800);
+  });
+});
+
+describe('segmentInBounds', () => {
+  const bounds = { minX: 0, minY: 0, maxX: 100, maxY: 100 };
+
+  it('should keep segments crossing the bounds with both ends outside', () => {
+    expect(segmentInBounds(bounds, { x: -50, y: 50 }, { x: 150, y: 50 })).toBe(true);
+  });
+
+  it('should drop segments entirely outside, unless padding reaches in', () => {
+    expect(segmentInBounds(bounds, { x: -50, y: -20 }, { x: 150, y: -10 })).toBe(false);
+    expect(segmentInBounds(bounds, { x: -50, y: -20 }, { x: 150, y: -10 }, 12)).toBe(true);
+  });
+});
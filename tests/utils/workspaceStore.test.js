@@ -0,0 +1,55 @@
+import { describe, it, expect, beforeEach } from 'vitest';
+import { createWorkspaceStore, createMemoryBackend } from '../../src/utils/workspaceStore';
+
+const data = {
+  clusters: {},
+  nodes: [{ id: 'fire', label: 'Fire' }],
+  edges: [],
+  descriptions: {},
+};
+
+describe('workspaceStore', () => {
+  let store;
+
+  beforeEach(() => {
+    store = createWorkspaceStore({ backend: createMemoryBackend() });
+  });
+
+  it('should save, list and load workspaces', async () => {
+    const saved = await store.save({ name: 'Europe', data });
+    const list = await store.list();
+
+    expect(list).toEqual([expect.objectContaining({ id: saved.id, name: 'Europe', nodeCount: 1, edgeCount: 0 })]);
+    expect((await store.load(saved.id)).data).toEqual(data);
+    expect(await store.load('missing')).toBeNull();
+  });
+
+  it('should keep the name and creation time when overwriting', async () => {
+    const saved = await store.save({ name: 'Europe', data });
+    const updated = await store.save({ id: saved.id, data: { ...data, nodes: [] } });
+
+    expect(updated.name).toBe('Europe');
+    expect(updated.createdAt).toBe(saved.createdAt);
+    expect((await store.list())).toHaveLength(1);
+  });
+
+  it('should duplicate into an independent copy', async () => {
+    const saved = await store.save({ name: 'Asia', data });
+    const copy = await store.duplicate(saved.id);
+
+    expect(copy.id).not.toBe(saved.id);
+    expect(copy.name).toBe('Asia copy');
+    await store.save({ id: copy.id, data: { ...data, nodes: [] } });
+    expect((await store.load(saved.id)).data.nodes).toHaveLength(1);
+  });
+
+  it('should forget the last workspace when it is deleted', async () => {
+    const saved = await store.save({ name: 'Africa', data });
+    await store.setLastWorkspaceId(saved.id);
+    expect(await store.getLastWorkspaceId()).toBe(saved.id);
+
+    await store.remove(saved.id);
+    expect(await store.getLastWorkspaceId()).toBeNull();
+    expect(await store.list()).toEqual([]);
+  });
+});
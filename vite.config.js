@@ -1,6 +1,7 @@
 import { defineConfig, loadEnv } from 'vite'
 import react from '@vitejs/plugin-react-swc'
 import { VitePWA } from 'vite-plugin-pwa'
+import cspPlugin from './plugins/vite-plugin-csp.js'
 
 // https://vite.dev/config/
 export default defineConfig(({ mode }) => {
@@ -10,6 +11,8 @@ export default defineConfig(({ mode }) => {
   return {
     plugins: [
       react(),
+      // CSP from src/config/csp.js: <meta> tag and _headers on build, report-only in dev
+      cspPlugin(),
       VitePWA({
         registerType: 'autoUpdate',
         includeAssets: ['favicon.png', 'apple-touch-icon.png', 'images/budeglobal_logo.png'],